@@ -11,6 +11,25 @@
 
 const vscode = require("vscode");
 const OrgManagerViewProvider = require("./providers/orgManagerProvider");
+const { createOrgTreeView } = require("./providers/orgTreeProvider");
+const cliDiscovery = require("./utils/cliDiscovery");
+const orgCache = require("./utils/orgCache");
+const orgMetadata = require("./utils/orgMetadata");
+const orgBookmarks = require("./utils/orgBookmarks");
+const orgTypes = require("./utils/orgTypes");
+const orgDetails = require("./utils/orgDetails");
+const { watchCliState } = require("./utils/cliStateWatcher");
+const { startPeriodicVerification } = require("./handlers/connectionMonitor");
+const { startScratchOrgMonitor } = require("./handlers/scratchOrgMonitor");
+const { startSandboxMonitor } = require("./handlers/sandboxMonitor");
+const {
+  startDefaultOrgStatusBar,
+  refreshDefaultOrgStatusBar,
+} = require("./handlers/defaultOrgStatusBar");
+const { registerOrgCommands } = require("./handlers/orgCommands");
+const logger = require("./utils/logger");
+
+const log = logger.createLogger("Extension");
 
 /**
  * Checks if extension was just installed or updated and prompts for reload
@@ -66,7 +85,23 @@ async function checkForReloadPrompt(context) {
  * // Creates two sidebar panels: Package.xml Generator and Org Manager
  */
 function activate(context) {
-  console.log("📦 Salesforce Tools extension is now active!");
+  logger.initializeLogger(context);
+  log.info("📦 Salesforce Tools extension is now active!");
+
+  // Share the org list across windows and sessions
+  orgCache.initializePersistence(context.globalStorageUri.fsPath);
+
+  // Pins and tags, keyed by org ID
+  orgMetadata.initializeMetadata(context.globalState);
+
+  // Pages saved from the Open menu, per org ID or per tag
+  orgBookmarks.initializeBookmarks(context.globalState);
+
+  // Production or sandbox, read once from each org's Organization record
+  orgTypes.initializeOrgTypes(context.globalState);
+
+  // Org detail panel contents, cached per org
+  orgDetails.initializeOrgDetails(context.globalState);
 
   // Check for install/update and prompt for reload if needed
   checkForReloadPrompt(context);
@@ -85,27 +120,109 @@ function activate(context) {
     )
   );
 
-  console.log("✅ Org Manager sidebar registered successfully");
+  // Native tree of the same orgs (sfRangerToolkit.orgView picks tiles, tree or both)
+  context.subscriptions.push(
+    createOrgTreeView({
+      onNeedsOrgs: () => orgManagerProvider.runCommand({ command: "listOrgs" }),
+    })
+  );
+
+  // Default org of the selected folder; clicking it switches the default
+  context.subscriptions.push(
+    startDefaultOrgStatusBar({
+      onSelect: (username, scope) =>
+        orgManagerProvider.runCommand({ command: "setDefaultOrg", username, scope }),
+    })
+  );
+
+  // Palette commands for the org actions; they accept a username argument
+  context.subscriptions.push(
+    registerOrgCommands((message) => orgManagerProvider.runCommand(message))
+  );
+
+  // Pick up logins, logouts and default changes made from a terminal
+  context.subscriptions.push(
+    watchCliState(() => {
+      refreshDefaultOrgStatusBar();
+      return orgManagerProvider.refreshOrgs();
+    })
+  );
+
+  // Multi-root workspaces: update the folder picker and default org badges
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeWorkspaceFolders(() => {
+      refreshDefaultOrgStatusBar();
+      if (orgManagerProvider.getView()) {
+        orgManagerProvider.runCommand({ command: "workspaceFoldersChanged" });
+      }
+    })
+  );
+
+  // Optional background connection checks (sfRangerToolkit.verifyConnectionsIntervalMinutes)
+  context.subscriptions.push(
+    startPeriodicVerification(context.globalState, () =>
+      orgManagerProvider.runCommand({
+        command: "verifyConnections",
+        background: true,
+      })
+    )
+  );
+
+  // Scratch org expiry reminders, cleanup of expired orgs and Dev Hub limits
+  context.subscriptions.push(
+    startScratchOrgMonitor(context.globalState, {
+      onCleanUp: () =>
+        orgManagerProvider.runCommand({ command: "cleanScratchOrgs" }),
+      onLimits: () =>
+        orgManagerProvider.runCommand({ command: "devHubLimitsChanged" }),
+    })
+  );
+
+  // Progress of sandbox copies; offers to log in when a sandbox is ready
+  context.subscriptions.push(
+    startSandboxMonitor(context.globalState, {
+      onProgress: () =>
+        orgManagerProvider.runCommand({ command: "sandboxJobsChanged" }),
+      onReady: (job) =>
+        orgManagerProvider.runCommand({ command: "loginSandbox", alias: job.alias }),
+    })
+  );
+
+  // Detect the CLI again when the user points the extension at a different install,
+  // and reclassify orgs when the production URL patterns change
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration("sfRangerToolkit.cliPath")) {
+        cliDiscovery.resetCliCache();
+      }
+      if (
+        event.affectsConfiguration("sfRangerToolkit.productionUrlPatterns") ||
+        event.affectsConfiguration("sfRangerToolkit.nonProductionUrlPatterns")
+      ) {
+        orgManagerProvider.runCommand({ command: "orgTypesChanged" });
+        refreshDefaultOrgStatusBar();
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("sfRangerToolkit.showLog", () =>
+      logger.showLog()
+    )
+  );
+
+  log.info("✅ Org Manager sidebar registered successfully");
 }
 
 /**
  * Deactivates the extension
  * Called when the extension is deactivated
- * Performs cleanup of caches and temporary resources
+ * The org cache file is kept so the next session can show the orgs right away.
  *
  * @returns {void}
  */
 function deactivate() {
-  console.log("SF Ranger Tools extension deactivating...");
-
-  try {
-    const orgCache = require("./utils/orgCache");
-    orgCache.clearOrgListCache();
-    console.log("✓ Org cache cleared");
-    console.log("✅ SF Ranger Tools extension deactivated successfully");
-  } catch (error) {
-    console.error("⚠️ Error during deactivation cleanup:", error.message);
-  }
+  log.info("✅ SF Ranger Tools extension deactivated successfully");
 }
 
 module.exports = {
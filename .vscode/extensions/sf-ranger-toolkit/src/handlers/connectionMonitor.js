@@ -0,0 +1,405 @@
+/**
+ * Org Connection Monitor
+ *
+ * Verifies org connections with `sf org display` and remembers the outcome
+ * per org: when it was last verified and, for failures, why. Checks run in
+ * parallel within the operation queue's concurrency limit. Orgs listed in
+ * `sfRangerToolkit.watchedOrgs` raise one notification when they lose their
+ * connection, and again only after they have been connected in between.
+ * Background checks run in one window at a time, and the notified orgs are
+ * kept in global state so other windows do not repeat the notification.
+ *
+ * @module connectionMonitor
+ */
+
+const crypto = require("crypto");
+const vscode = require("vscode");
+const sfdxExecutor = require("../utils/sfdxCommandExecutor");
+const config = require("../utils/config");
+const operationQueue = require("./operationQueue");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("ConnectionMonitor");
+
+/**
+ * Global state key of the watched orgs that were already reported as disconnected
+ * @type {string}
+ */
+const NOTIFIED_KEY = "notifiedWatchedOrgs";
+
+/**
+ * Global state key of the lease of the window that runs background checks
+ * @type {string}
+ */
+const LEASE_KEY = "connectionMonitorLease";
+
+/**
+ * Time a lease lasts beyond two background intervals
+ * Two missed checks in a row mean the window is gone.
+ * @type {number}
+ */
+const LEASE_GRACE_MS = 30 * 1000;
+
+/**
+ * Identifies this window in the lease
+ * @type {string}
+ */
+const WINDOW_ID = crypto.randomUUID();
+
+/**
+ * Verification states shown on the tiles
+ * @enum {string}
+ */
+const VERIFICATION_STATES = {
+  CONNECTED: "connected",
+  NEEDS_REAUTH: "needsReauth",
+  ERROR: "error",
+};
+
+/**
+ * Last verification per username
+ * @type {Map<string, {state: string, errorType: string|null, message: string|null, lastVerified: number}>}
+ */
+const verifications = new Map();
+
+/**
+ * Watched orgs that were already reported as disconnected
+ * @type {Set<string>}
+ */
+const notifiedOrgs = new Set();
+
+/**
+ * Where the notified orgs and the lease are shared, or null to keep them in memory only
+ * @type {vscode.Memento|null}
+ */
+let memento = null;
+
+/**
+ * Listeners called after a verification was recorded or forgotten
+ * @type {Set<function(): void>}
+ */
+const changeListeners = new Set();
+
+/**
+ * Whether a verification run is in progress
+ * @type {boolean}
+ */
+let verifying = false;
+
+/**
+ * Changes the notified watched orgs and persists them
+ * Starts from the saved orgs so notifications shown by other windows are kept.
+ *
+ * @param {function(Set<string>): void} update - Changes the usernames in place
+ * @returns {Promise<void>}
+ * @private
+ */
+async function updateNotifiedOrgs(update) {
+  if (memento) {
+    notifiedOrgs.clear();
+    memento.get(NOTIFIED_KEY, []).forEach((username) => notifiedOrgs.add(username));
+  }
+  update(notifiedOrgs);
+  if (memento) {
+    await memento.update(NOTIFIED_KEY, Array.from(notifiedOrgs));
+  }
+}
+
+/**
+ * Takes or renews the lease that lets this window run background checks
+ *
+ * @param {number} duration - How long the lease lasts without being renewed
+ * @returns {Promise<boolean>} False if another window holds the lease
+ * @private
+ */
+async function claimLease(duration) {
+  if (!memento) {
+    return true;
+  }
+  const lease = memento.get(LEASE_KEY, null);
+  const now = Date.now();
+  if (lease && lease.owner !== WINDOW_ID && lease.expiresAt > now) {
+    return false;
+  }
+  await memento.update(LEASE_KEY, { owner: WINDOW_ID, expiresAt: now + duration });
+  return true;
+}
+
+/**
+ * Gives up the lease so another window can take over right away
+ *
+ * @returns {void}
+ * @private
+ */
+function releaseLease() {
+  const lease = memento && memento.get(LEASE_KEY, null);
+  if (lease && lease.owner === WINDOW_ID) {
+    memento.update(LEASE_KEY, undefined);
+  }
+}
+
+/**
+ * Checks one org and records the result
+ *
+ * @param {Object} org - Org from the org list
+ * @param {vscode.CancellationToken} [token] - Stops the check when cancelled
+ * @returns {Promise<Object|null>} The verification, or null if cancelled
+ * @private
+ */
+async function verifyOrg(org, token) {
+  if (token && token.isCancellationRequested) {
+    return null;
+  }
+
+  let verification;
+  try {
+    await sfdxExecutor.checkSfdxConnection(org.username, { token });
+    verification = {
+      state: VERIFICATION_STATES.CONNECTED,
+      errorType: null,
+      message: null,
+      lastVerified: Date.now(),
+    };
+  } catch (error) {
+    if (sfdxExecutor.isCancellationError(error)) {
+      return null;
+    }
+
+    const errorType =
+      error.errorType || sfdxExecutor.classifyConnectionError(error);
+    verification = {
+      state:
+        errorType === sfdxExecutor.CONNECTION_ERROR_TYPES.EXPIRED_AUTH
+          ? VERIFICATION_STATES.NEEDS_REAUTH
+          : VERIFICATION_STATES.ERROR,
+      errorType,
+      message: error.message,
+      lastVerified: Date.now(),
+    };
+    log.warn(`${org.username} is not connected (${errorType}): ${error.message}`);
+  }
+
+  verifications.set(org.username, verification);
+  changeListeners.forEach((listener) => listener());
+  return verification;
+}
+
+/**
+ * Verifies the connection of each org
+ *
+ * @param {Array<Object>} orgs - Orgs from the org list
+ * @param {Object} [options={}] - Verification options
+ * @param {vscode.CancellationToken} [options.token] - Stops pending checks when cancelled
+ * @param {function(string, Object): void} [options.onResult] - Called with the username and verification as each check finishes
+ * @param {function(string): void} [options.onReauth] - Called with the username when the user picks Reauth on a notification
+ * @returns {Promise<Object<string, Object>>} Verifications of the checked orgs, keyed by username
+ *
+ * @example
+ * const results = await verifyConnections(orgs, {
+ *   onResult: (username, verification) => webview.postMessage(...),
+ * });
+ */
+async function verifyConnections(orgs, options = {}) {
+  const { token, onResult, onReauth } = options;
+  verifying = true;
+  log.info(`Verifying ${orgs.length} org connections`);
+
+  try {
+    const results = {};
+    await Promise.all(
+      orgs.map((org) =>
+        operationQueue.runLimited(async () => {
+          const verification = await verifyOrg(org, token);
+          if (verification) {
+            results[org.username] = verification;
+            if (onResult) {
+              onResult(org.username, verification);
+            }
+          }
+        })
+      )
+    );
+
+    await notifyWatchedOrgs(orgs, onReauth);
+    return results;
+  } finally {
+    verifying = false;
+  }
+}
+
+/**
+ * Shows one notification per watched org that lost its connection
+ *
+ * @param {Array<Object>} orgs - Orgs that were just verified
+ * @param {function(string): void} [onReauth] - Runs the reauth for a username
+ * @returns {Promise<void>}
+ * @private
+ */
+async function notifyWatchedOrgs(orgs, onReauth) {
+  const watched = config.getWatchedOrgs();
+  if (watched.length === 0) {
+    return;
+  }
+
+  const disconnected = [];
+  await updateNotifiedOrgs((notified) => {
+    orgs
+      .filter(
+        (org) => watched.includes(org.username) || watched.includes(org.alias)
+      )
+      .forEach((org) => {
+        const verification = verifications.get(org.username);
+        if (!verification) {
+          return;
+        }
+
+        if (verification.state === VERIFICATION_STATES.CONNECTED) {
+          notified.delete(org.username);
+        } else if (!notified.has(org.username)) {
+          notified.add(org.username);
+          disconnected.push(org);
+        }
+      });
+  });
+
+  disconnected.forEach((org) => {
+    const verification = verifications.get(org.username);
+    const actions = onReauth ? ["Reauth"] : [];
+      Promise.resolve(
+        vscode.window.showWarningMessage(
+          `⚠️ Watched org "${org.alias || org.username}" lost its connection: ${verification.message}`,
+          ...actions
+        )
+      ).then((action) => {
+        if (action === "Reauth") {
+          onReauth(org.username);
+        }
+      });
+  });
+}
+
+/**
+ * Gets all recorded verifications
+ *
+ * @returns {Object<string, Object>} Verifications keyed by username
+ */
+function getVerifications() {
+  return Object.fromEntries(verifications);
+}
+
+/**
+ * Forgets the verification of an org, e.g. after reauth or logout
+ *
+ * @param {string} username - The org username
+ * @returns {void}
+ */
+function forgetVerification(username) {
+  verifications.delete(username);
+  updateNotifiedOrgs((notified) => notified.delete(username));
+  changeListeners.forEach((listener) => listener());
+}
+
+/**
+ * Registers a listener for recorded and forgotten verifications
+ *
+ * @param {function(): void} listener - Called after each change
+ * @returns {{dispose: function(): void}} Removes the listener
+ */
+function onDidChangeVerifications(listener) {
+  changeListeners.add(listener);
+  return { dispose: () => changeListeners.delete(listener) };
+}
+
+/**
+ * Checks whether a verification run is in progress
+ *
+ * @returns {boolean} True while verifyConnections runs
+ */
+function isVerifying() {
+  return verifying;
+}
+
+/**
+ * Runs a task every `verifyConnectionsIntervalMinutes` minutes
+ * Restarts the timer when the setting changes; does nothing while it is 0.
+ * Only the window holding the lease in global state runs the task.
+ *
+ * @param {vscode.Memento} globalState - Shares the lease and the notified orgs between windows
+ * @param {function(): Promise<void>} run - Verifies the connections
+ * @returns {vscode.Disposable} Stops the timer
+ *
+ * @example
+ * context.subscriptions.push(
+ *   startPeriodicVerification(context.globalState, () =>
+ *     provider.runCommand({ command: "verifyConnections", background: true })
+ *   )
+ * );
+ */
+function startPeriodicVerification(globalState, run) {
+  memento = globalState;
+  let timer = null;
+
+  const schedule = () => {
+    clearInterval(timer);
+    timer = null;
+
+    const interval = config.getVerifyConnectionsInterval();
+    if (interval > 0) {
+      log.info(`Verifying connections every ${interval / 60000} minutes`);
+      timer = setInterval(async () => {
+        try {
+          if (await claimLease(2 * interval + LEASE_GRACE_MS)) {
+            await run();
+          }
+        } catch (error) {
+          log.error("Background connection check failed:", error);
+        }
+      }, interval);
+    } else {
+      releaseLease();
+    }
+  };
+
+  schedule();
+  const listener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (
+      event.affectsConfiguration(
+        "sfRangerToolkit.verifyConnectionsIntervalMinutes"
+      )
+    ) {
+      schedule();
+    }
+  });
+
+  return new vscode.Disposable(() => {
+    clearInterval(timer);
+    listener.dispose();
+    releaseLease();
+  });
+}
+
+/**
+ * Clears all recorded state
+ * Only used by tests.
+ *
+ * @returns {void}
+ * @private
+ */
+function resetConnectionMonitor() {
+  verifications.clear();
+  notifiedOrgs.clear();
+  changeListeners.clear();
+  memento = null;
+  verifying = false;
+}
+
+module.exports = {
+  verifyConnections,
+  getVerifications,
+  forgetVerification,
+  onDidChangeVerifications,
+  isVerifying,
+  startPeriodicVerification,
+  resetConnectionMonitor,
+  VERIFICATION_STATES,
+};
@@ -0,0 +1,215 @@
+/**
+ * Default Org Status Bar
+ *
+ * Shows the default org of the selected workspace folder in the status bar:
+ * red for production orgs, yellow for scratch orgs about to expire.
+ * Clicking it opens the org quick pick to make another org the default.
+ *
+ * The default is read from the CLI's config files, so it stays right when
+ * it is changed from a terminal. The item is refreshed when the org list is
+ * cached or cleared, when an org type is detected and when another folder
+ * is selected; extension.js also refreshes it when the CLI files change.
+ *
+ * @module defaultOrgStatusBar
+ */
+
+const vscode = require("vscode");
+const sfdxExecutor = require("../utils/sfdxCommandExecutor");
+const orgDiscovery = require("../utils/orgDiscovery");
+const orgCache = require("../utils/orgCache");
+const orgTypes = require("../utils/orgTypes");
+const workspaceFolders = require("../utils/workspaceFolders");
+const scratchOrgMonitor = require("./scratchOrgMonitor");
+const orgQuickPick = require("./orgQuickPick");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("DefaultOrgStatusBar");
+
+/**
+ * Command run when the status bar item is clicked
+ * @type {string}
+ */
+const SWITCH_COMMAND = "sfRangerToolkit.switchDefaultOrg";
+
+/**
+ * Scratch orgs expiring within this many days are shown in yellow
+ * Same threshold as the expiry badge in the Org Manager.
+ * @type {number}
+ */
+const EXPIRING_SOON_DAYS = 7;
+
+/**
+ * The status bar item, or null before startDefaultOrgStatusBar
+ * @type {vscode.StatusBarItem|null}
+ */
+let statusBarItem = null;
+
+/**
+ * Callback passed to startDefaultOrgStatusBar
+ * @type {function(string, string): (Promise<void>|void)|null}
+ */
+let onSelect = null;
+
+/**
+ * Number of the latest refresh; older refreshes that finish later are dropped
+ * @type {number}
+ */
+let refreshCount = 0;
+
+/**
+ * Builds the tooltip of the item
+ *
+ * @param {Object} org - The default org
+ * @param {string|null} source - Where the default is set (orgDiscovery DEFAULT_SOURCES)
+ * @param {{isProduction: boolean|null}} type - Result of orgTypes.classifyOrg
+ * @param {number|null} daysLeft - Days until a scratch org expires
+ * @returns {string} The tooltip
+ * @private
+ */
+function buildTooltip(org, source, type, daysLeft) {
+  const lines = [`Default org: ${org.alias || org.username}`, org.username];
+  if (source) {
+    lines.push(`Set in the ${source} config`);
+  }
+  if (type.isProduction) {
+    lines.push("⚠️ Production org");
+  }
+  if (daysLeft !== null) {
+    lines.push(daysLeft > 0 ? `Expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"}` : "Expired");
+  }
+  lines.push("", "Click to switch the default org");
+  return lines.join("\n");
+}
+
+/**
+ * Reads the default org again and updates the item
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * watchCliState(() => refreshDefaultOrgStatusBar());
+ */
+async function refreshDefaultOrgStatusBar() {
+  if (!statusBarItem) {
+    return;
+  }
+  const refresh = ++refreshCount;
+
+  try {
+    const projectDir = workspaceFolders.getSelectedFolderPath();
+    const { defaultUsername, defaultUsernameSource } = await orgDiscovery.getDefaultUsernames({
+      projectDir,
+    });
+    const orgs = defaultUsername ? await orgQuickPick.getKnownOrgs() : [];
+    if (refresh !== refreshCount || !statusBarItem) {
+      return;
+    }
+
+    const org = orgs.find((candidate) => candidate.username === defaultUsername);
+    if (!defaultUsername) {
+      statusBarItem.text = "$(cloud) No default org";
+      statusBarItem.tooltip = "No default org is set\n\nClick to pick one";
+      statusBarItem.backgroundColor = undefined;
+    } else if (!org) {
+      // Set in the config but not logged in
+      statusBarItem.text = `$(cloud) ${defaultUsername}`;
+      statusBarItem.tooltip = `Default org: ${defaultUsername}\nNot logged in\n\nClick to switch the default org`;
+      statusBarItem.backgroundColor = new vscode.ThemeColor("statusBarItem.warningBackground");
+    } else {
+      const type = orgTypes.classifyOrg(org);
+      const daysLeft = org.isScratchOrg ? scratchOrgMonitor.getDaysLeft(org) : null;
+
+      statusBarItem.text = `$(cloud) ${org.alias || org.username}`;
+      statusBarItem.tooltip = buildTooltip(org, defaultUsernameSource, type, daysLeft);
+      if (type.isProduction) {
+        statusBarItem.backgroundColor = new vscode.ThemeColor("statusBarItem.errorBackground");
+      } else if (daysLeft !== null && daysLeft <= EXPIRING_SOON_DAYS) {
+        statusBarItem.backgroundColor = new vscode.ThemeColor("statusBarItem.warningBackground");
+      } else {
+        statusBarItem.backgroundColor = undefined;
+      }
+    }
+    statusBarItem.show();
+  } catch (error) {
+    log.error("Could not read the default org:", error);
+  }
+}
+
+/**
+ * Asks for the org to make the default
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * vscode.commands.registerCommand("sfRangerToolkit.switchDefaultOrg", pickDefaultOrg);
+ */
+async function pickDefaultOrg() {
+  const projectDir = workspaceFolders.getSelectedFolderPath();
+  const org = await orgQuickPick.pickOrg({
+    title: projectDir ? "Default Org for This Project" : "Default Org",
+    placeHolder: "Select the org to make the default",
+  });
+  if (!org || !onSelect) {
+    return;
+  }
+
+  const { defaultUsername } = await orgDiscovery.getDefaultUsernames({ projectDir });
+  if (org.username === defaultUsername) {
+    return;
+  }
+
+  // Without a folder there is no project config to write to
+  const scope = projectDir ? sfdxExecutor.CONFIG_SCOPES.LOCAL : sfdxExecutor.CONFIG_SCOPES.GLOBAL;
+  await onSelect(org.username, scope);
+}
+
+/**
+ * Shows the default org in the status bar and keeps it up to date
+ *
+ * @param {Object} options - Callbacks
+ * @param {function(string, string): (Promise<void>|void)} options.onSelect - Makes the picked org the default, given its username and one of sfdxExecutor.CONFIG_SCOPES
+ * @returns {vscode.Disposable} Removes the item and its command
+ *
+ * @example
+ * context.subscriptions.push(
+ *   startDefaultOrgStatusBar({
+ *     onSelect: (username, scope) => provider.runCommand({ command: "setDefaultOrg", username, scope }),
+ *   })
+ * );
+ */
+function startDefaultOrgStatusBar(options) {
+  onSelect = options.onSelect;
+  statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+  statusBarItem.name = "Salesforce Default Org";
+  statusBarItem.command = SWITCH_COMMAND;
+
+  const refresh = () => {
+    refreshDefaultOrgStatusBar();
+  };
+  const subscriptions = [
+    vscode.commands.registerCommand(SWITCH_COMMAND, () =>
+      pickDefaultOrg().catch((error) => {
+        log.error("Could not switch the default org:", error);
+        vscode.window.showErrorMessage(`❌ Could not switch the default org: ${error.message}`);
+      })
+    ),
+    orgCache.onDidChangeOrgList(refresh),
+    orgTypes.onDidChangeOrgTypes(refresh),
+    workspaceFolders.onDidSelectFolder(refresh),
+  ];
+  refresh();
+
+  return new vscode.Disposable(() => {
+    subscriptions.forEach((subscription) => subscription.dispose());
+    statusBarItem.dispose();
+    statusBarItem = null;
+    onSelect = null;
+  });
+}
+
+module.exports = {
+  startDefaultOrgStatusBar,
+  refreshDefaultOrgStatusBar,
+  pickDefaultOrg,
+  SWITCH_COMMAND,
+};
@@ -0,0 +1,160 @@
+/**
+ * Org Operation Queue
+ *
+ * Schedules CLI work started from the Org Manager:
+ * - Mutating operations on the same org run one after another
+ * - Org list refreshes that have not started yet are merged into one
+ * - At most `maxConcurrentCommands` CLI operations run at the same time
+ *
+ * @module operationQueue
+ */
+
+const config = require("../utils/config");
+const orgCache = require("../utils/orgCache");
+
+/**
+ * Number of operations currently holding a concurrency slot
+ * @type {number}
+ */
+let activeCount = 0;
+
+/**
+ * Start callbacks of operations waiting for a concurrency slot
+ * @type {Array<function(): void>}
+ */
+const waitingStarts = [];
+
+/**
+ * Per-org queues keyed by username
+ * @type {Map<string, {tail: Promise<void>, pending: number}>}
+ */
+const orgQueues = new Map();
+
+/**
+ * Refresh that is queued but has not started yet; later requests join it
+ * @type {{promise: Promise<*>|null}|null}
+ */
+let pendingRefresh = null;
+
+/**
+ * Runs a task once a global concurrency slot is free
+ *
+ * @param {function(): Promise<*>} task - The CLI operation to run
+ * @returns {Promise<*>} The task result
+ *
+ * @example
+ * await runLimited(() => sfdxExecutor.openOrgInBrowser(username));
+ */
+function runLimited(task) {
+  return new Promise((resolve, reject) => {
+    const start = () => {
+      activeCount++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          activeCount--;
+          const next = waitingStarts.shift();
+          if (next) {
+            next();
+          }
+        });
+    };
+
+    if (activeCount < config.getMaxConcurrentCommands()) {
+      start();
+    } else {
+      waitingStarts.push(start);
+    }
+  });
+}
+
+/**
+ * Runs a mutating task for an org after all earlier tasks for that org
+ *
+ * @param {string} orgKey - The org username
+ * @param {function(): Promise<*>} task - The CLI operation to run
+ * @returns {Promise<*>} The task result
+ *
+ * @example
+ * await runForOrg("admin@example.com", () => sfdxExecutor.logoutOrg(username));
+ */
+function runForOrg(orgKey, task) {
+  const queue = orgQueues.get(orgKey) || {
+    tail: Promise.resolve(),
+    pending: 0,
+  };
+  queue.pending++;
+  orgQueues.set(orgKey, queue);
+
+  const run = queue.tail
+    .then(() => runLimited(task))
+    .finally(() => {
+      queue.pending--;
+      if (queue.pending === 0 && orgQueues.get(orgKey) === queue) {
+        orgQueues.delete(orgKey);
+      }
+    });
+
+  // The next task for this org waits for this one, whether it fails or not
+  queue.tail = run.then(
+    () => {},
+    () => {}
+  );
+
+  return run;
+}
+
+/**
+ * Runs an org list refresh under the cache lock
+ * A refresh that is still waiting absorbs further requests, so a burst of
+ * refreshes results in at most one running and one queued fetch.
+ *
+ * @param {function(): Promise<*>} task - Fetches the org list and updates the cache
+ * @returns {Promise<*>} The result of the refresh that served this request
+ */
+function runRefresh(task) {
+  if (pendingRefresh) {
+    return pendingRefresh.promise;
+  }
+
+  const refresh = { promise: null };
+  pendingRefresh = refresh;
+
+  refresh.promise = orgCache.withCacheLock(() => {
+    // Started: requests from now on need a new fetch
+    if (pendingRefresh === refresh) {
+      pendingRefresh = null;
+    }
+    return runLimited(task);
+  });
+
+  return refresh.promise;
+}
+
+/**
+ * Checks whether an org has operations running or queued
+ *
+ * @param {string} orgKey - The org username
+ * @returns {boolean} True if the org is busy
+ */
+function isOrgBusy(orgKey) {
+  return orgQueues.has(orgKey);
+}
+
+/**
+ * Lists the orgs that have operations running or queued
+ *
+ * @returns {string[]} Usernames of busy orgs
+ */
+function getBusyOrgs() {
+  return Array.from(orgQueues.keys());
+}
+
+module.exports = {
+  runLimited,
+  runForOrg,
+  runRefresh,
+  isOrgBusy,
+  getBusyOrgs,
+};
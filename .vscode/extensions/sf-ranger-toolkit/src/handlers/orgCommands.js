@@ -0,0 +1,247 @@
+/**
+ * Org Commands
+ *
+ * Command palette commands for the Org Manager's org actions, so they can
+ * be bound to keys. Each command asks for the org with the shared org quick
+ * pick and then runs the same orgMessageHandler message as the tile button.
+ * The org tree view uses the same commands for its inline and context menu
+ * actions.
+ *
+ * Other extensions and keybindings can pass the org's username or alias (or
+ * an object with a `username`, like the tree's org nodes) as the first
+ * argument to skip the quick pick:
+ *
+ *   vscode.commands.executeCommand("sfRangerToolkit.openOrg", "admin@acme.com");
+ *   vscode.commands.executeCommand("sfRangerToolkit.pinOrg", "acme");
+ *
+ * @module orgCommands
+ */
+
+const vscode = require("vscode");
+const sfdxExecutor = require("../utils/sfdxCommandExecutor");
+const workspaceFolders = require("../utils/workspaceFolders");
+const orgMetadata = require("../utils/orgMetadata");
+const orgTypes = require("../utils/orgTypes");
+const orgQuickPick = require("./orgQuickPick");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("OrgCommands");
+
+/**
+ * Checks whether an org is pinned in the Org Manager
+ *
+ * @param {Object} org - Org from the org list
+ * @returns {boolean} True if pinned
+ * @private
+ */
+function isPinned(org) {
+  const metadata = org.orgId && orgMetadata.getOrgMetadata()[org.orgId];
+  return Boolean(metadata && metadata.pinned);
+}
+
+/**
+ * Commands that act on one org
+ * `toMessage` builds the orgMessageHandler message for the chosen org;
+ * `filter` limits the quick pick to the orgs the action applies to.
+ * @type {Array<{id: string, title: string, placeHolder: string, includeInactive?: boolean, filter?: function(Object): boolean, toMessage: function(Object): Object}>}
+ */
+const ORG_COMMANDS = [
+  {
+    id: "sfRangerToolkit.openOrg",
+    title: "Open Org",
+    placeHolder: "Select the org to open",
+    toMessage: (org) => ({ command: "openOrg", username: org.username, orgId: org.orgId }),
+  },
+  {
+    id: "sfRangerToolkit.openOrgAt",
+    title: "Open Org At…",
+    placeHolder: "Select the org to open a page of",
+    toMessage: (org) => ({
+      command: "chooseOpenDestination",
+      username: org.username,
+      orgId: org.orgId,
+    }),
+  },
+  {
+    id: "sfRangerToolkit.showOrgDetails",
+    title: "Show Org Details",
+    placeHolder: "Select the org to show the details of",
+    toMessage: (org) => ({ command: "showOrgDetails", username: org.username }),
+  },
+  {
+    id: "sfRangerToolkit.copyLoginUrl",
+    title: "Copy Login URL",
+    placeHolder: "Select the org whose login URL to copy",
+    toMessage: (org) => ({ command: "copyLoginUrl", username: org.username }),
+  },
+  {
+    id: "sfRangerToolkit.reauthOrg",
+    title: "Reauthenticate Org",
+    placeHolder: "Select the org to log in to again",
+    includeInactive: true,
+    toMessage: (org) => ({ command: "reauthOrg", username: org.username }),
+  },
+  {
+    id: "sfRangerToolkit.logoutOrg",
+    title: "Log Out of Org",
+    placeHolder: "Select the org to log out of",
+    includeInactive: true,
+    toMessage: (org) => ({ command: "logoutOrg", username: org.username }),
+  },
+  {
+    id: "sfRangerToolkit.setDefaultOrg",
+    title: "Set Default Org",
+    placeHolder: "Select the org to make the default",
+    toMessage: (org) => ({
+      command: "setDefaultOrg",
+      username: org.username,
+      // Without a folder there is no project config to write to
+      scope: workspaceFolders.getSelectedFolderPath()
+        ? sfdxExecutor.CONFIG_SCOPES.LOCAL
+        : sfdxExecutor.CONFIG_SCOPES.GLOBAL,
+    }),
+  },
+  {
+    id: "sfRangerToolkit.chooseDefaultOrg",
+    title: "Default Org or Dev Hub…",
+    placeHolder: "Select the org to set or unset as a default",
+    toMessage: (org) => ({ command: "chooseDefaultOrg", username: org.username }),
+  },
+  {
+    id: "sfRangerToolkit.manageAliases",
+    title: "Alias…",
+    placeHolder: "Select the org whose aliases to change",
+    toMessage: (org) => ({ command: "chooseAliasAction", username: org.username }),
+  },
+  {
+    id: "sfRangerToolkit.editTags",
+    title: "Edit Tags",
+    placeHolder: "Select the org to tag",
+    filter: (org) => Boolean(org.orgId),
+    toMessage: (org) => ({ command: "editTags", orgId: org.orgId, username: org.username }),
+  },
+  {
+    id: "sfRangerToolkit.pinOrg",
+    title: "Pin Org",
+    placeHolder: "Select the org to pin",
+    filter: (org) => Boolean(org.orgId) && !isPinned(org),
+    toMessage: (org) => ({ command: "togglePin", orgId: org.orgId, pinned: true }),
+  },
+  {
+    id: "sfRangerToolkit.unpinOrg",
+    title: "Unpin Org",
+    placeHolder: "Select the org to unpin",
+    filter: isPinned,
+    toMessage: (org) => ({ command: "togglePin", orgId: org.orgId, pinned: false }),
+  },
+  {
+    id: "sfRangerToolkit.copyAccessToken",
+    title: "Copy Access Token",
+    placeHolder: "Select the org whose access token to copy",
+    toMessage: (org) => ({ command: "getAccessToken", username: org.username }),
+  },
+  {
+    id: "sfRangerToolkit.manageSandboxes",
+    title: "Sandboxes…",
+    placeHolder: "Select the production org whose sandboxes to manage",
+    filter: (org) => orgTypes.classifyOrg(org).isProduction === true,
+    toMessage: (org) => ({ command: "chooseSandboxAction", username: org.username }),
+  },
+  {
+    id: "sfRangerToolkit.deleteScratchOrg",
+    title: "Delete Scratch Org",
+    placeHolder: "Select the scratch org to delete",
+    includeInactive: true,
+    filter: (org) => Boolean(org.isScratchOrg),
+    toMessage: (org) => ({ command: "deleteScratchOrg", username: org.username }),
+  },
+];
+
+/**
+ * Commands that do not act on one org, with their message
+ * @type {Array<{id: string, message: Object}>}
+ */
+const GLOBAL_COMMANDS = [
+  { id: "sfRangerToolkit.authenticateNewOrg", message: { command: "authenticateNewOrg" } },
+  { id: "sfRangerToolkit.refreshOrgs", message: { command: "refreshOrgs" } },
+  { id: "sfRangerToolkit.verifyConnections", message: { command: "verifyConnections" } },
+  { id: "sfRangerToolkit.createScratchOrg", message: { command: "createScratchOrg" } },
+];
+
+/**
+ * Finds the org a command was called for, or asks for it
+ * A username or alias that is not in the org list is still used, since the
+ * CLI may know it even when the list is out of date.
+ *
+ * @param {string|{username: string}|undefined} target - Username, alias or object with a username, from the caller
+ * @param {Object} command - Entry of ORG_COMMANDS
+ * @returns {Promise<Object|undefined>} The org, or undefined if the pick was cancelled
+ * @throws {Error} If the action does not apply to the org the caller named
+ * @private
+ */
+async function resolveOrg(target, command) {
+  const username = typeof target === "string" ? target : target && target.username;
+  if (!username) {
+    return orgQuickPick.pickOrg({
+      title: command.title,
+      placeHolder: command.placeHolder,
+      includeInactive: command.includeInactive,
+      filter: command.filter,
+    });
+  }
+
+  const orgs = await orgQuickPick.getKnownOrgs();
+  const org =
+    orgs.find((known) => known.username === username) ||
+    orgs.find((known) => known.alias === username || (known.aliases || []).includes(username)) ||
+    { username };
+
+  // The quick pick only offers matching orgs; a named org must match too
+  if (command.filter && !command.filter(org)) {
+    throw new Error(`${command.title} does not apply to ${username}.`);
+  }
+  return org;
+}
+
+/**
+ * Registers the org commands
+ *
+ * @param {function(Object): Promise<void>} runCommand - Runs an orgMessageHandler message, e.g. OrgManagerViewProvider.runCommand
+ * @returns {vscode.Disposable} Unregisters the commands
+ *
+ * @example
+ * context.subscriptions.push(
+ *   registerOrgCommands((message) => orgManagerProvider.runCommand(message))
+ * );
+ */
+function registerOrgCommands(runCommand) {
+  const run = (id, task) =>
+    vscode.commands.registerCommand(id, (...args) =>
+      task(...args).catch((error) => {
+        log.error(`${id} failed:`, error);
+        vscode.window.showErrorMessage(`❌ ${error.message}`);
+      })
+    );
+
+  const subscriptions = [
+    ...ORG_COMMANDS.map((command) =>
+      run(command.id, async (target) => {
+        const org = await resolveOrg(target, command);
+        if (org) {
+          await runCommand(command.toMessage(org));
+        }
+      })
+    ),
+    ...GLOBAL_COMMANDS.map((command) => run(command.id, () => runCommand(command.message))),
+  ];
+
+  return new vscode.Disposable(() => {
+    subscriptions.forEach((subscription) => subscription.dispose());
+  });
+}
+
+module.exports = {
+  registerOrgCommands,
+  ORG_COMMANDS,
+  GLOBAL_COMMANDS,
+};
@@ -0,0 +1,395 @@
+/**
+ * Org Detail Panel
+ *
+ * Editor panel with everything known about one org: the full 18-character
+ * org ID, edition and org type, instance, release and max API version,
+ * My Domain, trial expiration, language, locale and time zone, the login
+ * user's profile and how the CLI is logged in. Each field has a copy button.
+ *
+ * The fields come from sfdxExecutor.getOrgDetails (`sf org display
+ * --verbose`, the Organization record and the user's profile), cached per
+ * org by orgDetails, and from the org's auth file (orgDiscovery.
+ * getAuthDetails). Cached details are shown at once and read again when
+ * they are stale or the user clicks Refresh. Tokens never reach the panel.
+ *
+ * Opened from the tile's Details button, the org tree and the
+ * sfRangerToolkit.showOrgDetails command; one panel per org.
+ *
+ * @module orgDetailPanel
+ */
+
+const vscode = require("vscode");
+const sfdxExecutor = require("../utils/sfdxCommandExecutor");
+const orgDetails = require("../utils/orgDetails");
+const orgDiscovery = require("../utils/orgDiscovery");
+const orgTypes = require("../utils/orgTypes");
+const operationQueue = require("./operationQueue");
+const orgQuickPick = require("./orgQuickPick");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("OrgDetailPanel");
+
+/**
+ * Webview panel type of the detail panels
+ * @type {string}
+ */
+const VIEW_TYPE = "sfRangerToolkit.orgDetails";
+
+/**
+ * Open panels by username
+ * @type {Map<string, Object>}
+ */
+const panels = new Map();
+
+/**
+ * Host name of an org's My Domain
+ *
+ * @param {string|null} instanceUrl - The org's instance URL
+ * @returns {string|null} E.g. "acme.my.salesforce.com", or null for instance URLs without a My Domain
+ * @private
+ */
+function getMyDomain(instanceUrl) {
+  try {
+    const { hostname } = new URL(instanceUrl);
+    return hostname.includes(".my.") ? hostname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lists the fields of a panel by section
+ * Fields read from the org fall back on what the org list knows until the
+ * details are loaded; fields without a value are left out.
+ *
+ * @param {Object} state - Panel state
+ * @returns {Array<{title: string, fields: Array<{key: string, label: string, value: string}>}>} Sections with at least one field
+ * @private
+ */
+function getSections(state) {
+  const { org, auth } = state;
+  const details = (state.cached && state.cached.details) || {};
+  const instanceUrl = details.instanceUrl || org.instanceUrl;
+  // The auth file's version is only updated when the CLI logs in again
+  const maxApiVersion = details.apiVersion || (auth && auth.instanceApiVersion);
+  const { type } = orgTypes.classifyOrg({ ...org, orgId: details.orgId || org.orgId });
+
+  let authMethod = auth && auth.authMethod;
+  if (!authMethod && details.hasRefreshToken) {
+    authMethod = orgDiscovery.AUTH_METHODS.REFRESH_TOKEN;
+  }
+
+  const sections = [
+    {
+      title: "Org",
+      fields: [
+        { key: "orgName", label: "Name", value: details.orgName },
+        { key: "orgId", label: "Org ID", value: details.orgId || org.orgId },
+        { key: "edition", label: "Edition", value: details.edition },
+        { key: "orgType", label: "Org type", value: type && orgQuickPick.TYPE_BADGES[type] },
+        { key: "namespace", label: "Namespace", value: details.namespace },
+        { key: "trialExpirationDate", label: "Trial expires", value: details.trialExpirationDate },
+        {
+          key: "expirationDate",
+          label: "Scratch org expires",
+          value: org.isScratchOrg ? details.expirationDate || org.expirationDate : null,
+        },
+      ],
+    },
+    {
+      title: "Instance",
+      fields: [
+        { key: "instanceName", label: "Instance", value: details.instanceName },
+        { key: "instanceUrl", label: "Instance URL", value: instanceUrl },
+        { key: "myDomain", label: "My Domain", value: getMyDomain(instanceUrl) },
+        { key: "release", label: "Current release", value: orgDetails.getReleaseName(maxApiVersion) },
+        { key: "apiVersion", label: "Max API version", value: maxApiVersion },
+      ],
+    },
+    {
+      title: "Language and Locale",
+      fields: [
+        { key: "language", label: "Language", value: details.language },
+        { key: "locale", label: "Locale", value: details.locale },
+        { key: "timeZone", label: "Time zone", value: details.timeZone },
+      ],
+    },
+    {
+      title: "Login User",
+      fields: [
+        { key: "username", label: "Username", value: details.username || org.username },
+        { key: "profile", label: "Profile", value: details.profile },
+      ],
+    },
+    {
+      title: "CLI Auth",
+      fields: [
+        { key: "authMethod", label: "Auth method", value: authMethod },
+        { key: "clientId", label: "Client ID", value: details.clientId || (auth && auth.clientId) },
+        { key: "loginUrl", label: "Login URL", value: auth && auth.loginUrl },
+        {
+          key: "authFileModifiedAt",
+          label: "Auth file modified",
+          value: auth && auth.authFileModifiedAt ? new Date(auth.authFileModifiedAt).toLocaleString() : null,
+        },
+      ],
+    },
+  ];
+
+  return sections
+    .map((section) => ({ ...section, fields: section.fields.filter((field) => field.value) }))
+    .filter((section) => section.fields.length > 0);
+}
+
+/**
+ * Escapes text for HTML
+ *
+ * @param {*} text - The text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Builds the panel's HTML
+ *
+ * @param {Object} state - Panel state
+ * @returns {string} HTML content
+ * @private
+ */
+function getHtmlContent(state) {
+  const { org, cached } = state;
+  let status = "";
+  if (state.loading) {
+    status = "Reading the details from the org…";
+  } else if (state.error) {
+    status = `⚠️ ${state.error}`;
+  } else if (cached) {
+    status = `Read from the org on ${new Date(cached.fetchedAt).toLocaleString()}`;
+  }
+
+  const sections = getSections(state)
+    .map(
+      (section) => `
+    <h2>${escapeHtml(section.title)}</h2>
+    <table>
+      ${section.fields
+        .map(
+          (field) => `
+      <tr>
+        <th>${escapeHtml(field.label)}</th>
+        <td>${escapeHtml(field.value)}</td>
+        <td><button class="copy" data-key="${field.key}" title="Copy ${escapeHtml(field.label)}">Copy</button></td>
+      </tr>`
+        )
+        .join("")}
+    </table>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline';">
+  <title>${escapeHtml(org.alias || org.username)}</title>
+  <style>
+    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 20px 20px; }
+    header { display: flex; align-items: center; gap: 12px; }
+    h1 { margin-bottom: 0; }
+    .username, .status { color: var(--vscode-descriptionForeground); }
+    h2 { font-size: 1.1em; margin-top: 24px; border-bottom: 1px solid var(--vscode-panel-border); padding-bottom: 4px; }
+    table { border-collapse: collapse; }
+    th { text-align: left; font-weight: normal; color: var(--vscode-descriptionForeground); padding: 4px 24px 4px 0; }
+    td { padding: 4px 12px 4px 0; font-family: var(--vscode-editor-font-family); user-select: text; }
+    button { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border: none; padding: 2px 8px; cursor: pointer; }
+    button:hover { background: var(--vscode-button-secondaryHoverBackground); }
+    button:disabled { opacity: 0.5; cursor: default; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(org.alias || org.username)}</h1>
+    <button id="refresh" ${state.loading ? "disabled" : ""}>Refresh</button>
+  </header>
+  <div class="username">${escapeHtml(org.username)}</div>
+  <p class="status">${escapeHtml(status)}</p>
+  ${sections}
+  <script>
+    const vscode = acquireVsCodeApi();
+    document.getElementById("refresh").addEventListener("click", () => {
+      vscode.postMessage({ command: "refresh" });
+    });
+    document.querySelectorAll("button.copy").forEach((button) => {
+      button.addEventListener("click", () => {
+        vscode.postMessage({ command: "copy", key: button.dataset.key });
+      });
+    });
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Redraws a panel
+ *
+ * @param {Object} state - Panel state
+ * @returns {void}
+ * @private
+ */
+function render(state) {
+  if (!state.disposed) {
+    state.panel.webview.html = getHtmlContent(state);
+  }
+}
+
+/**
+ * Reads the details from the org, caches them and redraws the panel
+ * The read is cancelled when the panel is closed.
+ *
+ * @param {Object} state - Panel state
+ * @returns {Promise<void>}
+ * @private
+ */
+async function loadDetails(state) {
+  if (state.loading) {
+    return;
+  }
+  const { username } = state.org;
+  state.loading = true;
+  state.error = null;
+  state.tokenSource = new vscode.CancellationTokenSource();
+  render(state);
+
+  try {
+    const token = state.tokenSource.token;
+    const result = await operationQueue.runLimited(() =>
+      sfdxExecutor.getOrgDetails(username, { token })
+    );
+    if (state.disposed) {
+      return;
+    }
+
+    if (result.success) {
+      await orgDetails.saveOrgDetails(username, result.details);
+      state.cached = orgDetails.getCachedOrgDetails(username);
+      const org = { ...state.org, orgId: result.details.orgId };
+      if (orgTypes.needsDetection(org)) {
+        await orgTypes.recordOrgType(org.orgId, {
+          isSandbox: result.details.isSandbox,
+          organizationType: result.details.edition,
+          trialExpirationDate: result.details.trialExpirationDate,
+          isScratchOrg: org.isScratchOrg,
+        });
+      }
+    } else if (!result.cancelled) {
+      log.warn(`Could not read the details of ${username}: ${result.message}`);
+      state.error = result.message;
+    }
+
+    // Reading the org may have refreshed the access token
+    state.auth = await orgDiscovery.getAuthDetails(username);
+  } finally {
+    state.tokenSource.dispose();
+    state.tokenSource = null;
+    state.loading = false;
+    render(state);
+  }
+}
+
+/**
+ * Handles a message from a panel
+ *
+ * @param {Object} state - Panel state
+ * @param {{command: string, key?: string}} message - "refresh", or "copy" with the field key
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handlePanelMessage(state, message) {
+  try {
+    if (message.command === "refresh") {
+      await loadDetails(state);
+    } else if (message.command === "copy") {
+      // Values are looked up here rather than taken from the webview
+      const field = getSections(state)
+        .flatMap((section) => section.fields)
+        .find((candidate) => candidate.key === message.key);
+      if (field) {
+        await vscode.env.clipboard.writeText(String(field.value));
+        vscode.window.showInformationMessage(`✅ ${field.label} copied to clipboard.`);
+      }
+    }
+  } catch (error) {
+    log.error("Org detail panel action failed:", error);
+    vscode.window.showErrorMessage(`❌ ${error.message}`);
+  }
+}
+
+/**
+ * Opens the detail panel of an org, or shows it if it is already open
+ *
+ * @param {string} username - The org username or alias
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await showOrgDetails("admin@acme.com");
+ */
+async function showOrgDetails(username) {
+  const orgs = await orgQuickPick.getKnownOrgs();
+  const org = orgs.find(
+    (candidate) => candidate.username === username || candidate.alias === username
+  ) || { username };
+
+  const open = panels.get(org.username);
+  if (open) {
+    open.panel.reveal();
+    return;
+  }
+
+  const panel = vscode.window.createWebviewPanel(
+    VIEW_TYPE,
+    `Org: ${org.alias || org.username}`,
+    vscode.ViewColumn.Active,
+    { enableScripts: true, enableFindWidget: true }
+  );
+  const state = {
+    panel,
+    org,
+    cached: orgDetails.getCachedOrgDetails(org.username),
+    auth: null,
+    loading: false,
+    error: null,
+    tokenSource: null,
+    disposed: false,
+  };
+  panels.set(org.username, state);
+
+  panel.onDidDispose(() => {
+    state.disposed = true;
+    if (state.tokenSource) {
+      state.tokenSource.cancel();
+    }
+    panels.delete(org.username);
+  });
+  panel.webview.onDidReceiveMessage((message) => handlePanelMessage(state, message));
+
+  state.auth = await orgDiscovery.getAuthDetails(org.username);
+  render(state);
+
+  if (!state.cached || state.cached.isStale) {
+    await loadDetails(state);
+  }
+}
+
+module.exports = {
+  showOrgDetails,
+  VIEW_TYPE,
+};
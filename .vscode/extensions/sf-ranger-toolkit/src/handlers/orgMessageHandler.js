@@ -2,15 +2,137 @@
  * Org Manager Message Handler
  *
  * Routes and processes messages between the Org Manager webview and backend.
- * Handles org listing, opening, reauthentication, and logout operations.
+ * Handles org listing, opening (home, deep links and bookmarks),
+ * reauthentication, logout, default org, alias, pin and tag operations,
+ * creating, deleting and cleaning up scratch orgs, and listing, creating,
+ * cloning and refreshing sandboxes.
  *
  * @module orgMessageHandler
  */
 
 const sfdxExecutor = require("../utils/sfdxCommandExecutor");
 const orgCache = require("../utils/orgCache");
+const orgMetadata = require("../utils/orgMetadata");
+const orgBookmarks = require("../utils/orgBookmarks");
+const orgTypes = require("../utils/orgTypes");
+const orgDetails = require("../utils/orgDetails");
+const cliArgs = require("../utils/cliArgs");
+const cliDiscovery = require("../utils/cliDiscovery");
+const orgDiscovery = require("../utils/orgDiscovery");
+const workspaceFolders = require("../utils/workspaceFolders");
+const config = require("../utils/config");
+const operationQueue = require("./operationQueue");
+const connectionMonitor = require("./connectionMonitor");
+const scratchOrgMonitor = require("./scratchOrgMonitor");
+const sandboxMonitor = require("./sandboxMonitor");
+const orgDetailPanel = require("./orgDetailPanel");
+const { createLogger } = require("../utils/logger");
+const path = require("path");
 const vscode = require("vscode");
 
+const log = createLogger("OrgManager");
+
+/**
+ * Salesforce CLI installation instructions
+ * @type {string}
+ */
+const CLI_INSTALL_URL =
+  "https://developer.salesforce.com/docs/atlas.en-us.sfdx_setup.meta/sfdx_setup/sfdx_setup_install_cli.htm";
+
+/**
+ * Pages offered by the Open menu; `pick` destinations ask for the rest of the path
+ * @type {Array<{label: string, path?: string|null, pick?: string}>}
+ */
+const OPEN_DESTINATIONS = [
+  { label: "Home", path: null },
+  { label: "Setup", path: "/lightning/setup/SetupOneHome/home" },
+  { label: "Object Manager…", pick: "sobject" },
+  { label: "Developer Console", path: "/_ui/common/apex/debug/ApexCSIPage" },
+  { label: "Flows", path: "/lightning/setup/Flows/home" },
+  { label: "Deployment Status", path: "/lightning/setup/DeployStatus/home" },
+  { label: "Debug Logs", path: "/lightning/setup/ApexDebugLogs/home" },
+  { label: "Record by ID…", pick: "record" },
+  { label: "Custom Path…", pick: "custom" },
+];
+
+/**
+ * Labels of the browsers orgs can be opened in, keyed like sfdxExecutor.BROWSERS
+ * @type {Object<string, string>}
+ */
+const BROWSER_LABELS = {
+  CHROME: "Google Chrome",
+  EDGE: "Microsoft Edge",
+  FIREFOX: "Mozilla Firefox",
+};
+
+/**
+ * Salesforce record IDs: 15 or 18 letters and digits
+ * @type {RegExp}
+ */
+const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+/**
+ * Whether the outdated CLI warning was already shown in this session
+ * @type {boolean}
+ */
+let outdatedCliWarningShown = false;
+
+/**
+ * Timer that clears the last copied access token from the clipboard
+ * @type {NodeJS.Timeout|null}
+ */
+let clipboardClearTimer = null;
+
+/**
+ * Org IDs whose Organization record was already read or tried in this session
+ * @type {Set<string>}
+ */
+const orgTypeChecks = new Set();
+
+/**
+ * Runs a CLI operation inside a cancellable progress notification
+ * The cancellation token is handed to the task so it can be passed to the executor.
+ *
+ * @param {string} title - Notification title (e.g., "Reauthenticating myOrg")
+ * @param {function(vscode.CancellationToken, vscode.Progress): Promise<*>} task - The operation to run
+ * @returns {Promise<*>} The task result
+ */
+function runWithProgress(title, task) {
+  return vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title,
+      cancellable: true,
+    },
+    (progress, token) => task(token, progress)
+  );
+}
+
+/**
+ * Runs a mutating operation in the org's queue and tells the webview the org is busy
+ * The tile buttons stay disabled until every queued operation for the org has finished.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username
+ * @param {vscode.Progress} progress - Progress used to report that the operation is waiting
+ * @param {function(): Promise<Object>} task - The CLI operation to run
+ * @returns {Promise<Object>} The task result
+ */
+async function runOrgOperation(webview, username, progress, task) {
+  if (operationQueue.isOrgBusy(username)) {
+    progress.report({ message: "Waiting for the previous operation on this org..." });
+  }
+
+  webview.postMessage({ command: "orgBusy", username, busy: true });
+  try {
+    return await operationQueue.runForOrg(username, task);
+  } finally {
+    if (!operationQueue.isOrgBusy(username)) {
+      webview.postMessage({ command: "orgBusy", username, busy: false });
+    }
+  }
+}
+
 /**
  * Main message router for org management webview
  *
@@ -27,7 +149,15 @@ async function handleMessage(webview, message) {
         break;
 
       case "openOrg":
-        await handleOpenOrg(webview, message.username);
+        await handleOpenOrg(webview, message.username, message.orgId, message.path);
+        break;
+
+      case "chooseOpenDestination":
+        await handleChooseOpenDestination(webview, message.username, message.orgId);
+        break;
+
+      case "copyLoginUrl":
+        await handleCopyLoginUrl(webview, message.username);
         break;
 
       case "reauthOrg":
@@ -39,13 +169,64 @@ async function handleMessage(webview, message) {
         break;
 
       case "setDefaultOrg":
-        await handleSetDefaultOrg(webview, message.username);
+        await handleSetDefaultOrg(
+          webview,
+          message.username,
+          message.setting,
+          message.scope
+        );
+        break;
+
+      case "unsetDefaultOrg":
+        await handleUnsetDefaultOrg(
+          webview,
+          message.username,
+          message.setting,
+          message.scope
+        );
+        break;
+
+      case "chooseDefaultOrg":
+        await handleChooseDefaultOrg(webview, message.username);
+        break;
+
+      case "togglePin":
+        await handleTogglePin(webview, message.orgId, message.pinned);
+        break;
+
+      case "editTags":
+        await handleEditTags(webview, message.orgId, message.username);
+        break;
+
+      case "chooseAliasAction":
+        await handleChooseAliasAction(webview, message.username);
+        break;
+
+      case "renameAlias":
+        await handleRenameAlias(
+          webview,
+          message.username,
+          message.oldAlias,
+          message.newAlias
+        );
+        break;
+
+      case "addAlias":
+        await handleAddAlias(webview, message.username, message.alias);
+        break;
+
+      case "removeAlias":
+        await handleRemoveAlias(webview, message.username, message.alias);
         break;
 
       case "getAccessToken":
         await handleGetAccessToken(webview, message.username);
         break;
 
+      case "showOrgDetails":
+        await orgDetailPanel.showOrgDetails(message.username);
+        break;
+
       case "authenticateNewOrg":
         await handleAuthenticateNewOrg(
           webview,
@@ -54,17 +235,91 @@ async function handleMessage(webview, message) {
         );
         break;
 
+      case "createScratchOrg":
+        await handleCreateScratchOrg(webview);
+        break;
+
+      case "deleteScratchOrg":
+        await handleDeleteScratchOrg(webview, message.username);
+        break;
+
+      case "cleanScratchOrgs":
+        await handleCleanScratchOrgs(webview);
+        break;
+
+      case "devHubLimitsChanged":
+        postDevHubLimits(webview);
+        break;
+
+      case "orgTypesChanged":
+        postOrgTypes(webview, getListedOrgs());
+        break;
+
+      case "chooseSandboxAction":
+        await handleChooseSandboxAction(webview, message.username);
+        break;
+
+      case "createSandbox":
+        await handleCreateSandbox(webview, message.username, message.sourceSandbox);
+        break;
+
+      case "refreshSandbox":
+        await handleRefreshSandbox(webview, message.username, message.sandboxName);
+        break;
+
+      case "loginSandbox":
+        await handleAuthenticateNewOrg(
+          webview,
+          message.alias || null,
+          sfdxExecutor.SANDBOX_LOGIN_URL
+        );
+        break;
+
+      case "sandboxJobsChanged":
+        postSandboxJobs(webview);
+        break;
+
+      case "selectFolder":
+        // Commands and default org badges now use this folder's project config
+        workspaceFolders.selectFolder(message.path);
+        await handleListOrgs(webview);
+        break;
+
+      case "workspaceFoldersChanged":
+        await handleListOrgs(webview);
+        break;
+
+      case "verifyConnections":
+        await handleVerifyConnections(webview, message.background === true);
+        break;
+
       case "refreshOrgs":
-        // Force refresh when user explicitly clicks refresh button
-        orgCache.clearOrgListCache();
+        // Refresh button, palette command or CLI file changes (background)
+        await handleListOrgs(webview, true, message.background === true);
+        break;
+
+      case "installCli":
+        await vscode.env.openExternal(vscode.Uri.parse(CLI_INSTALL_URL));
+        break;
+
+      case "openCliSettings":
+        await vscode.commands.executeCommand(
+          "workbench.action.openSettings",
+          "sfRangerToolkit.cliPath"
+        );
+        break;
+
+      case "detectCli":
+        // Run CLI detection again, e.g. after installing the CLI
+        cliDiscovery.resetCliCache();
         await handleListOrgs(webview, true);
         break;
 
       default:
-        console.warn(`Unknown command: ${message.command}`);
+        log.warn(`Unknown command: ${message.command}`);
     }
   } catch (error) {
-    console.error("Error handling message:", error);
+    log.error("Error handling message:", error);
     webview.postMessage({
       command: "error",
       message: error.message || "An unexpected error occurred",
@@ -74,43 +329,133 @@ async function handleMessage(webview, message) {
 
 /**
  * Lists all authenticated Salesforce orgs
- * Uses cache to avoid repeated SFDX CLI calls for better performance
+ * Uses cache to avoid repeated SFDX CLI calls for better performance.
+ * An expired cached list is sent right away (marked stale) and followed by
+ * the freshly fetched list. Without a cached list, orgs read from the CLI's
+ * local files are sent first, while `sf org list` checks their connections.
+ * A forced refresh bypasses the cache but only replaces it once the fetch
+ * succeeded, so a failing CLI leaves every window its last known list.
  *
  * @param {vscode.Webview} webview - The webview instance
  * @param {boolean} forceRefresh - Force refresh bypassing cache (default: false)
+ * @param {boolean} [background=!forceRefresh] - True when the user did not ask
+ *   for the list; a failed fetch is then only logged
  * @returns {Promise<void>}
  */
-async function handleListOrgs(webview, forceRefresh = false) {
+async function handleListOrgs(webview, forceRefresh = false, background = !forceRefresh) {
   try {
+    // Detect the CLI first so a missing or outdated install gets its own empty state
+    const cliStatus = await cliDiscovery.getCliStatus();
+    webview.postMessage({ command: "cliStatus", status: cliStatus });
+
+    if (cliStatus.state === "missing") {
+      webview.postMessage({
+        command: "orgsListResponse",
+        data: [],
+        success: false,
+        message: "Salesforce CLI not found.",
+      });
+      return;
+    }
+
+    if (cliStatus.state === "outdated") {
+      warnOutdatedCli(cliStatus);
+    }
+
+    await postWorkspaceFolders(webview);
+
+    // Restore connection badges, e.g. when the view was recreated
+    const verifications = connectionMonitor.getVerifications();
+    if (Object.keys(verifications).length > 0) {
+      webview.postMessage({ command: "connectionStatus", verifications });
+    }
+
+    postOrgMetadata(webview);
+    postDevHubLimits(webview);
+    postSandboxJobs(webview);
+
+    let showingCachedOrgs = false;
+
     // Check cache first unless forced refresh
     if (!forceRefresh) {
       const cached = orgCache.getOrgListCache();
       if (cached) {
-        console.log("[OrgManager] Using cached org list");
+        log.debug("Using cached org list");
         webview.postMessage({
           command: "orgsListResponse",
-          data: cached,
+          data: await withLocalConfig(cached),
           success: true,
           cached: true,
+          lastUpdated: orgCache.getCacheStats().timestamp,
+          version: orgCache.getCacheVersion(),
         });
+        postOrgTypes(webview, cached);
         return;
       }
+
+      // Stale-while-revalidate: show the last known orgs, then fetch fresh ones
+      const stale = orgCache.getStaleOrgListCache();
+      showingCachedOrgs = Boolean(stale);
+      if (stale) {
+        log.debug("Showing expired org list while refreshing");
+        webview.postMessage({
+          command: "orgsListResponse",
+          data: await withLocalConfig(stale.orgs),
+          success: true,
+          cached: true,
+          stale: true,
+          lastUpdated: stale.timestamp,
+          version: orgCache.getCacheVersion(),
+        });
+        postOrgTypes(webview, stale.orgs);
+      }
     }
 
-    console.log("[OrgManager] Fetching fresh org list from SFDX CLI");
-    const orgs = await sfdxExecutor.listAllOrgs();
+    if (!showingCachedOrgs) {
+      await postDiscoveredOrgs(webview);
+    }
+
+    // Concurrent refresh requests share one fetch and one response
+    await operationQueue.runRefresh(async () => {
+      log.info("Fetching fresh org list from SFDX CLI");
+      let orgs;
+      try {
+        orgs = await sfdxExecutor.listAllOrgs();
+      } catch (error) {
+        // Keep the cached list: replacing it would empty the org list of every window
+        log.error("Error refreshing the org list:", error);
+        if (!background) {
+          vscode.window.showErrorMessage(`❌ Could not refresh the org list: ${error.message}`);
+        }
+        webview.postMessage({
+          command: "orgsListResponse",
+          data: [],
+          success: false,
+          message: `Could not refresh the org list: ${error.message}`,
+        });
+        return;
+      }
+
+      // Cache the result
+      const version = orgCache.setOrgListCache(orgs);
 
-    // Cache the result
-    orgCache.setOrgListCache(orgs);
+      webview.postMessage({
+        command: "orgsListResponse",
+        data: await withLocalConfig(orgs),
+        success: true,
+        cached: false,
+        lastUpdated: Date.now(),
+        version,
+      });
+      postOrgTypes(webview, orgs);
 
-    webview.postMessage({
-      command: "orgsListResponse",
-      data: orgs,
-      success: true,
-      cached: false,
+      // Reading the Organization records takes a CLI call per org: do not hold up the list
+      detectOrgTypes(webview, orgs).catch((error) =>
+        log.error("Org type detection failed:", error)
+      );
     });
   } catch (error) {
-    console.error("Error listing orgs:", error);
+    log.error("Error listing orgs:", error);
     webview.postMessage({
       command: "orgsListResponse",
       data: [],
@@ -121,192 +466,451 @@ async function handleListOrgs(webview, forceRefresh = false) {
 }
 
 /**
- * Opens a Salesforce org in the default browser
+ * Sends the workspace folders, the selected one and each folder's local default org
+ * The webview shows a folder picker when more than one folder is open.
  *
  * @param {vscode.Webview} webview - The webview instance
- * @param {string} username - The org username or alias
  * @returns {Promise<void>}
  */
-async function handleOpenOrg(webview, username) {
-  try {
-    const result = await sfdxExecutor.openOrgInBrowser(username);
+async function postWorkspaceFolders(webview) {
+  const folders = workspaceFolders.getFolders();
 
-    if (result.success) {
-      vscode.window.showInformationMessage(`✅ Opened org: ${username}`);
-    } else {
-      vscode.window.showErrorMessage(`❌ ${result.message}`);
-    }
+  // Local defaults only matter for the picker
+  const withDefaults =
+    folders.length > 1
+      ? await Promise.all(
+          folders.map(async (folder) => {
+            try {
+              const defaults = await orgDiscovery.getProjectDefaults(folder.path);
+              return { ...folder, targetOrg: defaults.targetOrg };
+            } catch (error) {
+              log.warn(`Could not read the config of ${folder.path}:`, error.message);
+              return { ...folder, targetOrg: null };
+            }
+          })
+        )
+      : folders;
 
-    webview.postMessage({
-      command: "operationComplete",
-      operation: "open",
-      success: result.success,
-      message: result.message,
-    });
-  } catch (error) {
-    console.error("Error opening org:", error);
-    vscode.window.showErrorMessage(`❌ Failed to open org: ${error.message}`);
+  webview.postMessage({
+    command: "workspaceFolders",
+    folders: withDefaults,
+    selected: workspaceFolders.getSelectedFolderPath() || null,
+  });
+}
 
-    webview.postMessage({
-      command: "operationComplete",
-      operation: "open",
-      success: false,
-      message: error.message,
-    });
-  }
+/**
+ * Adds what the CLI's local config says about each org
+ *
+ * @param {Array<Object>} orgs - Orgs from the cache or the CLI
+ * @returns {Promise<Array<Object>>} Orgs with folder defaults and all their aliases
+ */
+async function withLocalConfig(orgs) {
+  return withAliases(await withFolderDefaults(orgs));
 }
 
 /**
- * Reauthenticates to a Salesforce org
+ * Adds all aliases of each org
+ * `sf org list` only reports one alias per org.
  *
- * @param {vscode.Webview} webview - The webview instance
- * @param {Object} orgData - The org data containing username and instanceUrl
- * @returns {Promise<void>}
+ * @param {Array<Object>} orgs - Orgs from the cache or the CLI
+ * @returns {Promise<Array<Object>>} Orgs with an aliases array
+ * @private
  */
-async function handleReauthOrg(webview, orgData) {
+async function withAliases(orgs) {
   try {
-    const username = orgData.username || orgData;
-    let instanceUrl = orgData.instanceUrl;
-
-    // Handle undefined or "undefined" string values
-    if (!instanceUrl || instanceUrl === "undefined") {
-      instanceUrl = null;
+    const aliases = await orgDiscovery.getAliases();
+    if (!aliases) {
+      return orgs;
     }
 
-    vscode.window.showInformationMessage(
-      `🔄 Reauthenticating ${username}... Browser will open.`
-    );
-
-    const result = await sfdxExecutor.reauthenticateOrg(username, instanceUrl);
+    return orgs.map((org) => ({
+      ...org,
+      aliases: Object.keys(aliases).filter((alias) => aliases[alias] === org.username),
+    }));
+  } catch (error) {
+    log.warn("Could not read the alias file:", error.message);
+    return orgs;
+  }
+}
 
-    if (result.success) {
-      vscode.window.showInformationMessage(`✅ ${result.message}`);
-      // Atomically clear cache and refresh to prevent race conditions
-      const clearVersion = orgCache.clearOrgListCache();
-      await handleListOrgs(webview, true); // Force refresh
-      // Verify cache was updated after our clear (detect if another operation interfered)
-      const currentVersion = orgCache.getCacheVersion();
-      if (currentVersion === clearVersion) {
-        console.warn(
-          "[OrgManager] Cache may not have been updated after reauth"
-        );
-      }
-    } else {
-      vscode.window.showErrorMessage(`❌ ${result.message}`);
+/**
+ * Sets the default org flags for the selected workspace folder
+ * The cached list may come from another folder or VS Code window, whose
+ * project config makes a different org the default. Also adds where each
+ * default is set, which `sf org list` does not report.
+ *
+ * @param {Array<Object>} orgs - Orgs from the cache or the CLI
+ * @returns {Promise<Array<Object>>} Orgs with isDefaultUsername, isDefaultDevHubUsername, defaultUsernameSource and defaultDevHubUsernameSource for the selected folder
+ * @private
+ */
+async function withFolderDefaults(orgs) {
+  try {
+    const defaults = await orgDiscovery.getDefaultUsernames({
+      projectDir: workspaceFolders.getSelectedFolderPath(),
+    });
+    if (!defaults) {
+      return orgs;
     }
 
-    webview.postMessage({
-      command: "operationComplete",
-      operation: "reauth",
-      success: result.success,
-      message: result.message,
+    return orgs.map((org) => {
+      const isDefaultUsername = org.username === defaults.defaultUsername;
+      const isDefaultDevHubUsername =
+        org.username === defaults.defaultDevHubUsername;
+      return {
+        ...org,
+        isDefaultUsername,
+        isDefaultDevHubUsername,
+        defaultUsernameSource: isDefaultUsername
+          ? defaults.defaultUsernameSource || null
+          : null,
+        defaultDevHubUsernameSource: isDefaultDevHubUsername
+          ? defaults.defaultDevHubUsernameSource || null
+          : null,
+      };
     });
   } catch (error) {
-    console.error("Error reauthenticating org:", error);
-    vscode.window.showErrorMessage(
-      `❌ Failed to reauthenticate: ${error.message}`
-    );
-
-    webview.postMessage({
-      command: "operationComplete",
-      operation: "reauth",
-      success: false,
-      message: error.message,
-    });
+    log.warn("Could not read the default org config:", error.message);
+    return orgs;
   }
 }
 
 /**
- * Logs out from a Salesforce org
+ * Sends the orgs found in the CLI's local files, before `sf org list` finishes
+ * Connection statuses are not known yet, so the response is marked statusPending.
  *
  * @param {vscode.Webview} webview - The webview instance
- * @param {string} username - The org username or alias
  * @returns {Promise<void>}
  */
-async function handleLogoutOrg(webview, username) {
+async function postDiscoveredOrgs(webview) {
   try {
-    // Confirm before logout
-    const confirm = await vscode.window.showWarningMessage(
-      `Are you sure you want to logout from ${username}?`,
-      { modal: true },
-      "Yes, Logout"
-    );
+    const orgs = await orgDiscovery.discoverOrgs({
+      projectDir: workspaceFolders.getSelectedFolderPath(),
+    });
 
-    if (confirm !== "Yes, Logout") {
-      webview.postMessage({
-        command: "operationComplete",
-        operation: "logout",
-        success: false,
-        message: "Logout cancelled",
-      });
+    // Nothing found locally (e.g., a custom CLI data folder): wait for the CLI
+    if (orgs.length === 0) {
       return;
     }
 
-    const result = await sfdxExecutor.logoutOrg(username);
-
-    if (result.success) {
-      vscode.window.showInformationMessage(`✅ ${result.message}`);
-      // Atomically clear cache and refresh after logout
-      orgCache.clearOrgListCache();
-      await handleListOrgs(webview, true); // Force refresh
-    } else {
-      vscode.window.showErrorMessage(`❌ ${result.message}`);
-    }
-
     webview.postMessage({
-      command: "operationComplete",
-      operation: "logout",
-      success: result.success,
-      message: result.message,
+      command: "orgsListResponse",
+      data: orgs,
+      success: true,
+      cached: false,
+      statusPending: true,
+      lastUpdated: Date.now(),
     });
+    postOrgTypes(webview, orgs);
   } catch (error) {
-    console.error("Error logging out org:", error);
-    vscode.window.showErrorMessage(`❌ Failed to logout: ${error.message}`);
-
-    webview.postMessage({
-      command: "operationComplete",
-      operation: "logout",
-      success: false,
-      message: error.message,
-    });
+    log.warn("Could not read orgs from local CLI files:", error.message);
   }
 }
 
 /**
- * Sets an org as the default target org
+ * Gets the orgs of the last org list, even if it expired
+ *
+ * @returns {Array<Object>} The orgs, or an empty list before the first list
+ * @private
+ */
+function getListedOrgs() {
+  const cached = orgCache.getStaleOrgListCache();
+  return cached ? cached.orgs : [];
+}
+
+/**
+ * Sends what kind of org each org is, keyed by username
  *
  * @param {vscode.Webview} webview - The webview instance
- * @param {string} username - The org username or alias
- * @returns {Promise<void>}
+ * @param {Array<Object>} orgs - Orgs from the org list
+ * @returns {void}
  */
-async function handleSetDefaultOrg(webview, username) {
-  try {
-    const result = await sfdxExecutor.setDefaultOrg(username);
+function postOrgTypes(webview, orgs) {
+  const types = {};
+  orgs.forEach((org) => {
+    types[org.username] = orgTypes.classifyOrg(org);
+  });
+  webview.postMessage({ command: "orgTypes", types });
+}
 
-    if (result.success) {
-      vscode.window.showInformationMessage(`✅ ${result.message}`);
-      // Atomically clear cache and refresh to show updated default
-      orgCache.clearOrgListCache();
-      await handleListOrgs(webview, true); // Force refresh
+/**
+ * Reads the Organization record of connected orgs whose type is not known
+ * yet, and sends the new types
+ * Each org is tried once per session; the type of an org ID never changes,
+ * so it is cached for good once read.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {Array<Object>} orgs - Orgs from `sf org list`
+ * @returns {Promise<void>}
+ */
+async function detectOrgTypes(webview, orgs) {
+  const pending = orgs.filter(
+    (org) =>
+      org.connectedStatus === "Connected" &&
+      orgTypes.needsDetection(org) &&
+      !orgTypeChecks.has(org.orgId)
+  );
+  if (pending.length === 0) {
+    return;
+  }
+  pending.forEach((org) => orgTypeChecks.add(org.orgId));
+
+  const detected = await Promise.all(
+    pending.map((org) =>
+      operationQueue.runLimited(async () => {
+        const info = await sfdxExecutor.getOrganizationInfo(org.username);
+        if (!info.success) {
+          log.warn(`Could not read the org type of ${org.username}: ${info.message}`);
+          return false;
+        }
+        const type = await orgTypes.recordOrgType(org.orgId, info);
+        log.info(`${org.username} is a ${type} org (${info.organizationType})`);
+        return true;
+      })
+    )
+  );
+
+  if (detected.some(Boolean)) {
+    postOrgTypes(webview, getListedOrgs());
+  }
+}
+
+/**
+ * Tells whether an org is a production org
+ * Orgs whose type is not known yet are read with `sf data query` first.
+ *
+ * @param {string} username - The org username or alias
+ * @returns {Promise<{org: Object, isProduction: boolean, typeUnknown: boolean}|null>} The
+ *   listed org and whether it is production, or null if the check was cancelled.
+ *   Orgs whose type cannot be read count as production, with typeUnknown set,
+ *   so risky actions still ask for the typed confirmation.
+ * @private
+ */
+async function checkProduction(username) {
+  const org =
+    getListedOrgs().find((listed) => listed.username === username || listed.alias === username) ||
+    { username };
+
+  let { isProduction } = orgTypes.classifyOrg(org);
+  if (isProduction === null) {
+    const info = await runWithProgress(`Checking the org type of ${username}`, (token) =>
+      operationQueue.runLimited(() => sfdxExecutor.getOrganizationInfo(username, { token }))
+    );
+    if (info.cancelled) {
+      return null;
+    }
+    if (info.success) {
+      await orgTypes.recordOrgType(info.orgId, info);
+      ({ isProduction } = orgTypes.classifyOrg({ ...org, orgId: info.orgId }));
     } else {
+      log.warn(`Could not read the org type of ${username}: ${info.message}`);
+    }
+  }
+
+  return { org, isProduction: isProduction !== false, typeUnknown: isProduction === null };
+}
+
+/**
+ * Asks the user to type a production org's alias (or username) to confirm a risky action
+ * Also asked for orgs whose type could not be read.
+ *
+ * @param {{org: Object, typeUnknown: boolean}} production - Result of checkProduction
+ * @param {string} title - Input box title, e.g. "Log Out"
+ * @param {string} consequence - What confirming does, e.g. "log out of it"
+ * @returns {Promise<boolean>} True if the user typed the name
+ * @private
+ */
+async function confirmProductionAction({ org, typeUnknown }, title, consequence) {
+  const name = org.alias || org.username;
+  const typed = await vscode.window.showInputBox({
+    title: `${title} – ${typeUnknown ? "Unknown Org Type" : "Production Org"}`,
+    prompt: typeUnknown
+      ? `The type of ${name} could not be read, so it may be a production org. Type ${name} to ${consequence}.`
+      : `${name} is a production org. Type ${name} to ${consequence}.`,
+    placeHolder: name,
+    ignoreFocusOut: true,
+    validateInput: (value) => (value === name ? null : `Type ${name} exactly to confirm`),
+  });
+  return typed === name;
+}
+
+/**
+ * Verifies the connection of every org in the list
+ * Tiles update as each check finishes. Background runs show no progress or summary.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {boolean} background - True for the periodic check
+ * @returns {Promise<void>}
+ */
+async function handleVerifyConnections(webview, background = false) {
+  if (connectionMonitor.isVerifying()) {
+    log.debug("Connection verification already running");
+    return;
+  }
+
+  let cached = orgCache.getStaleOrgListCache();
+  if (!cached) {
+    if (background) {
+      return;
+    }
+    await handleListOrgs(webview);
+    cached = orgCache.getStaleOrgListCache();
+  }
+  const orgs = cached ? cached.orgs : [];
+  if (orgs.length === 0) {
+    return;
+  }
+
+  const verify = (token, progress) => {
+    let done = 0;
+    return connectionMonitor.verifyConnections(orgs, {
+      token,
+      onResult: (username, verification) => {
+        webview.postMessage({
+          command: "connectionStatus",
+          verifications: { [username]: verification },
+        });
+        done++;
+        if (progress) {
+          progress.report({
+            increment: 100 / orgs.length,
+            message: `${done} of ${orgs.length} checked`,
+          });
+        }
+      },
+      onReauth: (username) => handleReauthOrg(webview, username),
+    });
+  };
+
+  if (background) {
+    await verify();
+    return;
+  }
+
+  const results = await runWithProgress("Verifying org connections", verify);
+  const checked = Object.values(results);
+  const failed = checked.filter(
+    (verification) =>
+      verification.state !== connectionMonitor.VERIFICATION_STATES.CONNECTED
+  ).length;
+
+  if (failed > 0) {
+    vscode.window.showWarningMessage(
+      `⚠️ ${failed} of ${checked.length} orgs are not connected`
+    );
+  } else if (checked.length > 0) {
+    vscode.window.showInformationMessage(
+      `✅ All ${checked.length} orgs are connected`
+    );
+  }
+}
+
+/**
+ * Drops an org's connection badge after it was reauthenticated or logged out
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username
+ * @returns {void}
+ */
+function forgetVerification(webview, username) {
+  connectionMonitor.forgetVerification(username);
+  webview.postMessage({
+    command: "connectionStatus",
+    verifications: { [username]: null },
+  });
+}
+
+/**
+ * Warns once per session that the installed CLI is older than supported
+ *
+ * @param {Object} cliStatus - Status from cliDiscovery.getCliStatus
+ * @returns {Promise<void>}
+ */
+async function warnOutdatedCli(cliStatus) {
+  if (outdatedCliWarningShown) {
+    return;
+  }
+  outdatedCliWarningShown = true;
+
+  const action = await vscode.window.showWarningMessage(
+    `⚠️ Salesforce CLI ${cliStatus.version} is older than the minimum supported version ${cliStatus.minimumVersion}. Some actions may fail.`,
+    "Update Instructions"
+  );
+
+  if (action === "Update Instructions") {
+    vscode.env.openExternal(vscode.Uri.parse(CLI_INSTALL_URL));
+  }
+}
+
+/**
+ * Picks the browser options for opening an org
+ * The browser and openInPrivateWindow settings apply unless overridden.
+ *
+ * @param {Object} [overrides={}] - Browser options chosen for this open
+ * @param {string|null} [overrides.browser] - One of sfdxExecutor.BROWSERS, or null for the default browser
+ * @param {boolean} [overrides.privateWindow] - Whether to open a private window
+ * @returns {{browser?: string, privateWindow?: boolean}} Options for openOrgInBrowser; empty for the default browser
+ * @private
+ */
+function getBrowserOptions(overrides = {}) {
+  const browser = overrides.browser !== undefined ? overrides.browser : config.getBrowser();
+  const privateWindow =
+    overrides.privateWindow !== undefined
+      ? overrides.privateWindow
+      : config.getOpenInPrivateWindow();
+
+  const options = {};
+  if (browser) {
+    options.browser = browser;
+  }
+  if (privateWindow) {
+    options.privateWindow = true;
+  }
+  return options;
+}
+
+/**
+ * Opens a Salesforce org in a browser
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username or alias
+ * @param {string} [orgId] - The org ID, to remember when the org was last used
+ * @param {string|null} [path=null] - Page to open instead of the home page
+ * @param {Object} [browserOptions={}] - Browser and private window, overriding the settings
+ * @returns {Promise<void>}
+ */
+async function handleOpenOrg(webview, username, orgId, path = null, browserOptions = {}) {
+  try {
+    const options = getBrowserOptions(browserOptions);
+    const result = await runWithProgress(`Opening ${username}`, (token) =>
+      operationQueue.runLimited(() =>
+        sfdxExecutor.openOrgInBrowser(username, path || null, { token, ...options })
+      )
+    );
+
+    if (result.success) {
+      vscode.window.showInformationMessage(
+        path ? `✅ Opened ${path} in ${username}` : `✅ Opened org: ${username}`
+      );
+      if (orgId) {
+        await recordOrgUse(webview, orgId);
+      }
+    } else if (!result.cancelled) {
       vscode.window.showErrorMessage(`❌ ${result.message}`);
     }
 
     webview.postMessage({
       command: "operationComplete",
-      operation: "setDefault",
+      operation: "open",
       success: result.success,
       message: result.message,
     });
   } catch (error) {
-    console.error("Error setting default org:", error);
-    vscode.window.showErrorMessage(
-      `❌ Failed to set default org: ${error.message}`
-    );
+    log.error("Error opening org:", error);
+    vscode.window.showErrorMessage(`❌ Failed to open org: ${error.message}`);
 
     webview.postMessage({
       command: "operationComplete",
-      operation: "setDefault",
+      operation: "open",
       success: false,
       message: error.message,
     });
@@ -314,49 +918,76 @@ async function handleSetDefaultOrg(webview, username) {
 }
 
 /**
- * Gets and displays the access token for an org
+ * Reauthenticates to a Salesforce org
  *
  * @param {vscode.Webview} webview - The webview instance
- * @param {string} username - The org username or alias
+ * @param {Object} orgData - The org data containing username and instanceUrl
  * @returns {Promise<void>}
  */
-async function handleGetAccessToken(webview, username) {
+async function handleReauthOrg(webview, orgData) {
   try {
-    const result = await sfdxExecutor.getAccessToken(username);
+    const username = orgData.username || orgData;
+    let instanceUrl = orgData.instanceUrl;
 
-    if (result.success) {
-      // Copy access token to clipboard
-      await vscode.env.clipboard.writeText(result.accessToken);
+    // Handle undefined or "undefined" string values
+    if (!instanceUrl || instanceUrl === "undefined") {
+      instanceUrl = null;
+    }
 
-      // Show info message with masked token
-      const maskedToken = result.accessToken.substring(0, 20) + "...";
-      vscode.window.showInformationMessage(
-        `✅ Access token copied to clipboard: ${maskedToken}`
-      );
+    const result = await runWithProgress(
+      `Reauthenticating ${username}`,
+      async (token, progress) => {
+        const loginResult = await runOrgOperation(
+          webview,
+          username,
+          progress,
+          () => {
+            progress.report({ message: "Complete the login in your browser..." });
+            return sfdxExecutor.reauthenticateOrg(username, instanceUrl, {
+              token,
+            });
+          }
+        );
 
-      webview.postMessage({
-        command: "accessTokenResponse",
-        success: true,
-        accessToken: result.accessToken,
-        instanceUrl: result.instanceUrl,
-        username: result.username,
-      });
-    } else {
+        if (loginResult.success) {
+          forgetVerification(webview, username);
+          progress.report({ message: "Refreshing org list..." });
+          const previousVersion = orgCache.getCacheVersion();
+          await handleListOrgs(webview, true); // Force refresh
+          // The cache keeps the old list when the refresh failed
+          const currentVersion = orgCache.getCacheVersion();
+          if (currentVersion === previousVersion) {
+            log.warn(
+              "Cache may not have been updated after reauth"
+            );
+          }
+        }
+
+        return loginResult;
+      }
+    );
+
+    if (result.success) {
+      vscode.window.showInformationMessage(`✅ ${result.message}`);
+    } else if (!result.cancelled) {
       vscode.window.showErrorMessage(`❌ ${result.message}`);
-      webview.postMessage({
-        command: "accessTokenResponse",
-        success: false,
-        message: result.message,
-      });
     }
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: "reauth",
+      success: result.success,
+      message: result.message,
+    });
   } catch (error) {
-    console.error("Error getting access token:", error);
+    log.error("Error reauthenticating org:", error);
     vscode.window.showErrorMessage(
-      `❌ Failed to get access token: ${error.message}`
+      `❌ Failed to reauthenticate: ${error.message}`
     );
 
     webview.postMessage({
-      command: "accessTokenResponse",
+      command: "operationComplete",
+      operation: "reauth",
       success: false,
       message: error.message,
     });
@@ -364,131 +995,1777 @@ async function handleGetAccessToken(webview, username) {
 }
 
 /**
- * Authenticates a new Salesforce org
+ * Logs out from a Salesforce org
  *
  * @param {vscode.Webview} webview - The webview instance
- * @param {string|null} alias - Optional alias for the new org
- * @param {string|null} instanceUrl - Optional instance URL
+ * @param {string} username - The org username or alias
  * @returns {Promise<void>}
  */
-async function handleAuthenticateNewOrg(
-  webview,
-  alias = null,
-  instanceUrl = null
-) {
+async function handleLogoutOrg(webview, username) {
   try {
-    // Prompt user for environment type if instanceUrl not provided
-    if (!instanceUrl) {
-      const envType = await vscode.window.showQuickPick(
-        [
-          {
-            label: "Production",
-            description: "Login to a production org (login.salesforce.com)",
-            value: "https://login.salesforce.com",
-          },
-          {
-            label: "Sandbox",
-            description: "Login to a sandbox org (test.salesforce.com)",
-            value: "https://test.salesforce.com",
-          },
-          {
-            label: "Custom Domain",
-            description: "Login using a custom domain/My Domain URL",
-            value: "custom",
-          },
-        ],
-        {
-          placeHolder: "Select the Salesforce environment type",
-          title: "Authenticate New Org",
-        }
+    // Production orgs need their name typed, other orgs a click
+    const production = await checkProduction(username);
+    let confirmed = false;
+    if (production && production.isProduction) {
+      confirmed = await confirmProductionAction(production, "Log Out", "log out of it");
+    } else if (production) {
+      const confirm = await vscode.window.showWarningMessage(
+        `Are you sure you want to logout from ${username}?`,
+        { modal: true },
+        "Yes, Logout"
       );
-
-      if (!envType) {
-        // User cancelled
-        webview.postMessage({
-          command: "operationComplete",
-          operation: "authenticateNewOrg",
-          success: false,
-          message: "Authentication cancelled",
-        });
-        return;
-      }
-
-      // If custom domain selected, prompt for URL
-      if (envType.value === "custom") {
-        instanceUrl = await vscode.window.showInputBox({
-          prompt: "Enter your custom Salesforce domain URL",
-          placeHolder: "https://your-company.my.salesforce.com",
-          validateInput: (value) => {
-            if (!value) {
-              return "URL is required";
-            }
-            if (!value.startsWith("http://") && !value.startsWith("https://")) {
-              return "URL must start with http:// or https://";
-            }
-            return null;
-          },
-        });
-
-        if (!instanceUrl) {
-          // User cancelled
-          webview.postMessage({
-            command: "operationComplete",
-            operation: "authenticateNewOrg",
-            success: false,
-            message: "Authentication cancelled",
-          });
-          return;
-        }
-      } else {
-        instanceUrl = envType.value;
-      }
+      confirmed = confirm === "Yes, Logout";
     }
 
-    // Optionally prompt for alias
-    if (!alias) {
-      alias = await vscode.window.showInputBox({
-        prompt: "Enter an alias for this org (optional)",
-        placeHolder: "my-org",
+    if (!confirmed) {
+      webview.postMessage({
+        command: "operationComplete",
+        operation: "logout",
+        success: false,
+        message: "Logout cancelled",
       });
+      return;
     }
 
-    vscode.window.showInformationMessage(
-      "🔐 Opening browser to authenticate new org..."
-    );
+    const result = await runWithProgress(
+      `Logging out from ${username}`,
+      async (token, progress) => {
+        const logoutResult = await runOrgOperation(
+          webview,
+          username,
+          progress,
+          () => sfdxExecutor.logoutOrg(username, { token })
+        );
+
+        if (logoutResult.success) {
+          forgetVerification(webview, username);
+          await orgDetails.forgetOrgDetails(username);
+          progress.report({ message: "Refreshing org list..." });
+          await handleListOrgs(webview, true); // Force refresh
+        }
 
-    const result = await sfdxExecutor.authenticateNewOrg(alias, instanceUrl);
+        return logoutResult;
+      }
+    );
 
     if (result.success) {
       vscode.window.showInformationMessage(`✅ ${result.message}`);
-      // Atomically clear cache and refresh after authentication
-      orgCache.clearOrgListCache();
-      await handleListOrgs(webview, true); // Force refresh
-    } else {
+    } else if (!result.cancelled) {
       vscode.window.showErrorMessage(`❌ ${result.message}`);
     }
 
     webview.postMessage({
       command: "operationComplete",
-      operation: "authenticateNewOrg",
+      operation: "logout",
       success: result.success,
       message: result.message,
     });
   } catch (error) {
-    console.error("Error authenticating new org:", error);
-    vscode.window.showErrorMessage(
-      `❌ Failed to authenticate: ${error.message}`
-    );
+    log.error("Error logging out org:", error);
+    vscode.window.showErrorMessage(`❌ Failed to logout: ${error.message}`);
 
     webview.postMessage({
       command: "operationComplete",
-      operation: "authenticateNewOrg",
+      operation: "logout",
       success: false,
       message: error.message,
     });
   }
 }
 
+/**
+ * Describes a default org setting for titles and menus
+ *
+ * @param {string} setting - One of sfdxExecutor.CONFIG_SETTINGS
+ * @param {string} scope - One of sfdxExecutor.CONFIG_SCOPES
+ * @returns {string} E.g. "default Dev Hub (this project)"
+ * @private
+ */
+function describeDefaultSetting(setting, scope) {
+  const name =
+    setting === sfdxExecutor.CONFIG_SETTINGS.TARGET_DEV_HUB
+      ? "default Dev Hub"
+      : "default org";
+  return `${name} (${scope === sfdxExecutor.CONFIG_SCOPES.GLOBAL ? "global" : "this project"})`;
+}
+
+/**
+ * Sets an org as the default target org or Dev Hub
+ * Making a production org the default asks to type its name first, since
+ * deploys and scripts then run against it.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username or alias
+ * @param {string} [setting="target-org"] - One of sfdxExecutor.CONFIG_SETTINGS
+ * @param {string} [scope="local"] - One of sfdxExecutor.CONFIG_SCOPES
+ * @returns {Promise<void>}
+ */
+async function handleSetDefaultOrg(
+  webview,
+  username,
+  setting = sfdxExecutor.CONFIG_SETTINGS.TARGET_ORG,
+  scope = sfdxExecutor.CONFIG_SCOPES.LOCAL
+) {
+  const production = await checkProduction(username);
+  if (
+    !production ||
+    (production.isProduction &&
+      !(await confirmProductionAction(
+        production,
+        "Set Default Org",
+        `make it the ${describeDefaultSetting(setting, scope)}`
+      )))
+  ) {
+    return;
+  }
+
+  await runOrgChange(webview, username, {
+    title: `Setting ${username} as ${describeDefaultSetting(setting, scope)}`,
+    operation: "setDefault",
+    run: (token) =>
+      sfdxExecutor.setDefaultOrg(username, setting, scope, { token }),
+  });
+}
+
+/**
+ * Removes the default target org or Dev Hub setting
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org that is currently the default
+ * @param {string} [setting="target-org"] - One of sfdxExecutor.CONFIG_SETTINGS
+ * @param {string} [scope="local"] - One of sfdxExecutor.CONFIG_SCOPES
+ * @returns {Promise<void>}
+ */
+async function handleUnsetDefaultOrg(
+  webview,
+  username,
+  setting = sfdxExecutor.CONFIG_SETTINGS.TARGET_ORG,
+  scope = sfdxExecutor.CONFIG_SCOPES.LOCAL
+) {
+  await runOrgChange(webview, username, {
+    title: `Unsetting the ${describeDefaultSetting(setting, scope)}`,
+    operation: "setDefault",
+    run: (token) => sfdxExecutor.unsetDefaultOrg(setting, scope, { token }),
+  });
+}
+
+/**
+ * Runs a CLI config change for an org and refreshes the org list
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org whose tile started the change
+ * @param {Object} change - The change to run
+ * @param {string} change.title - Progress notification title
+ * @param {string} change.operation - Operation name reported to the webview
+ * @param {function(vscode.CancellationToken): Promise<Object>} change.run - Runs the CLI commands
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runOrgChange(webview, username, change) {
+  try {
+    const result = await runWithProgress(change.title, async (token, progress) => {
+      const changeResult = await runOrgOperation(
+        webview,
+        username,
+        progress,
+        () => change.run(token)
+      );
+
+      if (changeResult.success) {
+        progress.report({ message: "Refreshing org list..." });
+        await handleListOrgs(webview, true); // Force refresh
+      }
+
+      return changeResult;
+    });
+
+    if (result.success) {
+      vscode.window.showInformationMessage(`✅ ${result.message}`);
+    } else if (!result.cancelled) {
+      vscode.window.showErrorMessage(`❌ ${result.message}`);
+    }
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: change.operation,
+      success: result.success,
+      message: result.message,
+    });
+  } catch (error) {
+    log.error(`Error running ${change.operation}:`, error);
+    vscode.window.showErrorMessage(`❌ ${change.title} failed: ${error.message}`);
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: change.operation,
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Lets the user pick how to change an org's default org and Dev Hub settings
+ * Offers to set each setting for this project or globally, and to unset the
+ * setting that currently makes the org the default.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username
+ * @returns {Promise<void>}
+ */
+async function handleChooseDefaultOrg(webview, username) {
+  const { CONFIG_SETTINGS, CONFIG_SCOPES } = sfdxExecutor;
+
+  let defaults = null;
+  try {
+    defaults = await orgDiscovery.getDefaultUsernames({
+      projectDir: workspaceFolders.getSelectedFolderPath(),
+    });
+  } catch (error) {
+    log.warn("Could not read the default org config:", error.message);
+  }
+
+  const current = {
+    [CONFIG_SETTINGS.TARGET_ORG]: defaults && {
+      username: defaults.defaultUsername,
+      source: defaults.defaultUsernameSource,
+    },
+    [CONFIG_SETTINGS.TARGET_DEV_HUB]: defaults && {
+      username: defaults.defaultDevHubUsername,
+      source: defaults.defaultDevHubUsernameSource,
+    },
+  };
+
+  // Without a workspace folder there is no project config to write to
+  const scopes = workspaceFolders.getSelectedFolderPath()
+    ? [CONFIG_SCOPES.LOCAL, CONFIG_SCOPES.GLOBAL]
+    : [CONFIG_SCOPES.GLOBAL];
+
+  const items = [];
+  Object.values(CONFIG_SETTINGS).forEach((setting) => {
+    const { username: currentUsername, source } = current[setting] || {};
+    scopes.forEach((scope) => {
+      const name = describeDefaultSetting(setting, scope);
+      if (currentUsername === username && source === scope) {
+        items.push({ label: `Unset ${name}`, unset: true, setting, scope });
+        return;
+      }
+
+      // An environment variable hides both scopes, a project setting hides the global one
+      let description = "";
+      if (source === orgDiscovery.DEFAULT_SOURCES.ENVIRONMENT) {
+        description = "Overridden by an environment variable";
+      } else if (scope === CONFIG_SCOPES.GLOBAL && source === CONFIG_SCOPES.LOCAL) {
+        description = "Overridden by this project's setting";
+      }
+      items.push({
+        label: `Set as ${name}`,
+        description,
+        unset: false,
+        setting,
+        scope,
+      });
+    });
+  });
+
+  const choice = await vscode.window.showQuickPick(items, {
+    placeHolder: `Default org settings for ${username}`,
+    title: "Default Org",
+  });
+  if (!choice) {
+    return;
+  }
+
+  if (choice.unset) {
+    await handleUnsetDefaultOrg(webview, username, choice.setting, choice.scope);
+  } else {
+    await handleSetDefaultOrg(webview, username, choice.setting, choice.scope);
+  }
+}
+
+/**
+ * Sends the pins and tags of all orgs
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @returns {void}
+ */
+function postOrgMetadata(webview) {
+  webview.postMessage({
+    command: "orgMetadata",
+    metadata: orgMetadata.getOrgMetadata(),
+  });
+}
+
+/**
+ * Remembers that an org was used, for sorting by last use
+ * Failures are logged only: they must not fail the operation that used the org.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} orgId - The org ID
+ * @returns {Promise<void>}
+ */
+async function recordOrgUse(webview, orgId) {
+  try {
+    await orgMetadata.recordUse(orgId);
+    postOrgMetadata(webview);
+  } catch (error) {
+    log.warn(`Could not record the use of ${orgId}:`, error.message);
+  }
+}
+
+/**
+ * Pins an org to the top of the list, or unpins it
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} orgId - The org ID
+ * @param {boolean} pinned - Whether the org is pinned
+ * @returns {Promise<void>}
+ */
+async function handleTogglePin(webview, orgId, pinned) {
+  await orgMetadata.setPinned(orgId, pinned);
+  postOrgMetadata(webview);
+}
+
+/**
+ * Edits an org's tags as a comma-separated list
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} orgId - The org ID
+ * @param {string} username - The org username, shown in the prompt
+ * @returns {Promise<void>}
+ */
+async function handleEditTags(webview, orgId, username) {
+  const current = orgMetadata.getOrgMetadata()[orgId];
+  const input = await vscode.window.showInputBox({
+    title: `Tags for ${username}`,
+    prompt: "Comma-separated tags, e.g. client, project or environment",
+    value: current ? current.tags.join(", ") : "",
+    validateInput: (value) => {
+      try {
+        orgMetadata.parseTags(value);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  if (input === undefined) {
+    return;
+  }
+
+  await orgMetadata.setTags(orgId, orgMetadata.parseTags(input));
+  postOrgMetadata(webview);
+}
+
+/**
+ * Reads the alias map and the aliases of one org
+ *
+ * @param {string} username - The org username
+ * @returns {Promise<{aliases: Object<string, string>, orgAliases: string[]}>} All aliases and the org's own
+ * @private
+ */
+async function readOrgAliases(username) {
+  const aliases = await orgDiscovery.getAliases();
+  const orgAliases = Object.keys(aliases).filter(
+    (alias) => aliases[alias] === username
+  );
+  return { aliases, orgAliases };
+}
+
+/**
+ * Asks for an alias
+ *
+ * @param {string} title - Input box title
+ * @param {string} [value=""] - Prefilled value
+ * @returns {Promise<string|undefined>} The trimmed alias, or undefined if cancelled
+ * @private
+ */
+async function promptForAlias(title, value = "") {
+  const alias = await vscode.window.showInputBox({
+    title,
+    prompt: "Enter the alias",
+    value,
+    validateInput: (input) => {
+      try {
+        cliArgs.validateAlias(input);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  return alias === undefined ? undefined : alias.trim();
+}
+
+/**
+ * Asks before moving an alias that already points at another org
+ *
+ * @param {string} alias - The alias to set
+ * @param {string} username - The org that gets the alias
+ * @param {Object<string, string>} aliases - Current alias map
+ * @returns {Promise<boolean>} True if the alias is free or the user agreed to move it
+ * @private
+ */
+async function confirmAliasMove(alias, username, aliases) {
+  const owner = aliases[alias];
+  if (!owner || owner === username) {
+    return true;
+  }
+
+  const confirm = await vscode.window.showWarningMessage(
+    `Alias "${alias}" is already used by ${owner}. Move it to ${username}?`,
+    { modal: true },
+    "Move Alias"
+  );
+  return confirm === "Move Alias";
+}
+
+/**
+ * Lets the user pick an alias action for an org
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username
+ * @returns {Promise<void>}
+ */
+async function handleChooseAliasAction(webview, username) {
+  const { orgAliases } = await readOrgAliases(username);
+
+  const items = [];
+  if (orgAliases.length > 0) {
+    items.push({
+      label: `Rename "${orgAliases[0]}"`,
+      action: "rename",
+      alias: orgAliases[0],
+    });
+  }
+  items.push({
+    label: orgAliases.length > 0 ? "Add another alias" : "Set alias",
+    action: "add",
+  });
+  orgAliases.forEach((alias) =>
+    items.push({ label: `Remove "${alias}"`, action: "remove", alias })
+  );
+
+  const choice = await vscode.window.showQuickPick(items, {
+    placeHolder: `Aliases of ${username}`,
+    title: "Alias",
+  });
+  if (!choice) {
+    return;
+  }
+
+  if (choice.action === "rename") {
+    await handleRenameAlias(webview, username, choice.alias);
+  } else if (choice.action === "add") {
+    await handleAddAlias(webview, username);
+  } else {
+    await handleRemoveAlias(webview, username, choice.alias);
+  }
+}
+
+/**
+ * Renames an org's alias
+ * Without an existing alias this sets one.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username
+ * @param {string} [oldAlias] - Alias to rename (defaults to the org's first alias)
+ * @param {string} [newAlias] - New alias (prompted for if omitted)
+ * @returns {Promise<void>}
+ */
+async function handleRenameAlias(webview, username, oldAlias, newAlias) {
+  const { aliases, orgAliases } = await readOrgAliases(username);
+  const currentAlias = oldAlias || orgAliases[0];
+  if (!currentAlias) {
+    await handleAddAlias(webview, username, newAlias);
+    return;
+  }
+
+  const alias =
+    newAlias ||
+    (await promptForAlias(`Rename alias of ${username}`, currentAlias));
+  if (!alias || alias === currentAlias) {
+    return;
+  }
+  if (!(await confirmAliasMove(alias, username, aliases))) {
+    return;
+  }
+
+  await runOrgChange(webview, username, {
+    title: `Renaming alias ${currentAlias} to ${alias}`,
+    operation: "alias",
+    run: async (token) => {
+      const setResult = await sfdxExecutor.setAlias(alias, username, { token });
+      if (!setResult.success) {
+        return setResult;
+      }
+
+      const unsetResult = await sfdxExecutor.unsetAlias(currentAlias, { token });
+      if (!unsetResult.success) {
+        return {
+          ...unsetResult,
+          message: `Added alias ${alias}, but could not remove ${currentAlias}: ${unsetResult.message}`,
+        };
+      }
+      return {
+        success: true,
+        message: `Renamed alias ${currentAlias} to ${alias}`,
+      };
+    },
+  });
+}
+
+/**
+ * Adds an alias to an org, keeping its existing aliases
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username
+ * @param {string} [newAlias] - The alias to add (prompted for if omitted)
+ * @returns {Promise<void>}
+ */
+async function handleAddAlias(webview, username, newAlias) {
+  const { aliases } = await readOrgAliases(username);
+  const alias = newAlias || (await promptForAlias(`Add alias for ${username}`));
+  if (!alias) {
+    return;
+  }
+  if (aliases[alias] === username) {
+    vscode.window.showInformationMessage(`${alias} is already an alias of ${username}`);
+    return;
+  }
+  if (!(await confirmAliasMove(alias, username, aliases))) {
+    return;
+  }
+
+  await runOrgChange(webview, username, {
+    title: `Adding alias ${alias}`,
+    operation: "alias",
+    run: (token) => sfdxExecutor.setAlias(alias, username, { token }),
+  });
+}
+
+/**
+ * Removes one of an org's aliases
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username
+ * @param {string} [alias] - Alias to remove (picked from the org's aliases if omitted)
+ * @returns {Promise<void>}
+ */
+async function handleRemoveAlias(webview, username, alias) {
+  let aliasToRemove = alias;
+  if (!aliasToRemove) {
+    const { orgAliases } = await readOrgAliases(username);
+    if (orgAliases.length === 0) {
+      vscode.window.showInformationMessage(`${username} has no alias`);
+      return;
+    }
+    aliasToRemove =
+      orgAliases.length === 1
+        ? orgAliases[0]
+        : await vscode.window.showQuickPick(orgAliases, {
+            placeHolder: "Select the alias to remove",
+          });
+    if (!aliasToRemove) {
+      return;
+    }
+  }
+
+  await runOrgChange(webview, username, {
+    title: `Removing alias ${aliasToRemove}`,
+    operation: "alias",
+    run: (token) => sfdxExecutor.unsetAlias(aliasToRemove, { token }),
+  });
+}
+
+/**
+ * Copies a frontdoor URL that logs in to an org, after warning that it
+ * holds a live session
+ * The URL is only written to the clipboard, never logged or sent to the
+ * webview. It can be pasted into another browser profile or opened in
+ * VS Code's Simple Browser.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username or alias
+ * @returns {Promise<void>}
+ */
+async function handleCopyLoginUrl(webview, username) {
+  const confirm = await vscode.window.showWarningMessage(
+    `The login URL for ${username} contains a live session: anyone who has it is logged in as ${username} until the session ends. Do not share it or paste it into chats or tickets.`,
+    { modal: true },
+    "Copy Login URL"
+  );
+  if (confirm !== "Copy Login URL") {
+    return;
+  }
+
+  try {
+    const result = await runWithProgress(`Getting login URL for ${username}`, (token) =>
+      operationQueue.runLimited(() => sfdxExecutor.getOrgLoginUrl(username, null, { token }))
+    );
+
+    if (result.success) {
+      await vscode.env.clipboard.writeText(result.url);
+      Promise.resolve(
+        vscode.window.showInformationMessage(
+          `✅ Login URL for ${username} copied to clipboard.`,
+          "Open in Simple Browser"
+        )
+      ).then((action) => {
+        if (action === "Open in Simple Browser") {
+          vscode.commands.executeCommand("simpleBrowser.show", result.url);
+        }
+      });
+    } else if (!result.cancelled) {
+      vscode.window.showErrorMessage(`❌ ${result.message}`);
+    }
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: "loginUrl",
+      success: result.success,
+      message: result.success ? `Login URL for ${username} copied` : result.message,
+    });
+  } catch (error) {
+    log.error("Error getting login URL:", error);
+    vscode.window.showErrorMessage(`❌ Failed to get login URL: ${error.message}`);
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: "loginUrl",
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Clears a copied access token from the clipboard after the
+ * clearClipboardAfterSeconds setting, unless the user copied something else
+ * A later copy replaces the pending clear.
+ *
+ * @param {string} accessToken - The copied token
+ * @param {string} username - Org the token belongs to, for the log
+ * @returns {number} Seconds until the clipboard is cleared, 0 if it is not
+ * @private
+ */
+function scheduleClipboardClear(accessToken, username) {
+  clearTimeout(clipboardClearTimer);
+  clipboardClearTimer = null;
+
+  const seconds = config.getClearClipboardAfterSeconds();
+  if (seconds === 0) {
+    return 0;
+  }
+
+  clipboardClearTimer = setTimeout(async () => {
+    clipboardClearTimer = null;
+    try {
+      if ((await vscode.env.clipboard.readText()) === accessToken) {
+        await vscode.env.clipboard.writeText("");
+        log.info(`Cleared the access token of ${username} from the clipboard`);
+      }
+    } catch (error) {
+      log.warn("Could not clear the clipboard:", error.message);
+    }
+  }, seconds * 1000);
+  return seconds;
+}
+
+/**
+ * Copies the access token of an org to the clipboard
+ * The token never reaches the webview, toasts or the log. Production orgs
+ * need their name typed first, and the clipboard is cleared again after the
+ * clearClipboardAfterSeconds setting.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username or alias
+ * @returns {Promise<void>}
+ */
+async function handleGetAccessToken(webview, username) {
+  const production = await checkProduction(username);
+  if (
+    !production ||
+    (production.isProduction &&
+      !(await confirmProductionAction(
+        production,
+        "Copy Access Token",
+        "copy its access token, which gives full API access as this user to anyone who has it"
+      )))
+  ) {
+    return;
+  }
+
+  try {
+    const result = await runWithProgress(
+      `Getting access token for ${username}`,
+      (token) =>
+        operationQueue.runLimited(() =>
+          sfdxExecutor.getAccessToken(username, { token })
+        )
+    );
+
+    if (result.success) {
+      await vscode.env.clipboard.writeText(result.accessToken);
+      log.info(
+        `Access token of ${result.username} (${result.instanceUrl}) copied to the clipboard at ${new Date().toISOString()}`
+      );
+
+      const seconds = scheduleClipboardClear(result.accessToken, result.username);
+      vscode.window.showInformationMessage(
+        seconds > 0
+          ? `✅ Access token for ${username} copied to clipboard. It is cleared in ${seconds} seconds.`
+          : `✅ Access token for ${username} copied to clipboard.`
+      );
+
+      webview.postMessage({
+        command: "accessTokenResponse",
+        success: true,
+        instanceUrl: result.instanceUrl,
+        username: result.username,
+      });
+    } else {
+      if (!result.cancelled) {
+        vscode.window.showErrorMessage(`❌ ${result.message}`);
+      }
+      webview.postMessage({
+        command: "accessTokenResponse",
+        success: false,
+        message: result.message,
+      });
+    }
+  } catch (error) {
+    log.error("Error getting access token:", error);
+    vscode.window.showErrorMessage(
+      `❌ Failed to get access token: ${error.message}`
+    );
+
+    webview.postMessage({
+      command: "accessTokenResponse",
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Authenticates a new Salesforce org
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string|null} alias - Optional alias for the new org
+ * @param {string|null} instanceUrl - Optional instance URL
+ * @returns {Promise<void>}
+ */
+async function handleAuthenticateNewOrg(
+  webview,
+  alias = null,
+  instanceUrl = null
+) {
+  try {
+    // Prompt user for environment type if instanceUrl not provided
+    if (!instanceUrl) {
+      const envType = await vscode.window.showQuickPick(
+        [
+          {
+            label: "Production",
+            description: "Login to a production org (login.salesforce.com)",
+            value: "https://login.salesforce.com",
+          },
+          {
+            label: "Sandbox",
+            description: "Login to a sandbox org (test.salesforce.com)",
+            value: "https://test.salesforce.com",
+          },
+          {
+            label: "Custom Domain",
+            description: "Login using a custom domain/My Domain URL",
+            value: "custom",
+          },
+        ],
+        {
+          placeHolder: "Select the Salesforce environment type",
+          title: "Authenticate New Org",
+        }
+      );
+
+      if (!envType) {
+        // User cancelled
+        webview.postMessage({
+          command: "operationComplete",
+          operation: "authenticateNewOrg",
+          success: false,
+          message: "Authentication cancelled",
+        });
+        return;
+      }
+
+      // If custom domain selected, prompt for URL
+      if (envType.value === "custom") {
+        instanceUrl = await vscode.window.showInputBox({
+          prompt: "Enter your custom Salesforce domain URL",
+          placeHolder: "https://your-company.my.salesforce.com",
+          validateInput: (value) => {
+            if (!value) {
+              return "URL is required";
+            }
+            if (!value.startsWith("http://") && !value.startsWith("https://")) {
+              return "URL must start with http:// or https://";
+            }
+            try {
+              cliArgs.validateInstanceUrl(value);
+            } catch (error) {
+              return error.message;
+            }
+            return null;
+          },
+        });
+
+        if (!instanceUrl) {
+          // User cancelled
+          webview.postMessage({
+            command: "operationComplete",
+            operation: "authenticateNewOrg",
+            success: false,
+            message: "Authentication cancelled",
+          });
+          return;
+        }
+      } else {
+        instanceUrl = envType.value;
+      }
+    }
+
+    // Optionally prompt for alias
+    if (!alias) {
+      alias = await vscode.window.showInputBox({
+        prompt: "Enter an alias for this org (optional)",
+        placeHolder: "my-org",
+        validateInput: (value) => {
+          if (!value) {
+            return null; // Alias is optional
+          }
+          try {
+            cliArgs.validateAlias(value);
+          } catch (error) {
+            return error.message;
+          }
+          return null;
+        },
+      });
+    }
+
+    const result = await runWithProgress(
+      "Authenticating new org",
+      async (token, progress) => {
+        const loginResult = await operationQueue.runLimited(() => {
+          progress.report({ message: "Complete the login in your browser..." });
+          return sfdxExecutor.authenticateNewOrg(alias, instanceUrl, { token });
+        });
+
+        if (loginResult.success) {
+          progress.report({ message: "Refreshing org list..." });
+          await handleListOrgs(webview, true); // Force refresh
+        }
+
+        return loginResult;
+      }
+    );
+
+    if (result.success) {
+      vscode.window.showInformationMessage(`✅ ${result.message}`);
+    } else if (!result.cancelled) {
+      vscode.window.showErrorMessage(`❌ ${result.message}`);
+    }
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: "authenticateNewOrg",
+      success: result.success,
+      message: result.message,
+    });
+  } catch (error) {
+    log.error("Error authenticating new org:", error);
+    vscode.window.showErrorMessage(
+      `❌ Failed to authenticate: ${error.message}`
+    );
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: "authenticateNewOrg",
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Creates a scratch org
+ * Asks for a definition file from the project's config folder, a Dev Hub,
+ * a duration and an optional alias, then runs `sf org create scratch`.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @returns {Promise<void>}
+ */
+async function handleCreateScratchOrg(webview) {
+  const title = "New Scratch Org";
+  const cancel = (message = "Scratch org creation cancelled") =>
+    webview.postMessage({
+      command: "operationComplete",
+      operation: "createScratchOrg",
+      success: false,
+      message,
+    });
+
+  try {
+    const projectDir = workspaceFolders.getSelectedFolderPath();
+    const definitionFiles = projectDir
+      ? await orgDiscovery.findScratchDefinitions(projectDir)
+      : [];
+    if (definitionFiles.length === 0) {
+      const message =
+        "No scratch org definition files found. Open a Salesforce DX project with definition files in config/.";
+      vscode.window.showErrorMessage(`❌ ${message}`);
+      cancel(message);
+      return;
+    }
+
+    const definition = await vscode.window.showQuickPick(
+      definitionFiles.map((filePath) => ({
+        label: path.basename(filePath),
+        description: path.relative(projectDir, path.dirname(filePath)),
+        filePath,
+      })),
+      { placeHolder: "Select the scratch org definition file", title }
+    );
+    if (!definition) {
+      cancel();
+      return;
+    }
+
+    const devHubs = (await orgDiscovery.discoverOrgs({ projectDir })).filter(
+      (org) => org.isDevHub || org.isDefaultDevHubUsername
+    );
+    if (devHubs.length === 0) {
+      const message = "No Dev Hub is authenticated. Log in to your Dev Hub org first.";
+      vscode.window.showErrorMessage(`❌ ${message}`);
+      cancel(message);
+      return;
+    }
+
+    // The default Dev Hub first
+    devHubs.sort(
+      (a, b) => Number(b.isDefaultDevHubUsername) - Number(a.isDefaultDevHubUsername)
+    );
+    const devHub = await vscode.window.showQuickPick(
+      devHubs.map((org) => ({
+        label: org.alias,
+        description: org.alias !== org.username ? org.username : "",
+        detail: org.isDefaultDevHubUsername ? "Default Dev Hub" : undefined,
+        username: org.username,
+      })),
+      { placeHolder: "Select the Dev Hub", title }
+    );
+    if (!devHub) {
+      cancel();
+      return;
+    }
+
+    const { MIN, MAX, DEFAULT } = sfdxExecutor.SCRATCH_ORG_DURATION;
+    const duration = await vscode.window.showInputBox({
+      title,
+      prompt: `Days until the scratch org expires (${MIN}-${MAX})`,
+      value: String(DEFAULT),
+      validateInput: (value) => {
+        const days = Number(value);
+        return Number.isInteger(days) && days >= MIN && days <= MAX
+          ? null
+          : `Enter a whole number from ${MIN} to ${MAX}`;
+      },
+    });
+    if (duration === undefined) {
+      cancel();
+      return;
+    }
+
+    const alias = await vscode.window.showInputBox({
+      title,
+      prompt: "Enter an alias for the scratch org (optional)",
+      placeHolder: "feature-x",
+      validateInput: (value) => {
+        if (!value) {
+          return null; // Alias is optional
+        }
+        try {
+          cliArgs.validateAlias(value);
+        } catch (error) {
+          return error.message;
+        }
+        return null;
+      },
+    });
+    if (alias === undefined) {
+      cancel();
+      return;
+    }
+
+    const result = await runWithProgress(
+      `Creating scratch org${alias ? ` ${alias.trim()}` : ""}`,
+      async (token, progress) => {
+        progress.report({ message: `Using ${devHub.label}, this can take a few minutes...` });
+        const createResult = await operationQueue.runLimited(() =>
+          sfdxExecutor.createScratchOrg(
+            {
+              definitionFile: definition.filePath,
+              devHub: devHub.username,
+              durationDays: Number(duration),
+              alias: alias.trim() || null,
+            },
+            { token }
+          )
+        );
+
+        if (createResult.success) {
+          progress.report({ message: "Refreshing org list..." });
+          await handleListOrgs(webview, true); // Force refresh
+        }
+
+        return createResult;
+      }
+    );
+
+    if (result.success) {
+      vscode.window.showInformationMessage(`✅ ${result.message}`);
+    } else if (!result.cancelled) {
+      vscode.window.showErrorMessage(`❌ ${result.message}`);
+    }
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: "createScratchOrg",
+      success: result.success,
+      message: result.message,
+    });
+  } catch (error) {
+    log.error("Error creating scratch org:", error);
+    vscode.window.showErrorMessage(
+      `❌ Failed to create scratch org: ${error.message}`
+    );
+    cancel(error.message);
+  }
+}
+
+/**
+ * Deletes a scratch org after confirmation
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The scratch org username
+ * @returns {Promise<void>}
+ */
+async function handleDeleteScratchOrg(webview, username) {
+  const confirm = await vscode.window.showWarningMessage(
+    `Delete scratch org ${username}? The org and all its data are deleted. This cannot be undone.`,
+    { modal: true },
+    "Delete Scratch Org"
+  );
+  if (confirm !== "Delete Scratch Org") {
+    return;
+  }
+
+  await runOrgChange(webview, username, {
+    title: `Deleting scratch org ${username}`,
+    operation: "deleteScratchOrg",
+    run: async (token) => {
+      const result = await sfdxExecutor.deleteScratchOrg(username, { token });
+      if (result.success) {
+        forgetVerification(webview, username);
+      }
+      return result;
+    },
+  });
+}
+
+/**
+ * Removes expired and deleted scratch orgs from the org list after confirmation
+ * The confirmation lists the orgs `sf org list` reports as no longer active.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @returns {Promise<void>}
+ */
+async function handleCleanScratchOrgs(webview) {
+  let orgs;
+  try {
+    orgs = await runWithProgress("Looking for expired scratch orgs", (token) =>
+      operationQueue.runLimited(() => sfdxExecutor.listAllOrgs({ token }))
+    );
+  } catch (error) {
+    // Without the list there is no telling which scratch orgs expired
+    if (!sfdxExecutor.isCancellationError(error)) {
+      log.error("Error listing scratch orgs:", error);
+      vscode.window.showErrorMessage(`❌ Could not list scratch orgs: ${error.message}`);
+    }
+    return;
+  }
+  const inactive = orgs.filter((org) => scratchOrgMonitor.isInactiveScratchOrg(org));
+
+  if (inactive.length === 0) {
+    vscode.window.showInformationMessage("No expired or deleted scratch orgs to clean up.");
+    return;
+  }
+
+  const confirm = await vscode.window.showWarningMessage(
+    `Remove ${inactive.length} expired or deleted scratch org${inactive.length !== 1 ? "s" : ""} from the org list?`,
+    {
+      modal: true,
+      detail: inactive
+        .map((org) => `${org.alias || org.username} (${org.status || "Expired"})`)
+        .join("\n"),
+    },
+    "Remove"
+  );
+  if (confirm !== "Remove") {
+    return;
+  }
+
+  try {
+    const result = await runWithProgress(
+      "Cleaning up scratch orgs",
+      async (token, progress) => {
+        const cleanResult = await operationQueue.runLimited(() =>
+          sfdxExecutor.cleanScratchOrgs({ token })
+        );
+
+        if (cleanResult.success) {
+          inactive.forEach((org) => forgetVerification(webview, org.username));
+          progress.report({ message: "Refreshing org list..." });
+          await handleListOrgs(webview, true); // Force refresh
+        }
+
+        return cleanResult;
+      }
+    );
+
+    if (result.success) {
+      vscode.window.showInformationMessage(`✅ ${result.message}`);
+    } else if (!result.cancelled) {
+      vscode.window.showErrorMessage(`❌ ${result.message}`);
+    }
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: "cleanScratchOrgs",
+      success: result.success,
+      message: result.message,
+    });
+  } catch (error) {
+    log.error("Error cleaning up scratch orgs:", error);
+    vscode.window.showErrorMessage(
+      `❌ Failed to clean up scratch orgs: ${error.message}`
+    );
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation: "cleanScratchOrgs",
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Sends the last fetched scratch org limits of each Dev Hub
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @returns {void}
+ */
+function postDevHubLimits(webview) {
+  webview.postMessage({
+    command: "devHubLimits",
+    limits: scratchOrgMonitor.getDevHubLimits(),
+  });
+}
+
+/**
+ * Lets the user pick an org's sObject and returns its Object Manager path
+ *
+ * @param {string} username - The org username
+ * @returns {Promise<string|undefined>} The path, or undefined when cancelled or the list failed
+ * @private
+ */
+async function pickSObjectPath(username) {
+  const result = await runWithProgress(`Loading the objects of ${username}`, (token) =>
+    operationQueue.runLimited(() => sfdxExecutor.listSObjects(username, { token }))
+  );
+  if (!result.success) {
+    if (!result.cancelled) {
+      vscode.window.showErrorMessage(`❌ ${result.message}`);
+    }
+    return undefined;
+  }
+
+  const choice = await vscode.window.showQuickPick(
+    [
+      { label: "All Objects", description: "Object Manager home", path: "/lightning/setup/ObjectManager/home" },
+      ...result.sobjects.map((name) => ({
+        label: name,
+        description: name.endsWith("__c") ? "Custom" : "",
+        path: `/lightning/setup/ObjectManager/${name}/Details/view`,
+      })),
+    ],
+    { placeHolder: "Select an object", title: "Object Manager", matchOnDescription: true }
+  );
+  return choice ? choice.path : undefined;
+}
+
+/**
+ * Asks for a path inside the org
+ *
+ * @param {string} title - Input box title
+ * @param {string} [value=""] - Prefilled value
+ * @returns {Promise<string|undefined>} The trimmed path, or undefined when cancelled
+ * @private
+ */
+async function promptForOrgPath(title, value = "") {
+  const input = await vscode.window.showInputBox({
+    title,
+    prompt: "Enter the path after the org's domain",
+    placeHolder: "/lightning/o/Account/list",
+    value,
+    validateInput: (path) => {
+      try {
+        cliArgs.validateOrgPath(path);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  return input === undefined ? undefined : input.trim();
+}
+
+/**
+ * Asks for a record ID and returns the record's path
+ *
+ * @returns {Promise<string|undefined>} The path, or undefined when cancelled
+ * @private
+ */
+async function promptForRecordPath() {
+  const recordId = await vscode.window.showInputBox({
+    title: "Open Record",
+    prompt: "Enter the 15 or 18 character record ID",
+    placeHolder: "001000000000001AAA",
+    validateInput: (value) =>
+      RECORD_ID_PATTERN.test(value.trim()) ? null : "Record IDs have 15 or 18 letters and digits",
+  });
+  return recordId === undefined ? undefined : `/lightning/r/${recordId.trim()}/view`;
+}
+
+/**
+ * Lets the user pick where to open an org: a page, a record, a custom path or a bookmark
+ * Also offers to open the home page privately or in another browser, to
+ * copy a login URL and to add and remove bookmarks.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - The org username
+ * @param {string} [orgId] - The org ID; bookmarks need it
+ * @returns {Promise<void>}
+ */
+async function handleChooseOpenDestination(webview, username, orgId) {
+  const metadata = orgId ? orgMetadata.getOrgMetadata()[orgId] : null;
+  const tags = metadata ? metadata.tags : [];
+  const bookmarks = orgBookmarks.getBookmarks(orgId || null, tags);
+
+  const items = OPEN_DESTINATIONS.map((destination) => ({
+    label: destination.label,
+    description: destination.path || "",
+    destination,
+  }));
+  if (bookmarks.length > 0) {
+    items.push({ label: "Bookmarks", kind: vscode.QuickPickItemKind.Separator });
+    bookmarks.forEach((bookmark) =>
+      items.push({
+        label: `$(bookmark) ${bookmark.label}`,
+        description: bookmark.scope === orgBookmarks.BOOKMARK_SCOPES.TAG ? `#${bookmark.key}` : "",
+        detail: bookmark.path,
+        bookmark,
+      })
+    );
+  }
+  items.push({ label: "Browser", kind: vscode.QuickPickItemKind.Separator });
+  items.push({ label: "$(eye-closed) Open in Private Window", description: "Home", action: "private" });
+  items.push({ label: "$(globe) Open in Browser…", description: "Home", action: "browser" });
+  items.push({ label: "$(link) Copy Login URL", description: "Contains a live session", action: "copyLoginUrl" });
+  if (orgId) {
+    items.push({ label: "", kind: vscode.QuickPickItemKind.Separator });
+    items.push({ label: "$(add) Add Bookmark…", action: "addBookmark" });
+    if (bookmarks.length > 0) {
+      items.push({ label: "$(trash) Remove Bookmark…", action: "removeBookmark" });
+    }
+  }
+
+  const choice = await vscode.window.showQuickPick(items, {
+    placeHolder: `Open ${username}`,
+    title: "Open",
+    matchOnDescription: true,
+  });
+  if (!choice) {
+    return;
+  }
+
+  if (choice.action === "addBookmark") {
+    await handleAddBookmark(username, orgId, tags);
+    return;
+  }
+  if (choice.action === "removeBookmark") {
+    await handleRemoveBookmark(bookmarks);
+    return;
+  }
+  if (choice.action === "copyLoginUrl") {
+    await handleCopyLoginUrl(webview, username);
+    return;
+  }
+  if (choice.action === "private") {
+    await handleOpenOrg(webview, username, orgId, null, { privateWindow: true });
+    return;
+  }
+  if (choice.action === "browser") {
+    const browser = await vscode.window.showQuickPick(
+      Object.entries(sfdxExecutor.BROWSERS).map(([key, value]) => ({
+        label: BROWSER_LABELS[key],
+        value,
+      })),
+      { placeHolder: `Open ${username} in`, title: "Open in Browser" }
+    );
+    if (browser) {
+      await handleOpenOrg(webview, username, orgId, null, { browser: browser.value });
+    }
+    return;
+  }
+
+  let path;
+  if (choice.bookmark) {
+    path = choice.bookmark.path;
+  } else if (choice.destination.pick === "sobject") {
+    path = await pickSObjectPath(username);
+  } else if (choice.destination.pick === "record") {
+    path = await promptForRecordPath();
+  } else if (choice.destination.pick === "custom") {
+    path = await promptForOrgPath("Open Custom Path");
+  } else {
+    path = choice.destination.path;
+  }
+  if (path === undefined) {
+    return;
+  }
+
+  await handleOpenOrg(webview, username, orgId, path);
+}
+
+/**
+ * Saves a bookmark for an org, or for every org with one of its tags
+ *
+ * @param {string} username - The org username
+ * @param {string} orgId - The org ID
+ * @param {string[]} tags - The org's tags, offered as bookmark scopes
+ * @returns {Promise<void>}
+ */
+async function handleAddBookmark(username, orgId, tags) {
+  const title = "Add Bookmark";
+  const path = await promptForOrgPath(title);
+  if (path === undefined) {
+    return;
+  }
+
+  const label = await vscode.window.showInputBox({
+    title,
+    prompt: "Enter a name for the bookmark",
+    placeHolder: "Invoices",
+    validateInput: (value) => {
+      if (value.trim() === "") {
+        return "Bookmark name is required";
+      }
+      if (value.trim().length > orgBookmarks.MAX_LABEL_LENGTH) {
+        return `Bookmark names must be ${orgBookmarks.MAX_LABEL_LENGTH} characters or fewer`;
+      }
+      return null;
+    },
+  });
+  if (label === undefined) {
+    return;
+  }
+
+  const { BOOKMARK_SCOPES } = orgBookmarks;
+  let target = { scope: BOOKMARK_SCOPES.ORG, key: orgId };
+  if (tags.length > 0) {
+    target = await vscode.window.showQuickPick(
+      [
+        { label: "This org", description: username, scope: BOOKMARK_SCOPES.ORG, key: orgId },
+        ...tags.map((tag) => ({
+          label: `#${tag}`,
+          description: `Every org tagged #${tag}`,
+          scope: BOOKMARK_SCOPES.TAG,
+          key: tag,
+        })),
+      ],
+      { placeHolder: "Save the bookmark for", title }
+    );
+    if (!target) {
+      return;
+    }
+  }
+
+  try {
+    await orgBookmarks.addBookmark(target.scope, target.key, { label, path });
+    vscode.window.showInformationMessage(`🔖 Saved bookmark "${label.trim()}".`);
+  } catch (error) {
+    vscode.window.showErrorMessage(`❌ ${error.message}`);
+  }
+}
+
+/**
+ * Removes one of the bookmarks shown in the Open menu
+ *
+ * @param {Array<Object>} bookmarks - Bookmarks of the org, from orgBookmarks.getBookmarks
+ * @returns {Promise<void>}
+ */
+async function handleRemoveBookmark(bookmarks) {
+  const choice = await vscode.window.showQuickPick(
+    bookmarks.map((bookmark) => ({
+      label: bookmark.label,
+      description: bookmark.scope === orgBookmarks.BOOKMARK_SCOPES.TAG ? `#${bookmark.key}` : "",
+      detail: bookmark.path,
+      bookmark,
+    })),
+    { placeHolder: "Select the bookmark to remove", title: "Remove Bookmark" }
+  );
+  if (!choice) {
+    return;
+  }
+
+  const { bookmark } = choice;
+  await orgBookmarks.removeBookmark(bookmark.scope, bookmark.key, bookmark.path);
+  vscode.window.showInformationMessage(`🗑️ Removed bookmark "${bookmark.label}".`);
+}
+
+/**
+ * Labels of the sandbox license types, keyed by the names the Tooling API reports
+ * @type {Object<string, string>}
+ */
+const SANDBOX_LICENSE_LABELS = {
+  DEVELOPER: "Developer",
+  DEVELOPER_PRO: "Developer Pro",
+  PARTIAL: "Partial Copy",
+  FULL: "Full Copy",
+};
+
+/**
+ * Sends the sandbox copies in progress
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @returns {void}
+ */
+function postSandboxJobs(webview) {
+  webview.postMessage({
+    command: "sandboxJobs",
+    jobs: sandboxMonitor.getSandboxJobs(),
+  });
+}
+
+/**
+ * Lets the user pick a sandbox definition file from the project's config folder
+ *
+ * @param {string} title - Quick pick title
+ * @returns {Promise<{filePath: string|null}|undefined>} The choice (filePath null for none), or undefined when cancelled
+ * @private
+ */
+async function pickSandboxDefinition(title) {
+  const projectDir = workspaceFolders.getSelectedFolderPath();
+  const definitionFiles = projectDir
+    ? await orgDiscovery.findSandboxDefinitions(projectDir)
+    : [];
+  if (definitionFiles.length === 0) {
+    return { filePath: null };
+  }
+
+  return vscode.window.showQuickPick(
+    [
+      { label: "No definition file", description: "Use the settings entered here", filePath: null },
+      ...definitionFiles.map((filePath) => ({
+        label: path.basename(filePath),
+        description: path.relative(projectDir, path.dirname(filePath)),
+        filePath,
+      })),
+    ],
+    { placeHolder: "Select a sandbox definition file (optional)", title }
+  );
+}
+
+/**
+ * Asks for the name of a new sandbox
+ *
+ * @param {string} title - Input box title
+ * @param {Array<Object>} sandboxes - Existing sandboxes, whose names are taken
+ * @returns {Promise<string|undefined>} The name, or undefined when cancelled
+ * @private
+ */
+function promptForSandboxName(title, sandboxes) {
+  return vscode.window.showInputBox({
+    title,
+    prompt: "Enter the sandbox name (up to 10 letters and digits)",
+    placeHolder: "uat",
+    validateInput: (value) => {
+      try {
+        const name = cliArgs.validateSandboxName(value);
+        if (sandboxes.some((sandbox) => sandbox.name.toLowerCase() === name.toLowerCase())) {
+          return `A sandbox named ${name} already exists`;
+        }
+      } catch (error) {
+        return error.message;
+      }
+      return null;
+    },
+  });
+}
+
+/**
+ * Starts a sandbox copy, follows it in the sandbox monitor and reports the result
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {Object} copy - The copy to start
+ * @param {string} copy.title - Progress notification title
+ * @param {string} copy.operation - "create", "clone" or "refresh"
+ * @param {string} copy.productionOrg - Username of the production org
+ * @param {string|null} [copy.alias] - Alias to suggest when logging in to the sandbox
+ * @param {function(vscode.CancellationToken): Promise<Object>} copy.run - Runs the CLI command
+ * @returns {Promise<void>}
+ * @private
+ */
+async function startSandboxCopy(webview, copy) {
+  const operation = `${copy.operation}Sandbox`;
+  try {
+    const result = await runWithProgress(copy.title, (token, progress) =>
+      runOrgOperation(webview, copy.productionOrg, progress, () => copy.run(token))
+    );
+
+    if (result.success) {
+      await sandboxMonitor.watchSandbox({
+        name: result.sandboxName,
+        productionOrg: copy.productionOrg,
+        operation: copy.operation,
+        alias: copy.alias,
+        status: result.status,
+      });
+      postSandboxJobs(webview);
+      vscode.window.showInformationMessage(
+        `✅ ${result.message}. Copies can take hours; you will be notified when the sandbox is ready.`
+      );
+    } else if (!result.cancelled) {
+      vscode.window.showErrorMessage(`❌ ${result.message}`);
+    }
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation,
+      success: result.success,
+      message: result.message,
+    });
+  } catch (error) {
+    log.error(`Error running ${operation}:`, error);
+    vscode.window.showErrorMessage(`❌ ${copy.title} failed: ${error.message}`);
+
+    webview.postMessage({
+      command: "operationComplete",
+      operation,
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Lists a production org's sandboxes and lets the user pick what to do
+ * Offers a new sandbox, and refresh, clone or log in for each sandbox.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - Username of the production org
+ * @returns {Promise<void>}
+ */
+async function handleChooseSandboxAction(webview, username) {
+  const title = "Sandboxes";
+  const result = await runWithProgress(`Loading the sandboxes of ${username}`, (token) =>
+    operationQueue.runLimited(() => sfdxExecutor.listSandboxes(username, { token }))
+  );
+  if (!result.success) {
+    if (!result.cancelled) {
+      vscode.window.showErrorMessage(`❌ ${result.message}`);
+    }
+    return;
+  }
+
+  // Copies followed by the monitor are more recent than the query
+  const jobs = sandboxMonitor
+    .getSandboxJobs()
+    .filter((job) => job.productionOrg === username);
+  const describeStatus = (sandbox) => {
+    const job = jobs.find((entry) => entry.name.toLowerCase() === sandbox.name.toLowerCase());
+    const status = job && job.status ? job.status : sandbox.status;
+    const progress = job ? job.copyProgress : sandbox.copyProgress;
+    return status !== "Completed" && progress !== null ? `${status} ${progress}%` : status;
+  };
+
+  const sandboxItems = result.sandboxes.map((sandbox) => ({
+    label: sandbox.name,
+    description: `${SANDBOX_LICENSE_LABELS[sandbox.licenseType] || sandbox.licenseType} · ${describeStatus(sandbox)}`,
+    detail: sandbox.lastRefreshed
+      ? `Last refreshed ${new Date(sandbox.lastRefreshed).toLocaleString()}`
+      : "Not refreshed yet",
+    sandbox,
+  }));
+
+  const choice = await vscode.window.showQuickPick(
+    [{ label: "$(add) New Sandbox…", action: "create" }, ...sandboxItems],
+    {
+      placeHolder: sandboxItems.length > 0
+        ? `${sandboxItems.length} sandbox${sandboxItems.length !== 1 ? "es" : ""} of ${username}`
+        : `${username} has no sandboxes yet`,
+      title,
+      matchOnDescription: true,
+    }
+  );
+  if (!choice) {
+    return;
+  }
+  if (choice.action === "create") {
+    await handleCreateSandbox(webview, username, null, result.sandboxes);
+    return;
+  }
+
+  const { sandbox } = choice;
+  const actions = [
+    { label: "Refresh", description: "Replace the sandbox with a new copy of production", action: "refresh" },
+    { label: "Clone", description: "Create a new sandbox from this one", action: "clone" },
+  ];
+  if (sandbox.status === "Completed") {
+    actions.push({ label: "Log In", description: "Authenticate with test.salesforce.com", action: "login" });
+  }
+  const action = await vscode.window.showQuickPick(actions, {
+    placeHolder: `Sandbox ${sandbox.name}`,
+    title,
+  });
+  if (!action) {
+    return;
+  }
+
+  if (action.action === "refresh") {
+    await handleRefreshSandbox(webview, username, sandbox.name);
+  } else if (action.action === "clone") {
+    await handleCreateSandbox(webview, username, sandbox.name, result.sandboxes);
+  } else {
+    await handleAuthenticateNewOrg(webview, null, sfdxExecutor.SANDBOX_LOGIN_URL);
+  }
+}
+
+/**
+ * Creates a sandbox, or clones one when a source sandbox is given
+ * Asks for the name, the license type (not for clones), an optional
+ * definition file and an alias to use when logging in once it is ready.
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - Username of the production org
+ * @param {string|null} [sourceSandbox=null] - Sandbox to clone
+ * @param {Array<Object>} [sandboxes=[]] - Existing sandboxes, whose names are taken
+ * @returns {Promise<void>}
+ */
+async function handleCreateSandbox(webview, username, sourceSandbox = null, sandboxes = []) {
+  const title = sourceSandbox ? `Clone Sandbox ${sourceSandbox}` : "New Sandbox";
+
+  const name = await promptForSandboxName(title, sandboxes);
+  if (name === undefined) {
+    return;
+  }
+
+  let licenseType = null;
+  if (!sourceSandbox) {
+    const { SANDBOX_LICENSE_TYPES } = sfdxExecutor;
+    const license = await vscode.window.showQuickPick(
+      Object.entries(SANDBOX_LICENSE_TYPES).map(([key, value]) => ({
+        label: SANDBOX_LICENSE_LABELS[key],
+        value,
+      })),
+      { placeHolder: "Select the sandbox license type", title }
+    );
+    if (!license) {
+      return;
+    }
+    licenseType = license.value;
+  }
+
+  const definition = await pickSandboxDefinition(title);
+  if (!definition) {
+    return;
+  }
+
+  const alias = await promptForAlias(title, name.trim().toLowerCase());
+  if (alias === undefined) {
+    return;
+  }
+
+  await startSandboxCopy(webview, {
+    title: sourceSandbox
+      ? `Cloning sandbox ${sourceSandbox} to ${name.trim()}`
+      : `Creating sandbox ${name.trim()}`,
+    operation: sourceSandbox ? "clone" : "create",
+    productionOrg: username,
+    alias,
+    run: (token) =>
+      sfdxExecutor.createSandbox(
+        {
+          name,
+          productionOrg: username,
+          licenseType,
+          sourceSandbox,
+          definitionFile: definition.filePath,
+        },
+        { token }
+      ),
+  });
+}
+
+/**
+ * Refreshes a sandbox after confirmation
+ *
+ * @param {vscode.Webview} webview - The webview instance
+ * @param {string} username - Username of the production org
+ * @param {string} sandboxName - The sandbox to refresh
+ * @returns {Promise<void>}
+ */
+async function handleRefreshSandbox(webview, username, sandboxName) {
+  const confirm = await vscode.window.showWarningMessage(
+    `Refresh sandbox ${sandboxName}? Its data and metadata are replaced with a new copy of production. This cannot be undone.`,
+    { modal: true },
+    "Refresh Sandbox"
+  );
+  if (confirm !== "Refresh Sandbox") {
+    return;
+  }
+
+  const definition = await pickSandboxDefinition(`Refresh Sandbox ${sandboxName}`);
+  if (!definition) {
+    return;
+  }
+
+  await startSandboxCopy(webview, {
+    title: `Refreshing sandbox ${sandboxName}`,
+    operation: "refresh",
+    productionOrg: username,
+    alias: null,
+    run: (token) =>
+      sfdxExecutor.refreshSandbox(
+        { name: sandboxName, productionOrg: username, definitionFile: definition.filePath },
+        { token }
+      ),
+  });
+}
+
 module.exports = {
   handleMessage,
 };
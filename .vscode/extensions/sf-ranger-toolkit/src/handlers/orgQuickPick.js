@@ -0,0 +1,195 @@
+/**
+ * Org Quick Pick
+ *
+ * The org picker shared by the palette commands and the status bar: recently
+ * used orgs first, then all others by alias, each with the badges of its
+ * Org Manager tile (default org, Dev Hub, org type, expiry, connection).
+ * The org tree view shows the same badges.
+ * Orgs come from the cached org list, or from the CLI's local files when
+ * nothing is cached, so the picker opens without running the CLI.
+ *
+ * @module orgQuickPick
+ */
+
+const vscode = require("vscode");
+const orgDiscovery = require("../utils/orgDiscovery");
+const orgCache = require("../utils/orgCache");
+const orgMetadata = require("../utils/orgMetadata");
+const orgTypes = require("../utils/orgTypes");
+const workspaceFolders = require("../utils/workspaceFolders");
+const scratchOrgMonitor = require("./scratchOrgMonitor");
+const connectionMonitor = require("./connectionMonitor");
+
+/**
+ * Number of recently used orgs listed first
+ * @type {number}
+ */
+const MAX_RECENT_ORGS = 5;
+
+/**
+ * Badge shown for each org type, also used as its name in the org detail panel
+ * @type {Object<string, string>}
+ */
+const TYPE_BADGES = {
+  [orgTypes.ORG_TYPES.PRODUCTION]: "Production",
+  [orgTypes.ORG_TYPES.SANDBOX]: "Sandbox",
+  [orgTypes.ORG_TYPES.SCRATCH]: "Scratch",
+  [orgTypes.ORG_TYPES.DEVELOPER]: "Developer Edition",
+};
+
+/**
+ * Lists the orgs of the selected workspace folder
+ * The cached list is used when there is one, since it has connection
+ * statuses; otherwise the orgs are read from the CLI's local files.
+ *
+ * @returns {Promise<Array<Object>>} Orgs in the shape returned by listAllOrgs
+ *
+ * @example
+ * const org = (await getKnownOrgs()).find((candidate) => candidate.username === username);
+ */
+async function getKnownOrgs() {
+  const cached = orgCache.getStaleOrgListCache();
+  if (cached) {
+    return cached.orgs;
+  }
+  return orgDiscovery.discoverOrgs({ projectDir: workspaceFolders.getSelectedFolderPath() });
+}
+
+/**
+ * Checks whether the last Verify found the org's login expired
+ *
+ * @param {Object} org - Org from the org list
+ * @returns {boolean} True if the org needs to be reauthenticated
+ */
+function needsReauth(org) {
+  const verification = connectionMonitor.getVerifications()[org.username];
+  return Boolean(
+    verification && verification.state === connectionMonitor.VERIFICATION_STATES.NEEDS_REAUTH
+  );
+}
+
+/**
+ * Lists the badges of an org, as shown on its tile
+ *
+ * @param {Object} org - Org from the org list
+ * @returns {string[]} Badges, e.g. ["Default", "Production"]
+ *
+ * @example
+ * getOrgBadges({ isDefaultUsername: true, isScratchOrg: true, expirationDate: "2026-11-02" });
+ * // ["Default", "Scratch", "Expires in 3 days"]
+ */
+function getOrgBadges(org) {
+  const badges = [];
+  if (org.isDefaultUsername) {
+    badges.push("Default");
+  }
+  if (org.isDefaultDevHubUsername) {
+    badges.push("Default Dev Hub");
+  } else if (org.isDevHub) {
+    badges.push("Dev Hub");
+  }
+
+  const { type } = orgTypes.classifyOrg(org);
+  if (type) {
+    badges.push(TYPE_BADGES[type]);
+  }
+
+  const daysLeft = org.isScratchOrg ? scratchOrgMonitor.getDaysLeft(org) : null;
+  if (daysLeft !== null) {
+    badges.push(daysLeft > 0 ? `Expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"}` : "Expired");
+  }
+
+  // A failed Verify wins over the status from the list, which is "Unknown"
+  // until the CLI reported the connection
+  if (needsReauth(org)) {
+    badges.push("Needs reauth");
+  } else if (org.connectedStatus && !["Connected", "Unknown"].includes(org.connectedStatus)) {
+    badges.push(org.connectedStatus);
+  }
+  return badges;
+}
+
+/**
+ * Builds the quick pick item of an org
+ *
+ * @param {Object} org - Org from the org list
+ * @returns {vscode.QuickPickItem & {org: Object}} The item
+ * @private
+ */
+function toPickItem(org) {
+  const badges = getOrgBadges(org);
+  return {
+    label: `${org.isDefaultUsername ? "$(check)" : "$(cloud)"} ${org.alias || org.username}`,
+    description: org.alias && org.alias !== org.username ? org.username : undefined,
+    detail: badges.length > 0 ? badges.join(" · ") : undefined,
+    org,
+  };
+}
+
+/**
+ * Asks the user to pick an org
+ * The default org of the selected folder is marked with a check.
+ *
+ * @param {Object} [options={}] - Quick pick options
+ * @param {string} [options.title] - Quick pick title
+ * @param {string} [options.placeHolder="Select an org"] - Quick pick placeholder
+ * @param {boolean} [options.includeInactive=false] - Also list expired and deleted scratch orgs
+ * @param {function(Object): boolean} [options.filter] - Lists only the orgs it returns true for
+ * @returns {Promise<Object|undefined>} The picked org, or undefined if there are no orgs or the pick was cancelled
+ *
+ * @example
+ * const org = await pickOrg({ title: "Open Org", placeHolder: "Select the org to open" });
+ * if (org) {
+ *   await provider.runCommand({ command: "openOrg", username: org.username, orgId: org.orgId });
+ * }
+ */
+async function pickOrg(options = {}) {
+  const orgs = (await getKnownOrgs()).filter(
+    (org) =>
+      (options.includeInactive || !scratchOrgMonitor.isInactiveScratchOrg(org)) &&
+      (!options.filter || options.filter(org))
+  );
+  if (orgs.length === 0) {
+    vscode.window.showInformationMessage(
+      options.filter
+        ? "No org can be used for this action."
+        : "No orgs are logged in. Add one from the Org Manager."
+    );
+    return undefined;
+  }
+
+  const metadata = orgMetadata.getOrgMetadata();
+  const lastUsed = (org) => (org.orgId && metadata[org.orgId] && metadata[org.orgId].lastUsed) || 0;
+  const recent = orgs
+    .filter((org) => lastUsed(org) > 0)
+    .sort((a, b) => lastUsed(b) - lastUsed(a))
+    .slice(0, MAX_RECENT_ORGS);
+  const others = orgs
+    .filter((org) => !recent.includes(org))
+    .sort((a, b) => (a.alias || a.username).localeCompare(b.alias || b.username));
+
+  const items = [];
+  if (recent.length > 0) {
+    items.push({ label: "Recently used", kind: vscode.QuickPickItemKind.Separator });
+    recent.forEach((org) => items.push(toPickItem(org)));
+    items.push({ label: "All orgs", kind: vscode.QuickPickItemKind.Separator });
+  }
+  others.forEach((org) => items.push(toPickItem(org)));
+
+  const picked = await vscode.window.showQuickPick(items, {
+    title: options.title,
+    placeHolder: options.placeHolder || "Select an org",
+    matchOnDescription: true,
+    matchOnDetail: true,
+  });
+  return picked ? picked.org : undefined;
+}
+
+module.exports = {
+  getKnownOrgs,
+  getOrgBadges,
+  needsReauth,
+  pickOrg,
+  MAX_RECENT_ORGS,
+  TYPE_BADGES,
+};
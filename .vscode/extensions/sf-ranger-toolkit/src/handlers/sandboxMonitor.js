@@ -0,0 +1,370 @@
+/**
+ * Sandbox Monitor
+ *
+ * Follows sandbox copies started from the Org Manager (create, clone,
+ * refresh). Copies take minutes to days, so each one is polled with
+ * `sf org resume sandbox` every few minutes and kept in the global state
+ * across sessions. When a sandbox is ready, the user is offered to log in
+ * to it.
+ *
+ * The global state is shared by all VS Code windows. Every change re-reads
+ * the saved copies and only changes its own entries, so windows do not
+ * overwrite each other's copies. Only one window polls: it holds a lease in
+ * the global state that it renews on each check, and another window takes
+ * over once the lease runs out (e.g. after the polling window was closed).
+ * The other windows show the progress it saved.
+ *
+ * @module sandboxMonitor
+ */
+
+const crypto = require("crypto");
+const vscode = require("vscode");
+const sfdxExecutor = require("../utils/sfdxCommandExecutor");
+const operationQueue = require("./operationQueue");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("SandboxMonitor");
+
+/**
+ * Global state key of the sandbox copies in progress
+ * @type {string}
+ */
+const STATE_KEY = "sandboxJobs";
+
+/**
+ * Global state key of the lease of the window that polls
+ * @type {string}
+ */
+const LEASE_KEY = "sandboxMonitorLease";
+
+/**
+ * Time between status checks
+ * @type {number}
+ */
+const POLL_INTERVAL_MS = 2 * 60 * 1000;
+
+/**
+ * How long the polling window's lease lasts without being renewed
+ * Two missed checks in a row mean the window is gone.
+ * @type {number}
+ */
+const LEASE_DURATION_MS = 2 * POLL_INTERVAL_MS + 30 * 1000;
+
+/**
+ * Identifies this window in the lease
+ * @type {string}
+ */
+const WINDOW_ID = crypto.randomUUID();
+
+/**
+ * Failed status checks in a row after which a copy is no longer followed
+ * @type {number}
+ */
+const MAX_POLL_FAILURES = 5;
+
+/**
+ * Sandbox statuses that end a copy without a usable sandbox
+ * @type {string[]}
+ */
+const FAILED_STATUSES = ["Stopped", "Deleted", "Deleting"];
+
+/**
+ * Sandbox copies in progress, keyed by "productionOrg/name"
+ * @type {Map<string, {name: string, productionOrg: string, operation: string, alias: string|null, status: string|null, copyProgress: number|null, startedAt: number, failures: number}>}
+ */
+const jobs = new Map();
+
+/**
+ * Where the copies are persisted, or null to keep them in memory only
+ * @type {vscode.Memento|null}
+ */
+let memento = null;
+
+/**
+ * Callbacks passed to startSandboxMonitor
+ * @type {{onProgress?: function(): void, onReady?: function(Object): void}}
+ */
+let callbacks = {};
+
+/**
+ * Whether a check is in progress
+ * @type {boolean}
+ */
+let polling = false;
+
+/**
+ * Key of a sandbox copy in the jobs map
+ *
+ * @param {string} productionOrg - Username of the production org
+ * @param {string} name - The sandbox name
+ * @returns {string} The key
+ * @private
+ */
+function jobKey(productionOrg, name) {
+  return `${productionOrg}/${name.toLowerCase()}`;
+}
+
+/**
+ * Replaces the copies in memory with the ones saved by all windows
+ *
+ * @returns {void}
+ * @private
+ */
+function loadJobs() {
+  jobs.clear();
+  memento.get(STATE_KEY, []).forEach((job) => {
+    jobs.set(jobKey(job.productionOrg, job.name), job);
+  });
+}
+
+/**
+ * Changes the copies in progress and persists them
+ * Starts from the saved copies so changes made by other windows are kept.
+ *
+ * @param {function(Map<string, Object>): void} update - Changes the copies in place
+ * @returns {Promise<void>}
+ * @private
+ */
+async function updateJobs(update) {
+  if (memento) {
+    loadJobs();
+  }
+  update(jobs);
+  if (memento) {
+    await memento.update(STATE_KEY, Array.from(jobs.values()));
+  }
+}
+
+/**
+ * Takes or renews the lease that lets this window poll
+ *
+ * @returns {Promise<boolean>} False if another window holds the lease
+ * @private
+ */
+async function claimLease() {
+  if (!memento) {
+    return true;
+  }
+  const lease = memento.get(LEASE_KEY, null);
+  const now = Date.now();
+  if (lease && lease.owner !== WINDOW_ID && lease.expiresAt > now) {
+    return false;
+  }
+  await memento.update(LEASE_KEY, { owner: WINDOW_ID, expiresAt: now + LEASE_DURATION_MS });
+  return true;
+}
+
+/**
+ * Gives up the lease so another window can take over right away
+ *
+ * @returns {void}
+ * @private
+ */
+function releaseLease() {
+  const lease = memento && memento.get(LEASE_KEY, null);
+  if (lease && lease.owner === WINDOW_ID) {
+    memento.update(LEASE_KEY, undefined);
+  }
+}
+
+/**
+ * Starts following a sandbox copy
+ * A copy of the same sandbox that is already followed is replaced.
+ *
+ * @param {Object} job - The copy
+ * @param {string} job.name - The sandbox name
+ * @param {string} job.productionOrg - Username of the production org
+ * @param {string} job.operation - "create", "clone" or "refresh"
+ * @param {string|null} [job.alias=null] - Alias to suggest when logging in
+ * @param {string|null} [job.status=null] - Status reported when the copy started
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await watchSandbox({ name: "uat", productionOrg: "admin@acme.com", operation: "refresh" });
+ */
+async function watchSandbox(job) {
+  await updateJobs((current) => {
+    current.set(jobKey(job.productionOrg, job.name), {
+      name: job.name,
+      productionOrg: job.productionOrg,
+      operation: job.operation,
+      alias: job.alias || null,
+      status: job.status || null,
+      copyProgress: null,
+      startedAt: Date.now(),
+      failures: 0,
+    });
+  });
+}
+
+/**
+ * Gets the sandbox copies in progress
+ *
+ * @returns {Array<Object>} Copies, oldest first
+ */
+function getSandboxJobs() {
+  return Array.from(jobs.values());
+}
+
+/**
+ * Tells the user a sandbox is ready and offers to log in to it
+ *
+ * @param {Object} job - The finished copy
+ * @returns {void}
+ * @private
+ */
+function notifyReady(job) {
+  const actions = callbacks.onReady ? ["Log In"] : [];
+  Promise.resolve(
+    vscode.window.showInformationMessage(`✅ Sandbox "${job.name}" is ready.`, ...actions)
+  ).then((action) => {
+    if (action === "Log In") {
+      callbacks.onReady(job);
+    }
+  });
+}
+
+/**
+ * Checks the status of one sandbox copy
+ *
+ * @param {string} key - Key of the copy
+ * @param {Object} job - The copy
+ * @returns {Promise<function(Map<string, Object>): void>} Updates or ends the copy
+ * @private
+ */
+async function pollJob(key, job) {
+  const result = await operationQueue.runLimited(() =>
+    sfdxExecutor.resumeSandbox(job.name, job.productionOrg)
+  );
+
+  // Copies another window stopped following in the meantime stay gone
+  const replace = (entry) => (current) => {
+    if (current.has(key)) {
+      current.set(key, entry);
+    }
+  };
+  const remove = (current) => current.delete(key);
+
+  if (!result.success) {
+    const failures = job.failures + 1;
+    log.warn(`Could not check sandbox ${job.name} (${failures}/${MAX_POLL_FAILURES}): ${result.message}`);
+    if (failures >= MAX_POLL_FAILURES) {
+      vscode.window.showWarningMessage(
+        `⚠️ Stopped following sandbox "${job.name}": ${result.message}`
+      );
+      return remove;
+    }
+    return replace({ ...job, failures });
+  }
+
+  if (result.done) {
+    notifyReady(job);
+    return remove;
+  }
+
+  if (FAILED_STATUSES.includes(result.status)) {
+    vscode.window.showWarningMessage(
+      `⚠️ Sandbox "${job.name}" did not finish: its status is ${result.status}.`
+    );
+    return remove;
+  }
+
+  return replace({
+    ...job,
+    status: result.status,
+    copyProgress: result.copyProgress,
+    failures: 0,
+  });
+}
+
+/**
+ * Checks the status of every sandbox copy in progress once
+ * When another window polls, only picks up the progress it saved.
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await pollSandboxes();
+ */
+async function pollSandboxes() {
+  if (polling) {
+    return;
+  }
+  if (memento) {
+    loadJobs();
+  }
+  if (jobs.size === 0) {
+    return;
+  }
+  polling = true;
+
+  try {
+    if (await claimLease()) {
+      const updates = await Promise.all(
+        Array.from(jobs.entries()).map(([key, job]) => pollJob(key, job))
+      );
+      await updateJobs((current) => updates.forEach((update) => update(current)));
+    }
+    if (callbacks.onProgress) {
+      callbacks.onProgress();
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Polls the sandbox copies in progress every POLL_INTERVAL_MS
+ * Copies started in an earlier session or another window are picked up too.
+ *
+ * @param {vscode.Memento} globalState - Keeps the copies in progress across sessions
+ * @param {Object} [options={}] - Callbacks
+ * @param {function(): void} [options.onProgress] - Called after the copies were checked
+ * @param {function(Object): void} [options.onReady] - Logs in to a finished sandbox when the user picks Log In
+ * @returns {vscode.Disposable} Stops polling
+ *
+ * @example
+ * context.subscriptions.push(
+ *   startSandboxMonitor(context.globalState, {
+ *     onReady: (job) => provider.runCommand({ command: "loginSandbox", alias: job.alias }),
+ *   })
+ * );
+ */
+function startSandboxMonitor(globalState, options = {}) {
+  memento = globalState;
+  callbacks = options;
+  loadJobs();
+
+  const interval = setInterval(() => {
+    pollSandboxes().catch((error) => log.error("Sandbox status check failed:", error));
+  }, POLL_INTERVAL_MS);
+
+  return new vscode.Disposable(() => {
+    clearInterval(interval);
+    releaseLease();
+  });
+}
+
+/**
+ * Clears all recorded state
+ * Only used by tests.
+ *
+ * @returns {void}
+ * @private
+ */
+function resetSandboxMonitor() {
+  jobs.clear();
+  memento = null;
+  callbacks = {};
+  polling = false;
+}
+
+module.exports = {
+  watchSandbox,
+  getSandboxJobs,
+  pollSandboxes,
+  startSandboxMonitor,
+  resetSandboxMonitor,
+  POLL_INTERVAL_MS,
+  MAX_POLL_FAILURES,
+};
@@ -0,0 +1,380 @@
+/**
+ * Scratch Org Monitor
+ *
+ * Checks scratch orgs and Dev Hubs in the background, shortly after startup
+ * and then every few hours:
+ * - reminds once per org `scratchOrgReminderDays` days before it expires
+ * - offers to clean up expired scratch orgs still in the org list
+ * - warns when a Dev Hub has `devHubLimitWarningPercent` percent or less
+ *   of its daily scratch org allocation left
+ *
+ * Scratch orgs are read from the CLI's local files, so checks cost no CLI
+ * process; only the Dev Hub limits are fetched with `sf org list limits`.
+ *
+ * @module scratchOrgMonitor
+ */
+
+const vscode = require("vscode");
+const sfdxExecutor = require("../utils/sfdxCommandExecutor");
+const orgDiscovery = require("../utils/orgDiscovery");
+const config = require("../utils/config");
+const operationQueue = require("./operationQueue");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("ScratchOrgMonitor");
+
+/**
+ * Global state key of the reminders already shown
+ * @type {string}
+ */
+const STATE_KEY = "scratchOrgReminders";
+
+/**
+ * Delay before the first check, so startup is not slowed down
+ * @type {number}
+ */
+const STARTUP_DELAY_MS = 60 * 1000;
+
+/**
+ * Time between checks
+ * @type {number}
+ */
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * One day in milliseconds
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Expiration date each org was reminded about, keyed by username
+ * @type {Object<string, string>}
+ */
+let reminders = {};
+
+/**
+ * Where reminders are persisted, or null to keep them in memory only
+ * @type {vscode.Memento|null}
+ */
+let memento = null;
+
+/**
+ * Expired orgs the user was already asked to clean up in this session
+ * @type {Set<string>}
+ */
+const promptedExpiredOrgs = new Set();
+
+/**
+ * Last scratch org limits per Dev Hub username
+ * @type {Map<string, {daily: Object|null, active: Object|null, low: boolean, checkedAt: number}>}
+ */
+const devHubLimits = new Map();
+
+/**
+ * Day (YYYY-MM-DD) each Dev Hub was last warned about, keyed by username
+ * @type {Map<string, string>}
+ */
+const limitWarnings = new Map();
+
+/**
+ * Whether a check is in progress
+ * @type {boolean}
+ */
+let checking = false;
+
+/**
+ * Days until a scratch org expires, rounded up
+ *
+ * @param {Object} org - Org from the org list
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number|null} Days left (0 or less once expired), or null if the org does not expire
+ *
+ * @example
+ * getDaysLeft({ expirationDate: "2026-11-02" }, Date.parse("2026-10-30")); // 3
+ */
+function getDaysLeft(org, now = Date.now()) {
+  const expiresAt = org.expirationDate ? Date.parse(org.expirationDate) : NaN;
+  return Number.isNaN(expiresAt) ? null : Math.ceil((expiresAt - now) / DAY_MS);
+}
+
+/**
+ * Checks whether a scratch org is expired or deleted
+ * The status comes from `sf org list`; orgs read from local files only have
+ * their expiration date.
+ *
+ * @param {Object} org - Org from the org list
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {boolean} True for scratch orgs that can no longer be used
+ */
+function isInactiveScratchOrg(org, now = Date.now()) {
+  if (!org.isScratchOrg) {
+    return false;
+  }
+  if (org.status) {
+    return org.status !== "Active";
+  }
+  const daysLeft = getDaysLeft(org, now);
+  return daysLeft !== null && daysLeft <= 0;
+}
+
+/**
+ * Formats a list of orgs for a notification, e.g. "dev, qa and 2 more"
+ *
+ * @param {Array<Object>} orgs - Orgs to name
+ * @returns {string} Their aliases
+ * @private
+ */
+function formatOrgNames(orgs) {
+  const names = orgs.map((org) => `"${org.alias || org.username}"`);
+  return names.length > 3
+    ? `${names.slice(0, 3).join(", ")} and ${names.length - 3} more`
+    : names.join(", ");
+}
+
+/**
+ * Reminds once per org about scratch orgs that expire soon
+ *
+ * @param {Array<Object>} scratchOrgs - Scratch orgs from the org list
+ * @param {number} now - Current time
+ * @returns {Promise<void>}
+ * @private
+ */
+async function remindExpiringOrgs(scratchOrgs, now) {
+  const reminderDays = config.getScratchOrgReminderDays();
+  if (reminderDays === 0) {
+    return;
+  }
+
+  const expiring = scratchOrgs.filter((org) => {
+    const daysLeft = getDaysLeft(org, now);
+    return (
+      daysLeft !== null &&
+      daysLeft > 0 &&
+      daysLeft <= reminderDays &&
+      reminders[org.username] !== org.expirationDate
+    );
+  });
+
+  // Forget orgs that are gone, so the state does not grow forever
+  const next = {};
+  scratchOrgs.forEach((org) => {
+    if (reminders[org.username] === org.expirationDate) {
+      next[org.username] = org.expirationDate;
+    }
+  });
+  expiring.forEach((org) => {
+    next[org.username] = org.expirationDate;
+  });
+  reminders = next;
+  if (memento) {
+    await memento.update(STATE_KEY, reminders);
+  }
+
+  if (expiring.length === 0) {
+    return;
+  }
+
+  let message;
+  if (expiring.length === 1) {
+    const daysLeft = getDaysLeft(expiring[0], now);
+    message = `⏳ Scratch org ${formatOrgNames(expiring)} expires in ${daysLeft} day${daysLeft !== 1 ? "s" : ""}.`;
+  } else {
+    message = `⏳ ${expiring.length} scratch orgs expire within ${reminderDays} days: ${formatOrgNames(expiring)}.`;
+  }
+
+  Promise.resolve(vscode.window.showInformationMessage(message, "Show Orgs")).then(
+    (action) => {
+      if (action === "Show Orgs") {
+        vscode.commands.executeCommand("sfRangerToolkit.orgManager.focus");
+      }
+    }
+  );
+}
+
+/**
+ * Offers to clean up expired scratch orgs the user was not asked about yet
+ *
+ * @param {Array<Object>} scratchOrgs - Scratch orgs from the org list
+ * @param {number} now - Current time
+ * @param {function(): Promise<void>} [onCleanUp] - Runs the cleanup
+ * @returns {void}
+ * @private
+ */
+function offerCleanUp(scratchOrgs, now, onCleanUp) {
+  const expired = scratchOrgs.filter((org) => isInactiveScratchOrg(org, now));
+  if (!expired.some((org) => !promptedExpiredOrgs.has(org.username))) {
+    return;
+  }
+  expired.forEach((org) => promptedExpiredOrgs.add(org.username));
+
+  const actions = onCleanUp ? ["Clean Up…"] : [];
+  const message =
+    expired.length === 1
+      ? `🧹 Expired scratch org ${formatOrgNames(expired)} is still in the org list.`
+      : `🧹 ${expired.length} expired scratch orgs are still in the org list: ${formatOrgNames(expired)}.`;
+
+  Promise.resolve(vscode.window.showInformationMessage(message, ...actions)).then(
+    (action) => {
+      if (action === "Clean Up…") {
+        onCleanUp().catch((error) => log.error("Scratch org cleanup failed:", error));
+      }
+    }
+  );
+}
+
+/**
+ * Fetches the scratch org limits of each Dev Hub and warns about low ones
+ * Warns once per Dev Hub per day.
+ *
+ * @param {Array<Object>} devHubs - Dev Hubs from the org list
+ * @param {number} now - Current time
+ * @returns {Promise<boolean>} True if any limits were fetched
+ * @private
+ */
+async function checkDevHubLimits(devHubs, now) {
+  const percent = config.getDevHubLimitWarningPercent();
+  if (percent === 0 || devHubs.length === 0) {
+    return false;
+  }
+
+  const today = new Date(now).toISOString().slice(0, 10);
+  let fetched = false;
+
+  await Promise.all(
+    devHubs.map((org) =>
+      operationQueue.runLimited(async () => {
+        const result = await sfdxExecutor.getScratchOrgLimits(org.username);
+        if (!result.success) {
+          log.warn(`Could not get the limits of ${org.username}: ${result.message}`);
+          return;
+        }
+
+        const { daily, active } = result;
+        const low = Boolean(
+          daily && daily.max > 0 && daily.remaining <= Math.ceil((daily.max * percent) / 100)
+        );
+        devHubLimits.set(org.username, { daily, active, low, checkedAt: now });
+        fetched = true;
+
+        if (low && limitWarnings.get(org.username) !== today) {
+          limitWarnings.set(org.username, today);
+          vscode.window.showWarningMessage(
+            `⚠️ Dev Hub "${org.alias || org.username}" has ${daily.remaining} of ${daily.max} daily scratch orgs left.`
+          );
+        }
+      })
+    )
+  );
+
+  return fetched;
+}
+
+/**
+ * Checks scratch org expiration dates and Dev Hub limits once
+ *
+ * @param {Object} [options={}] - Check options
+ * @param {function(): Promise<void>} [options.onCleanUp] - Runs the cleanup when the user picks Clean Up…
+ * @param {function(): void} [options.onLimits] - Called after new Dev Hub limits were fetched
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await checkScratchOrgs({ onCleanUp: () => provider.runCommand({ command: "cleanScratchOrgs" }) });
+ */
+async function checkScratchOrgs(options = {}) {
+  if (checking) {
+    return;
+  }
+  checking = true;
+
+  try {
+    const now = Date.now();
+    const orgs = await orgDiscovery.discoverOrgs();
+    const scratchOrgs = orgs.filter((org) => org.isScratchOrg);
+
+    await remindExpiringOrgs(scratchOrgs, now);
+    offerCleanUp(scratchOrgs, now, options.onCleanUp);
+
+    const fetched = await checkDevHubLimits(
+      orgs.filter((org) => org.isDevHub),
+      now
+    );
+    if (fetched && options.onLimits) {
+      options.onLimits();
+    }
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Gets the last fetched scratch org limits of each Dev Hub
+ *
+ * @returns {Object<string, {daily: Object|null, active: Object|null, low: boolean, checkedAt: number}>} Limits keyed by username
+ */
+function getDevHubLimits() {
+  return Object.fromEntries(devHubLimits);
+}
+
+/**
+ * Checks scratch orgs shortly after startup, then every CHECK_INTERVAL_MS
+ *
+ * @param {vscode.Memento} globalState - Keeps the reminders already shown across sessions
+ * @param {Object} [options={}] - Passed to checkScratchOrgs (onCleanUp, onLimits)
+ * @returns {vscode.Disposable} Stops the timers
+ *
+ * @example
+ * context.subscriptions.push(
+ *   startScratchOrgMonitor(context.globalState, {
+ *     onCleanUp: () => provider.runCommand({ command: "cleanScratchOrgs" }),
+ *   })
+ * );
+ */
+function startScratchOrgMonitor(globalState, options = {}) {
+  memento = globalState;
+  reminders = { ...globalState.get(STATE_KEY, {}) };
+
+  const run = () => {
+    checkScratchOrgs(options).catch((error) =>
+      log.error("Background scratch org check failed:", error)
+    );
+  };
+
+  let interval = null;
+  const timeout = setTimeout(() => {
+    run();
+    interval = setInterval(run, CHECK_INTERVAL_MS);
+  }, STARTUP_DELAY_MS);
+
+  return new vscode.Disposable(() => {
+    clearTimeout(timeout);
+    clearInterval(interval);
+  });
+}
+
+/**
+ * Clears all recorded state
+ * Only used by tests.
+ *
+ * @returns {void}
+ * @private
+ */
+function resetScratchOrgMonitor() {
+  reminders = {};
+  memento = null;
+  promptedExpiredOrgs.clear();
+  devHubLimits.clear();
+  limitWarnings.clear();
+  checking = false;
+}
+
+module.exports = {
+  checkScratchOrgs,
+  getDevHubLimits,
+  getDaysLeft,
+  isInactiveScratchOrg,
+  startScratchOrgMonitor,
+  resetScratchOrgMonitor,
+  STARTUP_DELAY_MS,
+  CHECK_INTERVAL_MS,
+};
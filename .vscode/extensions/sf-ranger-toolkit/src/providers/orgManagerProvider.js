@@ -12,6 +12,20 @@ const orgMessageHandler = require("../handlers/orgMessageHandler");
 const path = require("path");
 const fs = require("fs");
 
+/**
+ * Stand-in webview for commands that run before the view is shown
+ * Errors the view would show are shown as notifications instead.
+ * @type {{postMessage: function(Object): Promise<boolean>}}
+ */
+const DETACHED_WEBVIEW = {
+  postMessage: (message) => {
+    if (message && message.command === "error") {
+      vscode.window.showErrorMessage(`❌ ${message.message}`);
+    }
+    return Promise.resolve(false);
+  },
+};
+
 /**
  * Webview View Provider for Org Manager
  * Manages webview lifecycle, HTML content, and message passing
@@ -119,6 +133,32 @@ class OrgManagerViewProvider {
 </html>`;
   }
 
+  /**
+   * Fetches a fresh org list and sends it to the webview if it is open
+   * Used when orgs change outside the view (e.g., `sf org login web` in a terminal).
+   * The cache shared by all windows is only replaced once the fetch succeeded.
+   *
+   * @returns {Promise<void>}
+   */
+  async refreshOrgs() {
+    await this.runCommand({ command: "refreshOrgs", background: true });
+  }
+
+  /**
+   * Runs an Org Manager command from outside the webview
+   * Results are posted to the view if it is open.
+   *
+   * @param {Object} message - Message in the format the webview sends (command and data)
+   * @returns {Promise<void>}
+   *
+   * @example
+   * provider.runCommand({ command: "verifyConnections", background: true });
+   */
+  runCommand(message) {
+    const webview = this._view ? this._view.webview : DETACHED_WEBVIEW;
+    return orgMessageHandler.handleMessage(webview, message);
+  }
+
   /**
    * Returns the current webview view
    *
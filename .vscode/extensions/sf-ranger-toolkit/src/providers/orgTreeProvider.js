@@ -0,0 +1,352 @@
+/**
+ * Org Tree Provider
+ *
+ * Native tree view of the orgs, an alternative to the Org Manager tiles that
+ * works with VS Code's keyboard navigation, context menus and density
+ * settings. The `sfRangerToolkit.orgView` setting shows the tiles, the tree
+ * or both.
+ *
+ * Orgs are grouped by type like the tiles. Each org node has the org
+ * commands as inline and context menu actions and lists its details (org
+ * ID, instance, expiry) as child nodes. The tree reads the same org cache
+ * as the tiles and redraws when it changes.
+ *
+ * @module orgTreeProvider
+ */
+
+const vscode = require("vscode");
+const orgCache = require("../utils/orgCache");
+const orgMetadata = require("../utils/orgMetadata");
+const orgTypes = require("../utils/orgTypes");
+const workspaceFolders = require("../utils/workspaceFolders");
+const connectionMonitor = require("../handlers/connectionMonitor");
+const scratchOrgMonitor = require("../handlers/scratchOrgMonitor");
+const orgQuickPick = require("../handlers/orgQuickPick");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("OrgTree");
+
+/**
+ * ID of the tree view in package.json
+ * @type {string}
+ */
+const VIEW_ID = "sfRangerToolkit.orgTree";
+
+/**
+ * Command that copies a detail node's value
+ * @type {string}
+ */
+const COPY_DETAIL_COMMAND = "sfRangerToolkit.copyOrgDetail";
+
+/**
+ * Type groups in display order, as in the Org Manager tiles
+ * @type {Array<{key: string, label: string, icon: string}>}
+ */
+const TYPE_GROUPS = [
+  { key: "production", label: "Production", icon: "server-environment" },
+  { key: "sandboxes", label: "Sandboxes", icon: "beaker" },
+  { key: "scratch", label: "Scratch Orgs", icon: "package" },
+  { key: "devhubs", label: "Dev Hubs", icon: "organization" },
+  { key: "other", label: "Other", icon: "cloud" },
+];
+
+/**
+ * How each default org source is described
+ * @type {Object<string, string>}
+ */
+const DEFAULT_SOURCE_LABELS = {
+  local: "this project",
+  global: "global config",
+  environment: "environment variable",
+};
+
+/**
+ * Type group of an org; a Dev Hub is listed under Dev Hubs even in production
+ *
+ * @param {Object} org - Org from the org list
+ * @returns {string} Key of one of TYPE_GROUPS
+ * @private
+ */
+function getGroupKey(org) {
+  if (org.isDevHub || org.isDefaultDevHubUsername) {
+    return "devhubs";
+  }
+  if (org.isScratchOrg) {
+    return "scratch";
+  }
+  const { type, isProduction } = orgTypes.classifyOrg(org);
+  if (isProduction) {
+    return "production";
+  }
+  return type === orgTypes.ORG_TYPES.SANDBOX ? "sandboxes" : "other";
+}
+
+/**
+ * Lists the detail nodes of an org
+ *
+ * @param {Object} org - Org from the org list
+ * @returns {Array<{type: string, username: string, key: string, label: string, value: string}>} Details that are known
+ * @private
+ */
+function getDetails(org) {
+  const details = [
+    { key: "username", label: "Username", value: org.username },
+    { key: "orgId", label: "Org ID", value: org.orgId },
+    { key: "instanceUrl", label: "Instance", value: org.instanceUrl },
+  ];
+
+  if (org.isScratchOrg && org.expirationDate) {
+    const daysLeft = scratchOrgMonitor.getDaysLeft(org);
+    details.push({
+      key: "expirationDate",
+      label: "Expires",
+      value:
+        daysLeft > 0
+          ? `${org.expirationDate} (in ${daysLeft} day${daysLeft === 1 ? "" : "s"})`
+          : `${org.expirationDate} (expired)`,
+    });
+  }
+
+  const verification = connectionMonitor.getVerifications()[org.username];
+  let connection = org.connectedStatus;
+  if (verification) {
+    connection =
+      verification.state === connectionMonitor.VERIFICATION_STATES.NEEDS_REAUTH
+        ? "Needs reauth"
+        : verification.message || "Connected";
+  }
+  details.push({ key: "connection", label: "Connection", value: connection });
+
+  if (org.isDefaultUsername) {
+    details.push({
+      key: "default",
+      label: "Default org",
+      value: DEFAULT_SOURCE_LABELS[org.defaultUsernameSource] || "yes",
+    });
+  }
+
+  const metadata = org.orgId && orgMetadata.getOrgMetadata()[org.orgId];
+  if (metadata && metadata.tags.length > 0) {
+    details.push({ key: "tags", label: "Tags", value: metadata.tags.join(", ") });
+  }
+
+  return details
+    .filter((detail) => detail.value)
+    .map((detail) => ({ ...detail, type: "detail", username: org.username }));
+}
+
+/**
+ * Tree data provider of the org tree
+ * Elements are plain objects: groups, orgs and details. Org elements have a
+ * `username`, so the org commands can be called with them.
+ */
+class OrgTreeProvider {
+  /**
+   * Creates the provider and subscribes to the org data it shows
+   *
+   * @param {Object} [options={}] - Callbacks
+   * @param {function(): Promise<void>} [options.onNeedsOrgs] - Fetches the org list when the cache is empty or expired
+   */
+  constructor(options = {}) {
+    this._onNeedsOrgs = options.onNeedsOrgs || null;
+    this._loading = false;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+    const refresh = () => this.refresh();
+    this._subscriptions = [
+      this._onDidChangeTreeData,
+      orgCache.onDidChangeOrgList(refresh),
+      orgTypes.onDidChangeOrgTypes(refresh),
+      orgMetadata.onDidChangeMetadata(refresh),
+      connectionMonitor.onDidChangeVerifications(refresh),
+      workspaceFolders.onDidSelectFolder(refresh),
+    ];
+  }
+
+  /**
+   * Redraws the whole tree
+   *
+   * @returns {void}
+   */
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  /**
+   * Fetches a fresh org list in the background when the cache has expired
+   * The cache listener redraws the tree once the list is in.
+   *
+   * @returns {void}
+   * @private
+   */
+  _loadOrgsIfExpired() {
+    if (!this._onNeedsOrgs || this._loading || orgCache.getOrgListCache()) {
+      return;
+    }
+
+    this._loading = true;
+    Promise.resolve(this._onNeedsOrgs())
+      .catch((error) => log.error("Could not list orgs for the tree:", error))
+      .finally(() => {
+        this._loading = false;
+      });
+  }
+
+  /**
+   * Gets the children of an element
+   *
+   * @param {Object} [element] - Group or org; undefined for the root
+   * @returns {Promise<Array<Object>>} Groups with orgs, the orgs of a group or the details of an org
+   */
+  async getChildren(element) {
+    if (!element) {
+      this._loadOrgsIfExpired();
+      const orgs = await orgQuickPick.getKnownOrgs();
+      return TYPE_GROUPS.map((group) => ({
+        type: "group",
+        key: group.key,
+        label: group.label,
+        icon: group.icon,
+        orgs: orgs
+          .filter((org) => getGroupKey(org) === group.key)
+          .sort((a, b) => (a.alias || a.username).localeCompare(b.alias || b.username)),
+      })).filter((group) => group.orgs.length > 0);
+    }
+
+    if (element.type === "group") {
+      return element.orgs.map((org) => ({ type: "org", username: org.username, org }));
+    }
+    if (element.type === "org") {
+      return getDetails(element.org);
+    }
+    return [];
+  }
+
+  /**
+   * Builds the tree item of an element
+   *
+   * @param {Object} element - Group, org or detail
+   * @returns {vscode.TreeItem} The tree item
+   */
+  getTreeItem(element) {
+    if (element.type === "group") {
+      const item = new vscode.TreeItem(element.label, vscode.TreeItemCollapsibleState.Expanded);
+      item.id = `group:${element.key}`;
+      item.description = String(element.orgs.length);
+      item.iconPath = new vscode.ThemeIcon(element.icon);
+      item.contextValue = "orgGroup";
+      return item;
+    }
+
+    if (element.type === "org") {
+      return this._getOrgItem(element.org);
+    }
+
+    const item = new vscode.TreeItem(element.label, vscode.TreeItemCollapsibleState.None);
+    item.id = `${element.username}:${element.key}`;
+    item.description = element.value;
+    item.tooltip = element.value;
+    item.contextValue = "orgDetail";
+    return item;
+  }
+
+  /**
+   * Builds the tree item of an org
+   * The context value lists what applies to the org, e.g. "org-production-pinned",
+   * so package.json can show each menu entry only where it applies.
+   *
+   * @param {Object} org - Org from the org list
+   * @returns {vscode.TreeItem} The tree item
+   * @private
+   */
+  _getOrgItem(org) {
+    const item = new vscode.TreeItem(
+      org.alias || org.username,
+      vscode.TreeItemCollapsibleState.Collapsed
+    );
+    const badges = orgQuickPick.getOrgBadges(org);
+    const needsReauth = orgQuickPick.needsReauth(org);
+    const metadata = org.orgId && orgMetadata.getOrgMetadata()[org.orgId];
+    const pinned = Boolean(metadata && metadata.pinned);
+
+    item.id = `org:${org.username}`;
+    item.description = badges.join(" · ");
+    item.tooltip = [org.alias || org.username, org.username, ...badges].join("\n");
+
+    let icon = "cloud";
+    if (needsReauth) {
+      icon = "warning";
+    } else if (org.isDefaultUsername) {
+      icon = "star-full";
+    } else if (pinned) {
+      icon = "pinned";
+    }
+    item.iconPath = new vscode.ThemeIcon(icon);
+
+    const flags = ["org"];
+    if (orgTypes.classifyOrg(org).isProduction) {
+      flags.push("production");
+    }
+    if (org.isScratchOrg) {
+      flags.push("scratch");
+    }
+    if (needsReauth) {
+      flags.push("needsReauth");
+    }
+    if (org.orgId) {
+      flags.push(pinned ? "pinned" : "unpinned");
+    }
+    item.contextValue = flags.join("-");
+    return item;
+  }
+
+  /**
+   * Stops listening to org data changes
+   *
+   * @returns {void}
+   */
+  dispose() {
+    this._subscriptions.forEach((subscription) => subscription.dispose());
+  }
+}
+
+/**
+ * Creates the org tree view and its copy command
+ *
+ * @param {Object} [options={}] - Callbacks
+ * @param {function(): Promise<void>} [options.onNeedsOrgs] - Fetches the org list when the cache is empty or expired
+ * @returns {vscode.Disposable} Removes the view's provider and command
+ *
+ * @example
+ * context.subscriptions.push(
+ *   createOrgTreeView({ onNeedsOrgs: () => provider.runCommand({ command: "listOrgs" }) })
+ * );
+ */
+function createOrgTreeView(options = {}) {
+  const provider = new OrgTreeProvider(options);
+  const treeView = vscode.window.createTreeView(VIEW_ID, {
+    treeDataProvider: provider,
+    showCollapseAll: true,
+  });
+
+  const copyDetail = vscode.commands.registerCommand(COPY_DETAIL_COMMAND, async (element) => {
+    if (!element || element.type !== "detail") {
+      return;
+    }
+    await vscode.env.clipboard.writeText(element.value);
+    vscode.window.showInformationMessage(`✅ ${element.label} copied to clipboard.`);
+  });
+
+  return new vscode.Disposable(() => {
+    copyDetail.dispose();
+    treeView.dispose();
+    provider.dispose();
+  });
+}
+
+module.exports = {
+  OrgTreeProvider,
+  createOrgTreeView,
+  VIEW_ID,
+};
@@ -0,0 +1,368 @@
+/**
+ * CLI Argument Builder
+ *
+ * Builds and validates argument arrays for Salesforce CLI commands.
+ * Every executor operation goes through buildCliArgs so that usernames,
+ * aliases and URLs are passed to the CLI as discrete arguments and never
+ * interpreted by a shell.
+ *
+ * @module cliArgs
+ */
+
+const path = require("path");
+
+/**
+ * Maximum length accepted for usernames and aliases
+ * @type {number}
+ */
+const MAX_VALUE_LENGTH = 255;
+
+/**
+ * Matches ASCII control characters (including NUL, CR and LF)
+ * @type {RegExp}
+ */
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Maximum length accepted for paths opened with `sf org open --path`
+ * @type {number}
+ */
+const MAX_PATH_LENGTH = 2048;
+
+/**
+ * Sandbox names: a letter followed by up to 9 letters or digits
+ * @type {RegExp}
+ */
+const SANDBOX_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{0,9}$/;
+
+/**
+ * sf command words mapped to their legacy sfdx-cli (v7) command
+ * @type {Array<[string[], string]>}
+ */
+const LEGACY_COMMANDS = [
+  [["org", "login", "web"], "auth:web:login"],
+  [["org", "logout"], "auth:logout"],
+  [["org", "display"], "force:org:display"],
+  // Longer commands first: "org list limits" must not match "org list"
+  [["org", "list", "limits"], "force:limits:api:display"],
+  [["org", "list"], "force:org:list"],
+  [["org", "open"], "force:org:open"],
+  [["org", "create", "scratch"], "force:org:create"],
+  [["org", "delete", "scratch"], "force:org:delete"],
+  [["config", "set"], "config:set"],
+  [["config", "unset"], "config:unset"],
+  [["alias", "set"], "alias:set"],
+  [["alias", "unset"], "alias:unset"],
+  [["sobject", "list"], "force:schema:sobject:list"],
+];
+
+/**
+ * sf flag names mapped to their legacy sfdx-cli (v7) names
+ * @type {Object<string, string>}
+ */
+const LEGACY_FLAGS = {
+  "target-org": "targetusername",
+  "target-dev-hub": "targetdevhubusername",
+  "instance-url": "instanceurl",
+  alias: "setalias",
+  "no-prompt": "noprompt",
+  "definition-file": "definitionfile",
+  "duration-days": "durationdays",
+  "set-default": "setdefaultusername",
+  sobject: "sobjecttypecategory",
+  "url-only": "urlonly",
+};
+
+/**
+ * sf config keys mapped to their legacy sfdx-cli (v7) names
+ * @type {Object<string, string>}
+ */
+const LEGACY_CONFIG_KEYS = {
+  "target-org": "defaultusername",
+  "target-dev-hub": "defaultdevhubusername",
+};
+
+/**
+ * Validates a free-form CLI value shared by usernames and aliases
+ *
+ * @param {string} value - The value to validate
+ * @param {string} label - Human readable name used in error messages
+ * @returns {string} The trimmed value
+ * @throws {Error} If the value is empty, too long, looks like a flag or contains control characters
+ * @private
+ */
+function validateValue(value, label) {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new Error(`${label} is required`);
+  }
+
+  const trimmed = value.trim();
+
+  if (trimmed.length > MAX_VALUE_LENGTH) {
+    throw new Error(`${label} must be ${MAX_VALUE_LENGTH} characters or fewer`);
+  }
+  if (CONTROL_CHARS.test(trimmed)) {
+    throw new Error(`${label} must not contain control characters`);
+  }
+  // A leading dash would be parsed by the CLI as a flag
+  if (trimmed.startsWith("-")) {
+    throw new Error(`${label} must not start with "-"`);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validates an org username or alias used with --target-org
+ *
+ * @param {string} username - The org username or alias
+ * @returns {string} The trimmed username
+ * @throws {Error} If the username is invalid
+ *
+ * @example
+ * validateUsername("admin@example.com"); // "admin@example.com"
+ */
+function validateUsername(username) {
+  return validateValue(username, "Username");
+}
+
+/**
+ * Validates an org alias
+ * Spaces and quotes are allowed because arguments never pass through a shell.
+ *
+ * @param {string} alias - The alias to validate
+ * @returns {string} The trimmed alias
+ * @throws {Error} If the alias is invalid
+ *
+ * @example
+ * validateAlias("My Dev Org"); // "My Dev Org"
+ */
+function validateAlias(alias) {
+  const trimmed = validateValue(alias, "Alias");
+
+  if (trimmed.includes("=")) {
+    throw new Error('Alias must not contain "="');
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validates a Salesforce instance or login URL
+ *
+ * @param {string} instanceUrl - The URL to validate
+ * @returns {string} The normalized URL (origin only)
+ * @throws {Error} If the URL is not a valid http(s) URL
+ *
+ * @example
+ * validateInstanceUrl("https://test.salesforce.com/"); // "https://test.salesforce.com"
+ */
+function validateInstanceUrl(instanceUrl) {
+  if (typeof instanceUrl !== "string" || instanceUrl.trim() === "") {
+    throw new Error("Instance URL is required");
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(instanceUrl.trim());
+  } catch {
+    throw new Error(`Invalid instance URL: ${instanceUrl}`);
+  }
+
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+    throw new Error("Instance URL must start with http:// or https://");
+  }
+  if (parsed.username || parsed.password) {
+    throw new Error("Instance URL must not contain credentials");
+  }
+
+  return parsed.origin;
+}
+
+/**
+ * Validates a sandbox name
+ *
+ * @param {string} name - The sandbox name
+ * @returns {string} The trimmed name
+ * @throws {Error} If the name is not 1 to 10 letters and digits starting with a letter
+ *
+ * @example
+ * validateSandboxName("uat"); // "uat"
+ */
+function validateSandboxName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (trimmed === "") {
+    throw new Error("Sandbox name is required");
+  }
+  if (!SANDBOX_NAME_PATTERN.test(trimmed)) {
+    throw new Error(
+      "Sandbox name must start with a letter and have at most 10 letters and digits"
+    );
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validates a path inside an org, opened with `sf org open --path`
+ *
+ * @param {string} orgPath - The path, e.g. "/lightning/setup/SetupOneHome/home"
+ * @returns {string} The trimmed path
+ * @throws {Error} If the path does not start with a single "/", is too long or contains spaces or control characters
+ *
+ * @example
+ * validateOrgPath(" /lightning/o/Account/list "); // "/lightning/o/Account/list"
+ */
+function validateOrgPath(orgPath) {
+  const trimmed = typeof orgPath === "string" ? orgPath.trim() : "";
+  if (trimmed === "") {
+    throw new Error("Path is required");
+  }
+  // "//host" would leave the org's domain
+  if (!trimmed.startsWith("/") || trimmed.startsWith("//")) {
+    throw new Error('Path must start with a single "/", e.g. /lightning/setup/SetupOneHome/home');
+  }
+  if (trimmed.length > MAX_PATH_LENGTH) {
+    throw new Error(`Path must be ${MAX_PATH_LENGTH} characters or fewer`);
+  }
+  if (/\s/.test(trimmed) || CONTROL_CHARS.test(trimmed)) {
+    throw new Error("Path must not contain spaces or control characters");
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validates a file path passed to the CLI, e.g. a scratch org definition file
+ *
+ * @param {string} filePath - The path to validate
+ * @returns {string} The path
+ * @throws {Error} If the path is empty, relative or contains control characters
+ *
+ * @example
+ * validateFilePath("/work/app/config/project-scratch-def.json");
+ */
+function validateFilePath(filePath) {
+  if (typeof filePath !== "string" || filePath.trim() === "") {
+    throw new Error("File path is required");
+  }
+  if (CONTROL_CHARS.test(filePath)) {
+    throw new Error("File path must not contain control characters");
+  }
+  // Relative paths would depend on the folder the CLI runs in
+  if (!path.isAbsolute(filePath)) {
+    throw new Error(`File path must be absolute: ${filePath}`);
+  }
+
+  return filePath;
+}
+
+/**
+ * Builds the argument array for a Salesforce CLI command
+ *
+ * Flags with a value of null, undefined or false are omitted, true adds the
+ * bare flag and strings add the flag followed by the value as a separate
+ * argument. "--json" is always appended.
+ *
+ * @param {string[]} command - Command words (e.g., ["org", "open"])
+ * @param {Object<string, string|boolean|null|undefined>} [flags={}] - Flags keyed by name without dashes
+ * @param {string[]} [positionals=[]] - Positional arguments placed after the command words
+ * @returns {string[]} Argument array to pass to the CLI executable
+ * @throws {Error} If a flag value is not a string or boolean
+ *
+ * @example
+ * buildCliArgs(["org", "open"], { "target-org": "myOrg" });
+ * // Returns: ["org", "open", "--target-org", "myOrg", "--json"]
+ */
+function buildCliArgs(command, flags = {}, positionals = []) {
+  const args = [...command, ...positionals];
+
+  for (const [name, value] of Object.entries(flags)) {
+    if (value === null || value === undefined || value === false) {
+      continue;
+    }
+    if (value === true) {
+      args.push(`--${name}`);
+      continue;
+    }
+    if (typeof value !== "string") {
+      throw new Error(`Invalid value for --${name}: expected a string`);
+    }
+    if (CONTROL_CHARS.test(value)) {
+      throw new Error(`Invalid value for --${name}: control characters`);
+    }
+    args.push(`--${name}`, value);
+  }
+
+  args.push("--json");
+  return args;
+}
+
+/**
+ * Translates an sf argument array to the legacy sfdx-cli (v7) syntax
+ *
+ * @param {string[]} args - Argument array built with buildCliArgs
+ * @returns {string[]} Equivalent argument array for sfdx-cli v7
+ * @throws {Error} If the command has no sfdx-cli equivalent
+ *
+ * @example
+ * toLegacySfdxArgs(["org", "open", "--target-org", "myOrg", "--json"]);
+ * // Returns: ["force:org:open", "--targetusername", "myOrg", "--json"]
+ */
+function toLegacySfdxArgs(args) {
+  const entry = LEGACY_COMMANDS.find(([words]) =>
+    words.every((word, index) => args[index] === word)
+  );
+
+  if (!entry) {
+    const firstFlag = args.findIndex((arg) => arg.startsWith("-"));
+    const words = firstFlag === -1 ? args : args.slice(0, firstFlag);
+    throw new Error(
+      `"sf ${words.join(" ")}" is not supported by sfdx-cli. Install @salesforce/cli.`
+    );
+  }
+
+  const [words, legacyCommand] = entry;
+  const rest = args.slice(words.length);
+  const translated = [legacyCommand];
+  let inPositionals = true;
+
+  for (const arg of rest) {
+    if (arg.startsWith("--")) {
+      inPositionals = false;
+      const name = arg.slice(2);
+      translated.push(`--${LEGACY_FLAGS[name] || name}`);
+      continue;
+    }
+
+    if (inPositionals && legacyCommand === "config:unset" && LEGACY_CONFIG_KEYS[arg]) {
+      // config unset takes bare keys (target-org)
+      translated.push(LEGACY_CONFIG_KEYS[arg]);
+      continue;
+    }
+
+    if (inPositionals && legacyCommand === "config:set" && arg.includes("=")) {
+      // Config keys (target-org=...) were renamed, aliases (name=value) were not
+      const separator = arg.indexOf("=");
+      const key = arg.slice(0, separator);
+      translated.push(`${LEGACY_CONFIG_KEYS[key] || key}${arg.slice(separator)}`);
+      continue;
+    }
+
+    translated.push(arg);
+  }
+
+  return translated;
+}
+
+module.exports = {
+  buildCliArgs,
+  toLegacySfdxArgs,
+  validateUsername,
+  validateAlias,
+  validateFilePath,
+  validateInstanceUrl,
+  validateSandboxName,
+  validateOrgPath,
+  MAX_VALUE_LENGTH,
+};
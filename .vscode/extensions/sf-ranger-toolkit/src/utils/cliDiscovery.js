@@ -0,0 +1,362 @@
+/**
+ * Salesforce CLI Discovery
+ *
+ * Locates the Salesforce CLI executable and reads its version.
+ * Tries the `sfRangerToolkit.cliPath` setting first, then `sf`, then `sfdx`.
+ * The legacy `sfdx-cli` (v7) package is flagged so the executor can translate
+ * arguments to its colon-separated command syntax.
+ *
+ * On Windows, `sf` and `sfdx` are `.cmd` shims, which Node cannot run
+ * without cmd.exe. They are found on PATH with PATHEXT and run through
+ * `cmd.exe /d /s /c` with every argument quoted and escaped for cmd.exe
+ * (the escaping cross-spawn uses), so arguments are still never interpreted
+ * by a shell. `.exe` files are run directly.
+ *
+ * @module cliDiscovery
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const config = require("./config");
+
+/**
+ * Executables tried, in order, when no custom CLI path is configured
+ * @type {string[]}
+ */
+const DEFAULT_CANDIDATES = ["sf", "sfdx"];
+
+/**
+ * Minimum supported version for each CLI package
+ * @type {Object<string, string>}
+ */
+const MINIMUM_VERSIONS = {
+  "@salesforce/cli": "2.0.0",
+  "sfdx-cli": "7.150.0",
+};
+
+/**
+ * Time limit for the `--version` probe in milliseconds
+ * @type {number}
+ */
+const PROBE_TIMEOUT = 30000;
+
+/**
+ * Error code set on errors raised when no CLI executable can be found
+ * @type {string}
+ */
+const CLI_NOT_FOUND_ERROR_CODE = "SF_RANGER_CLI_NOT_FOUND";
+
+/**
+ * Characters cmd.exe treats specially; escaped with ^
+ * @type {RegExp}
+ */
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+/**
+ * Pending or completed detection, shared by all callers until reset
+ * @type {Promise<Object>|null}
+ */
+let cliStatusPromise = null;
+
+/**
+ * Compares two dotted version strings numerically
+ *
+ * @param {string} a - First version (e.g., "2.10.2")
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ *
+ * @example
+ * compareVersions("2.9.0", "2.10.0"); // -1
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split(".").map((part) => parseInt(part, 10) || 0);
+  const partsB = String(b).split(".").map((part) => parseInt(part, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff < 0 ? -1 : 1;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Extracts the CLI package name and version from `--version` output
+ * Handles both the JSON output of current CLIs and the plain text of older ones.
+ *
+ * @param {string} output - stdout of `<cli> --version --json`
+ * @returns {{packageName: string|null, version: string|null}} Parsed package and version
+ *
+ * @example
+ * parseVersionOutput('{"cliVersion":"@salesforce/cli/2.30.8"}');
+ * // Returns: { packageName: "@salesforce/cli", version: "2.30.8" }
+ */
+function parseVersionOutput(output) {
+  let text = output || "";
+
+  try {
+    const data = JSON.parse(text);
+    if (data && typeof data.cliVersion === "string") {
+      text = data.cliVersion;
+    }
+  } catch {
+    // Older CLIs ignore --json and print plain text
+  }
+
+  const match = text.match(/(@salesforce\/cli|sfdx-cli)\/(\d+\.\d+\.\d+)/);
+  if (!match) {
+    return { packageName: null, version: null };
+  }
+
+  return { packageName: match[1], version: match[2] };
+}
+
+/**
+ * Finds a Windows executable the way cmd.exe does: on PATH, trying each
+ * PATHEXT extension when the name has none
+ *
+ * @param {string} executable - Executable name or path, e.g. "sf"
+ * @returns {Promise<string|null>} Full path of the file, or null if there is none
+ * @private
+ */
+async function findWindowsExecutable(executable) {
+  const extensions = (process.env.PATHEXT || ".COM;.EXE;.BAT;.CMD")
+    .split(";")
+    .filter(Boolean)
+    .map((extension) => extension.toLowerCase());
+  const names = path.win32.extname(executable)
+    ? [executable]
+    : extensions.map((extension) => executable + extension);
+  const dirs = /[\\/]/.test(executable)
+    ? [""]
+    : (process.env.PATH || "").split(";").filter(Boolean);
+
+  for (const dir of dirs) {
+    for (const name of names) {
+      const candidate = dir ? path.win32.join(dir, name) : name;
+      try {
+        await fs.promises.access(candidate);
+        return candidate;
+      } catch {
+        // Try the next extension or folder
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Quotes and escapes one argument for a batch file run by cmd.exe
+ * Backslashes before quotes are doubled for the program's argument parser,
+ * and meta characters are escaped twice: once for the command line and
+ * once for the batch file that passes them on.
+ *
+ * @param {string} arg - The argument
+ * @returns {string} The escaped argument
+ * @private
+ */
+function escapeCmdArgument(arg) {
+  let escaped = String(arg);
+  escaped = escaped.replace(/(?=(\\+?)?)\1"/g, '$1$1\\"');
+  escaped = escaped.replace(/(?=(\\+?)?)\1$/, "$1$1");
+  escaped = `"${escaped}"`;
+  escaped = escaped.replace(CMD_META_CHARS, "^$1");
+  return escaped.replace(CMD_META_CHARS, "^$1");
+}
+
+/**
+ * Builds the execFile call that runs the CLI with an argument array
+ * Batch files (the `.cmd` shims of `sf` and `sfdx`) go through cmd.exe on
+ * Windows; everything else runs without a shell.
+ *
+ * @param {string} executable - CLI executable from resolveCli
+ * @param {string[]} args - Argument array
+ * @returns {{file: string, args: string[], options: Object}} What to pass to execFile; merge `options` into the caller's options
+ *
+ * @example
+ * const command = buildSpawnCommand("C:\\npm\\sf.cmd", ["org", "list", "--json"]);
+ * execFile(command.file, command.args, { ...command.options, cwd }, callback);
+ */
+function buildSpawnCommand(executable, args) {
+  if (process.platform !== "win32" || /\.exe$/i.test(executable)) {
+    return { file: executable, args, options: { shell: false } };
+  }
+
+  const commandLine = [
+    executable.replace(CMD_META_CHARS, "^$1"),
+    ...args.map(escapeCmdArgument),
+  ].join(" ");
+  return {
+    file: process.env.comspec || "cmd.exe",
+    args: ["/d", "/s", "/c", `"${commandLine}"`],
+    options: { shell: false, windowsVerbatimArguments: true },
+  };
+}
+
+/**
+ * Runs `<executable> --version --json`
+ * On Windows the executable is looked up on PATH first, so the status holds
+ * the full path of the `.cmd` shim.
+ *
+ * @param {string} candidate - Executable name or absolute path
+ * @returns {Promise<Object|null>} Parsed version info, or null if the executable does not exist
+ * @throws {Error} If the executable exists but cannot be run
+ * @private
+ */
+async function probeCli(candidate) {
+  // cmd.exe reports a missing command as exit code 1, not ENOENT
+  const executable =
+    process.platform === "win32" ? await findWindowsExecutable(candidate) : candidate;
+  if (!executable) {
+    return null;
+  }
+
+  const command = buildSpawnCommand(executable, ["--version", "--json"]);
+  return new Promise((resolve, reject) => {
+    execFile(
+      command.file,
+      command.args,
+      { ...command.options, timeout: PROBE_TIMEOUT },
+      (error, stdout) => {
+        if (error && (error.code === "ENOENT" || error.code === "EACCES")) {
+          resolve(null);
+          return;
+        }
+
+        const info = parseVersionOutput(stdout);
+        if (error && !info.version) {
+          reject(error);
+          return;
+        }
+
+        resolve({ executable, ...info });
+      }
+    );
+  });
+}
+
+/**
+ * Builds the status object for a detected CLI
+ *
+ * @param {Object} info - Result of probeCli
+ * @returns {Object} CLI status with state "ok" or "outdated"
+ * @private
+ */
+function toCliStatus(info) {
+  const name = path.win32.basename(info.executable).toLowerCase();
+  // Without a recognizable version, trust the executable name
+  const legacy = info.packageName
+    ? info.packageName === "sfdx-cli"
+    : name.startsWith("sfdx");
+  const minimumVersion =
+    MINIMUM_VERSIONS[info.packageName || (legacy ? "sfdx-cli" : "@salesforce/cli")];
+  const outdated =
+    Boolean(info.version) && compareVersions(info.version, minimumVersion) < 0;
+
+  return {
+    state: outdated ? "outdated" : "ok",
+    executable: info.executable,
+    packageName: info.packageName,
+    version: info.version,
+    minimumVersion,
+    legacy,
+  };
+}
+
+/**
+ * Detects the Salesforce CLI
+ *
+ * @returns {Promise<Object>} CLI status: { state: "ok"|"outdated"|"missing", executable, version, minimumVersion, legacy, ... }
+ * @private
+ */
+async function detectCli() {
+  const customPath = config.getCliPath();
+  const candidates = customPath ? [customPath] : DEFAULT_CANDIDATES;
+  const errors = [];
+
+  for (const candidate of candidates) {
+    try {
+      const info = await probeCli(candidate);
+      if (info) {
+        return toCliStatus(info);
+      }
+    } catch (error) {
+      errors.push(`${candidate}: ${error.message}`);
+    }
+  }
+
+  return {
+    state: "missing",
+    candidates,
+    customPath,
+    message: errors.length > 0 ? errors.join("; ") : null,
+  };
+}
+
+/**
+ * Gets the detected CLI status
+ * The detection runs once and is shared until resetCliCache is called.
+ *
+ * @param {boolean} [refresh=false] - Run detection again
+ * @returns {Promise<Object>} CLI status
+ *
+ * @example
+ * const status = await getCliStatus();
+ * if (status.state === "missing") { ... }
+ */
+function getCliStatus(refresh = false) {
+  if (refresh || !cliStatusPromise) {
+    cliStatusPromise = detectCli().catch((error) => {
+      cliStatusPromise = null;
+      throw error;
+    });
+  }
+  return cliStatusPromise;
+}
+
+/**
+ * Resolves the CLI executable to run
+ *
+ * @returns {Promise<Object>} CLI status with executable and legacy flag
+ * @throws {Error} With code CLI_NOT_FOUND_ERROR_CODE if no CLI could be found
+ */
+async function resolveCli() {
+  const status = await getCliStatus();
+
+  if (status.state === "missing") {
+    const error = new Error(
+      status.customPath
+        ? `Salesforce CLI not found at ${status.customPath}. Check the sfRangerToolkit.cliPath setting.`
+        : "Salesforce CLI not found. Install it or set sfRangerToolkit.cliPath."
+    );
+    error.code = CLI_NOT_FOUND_ERROR_CODE;
+    throw error;
+  }
+
+  return status;
+}
+
+/**
+ * Forgets the detected CLI so the next call detects it again
+ * Call after the cliPath setting changes or the user installs the CLI.
+ *
+ * @returns {void}
+ */
+function resetCliCache() {
+  cliStatusPromise = null;
+}
+
+module.exports = {
+  getCliStatus,
+  resolveCli,
+  resetCliCache,
+  buildSpawnCommand,
+  compareVersions,
+  parseVersionOutput,
+  MINIMUM_VERSIONS,
+  CLI_NOT_FOUND_ERROR_CODE,
+};
@@ -0,0 +1,207 @@
+/**
+ * CLI State Watcher
+ *
+ * Watches the files in which the Salesforce CLI keeps its state, so the Org
+ * Manager updates when orgs are added, removed or made default from a terminal:
+ * - ~/.sf and ~/.sfdx: auth files (<username>.json), alias.json and global config
+ * - Workspace .sf/config.json and .sfdx/sfdx-config.json: project defaults
+ *
+ * A burst of writes (the CLI writes several files per login) results in one
+ * callback. Any CLI command, including the extension's own `sf org display`
+ * or `sf org list`, rewrites an org's auth file when it refreshes the access
+ * token. The watcher keeps a fingerprint of each auth file without its
+ * access token and ignores rewrites that leave the fingerprint unchanged, so
+ * only logins, logouts and reauthentications refresh the org list.
+ *
+ * While the extension's own CLI commands run, the callback waits until they
+ * have finished, so the org list is read after them.
+ *
+ * @module cliStateWatcher
+ */
+
+const vscode = require("vscode");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sfdxExecutor = require("./sfdxCommandExecutor");
+const { AUTH_FILE_PATTERN } = require("./orgDiscovery");
+const { createLogger } = require("./logger");
+
+const log = createLogger("CliStateWatcher");
+
+/**
+ * Quiet time after the last file event before the callback runs
+ * @type {number}
+ */
+const DEBOUNCE_MS = 1000;
+
+/**
+ * How long after an extension CLI command the callback still waits
+ * @type {number}
+ */
+const SELF_WRITE_GRACE_MS = 2000;
+
+/**
+ * CLI state folders in the user's home directory
+ * @type {string[]}
+ */
+const GLOBAL_STATE_DIRS = [".sf", ".sfdx"];
+
+/**
+ * Auth file fields the CLI rewrites when it refreshes the access token
+ * @type {string[]}
+ */
+const TOKEN_REFRESH_FIELDS = ["accessToken", "instanceApiVersion", "instanceApiVersionLastRetrieved"];
+
+/**
+ * Project config files, relative to a workspace folder
+ * @type {string}
+ */
+const WORKSPACE_CONFIG_GLOB = "**/{.sf/config.json,.sfdx/sfdx-config.json}";
+
+/**
+ * Fingerprints an auth file without the fields a token refresh changes
+ * Tokens are hashed, never kept.
+ *
+ * @param {string} filePath - The auth file
+ * @returns {Promise<string|null>} The fingerprint, or null if the file cannot be read
+ * @private
+ */
+async function fingerprintAuthFile(filePath) {
+  try {
+    const auth = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    TOKEN_REFRESH_FIELDS.forEach((field) => delete auth[field]);
+    const sorted = Object.keys(auth)
+      .sort()
+      .map((key) => [key, auth[key]]);
+    return crypto.createHash("sha256").update(JSON.stringify(sorted)).digest("hex");
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Starts watching CLI state files
+ *
+ * @param {function(): void} onChange - Called once per burst of changes
+ * @returns {vscode.Disposable} Stops watching and cancels a pending callback
+ *
+ * @example
+ * context.subscriptions.push(
+ *   watchCliState(() => orgManagerProvider.refreshOrgs())
+ * );
+ */
+function watchCliState(onChange) {
+  const homeDir = os.homedir();
+  const watchers = [
+    ...GLOBAL_STATE_DIRS.map((dir) =>
+      vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(vscode.Uri.file(path.join(homeDir, dir)), "*.json")
+      )
+    ),
+    vscode.workspace.createFileSystemWatcher(WORKSPACE_CONFIG_GLOB),
+  ];
+
+  let timer = null;
+  let changedFiles = new Set();
+  // Auth file fingerprints by path
+  const fingerprints = new Map();
+
+  GLOBAL_STATE_DIRS.forEach((dir) => {
+    const dirPath = path.join(homeDir, dir);
+    fs.promises
+      .readdir(dirPath)
+      .then((fileNames) =>
+        Promise.all(
+          fileNames
+            .filter((fileName) => AUTH_FILE_PATTERN.test(fileName))
+            .map(async (fileName) => {
+              const filePath = path.join(dirPath, fileName);
+              const fingerprint = await fingerprintAuthFile(filePath);
+              if (fingerprint && !fingerprints.has(filePath)) {
+                fingerprints.set(filePath, fingerprint);
+              }
+            })
+        )
+      )
+      .catch((error) => log.debug(`Could not read ${dirPath}: ${error.message}`));
+  });
+
+  const flush = () => {
+    timer = null;
+    const files = Array.from(changedFiles);
+
+    if (sfdxExecutor.hasRecentCliActivity(SELF_WRITE_GRACE_MS)) {
+      // Keep the changes and try again once the extension's commands are done
+      log.debug(`Waiting for the extension's CLI commands to finish: ${files.join(", ")}`);
+      timer = setTimeout(flush, DEBOUNCE_MS);
+      return;
+    }
+
+    changedFiles = new Set();
+    log.info(`CLI state changed (${files.join(", ")}), refreshing org list`);
+    onChange();
+  };
+
+  const schedule = (uri) => {
+    changedFiles.add(path.basename(uri.fsPath));
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_MS);
+  };
+
+  // Rewrites of an auth file only count when more than its access token changed
+  const scheduleChange = async (uri) => {
+    if (!AUTH_FILE_PATTERN.test(path.basename(uri.fsPath))) {
+      schedule(uri);
+      return;
+    }
+
+    const fingerprint = await fingerprintAuthFile(uri.fsPath);
+    if (fingerprint && fingerprint === fingerprints.get(uri.fsPath)) {
+      log.debug(`Ignoring token refresh in ${path.basename(uri.fsPath)}`);
+      return;
+    }
+    if (fingerprint) {
+      fingerprints.set(uri.fsPath, fingerprint);
+    }
+    schedule(uri);
+  };
+
+  const scheduleCreate = (uri) => {
+    if (AUTH_FILE_PATTERN.test(path.basename(uri.fsPath))) {
+      fingerprintAuthFile(uri.fsPath).then((fingerprint) => {
+        if (fingerprint) {
+          fingerprints.set(uri.fsPath, fingerprint);
+        }
+      });
+    }
+    schedule(uri);
+  };
+
+  const scheduleDelete = (uri) => {
+    fingerprints.delete(uri.fsPath);
+    schedule(uri);
+  };
+
+  const subscriptions = watchers.flatMap((watcher) => [
+    watcher,
+    watcher.onDidCreate(scheduleCreate),
+    watcher.onDidChange(scheduleChange),
+    watcher.onDidDelete(scheduleDelete),
+  ]);
+
+  log.debug(
+    `Watching ${GLOBAL_STATE_DIRS.map((dir) => path.join(homeDir, dir)).join(", ")} and workspace CLI config`
+  );
+
+  return new vscode.Disposable(() => {
+    clearTimeout(timer);
+    subscriptions.forEach((subscription) => subscription.dispose());
+  });
+}
+
+module.exports = {
+  watchCliState,
+  DEBOUNCE_MS,
+};
@@ -11,6 +11,20 @@ const vscode = require("vscode");
 const DEFAULTS = {
   maxBufferSizeMB: 50,
   orgCacheDurationSeconds: 300, // 5 minutes
+  commandTimeoutSeconds: 120, // 2 minutes
+  loginTimeoutSeconds: 600, // 10 minutes for browser logins
+  scratchOrgTimeoutSeconds: 900, // 15 minutes to create a scratch org
+  cliPath: "", // Empty: detect sf, then sfdx, on PATH
+  maxConcurrentCommands: 3,
+  verifyConnectionsIntervalMinutes: 0, // 0: only verify on demand
+  scratchOrgReminderDays: 3, // 0: no expiry reminders
+  devHubLimitWarningPercent: 10, // 0: do not check Dev Hub limits
+  watchedOrgs: [],
+  browser: "default", // "default": the system browser
+  openInPrivateWindow: false,
+  clearClipboardAfterSeconds: 30, // 0: leave copied tokens in the clipboard
+  productionUrlPatterns: [],
+  nonProductionUrlPatterns: [],
 };
 
 function getConfig(key, defaultValue) {
@@ -40,8 +54,128 @@ function getOrgCacheDuration() {
   return seconds * 1000; // Convert to milliseconds
 }
 
+function getCommandTimeout() {
+  const seconds = getConfig(
+    "commandTimeoutSeconds",
+    DEFAULTS.commandTimeoutSeconds
+  );
+  return seconds * 1000; // Convert to milliseconds
+}
+
+function getLoginTimeout() {
+  const seconds = getConfig("loginTimeoutSeconds", DEFAULTS.loginTimeoutSeconds);
+  return seconds * 1000; // Convert to milliseconds
+}
+
+function getScratchOrgTimeout() {
+  const seconds = getConfig(
+    "scratchOrgTimeoutSeconds",
+    DEFAULTS.scratchOrgTimeoutSeconds
+  );
+  return seconds * 1000; // Convert to milliseconds
+}
+
+function getCliPath() {
+  const cliPath = getConfig("cliPath", DEFAULTS.cliPath);
+  return typeof cliPath === "string" && cliPath.trim() ? cliPath.trim() : null;
+}
+
+function getMaxConcurrentCommands() {
+  const count = getConfig(
+    "maxConcurrentCommands",
+    DEFAULTS.maxConcurrentCommands
+  );
+  return Math.max(1, Math.floor(count)); // At least one command must be able to run
+}
+
+function getVerifyConnectionsInterval() {
+  const minutes = getConfig(
+    "verifyConnectionsIntervalMinutes",
+    DEFAULTS.verifyConnectionsIntervalMinutes
+  );
+  const wholeMinutes = Math.floor(minutes);
+  if (!(wholeMinutes > 0)) {
+    return 0;
+  }
+  // Every check runs a CLI command per org: no more often than every 5 minutes, at least daily
+  return Math.min(1440, Math.max(5, wholeMinutes)) * 60 * 1000; // Convert to milliseconds
+}
+
+function getScratchOrgReminderDays() {
+  const days = getConfig(
+    "scratchOrgReminderDays",
+    DEFAULTS.scratchOrgReminderDays
+  );
+  return Math.max(0, Math.floor(days));
+}
+
+function getDevHubLimitWarningPercent() {
+  const percent = getConfig(
+    "devHubLimitWarningPercent",
+    DEFAULTS.devHubLimitWarningPercent
+  );
+  return Math.min(100, Math.max(0, percent));
+}
+
+function getWatchedOrgs() {
+  const watchedOrgs = getConfig("watchedOrgs", DEFAULTS.watchedOrgs);
+  return Array.isArray(watchedOrgs)
+    ? watchedOrgs.filter((org) => typeof org === "string" && org.trim())
+    : [];
+}
+
+function getUrlPatterns(key) {
+  const patterns = getConfig(key, DEFAULTS[key]);
+  return Array.isArray(patterns)
+    ? patterns
+        .filter((pattern) => typeof pattern === "string" && pattern.trim())
+        .map((pattern) => pattern.trim())
+    : [];
+}
+
+function getProductionUrlPatterns() {
+  return getUrlPatterns("productionUrlPatterns");
+}
+
+function getNonProductionUrlPatterns() {
+  return getUrlPatterns("nonProductionUrlPatterns");
+}
+
+function getBrowser() {
+  const browser = getConfig("browser", DEFAULTS.browser);
+  return typeof browser === "string" && browser !== "default" && browser !== ""
+    ? browser
+    : null;
+}
+
+function getOpenInPrivateWindow() {
+  return getConfig("openInPrivateWindow", DEFAULTS.openInPrivateWindow) === true;
+}
+
+function getClearClipboardAfterSeconds() {
+  const seconds = getConfig(
+    "clearClipboardAfterSeconds",
+    DEFAULTS.clearClipboardAfterSeconds
+  );
+  return Math.min(600, Math.max(0, Math.floor(seconds)));
+}
+
 module.exports = {
   getMaxBufferSize,
   getOrgCacheDuration,
+  getCommandTimeout,
+  getLoginTimeout,
+  getScratchOrgTimeout,
+  getCliPath,
+  getMaxConcurrentCommands,
+  getVerifyConnectionsInterval,
+  getScratchOrgReminderDays,
+  getDevHubLimitWarningPercent,
+  getWatchedOrgs,
+  getBrowser,
+  getOpenInPrivateWindow,
+  getClearClipboardAfterSeconds,
+  getProductionUrlPatterns,
+  getNonProductionUrlPatterns,
   DEFAULTS,
 };
@@ -0,0 +1,191 @@
+/**
+ * Extension Logger
+ *
+ * Writes diagnostics to the "SF Ranger Toolkit" output channel.
+ * Uses a VS Code LogOutputChannel, whose level the user controls with
+ * "Developer: Set Log Level...". Access tokens, refresh tokens and
+ * sfdxAuthUrls are removed from every message before it is written.
+ *
+ * Until initializeLogger is called (e.g., in unit tests) messages go to the console.
+ *
+ * @module logger
+ */
+
+const vscode = require("vscode");
+
+/**
+ * Output channel name shown in the Output panel
+ * @type {string}
+ */
+const CHANNEL_NAME = "SF Ranger Toolkit";
+
+/**
+ * Placeholder written in place of secrets
+ * @type {string}
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Patterns for secrets that can appear anywhere in a message
+ * @type {Array<[RegExp, string]>}
+ */
+const SECRET_PATTERNS = [
+  // sfdxAuthUrl: force://<clientId>:<clientSecret>:<refreshToken>@<instance>
+  [/force:\/\/[^\s"'<>]+/gi, `force://${REDACTED}`],
+  // Access tokens / session IDs: <15 or 18 char org ID>!<token>
+  [/\b00D[a-zA-Z0-9]{12,15}![a-zA-Z0-9._-]+/g, REDACTED],
+  // Refresh tokens
+  [/\b5Aep[a-zA-Z0-9._-]{40,}/g, REDACTED],
+  // JSON properties holding secrets
+  [
+    /("(?:accessToken|access_token|refreshToken|refresh_token|sfdxAuthUrl|clientSecret|client_secret|password)"\s*:\s*)"(?:[^"\\]|\\.)*"/gi,
+    `$1"${REDACTED}"`,
+  ],
+  // Query string and form parameters
+  [/\b(access_token|refresh_token|sid|otp|client_secret)=[^&\s"']+/gi, `$1=${REDACTED}`],
+];
+
+/**
+ * Object keys whose values are always redacted
+ * @type {RegExp}
+ */
+const SECRET_KEYS = /^(access_?token|refresh_?token|sfdx_?auth_?url|client_?secret|password)$/i;
+
+/**
+ * The output channel, or null before initializeLogger is called
+ * @type {vscode.LogOutputChannel|null}
+ */
+let channel = null;
+
+/**
+ * Removes access tokens, refresh tokens and sfdxAuthUrls from text
+ *
+ * @param {string} text - Text that may contain secrets
+ * @returns {string} Text with secrets replaced by [REDACTED]
+ *
+ * @example
+ * redact('{"accessToken":"00D5g000004abcd!AQ4AQ..."}');
+ * // Returns: '{"accessToken":"[REDACTED]"}'
+ */
+function redact(text) {
+  return SECRET_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    String(text)
+  );
+}
+
+/**
+ * Converts a log detail (error, object, primitive) to redacted text
+ *
+ * @param {*} detail - The value to format
+ * @returns {string} Formatted text
+ * @private
+ */
+function formatDetail(detail) {
+  if (detail instanceof Error) {
+    return detail.stack || detail.message;
+  }
+  if (detail !== null && typeof detail === "object") {
+    try {
+      return JSON.stringify(detail, (key, value) =>
+        SECRET_KEYS.test(key) && value ? REDACTED : value
+      );
+    } catch {
+      return String(detail);
+    }
+  }
+  return String(detail);
+}
+
+/**
+ * Writes one message to the channel, or to the console before initialization
+ *
+ * @param {string} level - One of trace, debug, info, warn, error
+ * @param {string} scope - Module tag shown in brackets (e.g., "OrgCache")
+ * @param {string} message - The message
+ * @param {Array<*>} details - Extra values appended to the message
+ * @returns {void}
+ * @private
+ */
+function write(level, scope, message, details) {
+  const parts = [`[${scope}] ${message}`, ...details.map(formatDetail)];
+  const text = redact(parts.join(" "));
+
+  if (!channel) {
+    const consoleMethod = level === "trace" || level === "debug" ? "log" : level;
+    console[consoleMethod](text);
+    return;
+  }
+
+  channel[level](text);
+}
+
+/**
+ * Creates the output channel
+ * Called once from extension.activate.
+ *
+ * @param {vscode.ExtensionContext} context - The extension context
+ * @returns {vscode.LogOutputChannel} The created channel
+ */
+function initializeLogger(context) {
+  channel = vscode.window.createOutputChannel(CHANNEL_NAME, { log: true });
+  context.subscriptions.push(channel);
+  return channel;
+}
+
+/**
+ * Reveals the output channel
+ *
+ * @returns {void}
+ */
+function showLog() {
+  if (channel) {
+    channel.show(true);
+  }
+}
+
+/**
+ * Creates a logger that tags every message with a module scope
+ *
+ * @param {string} scope - Module tag (e.g., "OrgManager")
+ * @returns {{trace: Function, debug: Function, info: Function, warn: Function, error: Function}} Scoped logger
+ *
+ * @example
+ * const log = createLogger("OrgCache");
+ * log.info("Cache cleared (v3)");
+ * log.error("Failed to save cache:", error);
+ */
+function createLogger(scope) {
+  const logAt =
+    (level) =>
+    (message, ...details) =>
+      write(level, scope, message, details);
+
+  return {
+    trace: logAt("trace"),
+    debug: logAt("debug"),
+    info: logAt("info"),
+    warn: logAt("warn"),
+    error: logAt("error"),
+  };
+}
+
+/**
+ * Resets the logger to console output
+ * Only used by tests.
+ *
+ * @returns {void}
+ * @private
+ */
+function resetLogger() {
+  channel = null;
+}
+
+module.exports = {
+  initializeLogger,
+  createLogger,
+  showLog,
+  redact,
+  resetLogger,
+  CHANNEL_NAME,
+};
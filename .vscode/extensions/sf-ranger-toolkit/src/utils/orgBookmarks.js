@@ -0,0 +1,189 @@
+/**
+ * Org Bookmarks
+ *
+ * Stores the pages users save to open in an org with `sf org open --path`.
+ * A bookmark belongs either to one org, keyed by org ID like orgMetadata,
+ * or to a tag, so every org with that tag gets it (e.g. a client's custom
+ * app). Persisted in the extension's global state, shared by all
+ * workspaces.
+ *
+ * @module orgBookmarks
+ */
+
+const { validateOrgPath } = require("./cliArgs");
+const { createLogger } = require("./logger");
+
+const log = createLogger("OrgBookmarks");
+
+/**
+ * Global state key of the bookmarks
+ * @type {string}
+ */
+const STATE_KEY = "orgBookmarks";
+
+/**
+ * Maximum length of a bookmark label
+ * @type {number}
+ */
+const MAX_LABEL_LENGTH = 80;
+
+/**
+ * What a bookmark belongs to
+ * @enum {string}
+ */
+const BOOKMARK_SCOPES = {
+  ORG: "org",
+  TAG: "tag",
+};
+
+/**
+ * Bookmarks per org ID and per tag (lower case)
+ * @type {{org: Object<string, Array<{label: string, path: string}>>, tag: Object<string, Array<{label: string, path: string}>>}}
+ */
+let bookmarks = { org: {}, tag: {} };
+
+/**
+ * Where the bookmarks are persisted, or null to keep them in memory only
+ * @type {vscode.Memento|null}
+ */
+let memento = null;
+
+/**
+ * Loads the bookmarks and persists later changes
+ * Called once from activate(). Without it, bookmarks are kept in memory only.
+ *
+ * @param {vscode.Memento} globalState - The extension's global state
+ * @returns {void}
+ *
+ * @example
+ * orgBookmarks.initializeBookmarks(context.globalState);
+ */
+function initializeBookmarks(globalState) {
+  memento = globalState;
+  const saved = globalState.get(STATE_KEY, {});
+  bookmarks = { org: { ...saved.org }, tag: { ...saved.tag } };
+  log.debug(
+    `Loaded bookmarks for ${Object.keys(bookmarks.org).length} orgs and ${Object.keys(bookmarks.tag).length} tags`
+  );
+}
+
+/**
+ * Key of an org or tag in the bookmark map; tags match case-insensitively
+ *
+ * @param {string} scope - One of BOOKMARK_SCOPES
+ * @param {string} key - Org ID or tag
+ * @returns {string} The key
+ * @throws {Error} If the scope is unknown or the key is missing
+ * @private
+ */
+function normalizeKey(scope, key) {
+  if (!Object.values(BOOKMARK_SCOPES).includes(scope)) {
+    throw new Error(`Invalid bookmark scope: ${scope}`);
+  }
+  if (typeof key !== "string" || key === "") {
+    throw new Error(scope === BOOKMARK_SCOPES.ORG ? "Org ID is required" : "Tag is required");
+  }
+  return scope === BOOKMARK_SCOPES.TAG ? key.toLowerCase() : key;
+}
+
+/**
+ * Replaces the bookmarks of one org or tag and persists them
+ * Orgs and tags without bookmarks are removed.
+ *
+ * @param {string} scope - One of BOOKMARK_SCOPES
+ * @param {string} key - Org ID or tag
+ * @param {Array<{label: string, path: string}>} list - The new bookmarks
+ * @returns {Promise<void>}
+ * @private
+ */
+async function saveList(scope, key, list) {
+  const next = { ...bookmarks[scope] };
+  if (list.length > 0) {
+    next[key] = list;
+  } else {
+    delete next[key];
+  }
+
+  bookmarks = { ...bookmarks, [scope]: next };
+  if (memento) {
+    await memento.update(STATE_KEY, bookmarks);
+  }
+}
+
+/**
+ * Gets the bookmarks that apply to an org: its own, then those of its tags
+ *
+ * @param {string|null} orgId - The org ID
+ * @param {string[]} [tags=[]] - The org's tags
+ * @returns {Array<{label: string, path: string, scope: string, key: string}>} Bookmarks; `key` is the org ID or the tag
+ *
+ * @example
+ * getBookmarks("00D000000000001EAA", ["acme"]);
+ * // [{ label: "Invoices", path: "/lightning/o/Invoice__c/list", scope: "tag", key: "acme" }]
+ */
+function getBookmarks(orgId, tags = []) {
+  const result = [];
+  if (orgId) {
+    (bookmarks.org[orgId] || []).forEach((bookmark) =>
+      result.push({ ...bookmark, scope: BOOKMARK_SCOPES.ORG, key: orgId })
+    );
+  }
+  tags.forEach((tag) => {
+    (bookmarks.tag[tag.toLowerCase()] || []).forEach((bookmark) =>
+      result.push({ ...bookmark, scope: BOOKMARK_SCOPES.TAG, key: tag })
+    );
+  });
+  return result;
+}
+
+/**
+ * Adds a bookmark to an org or tag
+ * A bookmark with the same path is replaced, so saving a page again renames it.
+ *
+ * @param {string} scope - One of BOOKMARK_SCOPES
+ * @param {string} key - Org ID or tag
+ * @param {{label: string, path: string}} bookmark - The bookmark
+ * @returns {Promise<void>}
+ * @throws {Error} If the scope, key, label or path is invalid
+ *
+ * @example
+ * await addBookmark(BOOKMARK_SCOPES.TAG, "acme", { label: "Invoices", path: "/lightning/o/Invoice__c/list" });
+ */
+async function addBookmark(scope, key, bookmark) {
+  const normalizedKey = normalizeKey(scope, key);
+  const label = typeof bookmark.label === "string" ? bookmark.label.trim() : "";
+  if (label === "") {
+    throw new Error("Bookmark name is required");
+  }
+  if (label.length > MAX_LABEL_LENGTH) {
+    throw new Error(`Bookmark names must be ${MAX_LABEL_LENGTH} characters or fewer`);
+  }
+  const path = validateOrgPath(bookmark.path);
+
+  const list = (bookmarks[scope][normalizedKey] || []).filter((entry) => entry.path !== path);
+  return saveList(scope, normalizedKey, [...list, { label, path }]);
+}
+
+/**
+ * Removes a bookmark from an org or tag
+ *
+ * @param {string} scope - One of BOOKMARK_SCOPES
+ * @param {string} key - Org ID or tag
+ * @param {string} path - Path of the bookmark to remove
+ * @returns {Promise<void>}
+ * @throws {Error} If the scope or key is invalid
+ */
+async function removeBookmark(scope, key, path) {
+  const normalizedKey = normalizeKey(scope, key);
+  const list = (bookmarks[scope][normalizedKey] || []).filter((entry) => entry.path !== path);
+  return saveList(scope, normalizedKey, list);
+}
+
+module.exports = {
+  initializeBookmarks,
+  getBookmarks,
+  addBookmark,
+  removeBookmark,
+  BOOKMARK_SCOPES,
+  MAX_LABEL_LENGTH,
+};
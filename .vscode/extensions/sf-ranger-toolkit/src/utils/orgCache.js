@@ -5,10 +5,21 @@
  * This significantly improves performance when switching between tabs
  * or refreshing the Org Manager view.
  *
+ * Once initializePersistence is called, the list is also written to a JSON
+ * file in the extension's global storage. The file survives restarts and is
+ * shared by all VS Code windows: a window picks up a newer file written by
+ * another window the next time it reads the cache. Expired entries are kept
+ * so the view can show them while a fresh list is fetched.
+ *
  * @module orgCache
  */
 
+const fs = require("fs");
+const path = require("path");
 const config = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("OrgCache");
 
 /**
  * In-memory cache for org list
@@ -31,9 +42,179 @@ let cacheVersion = 0;
 
 /**
  * Cache operation lock to prevent concurrent modifications
- * @type {boolean}
+ * Tail of the lock queue: each withCacheLock task waits for the previous one
+ * @type {Promise<void>}
+ */
+let cacheLock = Promise.resolve();
+
+/**
+ * Name of the cache file inside the global storage folder
+ * @type {string}
+ */
+const CACHE_FILE_NAME = "org-list-cache.json";
+
+/**
+ * Format of the cache file; files with another format are ignored
+ * @type {number}
+ */
+const CACHE_FILE_FORMAT = 1;
+
+/**
+ * Path of the cache file, or null while persistence is off
+ * @type {string|null}
+ */
+let cacheFilePath = null;
+
+/**
+ * Modification time of the cache file when it was last read or written
+ * @type {number|null}
+ */
+let cacheFileMtime = null;
+
+/**
+ * Listeners called after the org list was cached or cleared
+ * @type {Set<function(): void>}
+ */
+const changeListeners = new Set();
+
+/**
+ * Registers a listener for org list updates and clears
+ * Lists written by other windows are picked up on the next read and do not
+ * call it.
+ *
+ * @param {function(): void} listener - Called after each update or clear
+ * @returns {{dispose: function(): void}} Removes the listener
+ *
+ * @example
+ * context.subscriptions.push(onDidChangeOrgList(() => statusBar.refresh()));
+ */
+function onDidChangeOrgList(listener) {
+  changeListeners.add(listener);
+  return { dispose: () => changeListeners.delete(listener) };
+}
+
+/**
+ * Calls the change listeners; a failing listener does not stop the others
+ *
+ * @returns {void}
+ * @private
+ */
+function notifyChange() {
+  changeListeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (error) {
+      log.error("Org list listener failed:", error);
+    }
+  });
+}
+
+/**
+ * Turns on persistence and loads the list saved by an earlier session
+ * Called once from extension.activate.
+ *
+ * @param {string} storagePath - Folder for the cache file (context.globalStorageUri.fsPath)
+ * @returns {boolean} True if a saved list was loaded
+ */
+function initializePersistence(storagePath) {
+  cacheFilePath = path.join(storagePath, CACHE_FILE_NAME);
+  cacheFileMtime = null;
+  return loadFromDisk();
+}
+
+/**
+ * Loads the cache file if another window (or session) wrote a newer list
+ *
+ * @returns {boolean} True if the in-memory cache was replaced
+ * @private
+ */
+function loadFromDisk() {
+  if (!cacheFilePath) {
+    return false;
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(cacheFilePath);
+    if (mtimeMs === cacheFileMtime) {
+      return false;
+    }
+    cacheFileMtime = mtimeMs;
+
+    const saved = JSON.parse(fs.readFileSync(cacheFilePath, "utf8"));
+    if (
+      saved.format !== CACHE_FILE_FORMAT ||
+      !Array.isArray(saved.orgs) ||
+      typeof saved.timestamp !== "number" ||
+      (cacheTimestamp && saved.timestamp <= cacheTimestamp)
+    ) {
+      return false;
+    }
+
+    cacheVersion++;
+    orgListCache = saved.orgs;
+    cacheTimestamp = saved.timestamp;
+    log.info(
+      `Loaded ${saved.orgs.length} orgs saved at ${new Date(saved.timestamp).toISOString()} (v${cacheVersion})`
+    );
+    return true;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.warn("Could not read the org cache file:", error.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Writes the in-memory cache to the cache file
+ * Writes a temporary file first so other windows never read a partial file.
+ *
+ * @returns {void}
+ * @private
+ */
+function saveToDisk() {
+  if (!cacheFilePath) {
+    return;
+  }
+
+  const tempPath = `${cacheFilePath}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(cacheFilePath), { recursive: true });
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({
+        format: CACHE_FILE_FORMAT,
+        timestamp: cacheTimestamp,
+        orgs: orgListCache,
+      })
+    );
+    fs.renameSync(tempPath, cacheFilePath);
+    cacheFileMtime = fs.statSync(cacheFilePath).mtimeMs;
+  } catch (error) {
+    log.warn("Could not write the org cache file:", error.message);
+  }
+}
+
+/**
+ * Deletes the cache file
+ *
+ * @returns {void}
+ * @private
  */
-let cacheLock = false;
+function deleteFromDisk() {
+  if (!cacheFilePath) {
+    return;
+  }
+
+  try {
+    fs.unlinkSync(cacheFilePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.warn("Could not delete the org cache file:", error.message);
+    }
+  }
+  cacheFileMtime = null;
+}
 
 /**
  * Gets the cache duration from configuration
@@ -64,10 +245,12 @@ function setOrgListCache(orgs) {
 
   orgListCache = orgs;
   cacheTimestamp = timestamp;
+  saveToDisk();
 
-  console.log(
-    `[OrgCache] Cached ${orgs.length} orgs at ${new Date(timestamp).toISOString()} (v${version})`
+  log.info(
+    `Cached ${orgs.length} orgs at ${new Date(timestamp).toISOString()} (v${version})`
   );
+  notifyChange();
 
   return version;
 }
@@ -87,8 +270,10 @@ function setOrgListCache(orgs) {
  * }
  */
 function getOrgListCache() {
+  loadFromDisk();
+
   if (!orgListCache || !cacheTimestamp) {
-    console.log("[OrgCache] No cache available");
+    log.debug("No cache available");
     return null;
   }
 
@@ -97,33 +282,48 @@ function getOrgListCache() {
   const cacheDuration = getCacheDuration();
 
   if (cacheAge > cacheDuration) {
-    // Cache expired
-    console.log(
-      `[OrgCache] Cache expired (age: ${cacheAge}ms, limit: ${cacheDuration}ms)`
+    // Cache expired; the entries stay available through getStaleOrgListCache
+    log.debug(
+      `Cache expired (age: ${cacheAge}ms, limit: ${cacheDuration}ms)`
     );
-    orgListCache = null;
-    cacheTimestamp = null;
     return null;
   }
 
-  console.log(`[OrgCache] Returning cached data (age: ${cacheAge}ms)`);
+  log.debug(`Returning cached data (age: ${cacheAge}ms)`);
   return orgListCache;
 }
 
+/**
+ * Gets the cached org list even if it has expired
+ * Used to show the last known orgs while a fresh list is fetched.
+ *
+ * @returns {{orgs: Array<Object>, timestamp: number}|null} Cached orgs and when they were fetched, or null if empty
+ *
+ * @example
+ * const stale = getStaleOrgListCache();
+ * if (stale) {
+ *   render(stale.orgs, stale.timestamp);
+ * }
+ */
+function getStaleOrgListCache() {
+  loadFromDisk();
+
+  if (!orgListCache || !cacheTimestamp) {
+    return null;
+  }
+  return { orgs: orgListCache, timestamp: cacheTimestamp };
+}
+
 /**
  * Clears the org list cache
- * Should be called after operations that change org state:
- * - Adding new org
- * - Removing org
- * - Setting default org
- * - Explicit user refresh
+ * Also deletes the cache file, so no window has a list to show until the
+ * next fetch succeeds. To show changed orgs, fetch a fresh list instead:
+ * setOrgListCache replaces the cache only when there is a new list.
  *
  * @returns {number} The cache version after clearing
  *
  * @example
- * // After logout operation
- * await logoutOrg(username);
- * clearOrgListCache(); // Force refresh on next load
+ * clearOrgListCache(); // Forget the orgs of every window
  */
 function clearOrgListCache() {
   // Atomic clear: increment version and clear all fields together
@@ -132,8 +332,10 @@ function clearOrgListCache() {
 
   orgListCache = null;
   cacheTimestamp = null;
+  deleteFromDisk();
 
-  console.log(`[OrgCache] Cache cleared (v${version})`);
+  log.info(`Cache cleared (v${version})`);
+  notifyChange();
 
   return version;
 }
@@ -141,9 +343,11 @@ function clearOrgListCache() {
 /**
  * Gets cache statistics for debugging
  *
- * @returns {Object} Cache stats including size, age, and validity
+ * @returns {Object} Cache stats including size, age, timestamp, and validity
  */
 function getCacheStats() {
+  loadFromDisk();
+
   if (!orgListCache || !cacheTimestamp) {
     return {
       cached: false,
@@ -162,6 +366,7 @@ function getCacheStats() {
     cached: true,
     size: orgListCache.length,
     age: age,
+    timestamp: cacheTimestamp,
     ageSeconds: Math.round(age / 1000),
     valid: valid,
     expiresIn: valid ? cacheDuration - age : 0,
@@ -169,6 +374,29 @@ function getCacheStats() {
   };
 }
 
+/**
+ * Runs a task while holding the cache lock
+ * Tasks run one at a time in call order, so a slow org list fetch cannot
+ * overwrite the result of a fetch that was started after it.
+ *
+ * @param {function(): Promise<*>|*} task - The task to run
+ * @returns {Promise<*>} The task result
+ *
+ * @example
+ * await withCacheLock(async () => {
+ *   setOrgListCache(await listAllOrgs());
+ * });
+ */
+function withCacheLock(task) {
+  const run = cacheLock.then(() => task());
+  // Keep the queue going even if this task fails
+  cacheLock = run.then(
+    () => {},
+    () => {}
+  );
+  return run;
+}
+
 /**
  * Gets the current cache version
  * Useful for detecting if cache was updated/cleared
@@ -182,8 +410,12 @@ function getCacheVersion() {
 module.exports = {
   setOrgListCache,
   getOrgListCache,
+  getStaleOrgListCache,
   clearOrgListCache,
   getCacheStats,
   getCacheVersion,
+  withCacheLock,
+  onDidChangeOrgList,
+  initializePersistence,
   getCacheDuration, // Export for external use
 };
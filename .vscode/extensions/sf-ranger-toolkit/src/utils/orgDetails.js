@@ -0,0 +1,163 @@
+/**
+ * Org Details
+ *
+ * Caches what the org detail panel shows about each org (the result of
+ * sfdxCommandExecutor.getOrgDetails), keyed by username, in the extension's
+ * global state. The panel shows the cached details right away and reads
+ * them again from the org when they are older than MAX_AGE_MS or when the
+ * user refreshes. The cache holds no tokens.
+ *
+ * @module orgDetails
+ */
+
+const { createLogger } = require("./logger");
+
+const log = createLogger("OrgDetails");
+
+/**
+ * Global state key of the cached details
+ * @type {string}
+ */
+const STATE_KEY = "orgDetails";
+
+/**
+ * Cached details older than this are read again when the panel opens
+ * Releases and locale settings rarely change, so once a day is enough.
+ * @type {number}
+ */
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Release seasons in the order they ship each year
+ * @type {string[]}
+ */
+const RELEASE_SEASONS = ["Spring", "Summer", "Winter"];
+
+/**
+ * Cached details per username
+ * @type {Object<string, {details: Object, fetchedAt: number}>}
+ */
+let cache = {};
+
+/**
+ * Where the details are persisted, or null to keep them in memory only
+ * @type {vscode.Memento|null}
+ */
+let memento = null;
+
+/**
+ * Loads the cached details and persists later ones
+ * Called once from activate(). Without it, details are kept in memory only.
+ *
+ * @param {vscode.Memento} globalState - The extension's global state
+ * @returns {void}
+ *
+ * @example
+ * orgDetails.initializeOrgDetails(context.globalState);
+ */
+function initializeOrgDetails(globalState) {
+  memento = globalState;
+  cache = { ...globalState.get(STATE_KEY, {}) };
+  log.debug(`Loaded the details of ${Object.keys(cache).length} orgs`);
+}
+
+/**
+ * Gets the cached details of an org
+ *
+ * @param {string} username - The org username
+ * @returns {{details: Object, fetchedAt: number, isStale: boolean}|null} The details,
+ *   when they were read and whether they are older than MAX_AGE_MS, or null if none are cached
+ */
+function getCachedOrgDetails(username) {
+  const entry = cache[username];
+  if (!entry) {
+    return null;
+  }
+  return { ...entry, isStale: Date.now() - entry.fetchedAt > MAX_AGE_MS };
+}
+
+/**
+ * Caches the details read from an org
+ *
+ * @param {string} username - The org username
+ * @param {Object} details - `details` from sfdxExecutor.getOrgDetails
+ * @returns {Promise<void>}
+ * @throws {Error} If the username is missing
+ *
+ * @example
+ * const result = await sfdxExecutor.getOrgDetails(username);
+ * if (result.success) {
+ *   await saveOrgDetails(username, result.details);
+ * }
+ */
+async function saveOrgDetails(username, details) {
+  if (!username) {
+    throw new Error("Username is required");
+  }
+  cache = { ...cache, [username]: { details, fetchedAt: Date.now() } };
+  if (memento) {
+    await memento.update(STATE_KEY, cache);
+  }
+}
+
+/**
+ * Forgets the cached details of an org, e.g. after logging out of it
+ *
+ * @param {string} username - The org username
+ * @returns {Promise<void>}
+ */
+async function forgetOrgDetails(username) {
+  if (!cache[username]) {
+    return;
+  }
+  const { [username]: removed, ...rest } = cache;
+  cache = rest;
+  if (memento) {
+    await memento.update(STATE_KEY, cache);
+  }
+}
+
+/**
+ * Names the release that ships an API version
+ * Every release raises the API version by one: 60.0 is Spring '24, 61.0
+ * Summer '24 and 62.0 Winter '25, which is named after the next year.
+ *
+ * @param {string|null} apiVersion - API version, e.g. "62.0"
+ * @returns {string|null} Release name, e.g. "Winter '25", or null for versions before 20.0
+ *
+ * @example
+ * getReleaseName("63.0"); // "Spring '25"
+ */
+function getReleaseName(apiVersion) {
+  const version = parseInt(apiVersion, 10);
+  if (!(version >= 20)) {
+    return null;
+  }
+
+  const offset = version - 60;
+  const season = RELEASE_SEASONS[((offset % 3) + 3) % 3];
+  const year = 24 + Math.floor(offset / 3) + (season === "Winter" ? 1 : 0);
+  return `${season} '${String(year).padStart(2, "0")}`;
+}
+
+/**
+ * Forgets all cached details
+ * Only used by tests.
+ *
+ * @returns {void}
+ * @private
+ */
+function resetOrgDetails() {
+  cache = {};
+  memento = null;
+}
+
+module.exports = {
+  initializeOrgDetails,
+  getCachedOrgDetails,
+  saveOrgDetails,
+  forgetOrgDetails,
+  getReleaseName,
+  resetOrgDetails,
+  MAX_AGE_MS,
+};
@@ -0,0 +1,480 @@
+/**
+ * Local Org Discovery
+ *
+ * Builds the org list from the files the Salesforce CLI keeps on disk,
+ * without spawning a process or contacting any org:
+ * - ~/.sfdx/<username>.json: one auth file per org
+ * - ~/.sfdx/alias.json and ~/.sf/alias.json: alias map
+ * - ~/.sf/config.json, ~/.sfdx/sfdx-config.json and the project's
+ *   .sf/config.json / .sfdx/sfdx-config.json: default org and Dev Hub
+ * - The project's config/*.json: scratch org and sandbox definition files
+ *
+ * Like the CLI, project config is read from the nearest folder at or above
+ * the workspace folder that contains sfdx-project.json.
+ *
+ * Returns the same org objects as sfdxCommandExecutor.listAllOrgs, except
+ * that connectedStatus is "Unknown" and scratch orgs have no status: only
+ * `sf org list` checks connections and asks the Dev Hub about scratch orgs.
+ * Orgs also carry all their aliases, and default orgs the source of their
+ * setting (environment, project or global config), which `sf org list`
+ * does not report.
+ * getAuthDetails tells how the CLI logged in to an org, for the org detail
+ * panel.
+ * Tokens in the auth files are never read into the returned objects.
+ *
+ * @module orgDiscovery
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLogger } = require("./logger");
+
+const log = createLogger("OrgDiscovery");
+
+/**
+ * Auth file names: <username>.json (same rule the CLI uses)
+ * @type {RegExp}
+ */
+const AUTH_FILE_PATTERN = /^[^.][^@]*@[^.]+(\.[^.\s]+)+\.json$/;
+
+/**
+ * Config keys for the default org and Dev Hub, newest format first
+ * @type {{targetOrg: string[], targetDevHub: string[]}}
+ */
+const CONFIG_KEYS = {
+  targetOrg: ["target-org", "defaultusername"],
+  targetDevHub: ["target-dev-hub", "defaultdevhubusername"],
+};
+
+/**
+ * Environment variables that override the config files, newest format first
+ * @type {{targetOrg: string[], targetDevHub: string[]}}
+ */
+const ENV_KEYS = {
+  targetOrg: ["SF_TARGET_ORG", "SFDX_DEFAULTUSERNAME"],
+  targetDevHub: ["SF_TARGET_DEV_HUB", "SFDX_DEFAULTDEVHUBUSERNAME"],
+};
+
+/**
+ * How the CLI logged in to an org, as told by its auth file
+ * @enum {string}
+ */
+const AUTH_METHODS = {
+  JWT: "JWT bearer flow", // Connected app with a private key
+  REFRESH_TOKEN: "Refresh token", // Web login or SFDX auth URL
+  ACCESS_TOKEN: "Access token only", // No way to get a new token when it expires
+};
+
+/**
+ * Where a default org setting comes from
+ * @enum {string}
+ */
+const DEFAULT_SOURCES = {
+  ENVIRONMENT: "environment", // SF_TARGET_ORG and friends
+  LOCAL: "local", // The project's config
+  GLOBAL: "global", // The user's config
+};
+
+/**
+ * Reads and parses a JSON file
+ *
+ * @param {string} filePath - The file to read
+ * @returns {Promise<Object|null>} Parsed content, or null if missing or invalid
+ * @private
+ */
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.debug(`Skipping ${filePath}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Finds the Salesforce DX project that contains a folder
+ *
+ * @param {string} dir - Folder to start from
+ * @returns {Promise<string|null>} Project root (folder with sfdx-project.json), or null
+ * @private
+ */
+async function findProjectRoot(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    try {
+      await fs.promises.access(path.join(current, "sfdx-project.json"));
+      return current;
+    } catch {
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return null;
+      }
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Reads all auth files
+ *
+ * @param {string} homeDir - The user's home directory
+ * @returns {Promise<Array<Object>>} Parsed auth files that contain a username
+ * @private
+ */
+async function readAuthFiles(homeDir) {
+  const authDir = path.join(homeDir, ".sfdx");
+  let fileNames;
+  try {
+    fileNames = await fs.promises.readdir(authDir);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.warn(`Could not read ${authDir}:`, error.message);
+    }
+    return [];
+  }
+
+  const authFiles = await Promise.all(
+    fileNames
+      .filter((fileName) => AUTH_FILE_PATTERN.test(fileName))
+      .map((fileName) => readJson(path.join(authDir, fileName)))
+  );
+  return authFiles.filter((auth) => auth && typeof auth.username === "string");
+}
+
+/**
+ * Reads the alias map
+ *
+ * @param {string} homeDir - The user's home directory
+ * @returns {Promise<Object<string, string>>} Username for each alias
+ * @private
+ */
+async function readAliases(homeDir) {
+  const aliasFiles = await Promise.all([
+    readJson(path.join(homeDir, ".sfdx", "alias.json")),
+    readJson(path.join(homeDir, ".sf", "alias.json")),
+  ]);
+
+  return aliasFiles.reduce(
+    (aliases, file) => ({ ...aliases, ...(file && file.orgs) }),
+    {}
+  );
+}
+
+/**
+ * Reads the default org and Dev Hub and where each one is set
+ * Environment variables win over project config, which wins over global config.
+ *
+ * @param {string|null} homeDir - The user's home directory; null reads only the project config
+ * @param {string|undefined} projectDir - The workspace folder, if any
+ * @returns {Promise<{targetOrg: Object, targetDevHub: Object}>} For each setting, the configured username or alias and its source (null when not set)
+ * @private
+ */
+async function readDefaults(homeDir, projectDir) {
+  const projectRoot = projectDir ? await findProjectRoot(projectDir) : null;
+  const configPaths = [
+    projectRoot && [path.join(projectRoot, ".sf", "config.json"), DEFAULT_SOURCES.LOCAL],
+    projectRoot && [path.join(projectRoot, ".sfdx", "sfdx-config.json"), DEFAULT_SOURCES.LOCAL],
+    homeDir && [path.join(homeDir, ".sf", "config.json"), DEFAULT_SOURCES.GLOBAL],
+    homeDir && [path.join(homeDir, ".sfdx", "sfdx-config.json"), DEFAULT_SOURCES.GLOBAL],
+  ].filter(Boolean);
+
+  const configs = await Promise.all(
+    configPaths.map(async ([configPath, source]) => ({
+      values: await readJson(configPath),
+      source,
+    }))
+  );
+
+  const find = (setting) => {
+    // Environment variables apply to every folder, not to a project
+    const envName = homeDir && ENV_KEYS[setting].find((name) => process.env[name]);
+    if (envName) {
+      return { value: process.env[envName], source: DEFAULT_SOURCES.ENVIRONMENT };
+    }
+    for (const { values, source } of configs) {
+      const key = values && CONFIG_KEYS[setting].find((candidate) => values[candidate]);
+      if (key) {
+        return { value: values[key], source };
+      }
+    }
+    return { value: null, source: null };
+  };
+
+  return {
+    targetOrg: find("targetOrg"),
+    targetDevHub: find("targetDevHub"),
+  };
+}
+
+/**
+ * Gets the usernames of the default org and Dev Hub for a folder
+ * Same result as the isDefaultUsername / isDefaultDevHubUsername flags
+ * `sf org list` reports when run in that folder.
+ *
+ * @param {Object} [options={}] - Discovery options
+ * @param {string} [options.homeDir] - Home directory (defaults to os.homedir())
+ * @param {string} [options.projectDir] - Workspace folder for project config
+ * @returns {Promise<Object>} defaultUsername and defaultDevHubUsername with aliases resolved, plus defaultUsernameSource and defaultDevHubUsernameSource (DEFAULT_SOURCES, or null when not set)
+ *
+ * @example
+ * const { defaultUsername, defaultUsernameSource } = await getDefaultUsernames({ projectDir: "/path/to/project" });
+ * // defaultUsernameSource: "local"
+ */
+async function getDefaultUsernames(options = {}) {
+  const homeDir = options.homeDir || os.homedir();
+  const [aliases, defaults] = await Promise.all([
+    readAliases(homeDir),
+    readDefaults(homeDir, options.projectDir),
+  ]);
+
+  // Config values may be aliases or usernames
+  const toUsername = (value) => (value && aliases[value]) || value;
+  return {
+    defaultUsername: toUsername(defaults.targetOrg.value),
+    defaultDevHubUsername: toUsername(defaults.targetDevHub.value),
+    defaultUsernameSource: defaults.targetOrg.source,
+    defaultDevHubUsernameSource: defaults.targetDevHub.source,
+  };
+}
+
+/**
+ * Gets the default org and Dev Hub set in a folder's own config
+ *
+ * @param {string} projectDir - The workspace folder
+ * @returns {Promise<{targetOrg: string|null, targetDevHub: string|null}>} Usernames or aliases as configured, or null when not set locally
+ *
+ * @example
+ * const { targetOrg } = await getProjectDefaults("/path/to/project");
+ * // Returns: { targetOrg: "myScratch", targetDevHub: null }
+ */
+async function getProjectDefaults(projectDir) {
+  const defaults = await readDefaults(null, projectDir);
+  return {
+    targetOrg: defaults.targetOrg.value,
+    targetDevHub: defaults.targetDevHub.value,
+  };
+}
+
+/**
+ * Gets all aliases
+ * An org can have several aliases; each alias points to one username.
+ *
+ * @param {Object} [options={}] - Discovery options
+ * @param {string} [options.homeDir] - Home directory (defaults to os.homedir())
+ * @returns {Promise<Object<string, string>>} Username for each alias
+ *
+ * @example
+ * const aliases = await getAliases();
+ * // Returns: { myOrg: "user@example.com", prod: "user@example.com" }
+ */
+function getAliases(options = {}) {
+  return readAliases(options.homeDir || os.homedir());
+}
+
+/**
+ * Reads how the CLI is logged in to an org from its auth file
+ * Only says which credentials the file holds; tokens and keys are never
+ * returned. The file's modification time is returned as is: the CLI
+ * rewrites the file for token refreshes but also for other changes.
+ *
+ * @param {string} username - The org username (not an alias)
+ * @param {Object} [options={}] - Discovery options
+ * @param {string} [options.homeDir] - Home directory (defaults to os.homedir())
+ * @returns {Promise<Object|null>} `authMethod` (AUTH_METHODS), `clientId`, `loginUrl`,
+ *   `instanceApiVersion` and `authFileModifiedAt` (ms), or null if the org has no auth file
+ *
+ * @example
+ * const auth = await getAuthDetails("admin@acme.com");
+ * // { authMethod: "Refresh token", clientId: "PlatformCLI", loginUrl: "https://login.salesforce.com", ... }
+ */
+async function getAuthDetails(username, options = {}) {
+  const fileName = `${username}.json`;
+  if (!AUTH_FILE_PATTERN.test(fileName)) {
+    return null;
+  }
+
+  const filePath = path.join(options.homeDir || os.homedir(), ".sfdx", fileName);
+  const [auth, stats] = await Promise.all([
+    readJson(filePath),
+    fs.promises.stat(filePath).catch(() => null),
+  ]);
+  if (!auth || auth.username !== username) {
+    return null;
+  }
+
+  let authMethod = AUTH_METHODS.ACCESS_TOKEN;
+  if (auth.privateKey) {
+    authMethod = AUTH_METHODS.JWT;
+  } else if (auth.refreshToken) {
+    authMethod = AUTH_METHODS.REFRESH_TOKEN;
+  }
+
+  return {
+    authMethod,
+    clientId: auth.clientId || null,
+    loginUrl: auth.loginUrl || null,
+    instanceApiVersion: auth.instanceApiVersion || null,
+    authFileModifiedAt: stats ? stats.mtimeMs : null,
+  };
+}
+
+/**
+ * Lists the JSON files in a project's config folder
+ *
+ * @param {string} projectDir - The workspace folder
+ * @returns {Promise<string[]>} Absolute paths sorted by file name; empty outside a Salesforce DX project
+ * @private
+ */
+async function listConfigFiles(projectDir) {
+  const projectRoot = await findProjectRoot(projectDir);
+  if (!projectRoot) {
+    return [];
+  }
+
+  const configDir = path.join(projectRoot, "config");
+  let fileNames;
+  try {
+    fileNames = await fs.promises.readdir(configDir);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.warn(`Could not read ${configDir}:`, error.message);
+    }
+    return [];
+  }
+
+  return fileNames
+    .filter((fileName) => fileName.endsWith(".json"))
+    .sort((a, b) => a.localeCompare(b))
+    .map((fileName) => path.join(configDir, fileName));
+}
+
+/**
+ * Lists the files in a project's config folder whose contents match
+ * Files that are not valid JSON are left out.
+ *
+ * @param {string} projectDir - The workspace folder
+ * @param {function(Object): boolean} matches - Tells whether a parsed file is wanted
+ * @returns {Promise<string[]>} Absolute paths sorted by file name
+ * @private
+ */
+async function filterConfigFiles(projectDir, matches) {
+  const filePaths = await listConfigFiles(projectDir);
+  const definitions = await Promise.all(filePaths.map(readJson));
+  return filePaths.filter((filePath, index) => Boolean(definitions[index]) && matches(definitions[index]));
+}
+
+/**
+ * Lists the scratch org definition files of a project
+ * Scratch org and sandbox definition files are kept side by side in config/,
+ * so files that define a sandbox are left out.
+ *
+ * @param {string} projectDir - The workspace folder
+ * @returns {Promise<string[]>} Absolute paths sorted by file name; empty outside a Salesforce DX project
+ *
+ * @example
+ * await findScratchDefinitions("/path/to/project");
+ * // Returns: ["/path/to/project/config/project-scratch-def.json"]
+ */
+async function findScratchDefinitions(projectDir) {
+  return filterConfigFiles(projectDir, (definition) => !isSandboxDefinition(definition));
+}
+
+/**
+ * Lists the sandbox definition files of a project
+ * Only files in config/ with a sandboxName or licenseType key count, so
+ * scratch org definitions kept in the same folder are left out.
+ *
+ * @param {string} projectDir - The workspace folder
+ * @returns {Promise<string[]>} Absolute paths sorted by file name; empty outside a Salesforce DX project
+ *
+ * @example
+ * await findSandboxDefinitions("/path/to/project");
+ * // Returns: ["/path/to/project/config/uat-sandbox-def.json"]
+ */
+async function findSandboxDefinitions(projectDir) {
+  return filterConfigFiles(projectDir, isSandboxDefinition);
+}
+
+/**
+ * Checks whether the contents of a definition file define a sandbox
+ *
+ * @param {Object} definition - Parsed definition file
+ * @returns {boolean} True if it has a sandboxName or licenseType key
+ * @private
+ */
+function isSandboxDefinition(definition) {
+  return typeof definition === "object" && ("sandboxName" in definition || "licenseType" in definition);
+}
+
+/**
+ * Lists authenticated orgs from the CLI's local files
+ *
+ * @param {Object} [options={}] - Discovery options
+ * @param {string} [options.homeDir] - Home directory (defaults to os.homedir())
+ * @param {string} [options.projectDir] - Workspace folder for project config
+ * @returns {Promise<Array<Object>>} Org objects in the shape returned by listAllOrgs
+ *
+ * @example
+ * const orgs = await discoverOrgs({ projectDir: "/path/to/project" });
+ * // Returns: [{ username: "user@example.com", alias: "myOrg", connectedStatus: "Unknown", ... }]
+ */
+async function discoverOrgs(options = {}) {
+  const homeDir = options.homeDir || os.homedir();
+  const [authFiles, aliases, defaults] = await Promise.all([
+    readAuthFiles(homeDir),
+    readAliases(homeDir),
+    getDefaultUsernames({ homeDir, projectDir: options.projectDir }),
+  ]);
+
+  // The first alias per username is the one `sf org list` shows
+  const aliasesByUsername = {};
+  Object.entries(aliases).forEach(([alias, username]) => {
+    (aliasesByUsername[username] = aliasesByUsername[username] || []).push(alias);
+  });
+
+  const orgs = authFiles.map((auth) => ({
+    username: auth.username,
+    alias: (aliasesByUsername[auth.username] || [auth.username])[0],
+    aliases: aliasesByUsername[auth.username] || [],
+    orgId: auth.orgId,
+    instanceUrl: auth.instanceUrl,
+    connectedStatus: "Unknown",
+    isDefaultUsername: auth.username === defaults.defaultUsername,
+    isDefaultDevHubUsername: auth.username === defaults.defaultDevHubUsername,
+    defaultUsernameSource:
+      auth.username === defaults.defaultUsername ? defaults.defaultUsernameSource : null,
+    defaultDevHubUsernameSource:
+      auth.username === defaults.defaultDevHubUsername
+        ? defaults.defaultDevHubUsernameSource
+        : null,
+    isDevHub: Boolean(auth.isDevHub),
+    isScratchOrg: Boolean(auth.isScratch || auth.devHubUsername),
+    expirationDate: auth.expirationDate || null,
+  }));
+
+  // Same order as `sf org list`: non-scratch orgs first, then scratch orgs
+  orgs.sort(
+    (a, b) =>
+      Number(a.isScratchOrg) - Number(b.isScratchOrg) ||
+      a.alias.localeCompare(b.alias)
+  );
+
+  log.debug(`Discovered ${orgs.length} orgs from local CLI files`);
+  return orgs;
+}
+
+module.exports = {
+  discoverOrgs,
+  getDefaultUsernames,
+  getProjectDefaults,
+  getAliases,
+  findScratchDefinitions,
+  findSandboxDefinitions,
+  getAuthDetails,
+  DEFAULT_SOURCES,
+  AUTH_METHODS,
+  AUTH_FILE_PATTERN,
+};
@@ -0,0 +1,194 @@
+/**
+ * Org Metadata
+ *
+ * Stores what the user adds to orgs in the Org Manager: pinned favorites
+ * and free-form tags, plus when each org was last opened (for sorting by
+ * last use). Entries are keyed by org ID, so they survive alias
+ * changes, logouts and re-logins to the same org. Persisted in the
+ * extension's global state, shared by all workspaces.
+ *
+ * @module orgMetadata
+ */
+
+const { createLogger } = require("./logger");
+
+const log = createLogger("OrgMetadata");
+
+/**
+ * Global state key of the metadata
+ * @type {string}
+ */
+const STATE_KEY = "orgMetadata";
+
+/**
+ * Maximum length of one tag
+ * @type {number}
+ */
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Matches ASCII control characters
+ * @type {RegExp}
+ */
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Metadata per org ID
+ * @type {Object<string, {pinned: boolean, tags: string[], lastUsed?: number}>}
+ */
+let metadata = {};
+
+/**
+ * Where the metadata is persisted, or null to keep it in memory only
+ * @type {vscode.Memento|null}
+ */
+let memento = null;
+
+/**
+ * Listeners called after an org's metadata changed
+ * @type {Set<function(): void>}
+ */
+const changeListeners = new Set();
+
+/**
+ * Loads the metadata and persists later changes
+ * Called once from activate(). Without it, metadata is kept in memory only.
+ *
+ * @param {vscode.Memento} globalState - The extension's global state
+ * @returns {void}
+ *
+ * @example
+ * orgMetadata.initializeMetadata(context.globalState);
+ */
+function initializeMetadata(globalState) {
+  memento = globalState;
+  metadata = { ...globalState.get(STATE_KEY, {}) };
+  log.debug(`Loaded metadata for ${Object.keys(metadata).length} orgs`);
+}
+
+/**
+ * Gets the metadata of all orgs
+ *
+ * @returns {Object<string, {pinned: boolean, tags: string[], lastUsed?: number}>} Metadata keyed by org ID
+ */
+function getOrgMetadata() {
+  return metadata;
+}
+
+/**
+ * Updates one org's metadata and persists it
+ * Entries without a pin, tags or last use are removed.
+ *
+ * @param {string} orgId - The org ID
+ * @param {Object} changes - Fields to change (pinned, tags, lastUsed)
+ * @returns {Promise<void>}
+ * @throws {Error} If the org ID is missing
+ * @private
+ */
+async function updateOrg(orgId, changes) {
+  if (typeof orgId !== "string" || orgId === "") {
+    throw new Error("Org ID is required");
+  }
+
+  const entry = { pinned: false, tags: [], ...metadata[orgId], ...changes };
+  const next = { ...metadata };
+  if (entry.pinned || entry.tags.length > 0 || entry.lastUsed) {
+    next[orgId] = entry;
+  } else {
+    delete next[orgId];
+  }
+
+  metadata = next;
+  if (memento) {
+    await memento.update(STATE_KEY, metadata);
+  }
+  changeListeners.forEach((listener) => listener());
+}
+
+/**
+ * Registers a listener for pin, tag and last use changes
+ *
+ * @param {function(): void} listener - Called after each change
+ * @returns {{dispose: function(): void}} Removes the listener
+ */
+function onDidChangeMetadata(listener) {
+  changeListeners.add(listener);
+  return { dispose: () => changeListeners.delete(listener) };
+}
+
+/**
+ * Pins or unpins an org
+ *
+ * @param {string} orgId - The org ID
+ * @param {boolean} pinned - Whether the org is pinned
+ * @returns {Promise<void>}
+ * @throws {Error} If the org ID is missing
+ */
+function setPinned(orgId, pinned) {
+  return updateOrg(orgId, { pinned: Boolean(pinned) });
+}
+
+/**
+ * Replaces an org's tags
+ *
+ * @param {string} orgId - The org ID
+ * @param {string[]} tags - Tags, already validated with parseTags
+ * @returns {Promise<void>}
+ * @throws {Error} If the org ID is missing
+ */
+function setTags(orgId, tags) {
+  return updateOrg(orgId, { tags: [...tags] });
+}
+
+/**
+ * Records that an org was just used, e.g. opened in the browser
+ *
+ * @param {string} orgId - The org ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the org ID is missing
+ */
+function recordUse(orgId) {
+  return updateOrg(orgId, { lastUsed: Date.now() });
+}
+
+/**
+ * Parses comma-separated tags as typed by the user
+ * Tags are trimmed; empty tags and case-insensitive duplicates are dropped.
+ *
+ * @param {string} input - E.g. "acme, uat, Acme"
+ * @returns {string[]} Tags in the order typed
+ * @throws {Error} If a tag is too long or contains control characters
+ *
+ * @example
+ * parseTags("acme, uat, Acme"); // ["acme", "uat"]
+ */
+function parseTags(input) {
+  const tags = [];
+  String(input || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean)
+    .forEach((tag) => {
+      if (tag.length > MAX_TAG_LENGTH) {
+        throw new Error(`Tags must be ${MAX_TAG_LENGTH} characters or fewer`);
+      }
+      if (CONTROL_CHARS.test(tag)) {
+        throw new Error("Tags must not contain control characters");
+      }
+      if (!tags.some((existing) => existing.toLowerCase() === tag.toLowerCase())) {
+        tags.push(tag);
+      }
+    });
+  return tags;
+}
+
+module.exports = {
+  initializeMetadata,
+  getOrgMetadata,
+  onDidChangeMetadata,
+  setPinned,
+  setTags,
+  recordUse,
+  parseTags,
+  MAX_TAG_LENGTH,
+};
@@ -0,0 +1,269 @@
+/**
+ * Org Types
+ *
+ * Tells production orgs from sandboxes, scratch orgs and Developer Edition
+ * orgs. The answer comes from the org's Organization record (IsSandbox,
+ * OrganizationType and TrialExpirationDate), read once per org ID and persisted in the extension's
+ * global state, since an org never changes type. The productionUrlPatterns
+ * and nonProductionUrlPatterns settings override it by instance URL. Orgs
+ * that were not read yet fall back to the enhanced domain names, which
+ * include the org type; any other URL is treated as unknown rather than
+ * guessed.
+ *
+ * @module orgTypes
+ */
+
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("OrgTypes");
+
+/**
+ * Global state key of the detected types
+ * @type {string}
+ */
+const STATE_KEY = "orgTypes";
+
+/**
+ * Kinds of orgs
+ * @enum {string}
+ */
+const ORG_TYPES = {
+  PRODUCTION: "production",
+  SANDBOX: "sandbox",
+  SCRATCH: "scratch",
+  DEVELOPER: "developer",
+};
+
+/**
+ * Where a classification comes from
+ * @enum {string}
+ */
+const ORG_TYPE_SOURCES = {
+  SETTING: "setting",
+  CLI: "cli",
+  ORG: "org",
+  URL: "url",
+};
+
+/**
+ * Instance URLs whose host names tell the org type
+ * @type {Array<{pattern: RegExp, type: string}>}
+ */
+const URL_TYPES = [
+  { pattern: /\.scratch\.my\.salesforce\.com$/, type: ORG_TYPES.SCRATCH },
+  { pattern: /\.sandbox\.my\.salesforce\.com$/, type: ORG_TYPES.SANDBOX },
+  { pattern: /^cs\d+\.(my\.)?salesforce\.com$/, type: ORG_TYPES.SANDBOX },
+  { pattern: /\.develop\.my\.salesforce\.com$/, type: ORG_TYPES.DEVELOPER },
+];
+
+/**
+ * Detected type per org ID
+ * @type {Object<string, {type: string, organizationType: string|null, checkedAt: number}>}
+ */
+let types = {};
+
+/**
+ * Where the types are persisted, or null to keep them in memory only
+ * @type {vscode.Memento|null}
+ */
+let memento = null;
+
+/**
+ * Listeners called after a type was detected
+ * @type {Set<function(): void>}
+ */
+const changeListeners = new Set();
+
+/**
+ * Loads the detected types and persists later ones
+ * Called once from activate(). Without it, types are kept in memory only.
+ *
+ * @param {vscode.Memento} globalState - The extension's global state
+ * @returns {void}
+ *
+ * @example
+ * orgTypes.initializeOrgTypes(context.globalState);
+ */
+function initializeOrgTypes(globalState) {
+  memento = globalState;
+  types = { ...globalState.get(STATE_KEY, {}) };
+  log.debug(`Loaded the types of ${Object.keys(types).length} orgs`);
+}
+
+/**
+ * Records the type read from an org's Organization record
+ *
+ * @param {string} orgId - The org ID
+ * @param {Object} organization - Result of sfdxExecutor.getOrganizationInfo
+ * @param {boolean} organization.isSandbox - Organization.IsSandbox
+ * @param {string|null} organization.organizationType - Organization.OrganizationType, e.g. "Enterprise Edition"
+ * @param {string|null} [organization.trialExpirationDate] - Organization.TrialExpirationDate, set for scratch orgs
+ * @param {boolean} [organization.isScratchOrg] - True if the CLI knows the org as a scratch org
+ * @returns {Promise<string>} One of ORG_TYPES
+ * @throws {Error} If the org ID is missing
+ *
+ * @example
+ * await recordOrgType("00D000000000001EAA", { isSandbox: false, organizationType: "Enterprise Edition" });
+ * // "production"
+ */
+async function recordOrgType(orgId, organization) {
+  if (!orgId) {
+    throw new Error("Org ID is required");
+  }
+
+  let type = ORG_TYPES.PRODUCTION;
+  if (organization.isSandbox) {
+    type = ORG_TYPES.SANDBOX;
+  } else if (organization.isScratchOrg || organization.trialExpirationDate) {
+    // Scratch orgs report the edition of their definition, e.g. Enterprise Edition
+    type = ORG_TYPES.SCRATCH;
+  } else if (organization.organizationType === "Developer Edition") {
+    type = ORG_TYPES.DEVELOPER;
+  }
+
+  types = {
+    ...types,
+    [orgId]: {
+      type,
+      organizationType: organization.organizationType || null,
+      checkedAt: Date.now(),
+    },
+  };
+  if (memento) {
+    await memento.update(STATE_KEY, types);
+  }
+  changeListeners.forEach((listener) => listener());
+  return type;
+}
+
+/**
+ * Registers a listener for newly detected org types
+ *
+ * @param {function(): void} listener - Called after each recordOrgType
+ * @returns {{dispose: function(): void}} Removes the listener
+ */
+function onDidChangeOrgTypes(listener) {
+  changeListeners.add(listener);
+  return { dispose: () => changeListeners.delete(listener) };
+}
+
+/**
+ * Checks whether an org's type still has to be read from the org
+ * Scratch orgs are known from the CLI, and orgs without an ID cannot be cached.
+ *
+ * @param {Object} org - Org from the org list
+ * @returns {boolean} True if getOrganizationInfo should be called for the org
+ */
+function needsDetection(org) {
+  return Boolean(org.orgId) && !org.isScratchOrg && !types[org.orgId];
+}
+
+/**
+ * Checks an instance URL against a pattern from the settings
+ * `*` matches any characters. Patterns without a scheme are matched against
+ * the host name only.
+ *
+ * @param {string} instanceUrl - The org's instance URL
+ * @param {string} pattern - Pattern such as "*.acme-prod.my.salesforce.com"
+ * @returns {boolean} True if the URL matches
+ * @private
+ */
+function matchesUrlPattern(instanceUrl, pattern) {
+  const expression = pattern
+    .toLowerCase()
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, "\\$&"))
+    .join(".*");
+
+  let subject = instanceUrl.toLowerCase().replace(/\/+$/, "");
+  if (!pattern.includes("://")) {
+    try {
+      subject = new URL(instanceUrl).hostname.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+  }
+  return new RegExp(`^${expression}/?$`).test(subject);
+}
+
+/**
+ * Type told by an enhanced domain instance URL
+ *
+ * @param {string} instanceUrl - The org's instance URL
+ * @returns {string|null} One of ORG_TYPES, or null if the URL does not tell
+ * @private
+ */
+function typeFromUrl(instanceUrl) {
+  let hostname;
+  try {
+    hostname = new URL(instanceUrl).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+  const match = URL_TYPES.find(({ pattern }) => pattern.test(hostname));
+  return match ? match.type : null;
+}
+
+/**
+ * Tells what kind of org an org is
+ *
+ * @param {Object} org - Org from the org list (orgId, instanceUrl, isScratchOrg)
+ * @returns {{type: string|null, isProduction: boolean|null, source: string|null}}
+ *   `type` is one of ORG_TYPES and `source` one of ORG_TYPE_SOURCES; both are
+ *   null and isProduction is null when the type is unknown
+ *
+ * @example
+ * classifyOrg({ orgId: "00D000000000001EAA", instanceUrl: "https://acme.my.salesforce.com" });
+ * // { type: "production", isProduction: true, source: "org" }
+ */
+function classifyOrg(org) {
+  let detected = null;
+  if (org.isScratchOrg) {
+    detected = { type: ORG_TYPES.SCRATCH, source: ORG_TYPE_SOURCES.CLI };
+  } else if (org.orgId && types[org.orgId]) {
+    detected = { type: types[org.orgId].type, source: ORG_TYPE_SOURCES.ORG };
+  } else if (org.instanceUrl && typeFromUrl(org.instanceUrl)) {
+    detected = { type: typeFromUrl(org.instanceUrl), source: ORG_TYPE_SOURCES.URL };
+  }
+
+  if (org.instanceUrl) {
+    const matches = (pattern) => matchesUrlPattern(org.instanceUrl, pattern);
+    if (config.getProductionUrlPatterns().some(matches)) {
+      return { type: ORG_TYPES.PRODUCTION, isProduction: true, source: ORG_TYPE_SOURCES.SETTING };
+    }
+    if (config.getNonProductionUrlPatterns().some(matches)) {
+      const type = detected && detected.type !== ORG_TYPES.PRODUCTION ? detected.type : null;
+      return { type, isProduction: false, source: ORG_TYPE_SOURCES.SETTING };
+    }
+  }
+
+  if (!detected) {
+    return { type: null, isProduction: null, source: null };
+  }
+  return { ...detected, isProduction: detected.type === ORG_TYPES.PRODUCTION };
+}
+
+/**
+ * Forgets all detected types
+ * Only used by tests.
+ *
+ * @returns {void}
+ * @private
+ */
+function resetOrgTypes() {
+  types = {};
+  memento = null;
+  changeListeners.clear();
+}
+
+module.exports = {
+  initializeOrgTypes,
+  recordOrgType,
+  onDidChangeOrgTypes,
+  needsDetection,
+  classifyOrg,
+  resetOrgTypes,
+  ORG_TYPES,
+  ORG_TYPE_SOURCES,
+};
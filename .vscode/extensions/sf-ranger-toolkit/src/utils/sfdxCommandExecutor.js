@@ -2,72 +2,450 @@
  * SFDX Command Executor
  *
  * Handles execution of Salesforce CLI commands and JSON response parsing.
- * Used by Org Manager for listing orgs, open, reauth, logout, set default, token, authenticate.
+ * Used by Org Manager for listing orgs, open (optionally at a path), listing sObjects,
+ * reauth, logout, set/unset defaults, aliases, token, org details, authenticate, creating,
+ * deleting and cleaning up scratch orgs, Dev Hub scratch org limits,
+ * and listing, creating, cloning and refreshing sandboxes.
+ *
+ * Commands are spawned without a shell: every operation builds an argument
+ * array with cliArgs.buildCliArgs, so user-supplied values are never parsed
+ * by a shell. The executable comes from cliDiscovery; arguments are
+ * translated when only the legacy sfdx-cli is installed. On Windows the
+ * CLI's `.cmd` shims run through cmd.exe with every argument escaped
+ * (cliDiscovery.buildSpawnCommand).
  *
  * @module sfdxCommandExecutor
  */
 
-const vscode = require("vscode");
-const { exec } = require("child_process");
+const { execFile } = require("child_process");
 const config = require("./config");
+const cliDiscovery = require("./cliDiscovery");
+const workspaceFolders = require("./workspaceFolders");
+const { createLogger } = require("./logger");
+const {
+  buildCliArgs,
+  toLegacySfdxArgs,
+  validateUsername,
+  validateAlias,
+  validateFilePath,
+  validateInstanceUrl,
+  validateSandboxName,
+  validateOrgPath,
+} = require("./cliArgs");
+
+const log = createLogger("SfdxExecutor");
+
+/**
+ * Error code set on errors raised when an operation is cancelled
+ * @type {string}
+ */
+const CANCELLED_ERROR_CODE = "SF_RANGER_CANCELLED";
+
+/**
+ * Error code set on errors raised when a command exceeds its time limit
+ * @type {string}
+ */
+const TIMEOUT_ERROR_CODE = "SF_RANGER_TIMEOUT";
+
+/**
+ * Reasons an org connection check can fail
+ * @enum {string}
+ */
+const CONNECTION_ERROR_TYPES = {
+  EXPIRED_AUTH: "expiredAuth", // Refresh token expired or revoked: reauthenticate
+  ORG_NOT_FOUND: "orgNotFound", // No auth info, or the org was deleted
+  NETWORK: "network", // Org unreachable
+  TIMEOUT: "timeout",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Config settings that select a default org
+ * @enum {string}
+ */
+const CONFIG_SETTINGS = {
+  TARGET_ORG: "target-org",
+  TARGET_DEV_HUB: "target-dev-hub",
+};
+
+/**
+ * Where a config setting is stored
+ * @enum {string}
+ */
+const CONFIG_SCOPES = {
+  LOCAL: "local", // The project's .sf/config.json
+  GLOBAL: "global", // ~/.sf/config.json
+};
+
+/**
+ * Scratch org lifetimes allowed by Salesforce, in days
+ * @type {{MIN: number, MAX: number, DEFAULT: number}}
+ */
+const SCRATCH_ORG_DURATION = {
+  MIN: 1,
+  MAX: 30,
+  DEFAULT: 7,
+};
+
+/**
+ * Sandbox license types accepted by `sf org create sandbox --license-type`
+ * @enum {string}
+ */
+const SANDBOX_LICENSE_TYPES = {
+  DEVELOPER: "Developer",
+  DEVELOPER_PRO: "Developer_Pro",
+  PARTIAL: "Partial",
+  FULL: "Full",
+};
+
+/**
+ * Browsers accepted by `sf org open --browser`
+ * @enum {string}
+ */
+const BROWSERS = {
+  CHROME: "chrome",
+  EDGE: "edge",
+  FIREFOX: "firefox",
+};
+
+/**
+ * Login URL of sandboxes
+ * @type {string}
+ */
+const SANDBOX_LOGIN_URL = "https://test.salesforce.com";
+
+/**
+ * Reads what kind of org an org is
+ * @type {string}
+ */
+const ORGANIZATION_QUERY =
+  "SELECT Id, IsSandbox, OrganizationType, TrialExpirationDate FROM Organization";
+
+/**
+ * Reads the Organization fields shown in the org detail panel
+ * @type {string}
+ */
+const ORGANIZATION_DETAILS_QUERY =
+  "SELECT Id, Name, IsSandbox, OrganizationType, InstanceName, NamespacePrefix, " +
+  "TrialExpirationDate, LanguageLocaleKey, DefaultLocaleSidKey, TimeZoneSidKey " +
+  "FROM Organization";
+
+/**
+ * Latest copy of each sandbox, newest first; the Tooling API keeps one
+ * SandboxProcess record per create, clone and refresh
+ * @type {string}
+ */
+const SANDBOX_PROCESS_QUERY =
+  "SELECT SandboxName, LicenseType, Status, CopyProgress, EndDate, Description " +
+  "FROM SandboxProcess ORDER BY CreatedDate DESC";
+
+/**
+ * Number of CLI processes currently running
+ * @type {number}
+ */
+let runningCommands = 0;
+
+/**
+ * When the last CLI process finished (ms since epoch)
+ * @type {number}
+ */
+let lastCommandFinishedAt = 0;
 
 /**
- * Executes an SFDX CLI command and returns parsed JSON result
+ * Creates the error used to reject cancelled commands
  *
- * @param {string} command - The SFDX command to execute (e.g., "sf org display --json")
- * @returns {Promise<Object>} Parsed JSON response from SFDX CLI
- * @throws {Error} If command execution fails or JSON parsing fails
+ * @returns {Error} Error with code CANCELLED_ERROR_CODE
+ * @private
+ */
+function createCancellationError() {
+  const error = new Error("Operation cancelled");
+  error.code = CANCELLED_ERROR_CODE;
+  return error;
+}
+
+/**
+ * Creates the error used to reject commands that ran too long
+ *
+ * @param {number} timeout - The time limit in milliseconds
+ * @returns {Error} Error with code TIMEOUT_ERROR_CODE
+ * @private
+ */
+function createTimeoutError(timeout) {
+  const error = new Error(
+    `Command timed out after ${Math.round(timeout / 1000)} seconds`
+  );
+  error.code = TIMEOUT_ERROR_CODE;
+  return error;
+}
+
+/**
+ * Checks whether an error was caused by cancellation
+ *
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if the operation was cancelled
+ */
+function isCancellationError(error) {
+  return Boolean(error) && error.code === CANCELLED_ERROR_CODE;
+}
+
+/**
+ * Checks whether a CLI command is running or finished recently
+ * The CLI rewrites auth files while it runs (e.g., refreshed access tokens),
+ * so file watchers use this to ignore changes made by the extension itself.
+ *
+ * @param {number} graceMs - How long after a command finished it still counts
+ * @returns {boolean} True if a command is running or finished within graceMs
+ */
+function hasRecentCliActivity(graceMs) {
+  return runningCommands > 0 || Date.now() - lastCommandFinishedAt < graceMs;
+}
+
+/**
+ * Classifies why a connection check failed
+ *
+ * @param {Error} error - Error thrown by the check (name and message come from the CLI)
+ * @returns {string} One of CONNECTION_ERROR_TYPES
  *
  * @example
- * const result = await executeSfdxCommand("sf org display --json");
- * // Returns: { status: 0, result: { username: "...", instanceUrl: "..." } }
+ * classifyConnectionError({ name: "RefreshTokenAuthError", message: "expired access/refresh token" });
+ * // Returns: "expiredAuth"
+ */
+function classifyConnectionError(error) {
+  if (error.code === TIMEOUT_ERROR_CODE) {
+    return CONNECTION_ERROR_TYPES.TIMEOUT;
+  }
+
+  const text = `${error.name || ""} ${error.message || ""}`;
+  if (/NamedOrgNotFound|NoAuthInfoFound|No authorization information found|INVALID_LOGIN/i.test(text)) {
+    return CONNECTION_ERROR_TYPES.ORG_NOT_FOUND;
+  }
+  if (/ENOTFOUND|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EAI_AGAIN|getaddrinfo|socket hang up/i.test(text)) {
+    return CONNECTION_ERROR_TYPES.NETWORK;
+  }
+  if (/invalid_grant|expired|RefreshTokenAuthError|INVALID_SESSION_ID|INVALID_AUTH/i.test(text)) {
+    return CONNECTION_ERROR_TYPES.EXPIRED_AUTH;
+  }
+  return CONNECTION_ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Converts a caught error into the failure result returned by operations
+ *
+ * @param {Error} error - The caught error
+ * @returns {Object} Result with success false, message and cancelled flag when cancelled
+ * @private
+ */
+function toFailureResult(error) {
+  const failure = {
+    success: false,
+    message: error.message,
+  };
+
+  if (isCancellationError(error)) {
+    failure.cancelled = true;
+  }
+
+  return failure;
+}
+
+/**
+ * Formats an executable and its arguments as a readable command line
+ * Arguments with spaces or quotes are shown JSON-quoted.
+ *
+ * @param {string} executable - CLI executable name or path
+ * @param {string[]} args - Argument array
+ * @returns {string} Command line for the log
+ * @private
  */
-function executeSfdxCommand(command) {
+function formatCommandLine(executable, args) {
+  return [executable, ...args]
+    .map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg)))
+    .join(" ");
+}
+
+/**
+ * Spawns the CLI executable and parses its JSON output
+ *
+ * @param {string} executable - CLI executable name or path
+ * @param {string[]} args - Final argument array
+ * @param {Object} options - Execution options (token, timeout, cwd)
+ * @returns {Promise<Object>} Parsed JSON response
+ * @private
+ */
+function spawnCli(executable, args, options) {
   return new Promise((resolve, reject) => {
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-    const cwd = workspaceFolder ? workspaceFolder.uri.fsPath : undefined;
+    const { token } = options;
+    const timeout =
+      options.timeout !== undefined ? options.timeout : config.getCommandTimeout();
+
+    if (token && token.isCancellationRequested) {
+      reject(createCancellationError());
+      return;
+    }
+
+    // Project config (e.g., the local target-org) comes from the selected workspace folder
+    const cwd = options.cwd || workspaceFolders.getSelectedFolderPath();
+
+    let settled = false;
+    let timer = null;
+    let cancellationListener = null;
+    let exitCode = null;
+    const commandLine = formatCommandLine(executable, args);
+    const startedAt = Date.now();
+
+    log.info(`$ ${commandLine}`);
+    runningCommands++;
+
+    // Resolve or reject exactly once, log the outcome and release the timer and token listener
+    const settle = (callback, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (cancellationListener) {
+        cancellationListener.dispose();
+      }
+      runningCommands--;
+      lastCommandFinishedAt = Date.now();
+
+      const duration = Date.now() - startedAt;
+      if (callback === reject) {
+        log.warn(
+          `✗ ${commandLine} failed after ${duration} ms (exit ${exitCode ?? "n/a"}): ${value.message}`
+        );
+      } else {
+        const status = value && value.status !== undefined ? value.status : "n/a";
+        log.info(
+          `✓ ${commandLine} finished in ${duration} ms (exit ${exitCode ?? 0}, status ${status})`
+        );
+      }
 
-    exec(
-      command,
+      callback(value);
+    };
+
+    // `.cmd` shims go through cmd.exe on Windows, with escaped arguments
+    const command = cliDiscovery.buildSpawnCommand(executable, args);
+    const child = execFile(
+      command.file,
+      command.args,
       {
+        ...command.options,
         maxBuffer: config.getMaxBufferSize(), // Configurable buffer size for large metadata responses
         cwd: cwd,
       },
       (error, stdout, stderr) => {
         if (error) {
+          exitCode = error.code ?? null; // Exit code, or a spawn error such as ENOENT
           // Try to parse error response as JSON (SFDX returns JSON even for errors)
           try {
             const errorData = JSON.parse(stdout || stderr);
-            resolve(errorData);
+            settle(resolve, errorData);
           } catch {
-            reject(error);
+            if (error.code === "ENOENT") {
+              // The executable disappeared since detection; detect again next time
+              cliDiscovery.resetCliCache();
+            }
+            settle(reject, error);
           }
           return;
         }
 
         try {
           const data = JSON.parse(stdout);
-          resolve(data);
+          settle(resolve, data);
         } catch (parseError) {
-          reject(
+          settle(
+            reject,
             new Error(`Failed to parse SFDX output: ${parseError.message}`)
           );
         }
       }
     );
+
+    if (settled) {
+      return;
+    }
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        child?.kill();
+        settle(reject, createTimeoutError(timeout));
+      }, timeout);
+    }
+
+    if (token) {
+      cancellationListener = token.onCancellationRequested(() => {
+        child?.kill();
+        settle(reject, createCancellationError());
+      });
+    }
   });
 }
 
+/**
+ * Executes a Salesforce CLI command and returns parsed JSON result
+ *
+ * The executable is resolved with cliDiscovery (cliPath setting, sf, sfdx) and
+ * sf-style arguments are translated for the legacy sfdx-cli. The child process
+ * is killed when the cancellation token fires or the time limit is reached,
+ * and the promise rejects with an error whose code is CANCELLED_ERROR_CODE or
+ * TIMEOUT_ERROR_CODE.
+ *
+ * @param {string[]} args - sf-style argument array built with buildCliArgs (e.g., ["org", "display", "--json"])
+ * @param {Object} [options={}] - Execution options
+ * @param {vscode.CancellationToken} [options.token] - Token that kills the command when cancelled
+ * @param {number} [options.timeout] - Time limit in milliseconds (defaults to config.getCommandTimeout())
+ * @param {string} [options.cwd] - Folder to run in (defaults to the selected workspace folder)
+ * @returns {Promise<Object>} Parsed JSON response from SFDX CLI
+ * @throws {Error} If args is not an array, no CLI is installed, the command is cancelled or times out, execution fails or JSON parsing fails
+ *
+ * @example
+ * const result = await executeSfdxCommand(buildCliArgs(["org", "display"]), { token });
+ * // Returns: { status: 0, result: { username: "...", instanceUrl: "..." } }
+ */
+async function executeSfdxCommand(args, options = {}) {
+  if (!Array.isArray(args)) {
+    throw new Error("executeSfdxCommand expects an argument array");
+  }
+
+  const cli = await cliDiscovery.resolveCli();
+  const finalArgs = cli.legacy ? toLegacySfdxArgs(args) : args;
+
+  return spawnCli(cli.executable, finalArgs, options);
+}
+
 /**
  * Checks if SFDX CLI is available and authenticated
+ * `sf org display` refreshes the access token, so an expired or revoked
+ * refresh token makes this check fail.
  *
+ * @param {string|null} [username=null] - The org username or alias; the default org if omitted
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
  * @returns {Promise<Object>} Org information including username and instanceUrl
- * @throws {Error} If no authenticated org found
+ * @throws {Error} If the org is not connected; `errorType` holds one of CONNECTION_ERROR_TYPES
+ *
+ * @example
+ * try {
+ *   await checkSfdxConnection("myOrg");
+ * } catch (error) {
+ *   if (error.errorType === CONNECTION_ERROR_TYPES.EXPIRED_AUTH) { ... }
+ * }
  */
-async function checkSfdxConnection() {
-  const result = await executeSfdxCommand("sf org display --json");
+async function checkSfdxConnection(username = null, options = {}) {
+  const result = await executeSfdxCommand(
+    buildCliArgs(["org", "display"], {
+      "target-org": username ? validateUsername(username) : null,
+    }),
+    options
+  );
 
-  if (result.status === 0 && result.result) {
+  const connectedStatus = result.result && result.result.connectedStatus;
+  if (
+    result.status === 0 &&
+    result.result &&
+    (!connectedStatus || connectedStatus === "Connected")
+  ) {
     return {
       connected: true,
       username: result.result.username,
@@ -76,81 +454,308 @@ async function checkSfdxConnection() {
     };
   }
 
-  throw new Error(result.message || "Failed to get org info");
+  const error = new Error(
+    (result.status === 0 && connectedStatus) ||
+      result.message ||
+      "Failed to get org info"
+  );
+  if (result.name) {
+    error.name = result.name;
+  }
+  error.errorType = classifyConnectionError(error);
+  throw error;
 }
 
 /**
  * Lists all authenticated Salesforce orgs
  *
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
  * @returns {Promise<Array>} Array of org objects with username, alias, connectedStatus, etc.
+ *   Scratch orgs have a status ("Active", "Expired" or "Deleted"); other orgs have null.
+ * @throws {Error} If the CLI fails, times out, is cancelled or returns no list. An empty
+ *   list is never returned in place of a failure, so callers do not cache it.
  *
  * @example
  * const orgs = await listAllOrgs();
  * // Returns: [{ username: "user@example.com", alias: "myOrg", ... }, ...]
  */
-async function listAllOrgs() {
-  try {
-    const result = await executeSfdxCommand("sf org list --json");
-
-    if (result.status === 0 && result.result) {
-      const allOrgs = [];
+async function listAllOrgs(options = {}) {
+  const result = await executeSfdxCommand(
+    buildCliArgs(["org", "list"]),
+    options
+  );
 
-      // Combine all org types (nonScratchOrgs and scratchOrgs)
-      if (result.result.nonScratchOrgs) {
-        allOrgs.push(...result.result.nonScratchOrgs);
-      }
-      if (result.result.scratchOrgs) {
-        allOrgs.push(...result.result.scratchOrgs);
-      }
+  if (result.status !== 0 || !result.result) {
+    throw new Error(result.message || "Failed to list orgs");
+  }
 
-      return allOrgs.map((org) => ({
-        username: org.username,
-        alias: org.alias || org.username,
-        orgId: org.orgId,
-        instanceUrl: org.instanceUrl,
-        connectedStatus: org.connectedStatus || "Unknown",
-        isDefaultUsername: org.isDefaultUsername || false,
-        isDefaultDevHubUsername: org.isDefaultDevHubUsername || false,
-        isScratchOrg: org.isScratchOrg || false,
-        expirationDate: org.expirationDate || null,
-      }));
-    }
+  const allOrgs = [];
 
-    return [];
-  } catch (error) {
-    console.error("Error listing orgs:", error);
-    return [];
+  // Combine all org types (nonScratchOrgs and scratchOrgs)
+  if (result.result.nonScratchOrgs) {
+    allOrgs.push(...result.result.nonScratchOrgs);
   }
+  if (result.result.scratchOrgs) {
+    allOrgs.push(...result.result.scratchOrgs);
+  }
+
+  return allOrgs.map((org) => ({
+    username: org.username,
+    alias: org.alias || org.username,
+    orgId: org.orgId,
+    instanceUrl: org.instanceUrl,
+    connectedStatus: org.connectedStatus || "Unknown",
+    isDefaultUsername: org.isDefaultUsername || false,
+    isDefaultDevHubUsername: org.isDefaultDevHubUsername || false,
+    isDevHub: org.isDevHub || false,
+    isScratchOrg: org.isScratchOrg || false,
+    expirationDate: org.expirationDate || null,
+    status: org.status || null,
+  }));
 }
 
 /**
- * Opens a Salesforce org in the default browser
+ * Opens a Salesforce org in a browser
  *
  * @param {string} username - The org username or alias
+ * @param {string|null} [path=null] - Page to open instead of the home page, e.g. "/lightning/setup/SetupOneHome/home"
+ * @param {Object} [options={}] - Browser options; the rest is passed to executeSfdxCommand (token, timeout)
+ * @param {string|null} [options.browser=null] - One of BROWSERS; the system's default browser if omitted
+ * @param {boolean} [options.privateWindow=false] - Open a private (incognito) window, e.g. to log in as another user of the same org
  * @returns {Promise<Object>} Result with URL and success status
  *
  * @example
  * await openOrgInBrowser("myOrg");
+ * await openOrgInBrowser("myOrg", "/lightning/setup/ObjectManager/Account/Details/view");
+ * await openOrgInBrowser("myOrg", null, { browser: BROWSERS.FIREFOX, privateWindow: true });
  */
-async function openOrgInBrowser(username) {
+async function openOrgInBrowser(username, path = null, options = {}) {
+  const { browser = null, privateWindow = false, ...execOptions } = options;
+
   try {
+    if (browser && !Object.values(BROWSERS).includes(browser)) {
+      throw new Error(`Unsupported browser: ${browser}`);
+    }
+
     const result = await executeSfdxCommand(
-      `sf org open --target-org ${username} --json`
+      buildCliArgs(["org", "open"], {
+        "target-org": validateUsername(username),
+        path: path ? validateOrgPath(path) : null,
+        browser,
+        private: privateWindow === true,
+      }),
+      execOptions
     );
 
     if (result.status === 0) {
       return {
         success: true,
-        message: `Opened org: ${username}`,
+        message: path ? `Opened ${path} in ${username}` : `Opened org: ${username}`,
       };
     }
 
     throw new Error(result.message || "Failed to open org");
   } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Gets a frontdoor URL that logs in to an org without opening a browser
+ * The URL carries a live session, so it is never logged; callers must not
+ * log or persist it either.
+ *
+ * @param {string} username - The org username or alias
+ * @param {string|null} [path=null] - Page to open after logging in
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status and `url`
+ *
+ * @example
+ * const { url } = await getOrgLoginUrl("myOrg");
+ * // "https://acme.my.salesforce.com/secur/frontdoor.jsp?otp=..."
+ */
+async function getOrgLoginUrl(username, path = null, options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "open"], {
+        "target-org": validateUsername(username),
+        path: path ? validateOrgPath(path) : null,
+        "url-only": true,
+      }),
+      options
+    );
+
+    if (result.status === 0 && result.result && result.result.url) {
+      return { success: true, url: result.result.url };
+    }
+
+    throw new Error(result.message || "Failed to get the login URL");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Reads the org's Organization record to tell production orgs from sandboxes,
+ * scratch orgs and Developer Edition orgs
+ *
+ * @param {string} username - The org username or alias
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status, `orgId`, `isSandbox`,
+ *   `organizationType` and `trialExpirationDate` (set for scratch and trial orgs)
+ *
+ * @example
+ * const info = await getOrganizationInfo("prod");
+ * // { success: true, orgId: "00D...", isSandbox: false, organizationType: "Enterprise Edition", trialExpirationDate: null }
+ */
+async function getOrganizationInfo(username, options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["data", "query"], {
+        query: ORGANIZATION_QUERY,
+        "target-org": validateUsername(username),
+      }),
+      options
+    );
+
+    const record = result.status === 0 && result.result && (result.result.records || [])[0];
+    if (record) {
+      return {
+        success: true,
+        orgId: record.Id,
+        isSandbox: record.IsSandbox === true,
+        organizationType: record.OrganizationType || null,
+        trialExpirationDate: record.TrialExpirationDate || null,
+      };
+    }
+
+    throw new Error(result.message || "Failed to read the Organization record");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Quotes a value for a SOQL string literal
+ *
+ * @param {string} value - The value
+ * @returns {string} The quoted value
+ * @private
+ */
+function toSoqlString(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Reads what the org detail panel shows about an org: `sf org display
+ * --verbose`, the Organization record and the login user's profile
+ * Tokens and the auth URL in the display output are dropped; only whether
+ * the org has a refresh token is kept. An unreadable profile is left null
+ * rather than failing the whole read.
+ *
+ * @param {string} username - The org username or alias
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status and `details`
+ *
+ * @example
+ * const { details } = await getOrgDetails("prod");
+ * // { orgId: "00D...EAA", edition: "Enterprise Edition", instanceName: "NA224", profile: "System Administrator", ... }
+ */
+async function getOrgDetails(username, options = {}) {
+  try {
+    const targetOrg = validateUsername(username);
+    const display = await executeSfdxCommand(
+      buildCliArgs(["org", "display"], { "target-org": targetOrg, verbose: true }),
+      options
+    );
+    if (display.status !== 0 || !display.result) {
+      throw new Error(display.message || "Failed to get org info");
+    }
+
+    const organization = await executeSfdxCommand(
+      buildCliArgs(["data", "query"], {
+        query: ORGANIZATION_DETAILS_QUERY,
+        "target-org": targetOrg,
+      }),
+      options
+    );
+    const record =
+      organization.status === 0 && organization.result && (organization.result.records || [])[0];
+    if (!record) {
+      throw new Error(organization.message || "Failed to read the Organization record");
+    }
+
+    const orgUsername = display.result.username || targetOrg;
+    const user = await executeSfdxCommand(
+      buildCliArgs(["data", "query"], {
+        query: `SELECT Profile.Name FROM User WHERE Username = ${toSoqlString(orgUsername)}`,
+        "target-org": targetOrg,
+      }),
+      options
+    );
+    const userRecord = user.status === 0 && user.result && (user.result.records || [])[0];
+    if (!userRecord) {
+      log.warn(`Could not read the profile of ${orgUsername}: ${user.message || "no User record"}`);
+    }
+
     return {
-      success: false,
-      message: error.message,
+      success: true,
+      details: {
+        username: orgUsername,
+        orgId: record.Id || display.result.id,
+        orgName: record.Name || null,
+        edition: record.OrganizationType || display.result.edition || null,
+        isSandbox: record.IsSandbox === true,
+        instanceName: record.InstanceName || null,
+        instanceUrl: display.result.instanceUrl || null,
+        namespace: record.NamespacePrefix || null,
+        trialExpirationDate: record.TrialExpirationDate || null,
+        expirationDate: display.result.expirationDate || null,
+        language: record.LanguageLocaleKey || null,
+        locale: record.DefaultLocaleSidKey || null,
+        timeZone: record.TimeZoneSidKey || null,
+        profile: (userRecord && userRecord.Profile && userRecord.Profile.Name) || null,
+        apiVersion: display.result.apiVersion || null,
+        clientId: display.result.clientId || null,
+        hasRefreshToken: Boolean(display.result.sfdxAuthUrl),
+      },
     };
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Lists the API names of an org's sObjects
+ *
+ * @param {string} username - The org username or alias
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status and `sobjects`, sorted by name
+ *
+ * @example
+ * const { sobjects } = await listSObjects("myOrg");
+ * // ["Account", "Contact", "Invoice__c", ...]
+ */
+async function listSObjects(username, options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["sobject", "list"], {
+        sobject: "all",
+        "target-org": validateUsername(username),
+      }),
+      options
+    );
+
+    if (result.status === 0 && Array.isArray(result.result)) {
+      return {
+        success: true,
+        sobjects: [...result.result].sort((a, b) => a.localeCompare(b)),
+      };
+    }
+
+    throw new Error(result.message || "Failed to list sObjects");
+  } catch (error) {
+    return toFailureResult(error);
   }
 }
 
@@ -159,19 +764,21 @@ async function openOrgInBrowser(username) {
  *
  * @param {string} username - The org username or alias
  * @param {string|null} instanceUrl - The org's instance URL (optional)
+ * @param {Object} [options={}] - Execution options (token, timeout); the timeout defaults to the login timeout
  * @returns {Promise<Object>} Result with success status
  */
-async function reauthenticateOrg(username, instanceUrl) {
+async function reauthenticateOrg(username, instanceUrl, options = {}) {
   try {
-    // Build command with optional instance URL
-    let command = `sf org login web --alias ${username} --json`;
-
     // Only add instance-url if it's provided and valid
-    if (instanceUrl && instanceUrl !== "undefined") {
-      command = `sf org login web --instance-url ${instanceUrl} --alias ${username} --json`;
-    }
+    const hasInstanceUrl = instanceUrl && instanceUrl !== "undefined";
 
-    const result = await executeSfdxCommand(command);
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "login", "web"], {
+        "instance-url": hasInstanceUrl ? validateInstanceUrl(instanceUrl) : null,
+        alias: validateAlias(username),
+      }),
+      { timeout: config.getLoginTimeout(), ...options }
+    );
 
     if (result.status === 0) {
       return {
@@ -182,10 +789,7 @@ async function reauthenticateOrg(username, instanceUrl) {
 
     throw new Error(result.message || "Failed to reauthenticate");
   } catch (error) {
-    return {
-      success: false,
-      message: error.message,
-    };
+    return toFailureResult(error);
   }
 }
 
@@ -193,15 +797,20 @@ async function reauthenticateOrg(username, instanceUrl) {
  * Logs out from a Salesforce org
  *
  * @param {string} username - The org username or alias
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
  * @returns {Promise<Object>} Result with success status
  *
  * @example
  * await logoutOrg("myOrg");
  */
-async function logoutOrg(username) {
+async function logoutOrg(username, options = {}) {
   try {
     const result = await executeSfdxCommand(
-      `sf org logout --target-org ${username} --no-prompt --json`
+      buildCliArgs(["org", "logout"], {
+        "target-org": validateUsername(username),
+        "no-prompt": true,
+      }),
+      options
     );
 
     if (result.status === 0) {
@@ -213,38 +822,557 @@ async function logoutOrg(username) {
 
     throw new Error(result.message || "Failed to logout");
   } catch (error) {
-    return {
-      success: false,
-      message: error.message,
-    };
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Validates a default org setting and scope
+ *
+ * @param {string} setting - One of CONFIG_SETTINGS
+ * @param {string} scope - One of CONFIG_SCOPES
+ * @returns {void}
+ * @throws {Error} If the setting or scope is unknown
+ * @private
+ */
+function validateConfigTarget(setting, scope) {
+  if (!Object.values(CONFIG_SETTINGS).includes(setting)) {
+    throw new Error(`Unsupported config setting: ${setting}`);
+  }
+  if (!Object.values(CONFIG_SCOPES).includes(scope)) {
+    throw new Error(`Unsupported config scope: ${scope}`);
   }
 }
 
 /**
- * Sets an org as the default target org
+ * Describes a default org setting for messages
+ *
+ * @param {string} setting - One of CONFIG_SETTINGS
+ * @param {string} scope - One of CONFIG_SCOPES
+ * @returns {string} E.g. "default Dev Hub (global)"
+ * @private
+ */
+function describeConfigTarget(setting, scope) {
+  const name =
+    setting === CONFIG_SETTINGS.TARGET_DEV_HUB ? "default Dev Hub" : "default org";
+  return `${name} (${scope === CONFIG_SCOPES.GLOBAL ? "global" : "this project"})`;
+}
+
+/**
+ * Sets an org as the default target org or Dev Hub
+ * Local settings are written to the project config of the folder commands run in.
  *
  * @param {string} username - The org username or alias
+ * @param {string} [setting="target-org"] - One of CONFIG_SETTINGS
+ * @param {string} [scope="local"] - One of CONFIG_SCOPES
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
  * @returns {Promise<Object>} Result with success status
+ *
+ * @example
+ * await setDefaultOrg("myHub", CONFIG_SETTINGS.TARGET_DEV_HUB, CONFIG_SCOPES.GLOBAL);
  */
-async function setDefaultOrg(username) {
+async function setDefaultOrg(
+  username,
+  setting = CONFIG_SETTINGS.TARGET_ORG,
+  scope = CONFIG_SCOPES.LOCAL,
+  options = {}
+) {
   try {
+    validateConfigTarget(setting, scope);
     const result = await executeSfdxCommand(
-      `sf config set target-org=${username} --json`
+      buildCliArgs(
+        ["config", "set"],
+        { global: scope === CONFIG_SCOPES.GLOBAL },
+        [`${setting}=${validateUsername(username)}`]
+      ),
+      options
     );
 
     if (result.status === 0) {
       return {
         success: true,
-        message: `Set ${username} as default org`,
+        message: `Set ${username} as ${describeConfigTarget(setting, scope)}`,
       };
     }
 
     throw new Error(result.message || "Failed to set default org");
   } catch (error) {
-    return {
-      success: false,
-      message: error.message,
-    };
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Removes the default target org or Dev Hub setting
+ *
+ * @param {string} [setting="target-org"] - One of CONFIG_SETTINGS
+ * @param {string} [scope="local"] - One of CONFIG_SCOPES
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status
+ *
+ * @example
+ * await unsetDefaultOrg(CONFIG_SETTINGS.TARGET_ORG, CONFIG_SCOPES.LOCAL);
+ */
+async function unsetDefaultOrg(
+  setting = CONFIG_SETTINGS.TARGET_ORG,
+  scope = CONFIG_SCOPES.LOCAL,
+  options = {}
+) {
+  try {
+    validateConfigTarget(setting, scope);
+    const result = await executeSfdxCommand(
+      buildCliArgs(
+        ["config", "unset"],
+        { global: scope === CONFIG_SCOPES.GLOBAL },
+        [setting]
+      ),
+      options
+    );
+
+    if (result.status === 0) {
+      return {
+        success: true,
+        message: `Unset the ${describeConfigTarget(setting, scope)}`,
+      };
+    }
+
+    throw new Error(result.message || "Failed to unset default org");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Points an alias at an org
+ * An alias that already points at another org is moved to this one.
+ *
+ * @param {string} alias - The alias to set
+ * @param {string} username - The org username
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status
+ *
+ * @example
+ * await setAlias("acme-prod", "admin@acme.com");
+ */
+async function setAlias(alias, username, options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["alias", "set"], {}, [
+        `${validateAlias(alias)}=${validateUsername(username)}`,
+      ]),
+      options
+    );
+
+    if (result.status === 0) {
+      return {
+        success: true,
+        message: `Set alias ${alias} for ${username}`,
+      };
+    }
+
+    throw new Error(result.message || "Failed to set alias");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Removes an alias
+ *
+ * @param {string} alias - The alias to remove
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status
+ *
+ * @example
+ * await unsetAlias("old-name");
+ */
+async function unsetAlias(alias, options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["alias", "unset"], {}, [validateAlias(alias)]),
+      options
+    );
+
+    if (result.status === 0) {
+      return {
+        success: true,
+        message: `Removed alias ${alias}`,
+      };
+    }
+
+    throw new Error(result.message || "Failed to remove alias");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Creates a scratch org from a definition file
+ *
+ * @param {Object} scratchOrg - What to create
+ * @param {string} scratchOrg.definitionFile - Absolute path of the definition file
+ * @param {string} scratchOrg.devHub - Username or alias of the Dev Hub
+ * @param {number} [scratchOrg.durationDays=7] - Lifetime in days, between SCRATCH_ORG_DURATION.MIN and MAX
+ * @param {string|null} [scratchOrg.alias=null] - Optional alias for the new org
+ * @param {Object} [options={}] - Execution options (token, timeout); the timeout defaults to the scratch org timeout
+ * @returns {Promise<Object>} Result with success status, username and orgId
+ *
+ * @example
+ * await createScratchOrg({
+ *   definitionFile: "/work/app/config/project-scratch-def.json",
+ *   devHub: "myHub",
+ *   durationDays: 7,
+ *   alias: "feature-x",
+ * });
+ */
+async function createScratchOrg(scratchOrg, options = {}) {
+  try {
+    const {
+      definitionFile,
+      devHub,
+      durationDays = SCRATCH_ORG_DURATION.DEFAULT,
+      alias = null,
+    } = scratchOrg;
+
+    if (
+      !Number.isInteger(durationDays) ||
+      durationDays < SCRATCH_ORG_DURATION.MIN ||
+      durationDays > SCRATCH_ORG_DURATION.MAX
+    ) {
+      throw new Error(
+        `Duration must be a whole number of days from ${SCRATCH_ORG_DURATION.MIN} to ${SCRATCH_ORG_DURATION.MAX}`
+      );
+    }
+
+    const timeout = options.timeout ?? config.getScratchOrgTimeout();
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "create", "scratch"], {
+        "definition-file": validateFilePath(definitionFile),
+        "target-dev-hub": validateUsername(devHub),
+        "duration-days": String(durationDays),
+        alias: alias ? validateAlias(alias) : null,
+        // Let the CLI wait as long as we do, instead of its 5 minute default
+        wait: String(Math.max(1, Math.floor(timeout / 60000))),
+      }),
+      { ...options, timeout }
+    );
+
+    if (result.status === 0 && result.result) {
+      const username = result.result.username;
+      return {
+        success: true,
+        message: `Created scratch org: ${alias || username}`,
+        username,
+        orgId: result.result.orgId,
+      };
+    }
+
+    throw new Error(result.message || "Failed to create scratch org");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Deletes a scratch org
+ * The org is deleted in the Dev Hub and its local auth info is removed.
+ *
+ * @param {string} username - The scratch org username or alias
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status
+ *
+ * @example
+ * await deleteScratchOrg("feature-x");
+ */
+async function deleteScratchOrg(username, options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "delete", "scratch"], {
+        "target-org": validateUsername(username),
+        "no-prompt": true,
+      }),
+      options
+    );
+
+    if (result.status === 0) {
+      return {
+        success: true,
+        message: `Deleted scratch org: ${username}`,
+      };
+    }
+
+    throw new Error(result.message || "Failed to delete scratch org");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Removes expired and deleted scratch orgs from the local org list
+ * Runs `sf org list --clean`; the orgs' auth files and aliases are removed.
+ *
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status
+ *
+ * @example
+ * await cleanScratchOrgs();
+ */
+async function cleanScratchOrgs(options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "list"], { clean: true, "no-prompt": true }),
+      options
+    );
+
+    if (result.status === 0) {
+      return {
+        success: true,
+        message: "Removed expired and deleted scratch orgs",
+      };
+    }
+
+    throw new Error(result.message || "Failed to clean up scratch orgs");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Gets a Dev Hub's scratch org allocations
+ *
+ * @param {string} username - The Dev Hub username or alias
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status and `daily` and `active` limits ({max, remaining}, or null if not reported)
+ *
+ * @example
+ * const limits = await getScratchOrgLimits("myHub");
+ * // Returns: { success: true, daily: { max: 200, remaining: 187 }, active: { max: 100, remaining: 92 } }
+ */
+async function getScratchOrgLimits(username, options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "list", "limits"], {
+        "target-org": validateUsername(username),
+      }),
+      options
+    );
+
+    if (result.status === 0 && Array.isArray(result.result)) {
+      const findLimit = (name) => {
+        const limit = result.result.find((entry) => entry.name === name);
+        return limit ? { max: limit.max, remaining: limit.remaining } : null;
+      };
+      return {
+        success: true,
+        daily: findLimit("DailyScratchOrgs"),
+        active: findLimit("ActiveScratchOrgs"),
+      };
+    }
+
+    throw new Error(result.message || "Failed to get org limits");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Lists the sandboxes of a production org
+ * Reads the SandboxProcess records with the Tooling API; deleted sandboxes
+ * are left out.
+ *
+ * @param {string} productionOrg - Username or alias of the production org
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status and `sandboxes`
+ *   ({name, licenseType, status, copyProgress, lastRefreshed, description}), sorted by name
+ *
+ * @example
+ * const { sandboxes } = await listSandboxes("prod");
+ * // [{ name: "uat", licenseType: "DEVELOPER", status: "Completed", copyProgress: 100, lastRefreshed: "2026-10-01T08:00:00.000+0000", description: null }]
+ */
+async function listSandboxes(productionOrg, options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["data", "query"], {
+        query: SANDBOX_PROCESS_QUERY,
+        "use-tooling-api": true,
+        "target-org": validateUsername(productionOrg),
+      }),
+      options
+    );
+
+    if (result.status === 0 && result.result) {
+      const latest = new Map();
+      (result.result.records || []).forEach((record) => {
+        if (!latest.has(record.SandboxName)) {
+          latest.set(record.SandboxName, record);
+        }
+      });
+
+      const sandboxes = Array.from(latest.values())
+        .filter((record) => record.Status !== "Deleted")
+        .map((record) => ({
+          name: record.SandboxName,
+          licenseType: record.LicenseType,
+          status: record.Status,
+          copyProgress: record.CopyProgress ?? null,
+          lastRefreshed: record.EndDate || null,
+          description: record.Description || null,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return { success: true, sandboxes };
+    }
+
+    throw new Error(result.message || "Failed to list sandboxes");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Starts creating or cloning a sandbox
+ * Runs `sf org create sandbox --async`: the command returns once Salesforce
+ * has queued the copy. Follow it with resumeSandbox.
+ *
+ * @param {Object} sandbox - What to create
+ * @param {string} sandbox.name - Name of the new sandbox
+ * @param {string} sandbox.productionOrg - Username or alias of the production org
+ * @param {string} [sandbox.licenseType] - One of SANDBOX_LICENSE_TYPES; ignored when cloning
+ * @param {string|null} [sandbox.sourceSandbox=null] - Sandbox to clone instead of production
+ * @param {string|null} [sandbox.definitionFile=null] - Absolute path of a sandbox definition file
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status, sandboxName and status
+ *
+ * @example
+ * await createSandbox({ name: "uat", productionOrg: "prod", licenseType: SANDBOX_LICENSE_TYPES.DEVELOPER });
+ * await createSandbox({ name: "uat2", productionOrg: "prod", sourceSandbox: "uat" });
+ */
+async function createSandbox(sandbox, options = {}) {
+  try {
+    const {
+      name,
+      productionOrg,
+      licenseType,
+      sourceSandbox = null,
+      definitionFile = null,
+    } = sandbox;
+
+    if (!sourceSandbox && !Object.values(SANDBOX_LICENSE_TYPES).includes(licenseType)) {
+      throw new Error(`Invalid sandbox license type: ${licenseType}`);
+    }
+
+    const sandboxName = validateSandboxName(name);
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "create", "sandbox"], {
+        name: sandboxName,
+        // A clone gets the license type of its source
+        "license-type": sourceSandbox ? null : licenseType,
+        "source-sandbox-name": sourceSandbox ? validateSandboxName(sourceSandbox) : null,
+        "definition-file": definitionFile ? validateFilePath(definitionFile) : null,
+        "target-org": validateUsername(productionOrg),
+        async: true,
+        "no-prompt": true,
+      }),
+      options
+    );
+
+    if (result.status === 0) {
+      return {
+        success: true,
+        message: sourceSandbox
+          ? `Started cloning ${sourceSandbox} to sandbox ${sandboxName}`
+          : `Started creating sandbox: ${sandboxName}`,
+        sandboxName,
+        status: result.result?.Status || null,
+      };
+    }
+
+    throw new Error(result.message || "Failed to create sandbox");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Starts refreshing a sandbox with a new copy of production
+ * Runs `sf org refresh sandbox --async`. Follow it with resumeSandbox.
+ *
+ * @param {Object} sandbox - What to refresh
+ * @param {string} sandbox.name - The sandbox name
+ * @param {string} sandbox.productionOrg - Username or alias of the production org
+ * @param {string|null} [sandbox.definitionFile=null] - Absolute path of a sandbox definition file
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status, sandboxName and status
+ *
+ * @example
+ * await refreshSandbox({ name: "uat", productionOrg: "prod" });
+ */
+async function refreshSandbox(sandbox, options = {}) {
+  try {
+    const { name, productionOrg, definitionFile = null } = sandbox;
+
+    const sandboxName = validateSandboxName(name);
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "refresh", "sandbox"], {
+        name: sandboxName,
+        "definition-file": definitionFile ? validateFilePath(definitionFile) : null,
+        "target-org": validateUsername(productionOrg),
+        async: true,
+        "no-prompt": true,
+      }),
+      options
+    );
+
+    if (result.status === 0) {
+      return {
+        success: true,
+        message: `Started refreshing sandbox: ${sandboxName}`,
+        sandboxName,
+        status: result.result?.Status || null,
+      };
+    }
+
+    throw new Error(result.message || "Failed to refresh sandbox");
+  } catch (error) {
+    return toFailureResult(error);
+  }
+}
+
+/**
+ * Checks the progress of a sandbox copy started with createSandbox or refreshSandbox
+ * Runs `sf org resume sandbox` without waiting.
+ *
+ * @param {string} name - The sandbox name
+ * @param {string} productionOrg - Username or alias of the production org
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
+ * @returns {Promise<Object>} Result with success status, status, copyProgress and done (true once the sandbox is ready)
+ *
+ * @example
+ * const { done, copyProgress } = await resumeSandbox("uat", "prod");
+ */
+async function resumeSandbox(name, productionOrg, options = {}) {
+  try {
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "resume", "sandbox"], {
+        name: validateSandboxName(name),
+        "target-org": validateUsername(productionOrg),
+      }),
+      options
+    );
+
+    // The CLI reports an unfinished copy as an error with the process in `data`
+    const sandboxProcess = result.result || result.data;
+    if (sandboxProcess && sandboxProcess.Status) {
+      return {
+        success: true,
+        status: sandboxProcess.Status,
+        copyProgress: sandboxProcess.CopyProgress ?? null,
+        done: sandboxProcess.Status === "Completed",
+      };
+    }
+
+    throw new Error(result.message || "Failed to get the sandbox status");
+  } catch (error) {
+    return toFailureResult(error);
   }
 }
 
@@ -252,16 +1380,20 @@ async function setDefaultOrg(username) {
  * Gets the access token for a Salesforce org
  *
  * @param {string} username - The org username or alias
+ * @param {Object} [options={}] - Execution options passed to executeSfdxCommand (token, timeout)
  * @returns {Promise<Object>} Result with access token and instance URL
  *
  * @example
  * const tokenInfo = await getAccessToken("myOrg");
  * // Returns: { success: true, accessToken: "00D...", instanceUrl: "https://..." }
  */
-async function getAccessToken(username) {
+async function getAccessToken(username, options = {}) {
   try {
     const result = await executeSfdxCommand(
-      `sf org display --target-org ${username} --json`
+      buildCliArgs(["org", "display"], {
+        "target-org": validateUsername(username),
+      }),
+      options
     );
 
     if (result.status === 0 && result.result) {
@@ -275,10 +1407,7 @@ async function getAccessToken(username) {
 
     throw new Error(result.message || "Failed to get access token");
   } catch (error) {
-    return {
-      success: false,
-      message: error.message,
-    };
+    return toFailureResult(error);
   }
 }
 
@@ -287,24 +1416,25 @@ async function getAccessToken(username) {
  *
  * @param {string} alias - Optional alias for the new org
  * @param {string} instanceUrl - Optional instance URL (defaults to login.salesforce.com)
+ * @param {Object} [options={}] - Execution options (token, timeout); the timeout defaults to the login timeout
  * @returns {Promise<Object>} Result with success status
  *
  * @example
  * await authenticateNewOrg("myNewOrg", "https://test.salesforce.com");
  */
-async function authenticateNewOrg(alias = null, instanceUrl = null) {
+async function authenticateNewOrg(
+  alias = null,
+  instanceUrl = null,
+  options = {}
+) {
   try {
-    let command = "sf org login web --json";
-
-    if (instanceUrl) {
-      command += ` --instance-url ${instanceUrl}`;
-    }
-
-    if (alias) {
-      command += ` --alias ${alias}`;
-    }
-
-    const result = await executeSfdxCommand(command);
+    const result = await executeSfdxCommand(
+      buildCliArgs(["org", "login", "web"], {
+        "instance-url": instanceUrl ? validateInstanceUrl(instanceUrl) : null,
+        alias: alias ? validateAlias(alias) : null,
+      }),
+      { timeout: config.getLoginTimeout(), ...options }
+    );
 
     if (result.status === 0) {
       return {
@@ -318,21 +1448,45 @@ async function authenticateNewOrg(alias = null, instanceUrl = null) {
 
     throw new Error(result.message || "Failed to authenticate new org");
   } catch (error) {
-    return {
-      success: false,
-      message: error.message,
-    };
+    return toFailureResult(error);
   }
 }
 
 module.exports = {
   executeSfdxCommand,
+  isCancellationError,
+  hasRecentCliActivity,
+  classifyConnectionError,
+  CONNECTION_ERROR_TYPES,
+  CONFIG_SETTINGS,
+  CONFIG_SCOPES,
+  SCRATCH_ORG_DURATION,
+  SANDBOX_LICENSE_TYPES,
+  SANDBOX_LOGIN_URL,
+  BROWSERS,
+  CANCELLED_ERROR_CODE,
+  TIMEOUT_ERROR_CODE,
   checkSfdxConnection,
   listAllOrgs,
   openOrgInBrowser,
+  getOrgLoginUrl,
+  getOrganizationInfo,
+  getOrgDetails,
+  listSObjects,
   reauthenticateOrg,
   logoutOrg,
   setDefaultOrg,
+  unsetDefaultOrg,
+  setAlias,
+  unsetAlias,
   getAccessToken,
   authenticateNewOrg,
+  createScratchOrg,
+  deleteScratchOrg,
+  cleanScratchOrgs,
+  getScratchOrgLimits,
+  listSandboxes,
+  createSandbox,
+  refreshSandbox,
+  resumeSandbox,
 };
@@ -0,0 +1,86 @@
+/**
+ * Workspace Folder Selection
+ *
+ * Tracks which workspace folder the Org Manager works in. CLI commands run
+ * in that folder, so `sf config set target-org` writes to its
+ * .sf/config.json and default org badges reflect its local config.
+ * In single-folder workspaces this is always the only folder; when the
+ * selected folder is removed, the first remaining folder is used.
+ *
+ * @module workspaceFolders
+ */
+
+const vscode = require("vscode");
+
+/**
+ * Path of the folder picked in the Org Manager, or null for the first folder
+ * @type {string|null}
+ */
+let selectedFolderPath = null;
+
+/**
+ * Listeners called after another folder was selected
+ * @type {Set<function(): void>}
+ */
+const selectionListeners = new Set();
+
+/**
+ * Lists the open workspace folders
+ *
+ * @returns {Array<{name: string, path: string}>} Folder names and file system paths
+ */
+function getFolders() {
+  return (vscode.workspace.workspaceFolders || []).map((folder) => ({
+    name: folder.name || folder.uri.fsPath,
+    path: folder.uri.fsPath,
+  }));
+}
+
+/**
+ * Gets the folder CLI commands run in
+ *
+ * @returns {string|undefined} Folder path, or undefined when no folder is open
+ */
+function getSelectedFolderPath() {
+  const folders = getFolders();
+  if (folders.some((folder) => folder.path === selectedFolderPath)) {
+    return selectedFolderPath;
+  }
+  return folders.length > 0 ? folders[0].path : undefined;
+}
+
+/**
+ * Selects the folder CLI commands run in
+ *
+ * @param {string} folderPath - Path of an open workspace folder
+ * @returns {void}
+ * @throws {Error} If the path is not an open workspace folder
+ */
+function selectFolder(folderPath) {
+  if (!getFolders().some((folder) => folder.path === folderPath)) {
+    throw new Error(`Not a workspace folder: ${folderPath}`);
+  }
+  const changed = folderPath !== selectedFolderPath;
+  selectedFolderPath = folderPath;
+  if (changed) {
+    selectionListeners.forEach((listener) => listener());
+  }
+}
+
+/**
+ * Registers a listener for folder selections in the Org Manager
+ *
+ * @param {function(): void} listener - Called after another folder was selected
+ * @returns {{dispose: function(): void}} Removes the listener
+ */
+function onDidSelectFolder(listener) {
+  selectionListeners.add(listener);
+  return { dispose: () => selectionListeners.delete(listener) };
+}
+
+module.exports = {
+  getFolders,
+  getSelectedFolderPath,
+  selectFolder,
+  onDidSelectFolder,
+};
@@ -2,18 +2,100 @@
  * Org Manager Webview Content
  *
  * Provides the UI for SF Org Manager with tile-based org display
- * and action buttons (open, reauthenticate, logout)
+ * and action buttons (open, reauthenticate, logout, delete scratch org)
  */
 
 (function () {
   const vscode = acquireVsCodeApi();
   let allOrgs = [];
+  let cliStatus = null;
+  // Usernames with operations running or queued in the extension
+  const busyOrgs = new Set();
+  // Tile markup last rendered per username, to update only changed tiles
+  const renderedTiles = new Map();
+  // Cache version of the list on screen
+  let renderedVersion = null;
+  // When the list on screen was fetched from the CLI
+  let lastUpdated = null;
+  // Whether a fresh list is being fetched while the current one is shown
+  let refreshing = false;
+  let refreshFailed = false;
+  // Whether the orgs on screen came from local files and their connections are not checked yet
+  let statusPending = false;
+  // Workspace folder whose project config applies (multi-root workspaces)
+  let selectedFolder = null;
+  // Results of "Verify connections" keyed by username
+  const verifications = {};
+  // Badge labels for failed connection checks
+  const CONNECTION_ERROR_LABELS = {
+    network: "Unreachable",
+    orgNotFound: "Org not found",
+    timeout: "Timed out",
+    unknown: "Check failed",
+  };
+  // Pins and tags keyed by org ID
+  let orgMetadata = {};
+  // Scratch org allocations of Dev Hubs keyed by username
+  let devHubLimits = {};
+  // Sandbox copies in progress, started from production tiles
+  let sandboxJobs = [];
+  // Org type per username ({type, isProduction, source}), sent by the extension
+  let orgTypes = {};
+  // Survives hiding and reloading the view
+  const viewState = vscode.getState() || {};
+  // Keys of the groups the user collapsed
+  const collapsedGroups = new Set(viewState.collapsedGroups || []);
+  // Type groups in display order, after Pinned and the tag groups
+  const TYPE_GROUPS = [
+    { key: "production", label: "🏭 Production" },
+    { key: "sandboxes", label: "🧪 Sandboxes" },
+    { key: "scratch", label: "📦 Scratch Orgs" },
+    { key: "devhubs", label: "🔧 Dev Hubs" },
+    { key: "other", label: "☁️ Other" },
+  ];
+  // Toolbar search text, active filter chip keys and sort order
+  let searchText = viewState.search || "";
+  const activeFilters = new Set(viewState.filters || []);
+  let sortOrder = viewState.sort || "default";
+  // Scratch orgs expiring within this many days match "Expiring soon" and get a warning badge
+  const EXPIRING_SOON_DAYS = 7;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // Filter chips; chips of one category match any, categories must all match
+  const FILTER_CHIPS = [
+    { key: "connected", category: "status", label: "✓ Connected", matches: (org) => isOrgConnected(org) },
+    { key: "disconnected", category: "status", label: "✗ Not connected", matches: (org) => !isOrgConnected(org) },
+    { key: "production", category: "type", label: "🏭 Production", matches: (org) => isProductionOrg(org) },
+    { key: "sandbox", category: "type", label: "🧪 Sandbox", matches: (org) => isSandboxOrg(org) },
+    { key: "scratch", category: "type", label: "📦 Scratch", matches: (org) => Boolean(org.isScratchOrg) },
+    { key: "devhub", category: "type", label: "🔧 Dev Hub", matches: (org) => Boolean(org.isDevHub || org.isDefaultDevHubUsername) },
+    { key: "expiring", category: "expiring", label: "⏳ Expiring soon", matches: (org) => isExpiringSoon(org) },
+    { key: "default", category: "default", label: "⭐ Default", matches: (org) => Boolean(org.isDefaultUsername || org.isDefaultDevHubUsername) },
+  ];
+  const SORT_OPTIONS = [
+    { key: "default", label: "Sort: CLI order" },
+    { key: "alias", label: "Sort: Alias" },
+    { key: "lastUsed", label: "Sort: Last used" },
+    { key: "expiration", label: "Sort: Expiration date" },
+  ];
+  // Where a default org or Dev Hub setting comes from
+  const DEFAULT_SOURCE_LABELS = {
+    local: "this project",
+    global: "global",
+    environment: "environment variable",
+  };
 
   // Initialize the UI
   function init() {
     renderUI();
+    renderToolbar();
     setupEventListeners();
     requestOrgsList();
+    // Keep "Updated N min ago" current
+    setInterval(renderLastUpdated, 30000);
+    // Keep scratch org countdowns current; only tiles whose text changed are replaced
+    setInterval(() => {
+      if (renderedTiles.size > 0) renderOrgs(allOrgs);
+    }, 60 * 60 * 1000);
   }
 
   // Render the main UI structure
@@ -99,6 +181,18 @@
           margin-bottom: 12px;
         }
 
+        .org-count-row {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+        }
+
+        .last-updated {
+          font-size: 12px;
+          color: var(--vscode-descriptionForeground);
+          font-style: italic;
+        }
+
         .orgs-container {
           display: flex;
           flex-direction: column;
@@ -136,6 +230,25 @@
           border-left: 4px solid var(--vscode-editorError-foreground);
         }
 
+        .org-tile.busy {
+          opacity: 0.7;
+        }
+
+        .busy-indicator {
+          display: none;
+          width: 14px;
+          height: 14px;
+          border: 2px solid var(--vscode-progressBar-background);
+          border-top-color: var(--vscode-button-background);
+          border-radius: 50%;
+          animation: spin 0.8s linear infinite;
+          flex-shrink: 0;
+        }
+
+        .org-tile.busy .busy-indicator {
+          display: inline-block;
+        }
+
         .org-header {
           display: flex;
           justify-content: space-between;
@@ -195,6 +308,41 @@
           color: white;
         }
 
+        .split-btn {
+          display: flex;
+          flex: 1;
+        }
+
+        .split-btn .action-btn:first-child {
+          border-top-right-radius: 0;
+          border-bottom-right-radius: 0;
+        }
+
+        .split-btn .split-btn-menu {
+          border-top-left-radius: 0;
+          border-bottom-left-radius: 0;
+          border-left: 1px solid var(--vscode-button-secondaryHoverBackground, rgba(128, 128, 128, 0.4));
+          flex: 0 0 auto;
+          min-width: 0;
+          padding-left: 6px;
+          padding-right: 6px;
+        }
+
+        .badge-sandbox {
+          background-color: var(--vscode-charts-blue);
+          color: white;
+        }
+
+        .badge-expiry.warning {
+          background-color: var(--vscode-charts-yellow);
+          color: black;
+        }
+
+        .badge-expiry.expired {
+          background-color: var(--vscode-charts-red);
+          color: white;
+        }
+
         .badge-connected {
           background-color: var(--vscode-charts-green);
           color: white;
@@ -205,6 +353,11 @@
           color: white;
         }
 
+        .badge-checking {
+          background-color: var(--vscode-badge-background);
+          color: var(--vscode-badge-foreground);
+        }
+
         .org-details {
           display: grid;
           grid-template-columns: auto 1fr;
@@ -282,6 +435,28 @@
           border-color: var(--vscode-inputValidation-errorBorder);
         }
 
+        .action-btn.primary {
+          background-color: var(--vscode-button-background);
+          color: var(--vscode-button-foreground);
+        }
+
+        .reauth-prompt {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 8px;
+          margin-bottom: 12px;
+          padding: 6px 8px;
+          border-radius: 4px;
+          font-size: 12px;
+          background-color: var(--vscode-inputValidation-errorBackground);
+          border: 1px solid var(--vscode-inputValidation-errorBorder);
+        }
+
+        .reauth-prompt .action-btn {
+          flex: 0 0 auto;
+        }
+
         .action-btn:disabled {
           opacity: 0.5;
           cursor: not-allowed;
@@ -334,6 +509,181 @@
           margin-bottom: 16px;
         }
 
+        .empty-state-actions {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          gap: 8px;
+        }
+
+        .cli-banner {
+          background-color: var(--vscode-inputValidation-warningBackground);
+          border: 1px solid var(--vscode-inputValidation-warningBorder);
+          border-radius: 4px;
+          padding: 8px 10px;
+          font-size: 12px;
+          margin-bottom: 12px;
+        }
+
+        .folder-picker {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 12px;
+          font-size: 12px;
+        }
+
+        .folder-picker select {
+          flex: 1;
+          min-width: 0;
+          padding: 4px;
+          background-color: var(--vscode-dropdown-background);
+          color: var(--vscode-dropdown-foreground);
+          border: 1px solid var(--vscode-dropdown-border);
+          border-radius: 2px;
+        }
+
+        .toolbar {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          margin-bottom: 12px;
+        }
+
+        .toolbar-row {
+          display: flex;
+          gap: 8px;
+        }
+
+        .search-input {
+          flex: 1;
+          min-width: 0;
+          padding: 4px 6px;
+          background-color: var(--vscode-input-background);
+          color: var(--vscode-input-foreground);
+          border: 1px solid var(--vscode-input-border, transparent);
+          border-radius: 2px;
+        }
+
+        .search-input:focus {
+          outline: 1px solid var(--vscode-focusBorder);
+          outline-offset: -1px;
+        }
+
+        .sort-select {
+          padding: 4px;
+          background-color: var(--vscode-dropdown-background);
+          color: var(--vscode-dropdown-foreground);
+          border: 1px solid var(--vscode-dropdown-border);
+          border-radius: 2px;
+        }
+
+        .filter-chips {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+        }
+
+        .filter-chip {
+          padding: 2px 10px;
+          border: 1px solid var(--vscode-panel-border);
+          border-radius: 12px;
+          background: none;
+          color: var(--vscode-foreground);
+          font-size: 11px;
+          cursor: pointer;
+        }
+
+        .filter-chip:hover {
+          border-color: var(--vscode-focusBorder);
+        }
+
+        .filter-chip[aria-pressed="true"] {
+          background-color: var(--vscode-button-background);
+          border-color: var(--vscode-button-background);
+          color: var(--vscode-button-foreground);
+        }
+
+        .org-tile:focus-visible {
+          outline: 1px solid var(--vscode-focusBorder);
+          outline-offset: 1px;
+        }
+
+        .org-tile[hidden],
+        .org-group[hidden] {
+          display: none;
+        }
+
+        .org-group {
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+        }
+
+        .org-group-header {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          width: 100%;
+          padding: 4px 0;
+          border: none;
+          background: none;
+          color: var(--vscode-foreground);
+          font-size: 12px;
+          font-weight: 600;
+          text-transform: uppercase;
+          cursor: pointer;
+          text-align: left;
+        }
+
+        .org-group-chevron {
+          display: inline-block;
+          transition: transform 0.2s;
+        }
+
+        .org-group.collapsed .org-group-chevron {
+          transform: rotate(-90deg);
+        }
+
+        .org-group-count {
+          color: var(--vscode-descriptionForeground);
+          font-weight: normal;
+        }
+
+        .org-group-tiles {
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+        }
+
+        .org-group.collapsed .org-group-tiles {
+          display: none;
+        }
+
+        .action-btn.icon-btn {
+          flex: 0 0 auto;
+          min-width: 0;
+          padding: 0 4px;
+          border: none;
+          background: none;
+          font-size: 16px;
+          color: var(--vscode-descriptionForeground);
+        }
+
+        .action-btn.icon-btn.pinned {
+          color: var(--vscode-charts-yellow);
+        }
+
+        .badge-tag {
+          background-color: var(--vscode-badge-background);
+          color: var(--vscode-badge-foreground);
+        }
+
+        .cli-banner .empty-state-actions {
+          justify-content: flex-start;
+          margin-top: 8px;
+        }
+
         .icon {
           display: inline-block;
         }
@@ -351,6 +701,14 @@
             <span class="icon">➕</span>
             Add New Org
           </button>
+          <button class="btn btn-secondary" id="newScratchOrgBtn" title="Create a scratch org from a definition file in config/">
+            <span class="icon">📦</span>
+            New Scratch Org
+          </button>
+          <button class="btn btn-secondary" id="verifyBtn" title="Check that every org is still connected">
+            <span class="icon">🩺</span>
+            Verify
+          </button>
           <button class="btn btn-secondary" id="refreshBtn">
             <span class="icon">🔄</span>
             Refresh
@@ -358,22 +716,71 @@
         </div>
       </div>
 
-      <div id="orgCountDisplay" class="org-count"></div>
+      <div id="cliBanner"></div>
+      <div id="folderPicker"></div>
+      <div class="toolbar">
+        <div class="toolbar-row">
+          <input id="searchInput" class="search-input" type="search" placeholder="Search alias, username, org ID or URL  ( / )" aria-label="Search orgs" />
+          <select id="sortSelect" class="sort-select" aria-label="Sort orgs"></select>
+        </div>
+        <div id="filterChips" class="filter-chips"></div>
+      </div>
+      <div class="org-count-row">
+        <div id="orgCountDisplay" class="org-count"></div>
+        <div id="lastUpdatedDisplay" class="last-updated"></div>
+      </div>
       <div id="orgsContainer" class="orgs-container">
         <div class="loading">
           <div class="loading-spinner"></div>
           <div>Loading orgs...</div>
         </div>
       </div>
+      <div id="noMatches" class="empty-state" hidden>
+        <div class="empty-state-title">No orgs match</div>
+        <div class="empty-state-text">Change the search or filters to see more orgs.</div>
+      </div>
     `;
   }
 
+  // Fill the search box, sort options and filter chips from the saved view state
+  function renderToolbar() {
+    document.getElementById("searchInput").value = searchText;
+
+    const select = document.getElementById("sortSelect");
+    SORT_OPTIONS.forEach((option) => {
+      const element = new Option(option.label, option.key);
+      element.selected = option.key === sortOrder;
+      select.appendChild(element);
+    });
+
+    const chips = document.getElementById("filterChips");
+    FILTER_CHIPS.forEach((chip) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "filter-chip";
+      button.dataset.filter = chip.key;
+      button.textContent = chip.label;
+      button.setAttribute("aria-pressed", String(activeFilters.has(chip.key)));
+      chips.appendChild(button);
+    });
+  }
+
   // Setup event listeners
   function setupEventListeners() {
     // Refresh button - force refresh bypassing cache
     document.getElementById("refreshBtn").addEventListener("click", () => {
       vscode.postMessage({ command: "refreshOrgs" });
-      showLoading();
+      showRefreshing();
+    });
+
+    // New scratch org button
+    document.getElementById("newScratchOrgBtn").addEventListener("click", () => {
+      vscode.postMessage({ command: "createScratchOrg" });
+    });
+
+    // Verify connections button
+    document.getElementById("verifyBtn").addEventListener("click", () => {
+      vscode.postMessage({ command: "verifyConnections" });
     });
 
     // Authenticate new org button
@@ -383,6 +790,76 @@
         handleAuthenticateNewOrg();
       });
 
+    // Search filters the tiles on screen without asking the extension
+    const searchInput = document.getElementById("searchInput");
+    searchInput.addEventListener("input", () => {
+      searchText = searchInput.value;
+      saveViewState();
+      applyFilters();
+    });
+    searchInput.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown") {
+        e.preventDefault();
+        focusTile(0);
+      } else if (e.key === "Escape" && searchInput.value) {
+        searchInput.value = "";
+        searchText = "";
+        saveViewState();
+        applyFilters();
+      }
+    });
+
+    document.getElementById("filterChips").addEventListener("click", (e) => {
+      const chip = e.target.closest(".filter-chip");
+      if (!chip) return;
+      const key = chip.dataset.filter;
+      if (activeFilters.has(key)) {
+        activeFilters.delete(key);
+      } else {
+        activeFilters.add(key);
+      }
+      chip.setAttribute("aria-pressed", String(activeFilters.has(key)));
+      saveViewState();
+      applyFilters();
+    });
+
+    document.getElementById("sortSelect").addEventListener("change", (e) => {
+      sortOrder = e.target.value;
+      saveViewState();
+      if (renderedTiles.size > 0) {
+        renderOrgs(allOrgs);
+      }
+    });
+
+    // Arrow keys move between the tiles that match; Escape goes back to the search box
+    document.getElementById("orgsContainer").addEventListener("keydown", (e) => {
+      if (!e.target.classList.contains("org-tile")) return;
+      const tiles = getNavigableTiles();
+      const index = tiles.indexOf(e.target);
+      if (e.key === "ArrowDown") {
+        e.preventDefault();
+        focusTile(index + 1);
+      } else if (e.key === "ArrowUp") {
+        e.preventDefault();
+        if (index > 0) {
+          focusTile(index - 1);
+        } else {
+          searchInput.focus();
+        }
+      } else if (e.key === "Escape") {
+        searchInput.focus();
+      }
+    });
+
+    // "/" focuses the search box unless the user is typing somewhere
+    document.addEventListener("keydown", (e) => {
+      if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest("input, select, textarea")) return;
+      e.preventDefault();
+      searchInput.focus();
+      searchInput.select();
+    });
+
     // Listen for messages from extension
     window.addEventListener("message", (event) => {
       const message = event.data;
@@ -397,6 +874,11 @@
         requestOrgsList();
         break;
 
+      case "cliStatus":
+        cliStatus = message.status;
+        renderCliBanner();
+        break;
+
       case "orgsListResponse":
         handleOrgsListResponse(message);
         break;
@@ -405,6 +887,34 @@
         handleOperationComplete(message);
         break;
 
+      case "orgBusy":
+        handleOrgBusy(message);
+        break;
+
+      case "workspaceFolders":
+        renderFolderPicker(message);
+        break;
+
+      case "connectionStatus":
+        handleConnectionStatus(message);
+        break;
+
+      case "orgMetadata":
+        handleOrgMetadata(message);
+        break;
+
+      case "devHubLimits":
+        handleDevHubLimits(message);
+        break;
+
+      case "sandboxJobs":
+        handleSandboxJobs(message);
+        break;
+
+      case "orgTypes":
+        handleOrgTypes(message);
+        break;
+
       case "accessTokenResponse":
         handleAccessTokenResponse(message);
         break;
@@ -418,19 +928,86 @@
   // Request orgs list from extension
   function requestOrgsList() {
     vscode.postMessage({ command: "listOrgs" });
-    showLoading();
+    showRefreshing();
+  }
+
+  // Keep the current tiles while a new list is fetched; show a spinner if there are none
+  function showRefreshing() {
+    if (renderedTiles.size === 0) {
+      showLoading();
+      return;
+    }
+    refreshing = true;
+    renderLastUpdated();
   }
 
   // Handle orgs list response
   function handleOrgsListResponse(message) {
+    if (cliStatus && cliStatus.state === "missing") {
+      showCliMissingState();
+      return;
+    }
+
     if (message.success && message.data) {
+      // A stale or locally discovered list is followed by a fresh one from the CLI
+      refreshing = Boolean(message.stale || message.statusPending);
+      statusPending = Boolean(message.statusPending);
+      refreshFailed = false;
+      lastUpdated = message.lastUpdated || null;
+
+      const unchanged =
+        message.version !== undefined &&
+        message.version === renderedVersion &&
+        renderedTiles.size > 0;
+      renderedVersion = message.version;
       allOrgs = message.data;
-      renderOrgs(allOrgs);
+      if (!unchanged) {
+        renderOrgs(allOrgs);
+      }
+      renderLastUpdated();
+    } else if (renderedTiles.size > 0) {
+      // Keep showing the last known orgs when a refresh fails
+      refreshing = false;
+      refreshFailed = true;
+      if (statusPending) {
+        // Connections could not be checked; stop showing "Checking…"
+        statusPending = false;
+        renderOrgs(allOrgs);
+      }
+      renderLastUpdated();
     } else {
       showEmptyState(message.message || "No orgs found");
     }
   }
 
+  // Show when the list on screen was fetched
+  function renderLastUpdated() {
+    const display = document.getElementById("lastUpdatedDisplay");
+    if (renderedTiles.size === 0 || !lastUpdated) {
+      display.textContent = refreshing ? "Refreshing…" : "";
+      return;
+    }
+
+    let text = `Updated ${formatAge(Date.now() - lastUpdated)}`;
+    if (refreshing) {
+      text += " · refreshing…";
+    } else if (refreshFailed) {
+      text += " · refresh failed";
+    }
+    display.textContent = text;
+  }
+
+  // Format a duration as "just now", "5 min ago", "2 h ago" or "3 days ago"
+  function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return "just now";
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} day${days !== 1 ? "s" : ""} ago`;
+  }
+
   // Handle operation complete
   function handleOperationComplete(message) {
     // Optionally show a notification or refresh the list
@@ -438,12 +1015,250 @@
       message.success &&
       (message.operation === "logout" ||
         message.operation === "setDefault" ||
+        message.operation === "alias" ||
+        message.operation === "createScratchOrg" ||
+        message.operation === "deleteScratchOrg" ||
+        message.operation === "cleanScratchOrgs" ||
         message.operation === "authenticateNewOrg")
     ) {
       requestOrgsList();
     }
   }
 
+  // Disable or enable a tile's buttons while the extension works on the org
+  function handleOrgBusy(message) {
+    if (message.busy) {
+      busyOrgs.add(message.username);
+    } else {
+      busyOrgs.delete(message.username);
+    }
+
+    const tile = findOrgTile(message.username);
+    if (!tile) return;
+
+    tile.classList.toggle("busy", message.busy);
+    tile.querySelectorAll(".action-btn").forEach((btn) => {
+      btn.disabled = message.busy;
+    });
+  }
+
+  // Show a folder picker when more than one workspace folder is open
+  function renderFolderPicker(message) {
+    const picker = document.getElementById("folderPicker");
+
+    if (message.selected !== selectedFolder) {
+      // Default org badges depend on the folder: re-render even if the list is unchanged
+      renderedVersion = null;
+      selectedFolder = message.selected;
+    }
+
+    if (message.folders.length < 2) {
+      picker.innerHTML = "";
+      return;
+    }
+
+    picker.innerHTML = `
+      <div class="folder-picker">
+        <label for="folderSelect">Project:</label>
+        <select id="folderSelect" title="Commands run in this folder and use its default org"></select>
+      </div>
+    `;
+
+    // Paths can contain quotes: build options with the DOM instead of markup
+    const select = document.getElementById("folderSelect");
+    message.folders.forEach((folder) => {
+      const target = folder.targetOrg ? ` (default: ${folder.targetOrg})` : "";
+      const option = new Option(folder.name + target, folder.path);
+      option.selected = folder.path === message.selected;
+      select.appendChild(option);
+    });
+    select.addEventListener("change", (e) => {
+      vscode.postMessage({ command: "selectFolder", path: e.target.value });
+    });
+  }
+
+  // Record connection check results and update the affected tiles
+  function handleConnectionStatus(message) {
+    Object.entries(message.verifications).forEach(([username, verification]) => {
+      if (verification) {
+        verifications[username] = verification;
+      } else {
+        delete verifications[username];
+      }
+    });
+
+    if (renderedTiles.size > 0) {
+      renderOrgs(allOrgs);
+    }
+  }
+
+  // Apply new pins and tags
+  function handleOrgMetadata(message) {
+    orgMetadata = message.metadata || {};
+    if (renderedTiles.size > 0) {
+      renderOrgs(allOrgs);
+    }
+  }
+
+  // Apply new Dev Hub scratch org limits
+  function handleDevHubLimits(message) {
+    devHubLimits = message.limits || {};
+    if (renderedTiles.size > 0) {
+      renderOrgs(allOrgs);
+    }
+  }
+
+  // Apply the progress of sandbox copies
+  function handleSandboxJobs(message) {
+    sandboxJobs = message.jobs || [];
+    if (renderedTiles.size > 0) {
+      renderOrgs(allOrgs);
+    }
+  }
+
+  // Apply the org types, e.g. once the Organization records were read
+  function handleOrgTypes(message) {
+    orgTypes = message.types || {};
+    if (renderedTiles.size > 0) {
+      renderOrgs(allOrgs);
+    }
+  }
+
+  // Pins and tags of an org
+  function getOrgMetadata(org) {
+    return (org.orgId && orgMetadata[org.orgId]) || { pinned: false, tags: [] };
+  }
+
+  // Remember view settings across reloads of the webview
+  function saveViewState() {
+    viewState.collapsedGroups = Array.from(collapsedGroups);
+    viewState.search = searchText;
+    viewState.filters = Array.from(activeFilters);
+    viewState.sort = sortOrder;
+    vscode.setState(viewState);
+  }
+
+  // Whether an org matches the search text and the active filter chips
+  function matchesFilters(org) {
+    const query = searchText.trim().toLowerCase();
+    if (query) {
+      const fields = [org.alias, org.username, org.orgId, org.instanceUrl].concat(org.aliases || []);
+      if (!fields.some((field) => field && String(field).toLowerCase().includes(query))) {
+        return false;
+      }
+    }
+
+    const byCategory = new Map();
+    FILTER_CHIPS.filter((chip) => activeFilters.has(chip.key)).forEach((chip) => {
+      if (!byCategory.has(chip.category)) byCategory.set(chip.category, []);
+      byCategory.get(chip.category).push(chip);
+    });
+    return Array.from(byCategory.values()).every((chips) => chips.some((chip) => chip.matches(org)));
+  }
+
+  // Hide tiles and groups that do not match, and show how many do
+  function applyFilters() {
+    const container = document.getElementById("orgsContainer");
+    const countDisplay = document.getElementById("orgCountDisplay");
+    if (renderedTiles.size === 0) return;
+
+    let visible = 0;
+    allOrgs.forEach((org) => {
+      const tile = findOrgTile(org.username);
+      if (!tile) return;
+      tile.hidden = !matchesFilters(org);
+      if (!tile.hidden) visible++;
+    });
+
+    container.querySelectorAll(".org-group").forEach((section) => {
+      const tiles = Array.from(section.querySelectorAll(".org-tile"));
+      const shown = tiles.filter((tile) => !tile.hidden).length;
+      section.hidden = shown === 0;
+      section.querySelector(".org-group-count").textContent =
+        shown === tiles.length ? `(${tiles.length})` : `(${shown} of ${tiles.length})`;
+    });
+
+    const total = allOrgs.length;
+    const noun = `org${total !== 1 ? "s" : ""} authenticated`;
+    countDisplay.textContent = visible === total ? `${total} ${noun}` : `${visible} of ${total} ${noun}`;
+    document.getElementById("noMatches").hidden = visible > 0;
+  }
+
+  // Sort orgs by the chosen order; groups keep this order inside them
+  function sortOrgs(orgs) {
+    const sorted = orgs.slice();
+    switch (sortOrder) {
+      case "alias":
+        sorted.sort((a, b) =>
+          (a.alias || a.username).localeCompare(b.alias || b.username, undefined, { sensitivity: "base" })
+        );
+        break;
+      case "lastUsed":
+        // Most recently opened first; orgs never opened keep their order at the end
+        sorted.sort((a, b) => (getOrgMetadata(b).lastUsed || 0) - (getOrgMetadata(a).lastUsed || 0));
+        break;
+      case "expiration":
+        // Soonest first; orgs that do not expire last
+        sorted.sort((a, b) => getExpirationTime(a) - getExpirationTime(b));
+        break;
+    }
+    return sorted;
+  }
+
+  // Expiration date as a timestamp, or Infinity for orgs that do not expire
+  function getExpirationTime(org) {
+    const time = org.expirationDate ? new Date(org.expirationDate).getTime() : NaN;
+    return Number.isNaN(time) ? Infinity : time;
+  }
+
+  // Whether a scratch org expires within EXPIRING_SOON_DAYS (or already has)
+  function isExpiringSoon(org) {
+    return getExpirationTime(org) - Date.now() <= EXPIRING_SOON_DAYS * DAY_MS;
+  }
+
+  // Countdown to a scratch org's expiration: text and urgency (null, "warning" or "expired")
+  function getExpiryCountdown(org) {
+    const remaining = getExpirationTime(org) - Date.now();
+    if (remaining === Infinity) return null;
+
+    const days = Math.ceil(remaining / DAY_MS);
+    if (days <= 0) return { text: "Expired", level: "expired" };
+    return {
+      text: days === 1 ? "Expires in 1 day" : `Expires in ${days} days`,
+      level: days <= EXPIRING_SOON_DAYS ? "warning" : null,
+    };
+  }
+
+  // Connection state, preferring the last "Verify connections" result
+  function isOrgConnected(org) {
+    const verification = verifications[org.username];
+    if (verification) return verification.state === "connected";
+    return org.connectedStatus === "Connected";
+  }
+
+  // Tiles the arrow keys move between, in screen order
+  function getNavigableTiles() {
+    return Array.from(document.querySelectorAll("#orgsContainer .org-tile")).filter(
+      (tile) => !tile.hidden && !tile.closest(".org-group.collapsed")
+    );
+  }
+
+  // Focus the matching tile at an index, if there is one
+  function focusTile(index) {
+    const tile = getNavigableTiles()[index];
+    if (tile) {
+      tile.focus();
+      tile.scrollIntoView({ block: "nearest" });
+    }
+  }
+
+  // Find the tile element for a username
+  function findOrgTile(username) {
+    return Array.from(document.querySelectorAll(".org-tile")).find(
+      (tile) => tile.dataset.username === username
+    );
+  }
+
   // Handle access token response
   function handleAccessTokenResponse(message) {
     // Token is already copied to clipboard by the handler
@@ -456,6 +1271,7 @@
   // Show loading state
   function showLoading() {
     const container = document.getElementById("orgsContainer");
+    clearTiles();
     container.innerHTML = `
       <div class="loading">
         <div class="loading-spinner"></div>
@@ -471,6 +1287,7 @@
 
     countDisplay.textContent = "0 orgs authenticated";
 
+    clearTiles();
     container.innerHTML = `
       <div class="empty-state">
         <div class="empty-state-icon">☁️</div>
@@ -484,9 +1301,82 @@
     `;
   }
 
+  // Show actionable empty state when the Salesforce CLI cannot be found
+  function showCliMissingState() {
+    const container = document.getElementById("orgsContainer");
+    const countDisplay = document.getElementById("orgCountDisplay");
+
+    countDisplay.textContent = "";
+    clearTiles();
+
+    const location = cliStatus.customPath
+      ? `No CLI was found at <code>${escapeHtml(cliStatus.customPath)}</code>.`
+      : "Neither <code>sf</code> nor <code>sfdx</code> was found on your PATH.";
+
+    container.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">🧰</div>
+        <div class="empty-state-title">Salesforce CLI Not Found</div>
+        <div class="empty-state-text">
+          ${location}
+          <br><br>
+          Install the Salesforce CLI, or point <code>sfRangerToolkit.cliPath</code> at an existing install.
+        </div>
+        <div class="empty-state-actions">
+          ${cliActionButtons()}
+        </div>
+      </div>
+    `;
+    attachCliActions(container);
+  }
+
+  // Show a warning banner above the tiles when the CLI is outdated
+  function renderCliBanner() {
+    const banner = document.getElementById("cliBanner");
+
+    if (!cliStatus || cliStatus.state !== "outdated") {
+      banner.innerHTML = "";
+      return;
+    }
+
+    banner.innerHTML = `
+      <div class="cli-banner">
+        ⚠️ Salesforce CLI ${escapeHtml(cliStatus.version)} is older than the minimum
+        supported version ${escapeHtml(cliStatus.minimumVersion)}. Some actions may fail.
+        <div class="empty-state-actions">
+          ${cliActionButtons()}
+        </div>
+      </div>
+    `;
+    attachCliActions(banner);
+  }
+
+  // Buttons shared by the CLI empty state and banner
+  function cliActionButtons() {
+    return `
+      <button class="btn btn-primary" data-cli-action="installCli">⬇️ Install CLI</button>
+      <button class="btn btn-secondary" data-cli-action="openCliSettings">⚙️ Set CLI Path</button>
+      <button class="btn btn-secondary" data-cli-action="detectCli">🔄 Retry</button>
+    `;
+  }
+
+  // Attach click handlers for CLI action buttons inside an element
+  function attachCliActions(element) {
+    element.querySelectorAll("[data-cli-action]").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        const command = e.currentTarget.dataset.cliAction;
+        vscode.postMessage({ command });
+        if (command === "detectCli") {
+          showLoading();
+        }
+      });
+    });
+  }
+
   // Show error
   function showError(message) {
     const container = document.getElementById("orgsContainer");
+    clearTiles();
     container.innerHTML = `
       <div class="empty-state">
         <div class="empty-state-icon">⚠️</div>
@@ -506,41 +1396,168 @@
       return;
     }
 
-    countDisplay.textContent = `${orgs.length} org${orgs.length !== 1 ? "s" : ""} authenticated`;
+    // Replace the loading, empty or error state before adding the first tile
+    if (renderedTiles.size === 0) {
+      container.innerHTML = "";
+    }
 
-    const orgsHtml = orgs.map((org) => createOrgTile(org)).join("");
-    container.innerHTML = orgsHtml;
+    // Remove tiles of orgs that are gone
+    const usernames = new Set(orgs.map((org) => org.username));
+    Array.from(renderedTiles.keys()).forEach((username) => {
+      if (!usernames.has(username)) {
+        const tile = findOrgTile(username);
+        if (tile) tile.remove();
+        renderedTiles.delete(username);
+      }
+    });
+
+    // Re-render only tiles whose markup changed, then put tiles in group and list order
+    const groups = groupOrgs(sortOrgs(orgs));
+    groups.forEach((group) => {
+      const section = getGroupSection(container, group);
+      const groupTiles = section.querySelector(".org-group-tiles");
+
+      group.orgs.forEach((org) => {
+        const html = createOrgTile(org);
+        let tile = findOrgTile(org.username);
+        const changed = !tile || renderedTiles.get(org.username) !== html;
+
+        if (changed) {
+          const template = document.createElement("template");
+          template.innerHTML = html.trim();
+          const newTile = template.content.firstElementChild;
+          if (tile) {
+            tile.replaceWith(newTile);
+          }
+          tile = newTile;
+          renderedTiles.set(org.username, html);
+        }
+
+        groupTiles.appendChild(tile);
+
+        if (changed) {
+          attachOrgActions(org);
+        }
+      });
+
+      container.appendChild(section);
+    });
+
+    // Remove groups that no longer have orgs
+    const groupKeys = new Set(groups.map((group) => group.key));
+    Array.from(container.querySelectorAll(".org-group")).forEach((section) => {
+      if (!groupKeys.has(section.dataset.group)) section.remove();
+    });
+
+    applyFilters();
+  }
+
+  // Split orgs into groups; each org appears once, in the first group that applies:
+  // Pinned, then its first tag, then its type
+  function groupOrgs(orgs) {
+    const pinned = [];
+    const byTag = new Map();
+    const byType = new Map();
 
-    // Attach event listeners to action buttons
     orgs.forEach((org) => {
-      attachOrgActions(org);
+      const metadata = getOrgMetadata(org);
+      if (metadata.pinned) {
+        pinned.push(org);
+      } else if (metadata.tags.length > 0) {
+        const tag = metadata.tags[0];
+        if (!byTag.has(tag)) byTag.set(tag, []);
+        byTag.get(tag).push(org);
+      } else {
+        const type = getOrgType(org);
+        if (!byType.has(type)) byType.set(type, []);
+        byType.get(type).push(org);
+      }
     });
 
+    const groups = [];
+    if (pinned.length > 0) {
+      groups.push({ key: "pinned", label: "📌 Pinned", orgs: pinned });
+    }
+    Array.from(byTag.keys())
+      .sort((a, b) => a.localeCompare(b))
+      .forEach((tag) => {
+        groups.push({ key: `tag:${tag}`, label: `#${tag}`, orgs: byTag.get(tag) });
+      });
+    TYPE_GROUPS.forEach((type) => {
+      if (byType.has(type.key)) {
+        groups.push({ key: type.key, label: type.label, orgs: byType.get(type.key) });
+      }
+    });
+    return groups;
   }
 
-  // Detect if an org is a production org based on instanceUrl
-  function isProductionOrg(org) {
-    if (!org.instanceUrl) return false;
-
-    const url = org.instanceUrl.toLowerCase();
-
-    // Non-production indicators
-    const nonProductionIndicators = [
-      "test.salesforce.com", // Sandbox
-      "sandbox.my.salesforce.com", // Sandbox
-      ".sandbox.", // Sandbox
-      ".cs", // CS instances (cs1, cs2, etc.)
-      ".test.", // Test instances
-      "dev-ed", // Developer Edition orgs
-    ];
-
-    // Check if it's explicitly non-production
-    const isNonProduction = nonProductionIndicators.some((indicator) =>
-      url.includes(indicator)
+  // Type group of an org; a Dev Hub is listed under Dev Hubs even in production
+  function getOrgType(org) {
+    if (org.isDevHub || org.isDefaultDevHubUsername) return "devhubs";
+    if (org.isScratchOrg) return "scratch";
+    if (isProductionOrg(org)) return "production";
+    if (isSandboxOrg(org)) return "sandboxes";
+    return "other";
+  }
+
+  // Find or create the collapsible section of a group
+  function getGroupSection(container, group) {
+    let section = Array.from(container.querySelectorAll(".org-group")).find(
+      (element) => element.dataset.group === group.key
     );
 
-    // If it's not a scratch org and not non-production, it's likely production
-    return !org.isScratchOrg && !isNonProduction;
+    if (!section) {
+      section = document.createElement("section");
+      section.className = "org-group";
+      section.dataset.group = group.key;
+      section.innerHTML = `
+        <button class="org-group-header" type="button">
+          <span class="org-group-chevron">▾</span>
+          <span class="org-group-label"></span>
+          <span class="org-group-count"></span>
+        </button>
+        <div class="org-group-tiles"></div>
+      `;
+      section.querySelector(".org-group-header").addEventListener("click", () => {
+        const collapsed = section.classList.toggle("collapsed");
+        if (collapsed) {
+          collapsedGroups.add(group.key);
+        } else {
+          collapsedGroups.delete(group.key);
+        }
+        saveViewState();
+      });
+    }
+
+    // Tags are user input: set text, not markup; applyFilters sets the count
+    section.querySelector(".org-group-label").textContent = group.label;
+    section.classList.toggle("collapsed", collapsedGroups.has(group.key));
+    return section;
+  }
+
+  // Forget rendered tiles before the container content is replaced
+  function clearTiles() {
+    renderedTiles.clear();
+    renderedVersion = null;
+    document.getElementById("lastUpdatedDisplay").textContent = "";
+    document.getElementById("noMatches").hidden = true;
+  }
+
+  // Production orgs as determined by the extension (Organization record or URL settings)
+  function isProductionOrg(org) {
+    const type = orgTypes[org.username];
+    return Boolean(type && type.isProduction);
+  }
+
+  // Sandboxes as determined by the extension
+  function isSandboxOrg(org) {
+    const type = orgTypes[org.username];
+    return Boolean(type && type.type === "sandbox");
+  }
+
+  // Badge suffix naming where a default is set, e.g. " (global)"
+  function formatDefaultSource(source) {
+    return DEFAULT_SOURCE_LABELS[source] ? ` (${DEFAULT_SOURCE_LABELS[source]})` : "";
   }
 
   // Create an org tile
@@ -563,18 +1580,59 @@
     const badges = [];
 
     if (org.isDefaultUsername)
-      badges.push('<span class="badge badge-default">⭐ Default</span>');
+      badges.push(`<span class="badge badge-default">⭐ Default${formatDefaultSource(org.defaultUsernameSource)}</span>`);
     if (org.isDefaultDevHubUsername)
-      badges.push('<span class="badge badge-devhub">🔧 Dev Hub</span>');
+      badges.push(`<span class="badge badge-devhub">🔧 Dev Hub${formatDefaultSource(org.defaultDevHubUsernameSource)}</span>`);
     if (org.isScratchOrg)
       badges.push('<span class="badge badge-scratch">📦 Scratch</span>');
 
-    const isConnected = org.connectedStatus === "Connected";
-    badges.push(
-      `<span class="badge badge-${isConnected ? "connected" : "disconnected"}">${isConnected ? "✓" : "✗"} ${org.connectedStatus}</span>`
+    const limits = devHubLimits[org.username];
+    if (limits && limits.low)
+      badges.push(`<span class="badge badge-expiry warning">📉 ${limits.daily.remaining} scratch orgs left today</span>`);
+
+    sandboxJobs
+      .filter((job) => job.productionOrg === org.username)
+      .forEach((job) => {
+        const progress = job.copyProgress !== null ? ` ${job.copyProgress}%` : "";
+        badges.push(
+          `<span class="badge badge-sandbox">🧪 ${escapeHtml(job.name)}: ${escapeHtml(job.status || "Pending")}${progress}</span>`
+        );
+      });
+
+    const countdown = getExpiryCountdown(org);
+    if (countdown && countdown.level)
+      badges.push(`<span class="badge badge-expiry ${countdown.level}">⏳ ${countdown.text}</span>`);
+
+    const metadata = getOrgMetadata(org);
+    metadata.tags.forEach((tag) =>
+      badges.push(`<span class="badge badge-tag">#${escapeHtml(tag)}</span>`)
     );
 
+    const isConnected = org.connectedStatus === "Connected";
+    const verification = verifications[org.username];
+    if (verification && verification.state === "needsReauth") {
+      badges.push('<span class="badge badge-disconnected">🔐 Needs reauth</span>');
+    } else if (verification && verification.state === "error") {
+      const label = CONNECTION_ERROR_LABELS[verification.errorType] || CONNECTION_ERROR_LABELS.unknown;
+      badges.push(`<span class="badge badge-disconnected">✗ ${label}</span>`);
+    } else if (verification) {
+      badges.push('<span class="badge badge-connected">✓ Connected</span>');
+    } else if (statusPending) {
+      badges.push('<span class="badge badge-checking">⏳ Checking…</span>');
+    } else {
+      badges.push(
+        `<span class="badge badge-${isConnected ? "connected" : "disconnected"}">${isConnected ? "✓" : "✗"} ${org.connectedStatus}</span>`
+      );
+    }
+
     const details = [];
+    // sf org list shows one alias; list the others too
+    if (org.aliases && org.aliases.length > 1)
+      details.push({
+        label: "Aliases:",
+        value: org.aliases.join(", "),
+        copyable: false,
+      });
     if (org.orgId)
       details.push({
         label: "Org ID:",
@@ -591,22 +1649,69 @@
     if (org.expirationDate)
       details.push({
         label: "Expires:",
-        value: new Date(org.expirationDate).toLocaleDateString(),
+        value: countdown
+          ? `${new Date(org.expirationDate).toLocaleDateString()} (${countdown.text.toLowerCase()})`
+          : org.expirationDate,
+        copyable: false,
+      });
+
+    if (limits && limits.daily)
+      details.push({
+        label: "Scratch orgs:",
+        value: `${limits.daily.remaining} of ${limits.daily.max} left today${limits.active ? `, ${limits.active.remaining} of ${limits.active.max} active slots free` : ""}`,
+        copyable: false,
+      });
+
+    if (verification) {
+      details.push({
+        label: "Verified:",
+        value: new Date(verification.lastVerified).toLocaleString(),
         copyable: false,
       });
+    }
+    if (verification && verification.message) {
+      details.push({
+        label: "Error:",
+        value: verification.message,
+        copyable: false,
+      });
+    }
+
+    // Keep buttons disabled across re-renders while operations are queued
+    const isBusy = busyOrgs.has(org.username);
+    const disabled = isBusy ? "disabled" : "";
 
     return `
-      <div class="org-tile ${tileClass}" data-username="${org.username}">
+      <div class="org-tile ${tileClass} ${isBusy ? "busy" : ""}" data-username="${org.username}" tabindex="0">
         <div class="org-header">
           <div class="org-info">
             <div class="org-alias">${escapeHtml(org.alias)}</div>
             <div class="org-username">${escapeHtml(org.username)}</div>
           </div>
+          <span class="busy-indicator" title="Operation in progress"></span>
+          ${
+            org.orgId
+              ? `<button class="action-btn icon-btn ${metadata.pinned ? "pinned" : ""}" data-action="pin" data-username="${org.username}" data-org-id="${org.orgId}" title="${metadata.pinned ? "Unpin" : "Pin to the top"}" ${disabled}>${metadata.pinned ? "★" : "☆"}</button>`
+              : ""
+          }
         </div>
         <div class="org-badges">
           ${badges.join("")}
         </div>
 
+        ${
+          verification && verification.state === "needsReauth"
+            ? `
+          <div class="reauth-prompt">
+            <span>The login for this org has expired.</span>
+            <button class="action-btn primary" data-action="reauth" data-username="${org.username}" data-instance-url="${org.instanceUrl || ""}" ${disabled}>
+              🔐 Reauth
+            </button>
+          </div>
+        `
+            : ""
+        }
+
         ${
           details.length > 0
             ? `
@@ -632,27 +1737,59 @@
         }
 
         <div class="org-actions">
-          <button class="action-btn" data-action="open" data-username="${org.username}">
-            🌐 Open
+          <span class="split-btn">
+            <button class="action-btn" data-action="open" data-username="${org.username}" data-org-id="${org.orgId || ""}" ${disabled}>
+              🌐 Open
+            </button>
+            <button class="action-btn split-btn-menu" data-action="openMenu" data-username="${org.username}" data-org-id="${org.orgId || ""}" title="Open Setup, Object Manager, a record or a bookmark, open in a private window or another browser, or copy a login URL" aria-label="More ways to open" ${disabled}>
+              ▾
+            </button>
+          </span>
+          <button class="action-btn" data-action="details" data-username="${org.username}" title="Full org ID, edition, release, locale, profile and CLI auth" ${disabled}>
+            ℹ️ Details
+          </button>
+          <button class="action-btn" data-action="chooseDefault" data-username="${org.username}" title="Set or unset as default org or Dev Hub" ${disabled}>
+            ⭐ Default…
           </button>
+          <button class="action-btn" data-action="alias" data-username="${org.username}" title="Rename, add or remove aliases" ${disabled}>
+            🏷️ Alias…
+          </button>
+          ${
+            org.orgId
+              ? `
+            <button class="action-btn" data-action="tags" data-username="${org.username}" data-org-id="${org.orgId}" title="Tag by client, project or environment" ${disabled}>
+              🔖 Tags…
+            </button>
+          `
+              : ""
+          }
           ${
-            !org.isDefaultUsername
+            isProd
               ? `
-            <button class="action-btn" data-action="setDefault" data-username="${org.username}">
-              ⭐ Set Default
+            <button class="action-btn" data-action="sandboxes" data-username="${org.username}" title="List, create, clone and refresh sandboxes" ${disabled}>
+              🧪 Sandboxes…
             </button>
           `
               : ""
           }
-          <button class="action-btn" data-action="reauth" data-username="${org.username}" data-instance-url="${org.instanceUrl || ""}">
+          <button class="action-btn" data-action="reauth" data-username="${org.username}" data-instance-url="${org.instanceUrl || ""}" ${disabled}>
             🔄 Reauth
           </button>
-          <button class="action-btn" data-action="getToken" data-username="${org.username}">
+          <button class="action-btn" data-action="getToken" data-username="${org.username}" ${disabled}>
             🔑 Token
           </button>
-          <button class="action-btn danger" data-action="logout" data-username="${org.username}">
+          <button class="action-btn danger" data-action="logout" data-username="${org.username}" ${disabled}>
             🚪 Logout
           </button>
+          ${
+            org.isScratchOrg
+              ? `
+            <button class="action-btn danger" data-action="deleteScratch" data-username="${org.username}" title="Delete the scratch org in its Dev Hub" ${disabled}>
+              🗑️ Delete
+            </button>
+          `
+              : ""
+          }
         </div>
       </div>
     `;
@@ -660,9 +1797,7 @@
 
   // Attach action button event listeners
   function attachOrgActions(org) {
-    const tile = document.querySelector(
-      `.org-tile[data-username="${org.username}"]`
-    );
+    const tile = findOrgTile(org.username);
     if (!tile) return;
 
     const buttons = tile.querySelectorAll(".action-btn");
@@ -670,8 +1805,8 @@
       btn.addEventListener("click", (e) => {
         const action = e.currentTarget.dataset.action;
         const username = e.currentTarget.dataset.username;
-        const instanceUrl = e.currentTarget.dataset.instanceUrl;
-        handleOrgAction(action, username, { instanceUrl });
+        const { instanceUrl, orgId } = e.currentTarget.dataset;
+        handleOrgAction(action, username, { instanceUrl, orgId });
       });
     });
 
@@ -753,7 +1888,7 @@
   function handleOrgAction(action, username, additionalData = {}) {
     switch (action) {
       case "open":
-        vscode.postMessage({ command: "openOrg", username });
+        vscode.postMessage({ command: "openOrg", username, orgId: additionalData.orgId });
         break;
       case "reauth":
         vscode.postMessage({
@@ -765,12 +1900,41 @@
       case "logout":
         vscode.postMessage({ command: "logoutOrg", username });
         break;
-      case "setDefault":
-        vscode.postMessage({ command: "setDefaultOrg", username });
+      case "deleteScratch":
+        vscode.postMessage({ command: "deleteScratchOrg", username });
+        break;
+      case "openMenu":
+        vscode.postMessage({
+          command: "chooseOpenDestination",
+          username,
+          orgId: additionalData.orgId,
+        });
+        break;
+      case "chooseDefault":
+        vscode.postMessage({ command: "chooseDefaultOrg", username });
+        break;
+      case "sandboxes":
+        vscode.postMessage({ command: "chooseSandboxAction", username });
+        break;
+      case "alias":
+        vscode.postMessage({ command: "chooseAliasAction", username });
+        break;
+      case "pin":
+        vscode.postMessage({
+          command: "togglePin",
+          orgId: additionalData.orgId,
+          pinned: !(orgMetadata[additionalData.orgId] || {}).pinned,
+        });
+        break;
+      case "tags":
+        vscode.postMessage({ command: "editTags", orgId: additionalData.orgId, username });
         break;
       case "getToken":
         vscode.postMessage({ command: "getAccessToken", username });
         break;
+      case "details":
+        vscode.postMessage({ command: "showOrgDetails", username });
+        break;
     }
   }
 
@@ -0,0 +1,271 @@
+/**
+ * Unit Tests for connectionMonitor Module
+ *
+ * Tests connection verification, the concurrency limit, watched org
+ * notifications, the background interval and the lease shared by windows.
+ */
+
+const mockVscode = {
+  window: {
+    showWarningMessage: jest.fn(() => Promise.resolve(undefined)),
+  },
+  workspace: {
+    onDidChangeConfiguration: jest.fn(() => ({ dispose: jest.fn() })),
+  },
+  Disposable: jest.fn(function (callOnDispose) {
+    this.dispose = callOnDispose;
+  }),
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+const mockSfdxExecutor = {
+  checkSfdxConnection: jest.fn(),
+  isCancellationError: jest.fn((error) => error.code === 'SF_RANGER_CANCELLED'),
+  classifyConnectionError: jest.fn(() => 'unknown'),
+  CONNECTION_ERROR_TYPES: { EXPIRED_AUTH: 'expiredAuth', NETWORK: 'network' },
+};
+
+jest.mock('../../src/utils/sfdxCommandExecutor', () => mockSfdxExecutor);
+
+jest.mock('../../src/utils/config', () => ({
+  getMaxConcurrentCommands: jest.fn(() => 2),
+  getWatchedOrgs: jest.fn(() => []),
+  getVerifyConnectionsInterval: jest.fn(() => 0),
+  getOrgCacheDuration: jest.fn(() => 60000),
+}));
+
+const connectionMonitor = require('../../src/handlers/connectionMonitor');
+const config = require('../../src/utils/config');
+
+// Creates the error checkSfdxConnection throws for a failed check
+function connectionError(message, errorType) {
+  const error = new Error(message);
+  error.errorType = errorType;
+  return error;
+}
+
+// Creates a globalState memento backed by a plain object
+function createMemento(initial = {}) {
+  const values = { ...initial };
+  return {
+    get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+    update: jest.fn(async (key, value) => {
+      values[key] = value;
+    }),
+  };
+}
+
+// Lets queued promise callbacks run
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+const orgs = [
+  { username: 'prod@example.com', alias: 'prod' },
+  { username: 'dev@example.com', alias: 'dev' },
+  { username: 'qa@example.com', alias: 'qa' },
+];
+
+describe('connectionMonitor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connectionMonitor.resetConnectionMonitor();
+    config.getWatchedOrgs.mockReturnValue([]);
+    mockSfdxExecutor.checkSfdxConnection.mockResolvedValue({ connected: true });
+  });
+
+  describe('verifyConnections', () => {
+    it('should record the state, error type and time of each check', async () => {
+      mockSfdxExecutor.checkSfdxConnection
+        .mockResolvedValueOnce({ connected: true })
+        .mockRejectedValueOnce(connectionError('expired access/refresh token', 'expiredAuth'))
+        .mockRejectedValueOnce(connectionError('getaddrinfo ENOTFOUND', 'network'));
+      const onResult = jest.fn();
+
+      const results = await connectionMonitor.verifyConnections(orgs, { onResult });
+
+      expect(results).toEqual({
+        'prod@example.com': {
+          state: 'connected',
+          errorType: null,
+          message: null,
+          lastVerified: expect.any(Number),
+        },
+        'dev@example.com': {
+          state: 'needsReauth',
+          errorType: 'expiredAuth',
+          message: 'expired access/refresh token',
+          lastVerified: expect.any(Number),
+        },
+        'qa@example.com': {
+          state: 'error',
+          errorType: 'network',
+          message: 'getaddrinfo ENOTFOUND',
+          lastVerified: expect.any(Number),
+        },
+      });
+      expect(onResult).toHaveBeenCalledTimes(3);
+      expect(connectionMonitor.getVerifications()).toEqual(results);
+    });
+
+    it('should not run more checks at once than maxConcurrentCommands', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      mockSfdxExecutor.checkSfdxConnection.mockImplementation(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await flushPromises();
+        running--;
+        return { connected: true };
+      });
+
+      await connectionMonitor.verifyConnections(orgs);
+
+      expect(mockSfdxExecutor.checkSfdxConnection).toHaveBeenCalledTimes(3);
+      expect(maxRunning).toBe(2);
+    });
+
+    it('should skip pending checks once cancelled', async () => {
+      const token = { isCancellationRequested: true };
+
+      const results = await connectionMonitor.verifyConnections(orgs, { token });
+
+      expect(results).toEqual({});
+      expect(mockSfdxExecutor.checkSfdxConnection).not.toHaveBeenCalled();
+    });
+
+    it('should forget an org after reauth or logout', async () => {
+      await connectionMonitor.verifyConnections(orgs.slice(0, 1));
+
+      connectionMonitor.forgetVerification('prod@example.com');
+
+      expect(connectionMonitor.getVerifications()).toEqual({});
+    });
+  });
+
+  describe('watched orgs', () => {
+    beforeEach(() => {
+      config.getWatchedOrgs.mockReturnValue(['prod']);
+      mockSfdxExecutor.checkSfdxConnection.mockImplementation((username) =>
+        username === 'prod@example.com'
+          ? Promise.reject(connectionError('expired access/refresh token', 'expiredAuth'))
+          : Promise.resolve({ connected: true })
+      );
+    });
+
+    it('should notify once when a watched org loses its connection', async () => {
+      await connectionMonitor.verifyConnections(orgs);
+      await connectionMonitor.verifyConnections(orgs);
+
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledTimes(1);
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledWith(
+        expect.stringContaining('Watched org "prod" lost its connection')
+      );
+    });
+
+    it('should notify again after the org was connected in between', async () => {
+      await connectionMonitor.verifyConnections(orgs);
+      mockSfdxExecutor.checkSfdxConnection.mockResolvedValueOnce({ connected: true });
+      await connectionMonitor.verifyConnections(orgs.slice(0, 1));
+      await connectionMonitor.verifyConnections(orgs);
+
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not notify for an org another window already reported', async () => {
+      const memento = createMemento({ notifiedWatchedOrgs: ['prod@example.com'] });
+      connectionMonitor.startPeriodicVerification(memento, jest.fn()).dispose();
+
+      await connectionMonitor.verifyConnections(orgs);
+
+      expect(mockVscode.window.showWarningMessage).not.toHaveBeenCalled();
+    });
+
+    it('should share the notified orgs with other windows', async () => {
+      const memento = createMemento();
+      connectionMonitor.startPeriodicVerification(memento, jest.fn()).dispose();
+
+      await connectionMonitor.verifyConnections(orgs);
+      expect(memento.get('notifiedWatchedOrgs')).toEqual(['prod@example.com']);
+
+      mockSfdxExecutor.checkSfdxConnection.mockResolvedValueOnce({ connected: true });
+      await connectionMonitor.verifyConnections(orgs.slice(0, 1));
+      expect(memento.get('notifiedWatchedOrgs')).toEqual([]);
+    });
+
+    it('should reauthenticate when the user picks Reauth', async () => {
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce('Reauth');
+      const onReauth = jest.fn();
+
+      await connectionMonitor.verifyConnections(orgs, { onReauth });
+      await flushPromises();
+
+      expect(onReauth).toHaveBeenCalledWith('prod@example.com');
+    });
+  });
+
+  describe('startPeriodicVerification', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should not schedule checks while the interval is 0', () => {
+      const run = jest.fn(() => Promise.resolve());
+
+      const disposable = connectionMonitor.startPeriodicVerification(createMemento(), run);
+      jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+
+      expect(run).not.toHaveBeenCalled();
+      disposable.dispose();
+    });
+
+    it('should run at the configured interval until disposed', async () => {
+      config.getVerifyConnectionsInterval.mockReturnValue(60000);
+      const run = jest.fn(() => Promise.resolve());
+
+      const disposable = connectionMonitor.startPeriodicVerification(createMemento(), run);
+      await jest.advanceTimersByTimeAsync(120000);
+      disposable.dispose();
+      await jest.advanceTimersByTimeAsync(120000);
+
+      expect(run).toHaveBeenCalledTimes(2);
+    });
+
+    it('should leave the checks to the window holding the lease until it expires', async () => {
+      config.getVerifyConnectionsInterval.mockReturnValue(60000);
+      const memento = createMemento({
+        connectionMonitorLease: { owner: 'other-window', expiresAt: Date.now() + 150000 },
+      });
+      const run = jest.fn(() => Promise.resolve());
+
+      const disposable = connectionMonitor.startPeriodicVerification(memento, run);
+      await jest.advanceTimersByTimeAsync(120000);
+      expect(run).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(60000);
+      disposable.dispose();
+
+      expect(run).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release the lease when disposed', async () => {
+      config.getVerifyConnectionsInterval.mockReturnValue(60000);
+      const memento = createMemento();
+
+      const disposable = connectionMonitor.startPeriodicVerification(
+        memento,
+        jest.fn(() => Promise.resolve())
+      );
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(memento.get('connectionMonitorLease')).toEqual(
+        expect.objectContaining({ expiresAt: expect.any(Number) })
+      );
+      disposable.dispose();
+
+      expect(memento.get('connectionMonitorLease')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit Tests for defaultOrgStatusBar Module
+ *
+ * Tests the item text and colors, updates from the org cache and
+ * switching the default org from the quick pick.
+ */
+
+const mockStatusBarItem = {
+  show: jest.fn(),
+  dispose: jest.fn(),
+};
+
+const mockVscode = {
+  window: {
+    createStatusBarItem: jest.fn(() => mockStatusBarItem),
+    showQuickPick: jest.fn(() => Promise.resolve(undefined)),
+    showInformationMessage: jest.fn(() => Promise.resolve(undefined)),
+    showErrorMessage: jest.fn(),
+  },
+  workspace: {
+    workspaceFolders: [{ name: 'app', uri: { fsPath: '/work/app' } }],
+  },
+  commands: {
+    registerCommand: jest.fn(() => ({ dispose: jest.fn() })),
+  },
+  StatusBarAlignment: { Left: 1, Right: 2 },
+  QuickPickItemKind: { Separator: -1, Default: 0 },
+  ThemeColor: jest.fn(function (id) {
+    this.id = id;
+  }),
+  Disposable: jest.fn(function (callOnDispose) {
+    this.dispose = callOnDispose;
+  }),
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+jest.mock('../../src/utils/sfdxCommandExecutor', () => ({
+  CONFIG_SCOPES: { LOCAL: 'local', GLOBAL: 'global' },
+}));
+
+const mockOrgDiscovery = {
+  getDefaultUsernames: jest.fn(),
+  discoverOrgs: jest.fn(() => Promise.resolve([])),
+};
+
+jest.mock('../../src/utils/orgDiscovery', () => mockOrgDiscovery);
+
+jest.mock('../../src/utils/config', () => ({
+  getOrgCacheDuration: jest.fn(() => 60000),
+  getMaxConcurrentCommands: jest.fn(() => 2),
+  getProductionUrlPatterns: jest.fn(() => []),
+  getNonProductionUrlPatterns: jest.fn(() => []),
+}));
+
+const defaultOrgStatusBar = require('../../src/handlers/defaultOrgStatusBar');
+const orgCache = require('../../src/utils/orgCache');
+const orgTypes = require('../../src/utils/orgTypes');
+
+// Lets queued promise callbacks run
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const prodOrg = { username: 'admin@acme.com', alias: 'acme', orgId: '00D000000000001EAA' };
+const uatOrg = { username: 'admin@acme.com.uat', alias: 'acme-uat', orgId: '00D000000000002EAA' };
+const scratchOrg = {
+  username: 'test-abc@example.com',
+  alias: 'feature',
+  orgId: '00D000000000003EAA',
+  isScratchOrg: true,
+  expirationDate: new Date(Date.now() + 2 * DAY_MS).toISOString(),
+};
+
+function setDefault(username, source = 'local') {
+  mockOrgDiscovery.getDefaultUsernames.mockResolvedValue({
+    defaultUsername: username,
+    defaultUsernameSource: username ? source : null,
+  });
+}
+
+describe('defaultOrgStatusBar', () => {
+  let disposable;
+  let onSelect;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    orgTypes.resetOrgTypes();
+    orgCache.clearOrgListCache();
+    setDefault(null);
+    onSelect = jest.fn();
+    disposable = defaultOrgStatusBar.startDefaultOrgStatusBar({ onSelect });
+    await flushPromises();
+  });
+
+  afterEach(() => {
+    disposable.dispose();
+  });
+
+  describe('status bar item', () => {
+    it('should say when no default org is set', () => {
+      expect(mockStatusBarItem.command).toBe('sfRangerToolkit.switchDefaultOrg');
+      expect(mockStatusBarItem.text).toBe('$(cloud) No default org');
+      expect(mockStatusBarItem.show).toHaveBeenCalled();
+    });
+
+    it('should show the alias and follow the org cache', async () => {
+      setDefault(uatOrg.username);
+      orgCache.setOrgListCache([prodOrg, uatOrg]);
+      await flushPromises();
+
+      expect(mockOrgDiscovery.getDefaultUsernames).toHaveBeenCalledWith({ projectDir: '/work/app' });
+      expect(mockStatusBarItem.text).toBe('$(cloud) acme-uat');
+      expect(mockStatusBarItem.tooltip).toContain('Set in the local config');
+      expect(mockStatusBarItem.backgroundColor).toBeUndefined();
+    });
+
+    it('should be red for production orgs', async () => {
+      setDefault(prodOrg.username);
+      orgCache.setOrgListCache([prodOrg, uatOrg]);
+      await orgTypes.recordOrgType(prodOrg.orgId, { isSandbox: false, organizationType: 'Enterprise Edition' });
+      await flushPromises();
+
+      expect(mockStatusBarItem.backgroundColor).toEqual({ id: 'statusBarItem.errorBackground' });
+      expect(mockStatusBarItem.tooltip).toContain('Production org');
+    });
+
+    it('should be yellow for scratch orgs about to expire', async () => {
+      setDefault(scratchOrg.username);
+      mockOrgDiscovery.discoverOrgs.mockResolvedValueOnce([scratchOrg]);
+
+      await defaultOrgStatusBar.refreshDefaultOrgStatusBar();
+
+      expect(mockStatusBarItem.text).toBe('$(cloud) feature');
+      expect(mockStatusBarItem.tooltip).toContain('Expires in 2 days');
+      expect(mockStatusBarItem.backgroundColor).toEqual({ id: 'statusBarItem.warningBackground' });
+    });
+  });
+
+  describe('pickDefaultOrg', () => {
+    it('should make the picked org the default of the project', async () => {
+      setDefault(prodOrg.username);
+      orgCache.setOrgListCache([prodOrg, uatOrg]);
+      mockVscode.window.showQuickPick.mockImplementationOnce((items) =>
+        Promise.resolve(items.find((item) => item.org.username === uatOrg.username))
+      );
+
+      await defaultOrgStatusBar.pickDefaultOrg();
+
+      expect(mockVscode.window.showQuickPick).toHaveBeenCalledWith(
+        expect.any(Array),
+        expect.objectContaining({ title: 'Default Org for This Project' })
+      );
+      expect(onSelect).toHaveBeenCalledWith(uatOrg.username, 'local');
+    });
+
+    it('should do nothing when the current default is picked again', async () => {
+      setDefault(prodOrg.username);
+      orgCache.setOrgListCache([prodOrg]);
+      mockVscode.window.showQuickPick.mockImplementationOnce((items) => Promise.resolve(items[0]));
+
+      await defaultOrgStatusBar.pickDefaultOrg();
+
+      expect(onSelect).not.toHaveBeenCalled();
+    });
+  });
+});
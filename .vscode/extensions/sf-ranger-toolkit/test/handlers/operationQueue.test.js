@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for operationQueue Module
+ *
+ * Tests per-org serialization, refresh merging and the global concurrency cap.
+ */
+
+// Mock config module
+jest.mock('../../src/utils/config', () => ({
+  getMaxConcurrentCommands: jest.fn(() => 2),
+  getOrgCacheDuration: jest.fn(() => 60000),
+}));
+
+const operationQueue = require('../../src/handlers/operationQueue');
+const config = require('../../src/utils/config');
+
+// Creates a promise that the test resolves by hand
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+// Lets queued promise callbacks run
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('operationQueue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.getMaxConcurrentCommands.mockReturnValue(2);
+  });
+
+  describe('runForOrg', () => {
+    it('should run tasks for the same org one after another', async () => {
+      const first = deferred();
+      const second = jest.fn(() => Promise.resolve('second'));
+
+      const firstRun = operationQueue.runForOrg('a@example.com', () => first.promise);
+      const secondRun = operationQueue.runForOrg('a@example.com', second);
+      await flushPromises();
+
+      expect(second).not.toHaveBeenCalled();
+      expect(operationQueue.isOrgBusy('a@example.com')).toBe(true);
+
+      first.resolve('first');
+      await expect(firstRun).resolves.toBe('first');
+      await expect(secondRun).resolves.toBe('second');
+      expect(operationQueue.isOrgBusy('a@example.com')).toBe(false);
+    });
+
+    it('should continue the queue after a task fails', async () => {
+      const failing = operationQueue.runForOrg('a@example.com', () =>
+        Promise.reject(new Error('boom'))
+      );
+      const next = operationQueue.runForOrg('a@example.com', () => Promise.resolve('ok'));
+
+      await expect(failing).rejects.toThrow('boom');
+      await expect(next).resolves.toBe('ok');
+    });
+
+    it('should run tasks for different orgs in parallel', async () => {
+      const first = deferred();
+      const other = jest.fn(() => Promise.resolve());
+
+      operationQueue.runForOrg('a@example.com', () => first.promise);
+      const otherRun = operationQueue.runForOrg('b@example.com', other);
+      await otherRun;
+
+      expect(other).toHaveBeenCalled();
+      expect(operationQueue.getBusyOrgs()).toEqual(['a@example.com']);
+
+      first.resolve();
+      await flushPromises();
+    });
+  });
+
+  describe('runLimited', () => {
+    it('should not run more tasks than the configured maximum', async () => {
+      const blockers = [deferred(), deferred()];
+      const third = jest.fn(() => Promise.resolve());
+
+      operationQueue.runLimited(() => blockers[0].promise);
+      operationQueue.runLimited(() => blockers[1].promise);
+      const thirdRun = operationQueue.runLimited(third);
+      await flushPromises();
+
+      expect(third).not.toHaveBeenCalled();
+
+      blockers[0].resolve();
+      await thirdRun;
+      expect(third).toHaveBeenCalled();
+
+      blockers[1].resolve();
+      await flushPromises();
+    });
+  });
+
+  describe('runRefresh', () => {
+    it('should merge refreshes requested before the queued one starts', async () => {
+      const running = deferred();
+      const task = jest.fn().mockReturnValueOnce(running.promise).mockResolvedValue('fresh');
+
+      const first = operationQueue.runRefresh(task);
+      await flushPromises();
+      const second = operationQueue.runRefresh(task);
+      const third = operationQueue.runRefresh(task);
+
+      expect(second).toBe(third);
+
+      running.resolve('stale');
+      await expect(first).resolves.toBe('stale');
+      await expect(second).resolves.toBe('fresh');
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    it('should start a new refresh once the previous ones finished', async () => {
+      const task = jest.fn().mockResolvedValue('done');
+
+      await operationQueue.runRefresh(task);
+      await operationQueue.runRefresh(task);
+
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for orgCommands Module
+ *
+ * Tests that each palette command runs the org message handler with the
+ * picked org or the username it was called with.
+ */
+
+const mockCommands = new Map();
+
+const mockVscode = {
+  window: {
+    showErrorMessage: jest.fn(),
+  },
+  workspace: {
+    workspaceFolders: [{ name: 'app', uri: { fsPath: '/work/app' } }],
+  },
+  commands: {
+    registerCommand: jest.fn((id, callback) => {
+      mockCommands.set(id, callback);
+      return { dispose: jest.fn(() => mockCommands.delete(id)) };
+    }),
+  },
+  Disposable: jest.fn(function (callOnDispose) {
+    this.dispose = callOnDispose;
+  }),
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+jest.mock('../../src/utils/sfdxCommandExecutor', () => ({
+  CONFIG_SCOPES: { LOCAL: 'local', GLOBAL: 'global' },
+}));
+
+const mockOrgQuickPick = {
+  pickOrg: jest.fn(() => Promise.resolve(undefined)),
+  getKnownOrgs: jest.fn(() => Promise.resolve([])),
+};
+
+jest.mock('../../src/handlers/orgQuickPick', () => mockOrgQuickPick);
+
+const orgCommands = require('../../src/handlers/orgCommands');
+
+const prodOrg = { username: 'admin@acme.com', alias: 'acme', orgId: '00D000000000001EAA' };
+
+describe('orgCommands', () => {
+  let disposable;
+  let runCommand;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    runCommand = jest.fn(() => Promise.resolve());
+    disposable = orgCommands.registerOrgCommands(runCommand);
+  });
+
+  afterEach(() => {
+    disposable.dispose();
+  });
+
+  it('should register one command per action', () => {
+    expect(Array.from(mockCommands.keys())).toEqual([
+      'sfRangerToolkit.openOrg',
+      'sfRangerToolkit.openOrgAt',
+      'sfRangerToolkit.showOrgDetails',
+      'sfRangerToolkit.copyLoginUrl',
+      'sfRangerToolkit.reauthOrg',
+      'sfRangerToolkit.logoutOrg',
+      'sfRangerToolkit.setDefaultOrg',
+      'sfRangerToolkit.chooseDefaultOrg',
+      'sfRangerToolkit.manageAliases',
+      'sfRangerToolkit.editTags',
+      'sfRangerToolkit.pinOrg',
+      'sfRangerToolkit.unpinOrg',
+      'sfRangerToolkit.copyAccessToken',
+      'sfRangerToolkit.manageSandboxes',
+      'sfRangerToolkit.deleteScratchOrg',
+      'sfRangerToolkit.authenticateNewOrg',
+      'sfRangerToolkit.refreshOrgs',
+      'sfRangerToolkit.verifyConnections',
+      'sfRangerToolkit.createScratchOrg',
+    ]);
+  });
+
+  it('should ask for the org and run the same message as the tile', async () => {
+    mockOrgQuickPick.pickOrg.mockResolvedValueOnce(prodOrg);
+
+    await mockCommands.get('sfRangerToolkit.openOrg')();
+
+    expect(mockOrgQuickPick.pickOrg).toHaveBeenCalledWith({
+      title: 'Open Org',
+      placeHolder: 'Select the org to open',
+      includeInactive: undefined,
+      filter: undefined,
+    });
+    expect(runCommand).toHaveBeenCalledWith({
+      command: 'openOrg',
+      username: prodOrg.username,
+      orgId: prodOrg.orgId,
+    });
+  });
+
+  it('should do nothing when the pick is cancelled', async () => {
+    await mockCommands.get('sfRangerToolkit.logoutOrg')();
+
+    expect(mockOrgQuickPick.pickOrg).toHaveBeenCalledWith(expect.objectContaining({ includeInactive: true }));
+    expect(runCommand).not.toHaveBeenCalled();
+  });
+
+  it('should skip the quick pick when called with a username', async () => {
+    mockOrgQuickPick.getKnownOrgs.mockResolvedValue([prodOrg]);
+
+    await mockCommands.get('sfRangerToolkit.copyAccessToken')(prodOrg.username);
+    await mockCommands.get('sfRangerToolkit.setDefaultOrg')({ username: prodOrg.username });
+    await mockCommands.get('sfRangerToolkit.reauthOrg')('someone@elsewhere.com');
+
+    expect(mockOrgQuickPick.pickOrg).not.toHaveBeenCalled();
+    expect(runCommand.mock.calls.map(([message]) => message)).toEqual([
+      { command: 'getAccessToken', username: prodOrg.username },
+      { command: 'setDefaultOrg', username: prodOrg.username, scope: 'local' },
+      { command: 'reauthOrg', username: 'someone@elsewhere.com' },
+    ]);
+  });
+
+  it('should only offer the orgs an action applies to', async () => {
+    await mockCommands.get('sfRangerToolkit.deleteScratchOrg')();
+
+    const { filter } = mockOrgQuickPick.pickOrg.mock.calls[0][0];
+    expect(filter({ username: 'test-abc@example.com', isScratchOrg: true })).toBe(true);
+    expect(filter(prodOrg)).toBe(false);
+  });
+
+  it('should pin the org a tree node stands for', async () => {
+    mockOrgQuickPick.getKnownOrgs.mockResolvedValue([prodOrg]);
+
+    await mockCommands.get('sfRangerToolkit.pinOrg')({ type: 'org', username: prodOrg.username, org: prodOrg });
+
+    expect(runCommand).toHaveBeenCalledWith({ command: 'togglePin', orgId: prodOrg.orgId, pinned: true });
+  });
+
+  it('should find the org of an alias', async () => {
+    mockOrgQuickPick.getKnownOrgs.mockResolvedValue([{ ...prodOrg, aliases: ['acme', 'acme-prod'] }]);
+
+    await mockCommands.get('sfRangerToolkit.pinOrg')('acme-prod');
+    await mockCommands.get('sfRangerToolkit.editTags')('acme');
+
+    expect(runCommand.mock.calls.map(([message]) => message)).toEqual([
+      { command: 'togglePin', orgId: prodOrg.orgId, pinned: true },
+      { command: 'editTags', orgId: prodOrg.orgId, username: prodOrg.username },
+    ]);
+  });
+
+  it('should refuse an org the action does not apply to', async () => {
+    mockOrgQuickPick.getKnownOrgs.mockResolvedValue([prodOrg]);
+
+    await mockCommands.get('sfRangerToolkit.deleteScratchOrg')('acme');
+    await mockCommands.get('sfRangerToolkit.pinOrg')('unknown-alias');
+
+    expect(runCommand).not.toHaveBeenCalled();
+    expect(mockVscode.window.showErrorMessage).toHaveBeenCalledWith(
+      '❌ Delete Scratch Org does not apply to acme.'
+    );
+    expect(mockVscode.window.showErrorMessage).toHaveBeenCalledWith(
+      '❌ Pin Org does not apply to unknown-alias.'
+    );
+  });
+
+  it('should run the commands that do not act on one org', async () => {
+    await mockCommands.get('sfRangerToolkit.authenticateNewOrg')();
+    await mockCommands.get('sfRangerToolkit.refreshOrgs')();
+
+    expect(runCommand).toHaveBeenCalledWith({ command: 'authenticateNewOrg' });
+    expect(runCommand).toHaveBeenCalledWith({ command: 'refreshOrgs' });
+  });
+
+  it('should show an error when a command fails', async () => {
+    runCommand.mockRejectedValueOnce(new Error('boom'));
+
+    await mockCommands.get('sfRangerToolkit.refreshOrgs')();
+
+    expect(mockVscode.window.showErrorMessage).toHaveBeenCalledWith('❌ boom');
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for orgDetailPanel Module
+ *
+ * Tests opening one panel per org, reading and caching the details,
+ * copying fields and cancelling the read when the panel is closed.
+ */
+
+function createMockPanel() {
+  const panel = {
+    webview: {
+      html: '',
+      onDidReceiveMessage: jest.fn((listener) => {
+        panel.sendMessage = listener;
+      }),
+    },
+    onDidDispose: jest.fn((listener) => {
+      panel.dispose = listener;
+    }),
+    reveal: jest.fn(),
+  };
+  return panel;
+}
+
+const mockVscode = {
+  window: {
+    createWebviewPanel: jest.fn(() => createMockPanel()),
+    showInformationMessage: jest.fn(),
+    showErrorMessage: jest.fn(),
+  },
+  workspace: {
+    workspaceFolders: [{ name: 'app', uri: { fsPath: '/work/app' } }],
+  },
+  env: {
+    clipboard: { writeText: jest.fn() },
+  },
+  ViewColumn: { Active: -1 },
+  CancellationTokenSource: jest.fn(function () {
+    this.token = { isCancellationRequested: false };
+    this.cancel = jest.fn(() => {
+      this.token.isCancellationRequested = true;
+    });
+    this.dispose = jest.fn();
+  }),
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+const mockSfdxExecutor = {
+  getOrgDetails: jest.fn(),
+};
+
+jest.mock('../../src/utils/sfdxCommandExecutor', () => mockSfdxExecutor);
+
+const mockOrgDiscovery = {
+  discoverOrgs: jest.fn(() => Promise.resolve([])),
+  getAuthDetails: jest.fn(() =>
+    Promise.resolve({
+      authMethod: 'Refresh token',
+      clientId: 'PlatformCLI',
+      loginUrl: 'https://login.salesforce.com',
+      instanceApiVersion: '62.0',
+      authFileModifiedAt: 1700000000000,
+    })
+  ),
+  AUTH_METHODS: { JWT: 'JWT bearer flow', REFRESH_TOKEN: 'Refresh token', ACCESS_TOKEN: 'Access token only' },
+};
+
+jest.mock('../../src/utils/orgDiscovery', () => mockOrgDiscovery);
+
+jest.mock('../../src/utils/config', () => ({
+  getOrgCacheDuration: jest.fn(() => 60000),
+  getMaxConcurrentCommands: jest.fn(() => 2),
+  getProductionUrlPatterns: jest.fn(() => []),
+  getNonProductionUrlPatterns: jest.fn(() => []),
+}));
+
+const orgDetailPanel = require('../../src/handlers/orgDetailPanel');
+const orgDetails = require('../../src/utils/orgDetails');
+const orgCache = require('../../src/utils/orgCache');
+const orgTypes = require('../../src/utils/orgTypes');
+
+const prodOrg = {
+  username: 'admin@acme.com',
+  alias: 'acme',
+  orgId: '00D000000000001',
+  instanceUrl: 'https://acme.my.salesforce.com',
+};
+
+const details = {
+  username: 'admin@acme.com',
+  orgId: '00D000000000001EAA',
+  orgName: 'Acme',
+  edition: 'Enterprise Edition',
+  isSandbox: false,
+  instanceName: 'NA224',
+  instanceUrl: 'https://acme.my.salesforce.com',
+  language: 'en_US',
+  locale: 'en_GB',
+  timeZone: 'Europe/London',
+  profile: 'System Administrator',
+  apiVersion: '62.0',
+  clientId: 'PlatformCLI',
+  hasRefreshToken: true,
+};
+
+// The panel created by the last showOrgDetails call
+const lastPanel = () => mockVscode.window.createWebviewPanel.mock.results.slice(-1)[0].value;
+
+describe('orgDetailPanel', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    orgDetails.resetOrgDetails();
+    orgTypes.resetOrgTypes();
+    orgCache.setOrgListCache([prodOrg]);
+    mockSfdxExecutor.getOrgDetails.mockResolvedValue({ success: true, details });
+  });
+
+  afterEach(() => {
+    // Close the panels so the next test opens new ones
+    mockVscode.window.createWebviewPanel.mock.results.forEach(({ value }) => value.dispose());
+  });
+
+  it('should read the details of an org once and cache them', async () => {
+    await orgDetailPanel.showOrgDetails('acme');
+
+    const panel = lastPanel();
+    expect(mockVscode.window.createWebviewPanel).toHaveBeenCalledWith(
+      'sfRangerToolkit.orgDetails',
+      'Org: acme',
+      mockVscode.ViewColumn.Active,
+      expect.objectContaining({ enableScripts: true })
+    );
+    expect(mockSfdxExecutor.getOrgDetails).toHaveBeenCalledWith('admin@acme.com', {
+      token: expect.any(Object),
+    });
+    expect(panel.webview.html).toContain('00D000000000001EAA');
+    expect(panel.webview.html).toContain('Enterprise Edition');
+    expect(panel.webview.html).toContain("Winter &#39;25");
+    expect(panel.webview.html).toContain('acme.my.salesforce.com');
+    expect(panel.webview.html).toContain('System Administrator');
+    expect(orgDetails.getCachedOrgDetails('admin@acme.com').details).toEqual(details);
+    expect(orgTypes.classifyOrg({ orgId: details.orgId }).type).toBe('production');
+  });
+
+  it('should show cached details without reading the org and reuse an open panel', async () => {
+    await orgDetails.saveOrgDetails('admin@acme.com', details);
+
+    await orgDetailPanel.showOrgDetails('admin@acme.com');
+    await orgDetailPanel.showOrgDetails('admin@acme.com');
+
+    expect(mockSfdxExecutor.getOrgDetails).not.toHaveBeenCalled();
+    expect(mockVscode.window.createWebviewPanel).toHaveBeenCalledTimes(1);
+    expect(lastPanel().reveal).toHaveBeenCalled();
+    expect(lastPanel().webview.html).toContain('Read from the org on');
+  });
+
+  it('should prefer the API version read from the org over the auth file', async () => {
+    await orgDetails.saveOrgDetails('admin@acme.com', { ...details, apiVersion: '64.0' });
+
+    await orgDetailPanel.showOrgDetails('admin@acme.com');
+
+    const { html } = lastPanel().webview;
+    expect(html).toContain('64.0');
+    expect(html).toContain("Summer &#39;25");
+    expect(html).not.toContain("Winter &#39;25");
+    expect(html).toContain('Auth file modified');
+  });
+
+  it('should copy the full value of a field', async () => {
+    await orgDetailPanel.showOrgDetails('admin@acme.com');
+
+    await lastPanel().sendMessage({ command: 'copy', key: 'orgId' });
+
+    expect(mockVscode.env.clipboard.writeText).toHaveBeenCalledWith('00D000000000001EAA');
+    expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+      '✅ Org ID copied to clipboard.'
+    );
+  });
+
+  it('should read the org again on refresh and show errors in the panel', async () => {
+    await orgDetails.saveOrgDetails('admin@acme.com', details);
+    await orgDetailPanel.showOrgDetails('admin@acme.com');
+    mockSfdxExecutor.getOrgDetails.mockResolvedValueOnce({
+      success: false,
+      message: 'INVALID_SESSION_ID',
+    });
+
+    await lastPanel().sendMessage({ command: 'refresh' });
+
+    expect(mockSfdxExecutor.getOrgDetails).toHaveBeenCalledTimes(1);
+    expect(lastPanel().webview.html).toContain('INVALID_SESSION_ID');
+    // The cached details are still shown
+    expect(lastPanel().webview.html).toContain('NA224');
+  });
+
+  it('should cancel the read when the panel is closed', async () => {
+    let finishRead;
+    mockSfdxExecutor.getOrgDetails.mockImplementationOnce(
+      () => new Promise((resolve) => {
+        finishRead = resolve;
+      })
+    );
+
+    const showing = orgDetailPanel.showOrgDetails('admin@acme.com');
+    await new Promise((resolve) => setImmediate(resolve));
+    const panel = lastPanel();
+    panel.dispose();
+    finishRead({ success: false, cancelled: true, message: 'Cancelled' });
+    await showing;
+
+    const tokenSource = mockVscode.CancellationTokenSource.mock.instances[0];
+    expect(tokenSource.cancel).toHaveBeenCalled();
+    expect(orgDetails.getCachedOrgDetails('admin@acme.com')).toBeNull();
+  });
+});
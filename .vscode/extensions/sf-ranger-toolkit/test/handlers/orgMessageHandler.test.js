@@ -8,11 +8,33 @@
 const mockSfdxExecutor = {
   listAllOrgs: jest.fn(),
   openOrgInBrowser: jest.fn(),
+  getOrgLoginUrl: jest.fn(),
+  // Orgs read as sandboxes unless a test says otherwise
+  getOrganizationInfo: jest.fn(() =>
+    Promise.resolve({ success: true, orgId: '00D0000000000SBXAA', isSandbox: true, organizationType: 'Enterprise Edition' })
+  ),
+  listSObjects: jest.fn(),
   reauthenticateOrg: jest.fn(),
   logoutOrg: jest.fn(),
   setDefaultOrg: jest.fn(),
+  unsetDefaultOrg: jest.fn(),
+  setAlias: jest.fn(),
+  unsetAlias: jest.fn(),
   getAccessToken: jest.fn(),
   authenticateNewOrg: jest.fn(),
+  createScratchOrg: jest.fn(),
+  deleteScratchOrg: jest.fn(),
+  cleanScratchOrgs: jest.fn(),
+  isCancellationError: jest.fn((error) => error.code === 'SF_RANGER_CANCELLED'),
+  listSandboxes: jest.fn(),
+  createSandbox: jest.fn(),
+  refreshSandbox: jest.fn(),
+  SCRATCH_ORG_DURATION: { MIN: 1, MAX: 30, DEFAULT: 7 },
+  SANDBOX_LICENSE_TYPES: { DEVELOPER: 'Developer', DEVELOPER_PRO: 'Developer_Pro', PARTIAL: 'Partial', FULL: 'Full' },
+  SANDBOX_LOGIN_URL: 'https://test.salesforce.com',
+  BROWSERS: { CHROME: 'chrome', EDGE: 'edge', FIREFOX: 'firefox' },
+  CONFIG_SETTINGS: { TARGET_ORG: 'target-org', TARGET_DEV_HUB: 'target-dev-hub' },
+  CONFIG_SCOPES: { LOCAL: 'local', GLOBAL: 'global' },
 };
 
 jest.mock('../../src/utils/sfdxCommandExecutor', () => mockSfdxExecutor);
@@ -20,16 +42,72 @@ jest.mock('../../src/utils/sfdxCommandExecutor', () => mockSfdxExecutor);
 // Mock orgCache
 const mockOrgCache = {
   getOrgListCache: jest.fn(),
-  setOrgListCache: jest.fn(),
+  getStaleOrgListCache: jest.fn(() => null),
+  setOrgListCache: jest.fn(() => 3),
+  getCacheStats: jest.fn(() => ({ cached: true, timestamp: 1700000000000 })),
   clearOrgListCache: jest.fn(() => 1),
   getCacheVersion: jest.fn(() => 2),
+  withCacheLock: jest.fn((task) => Promise.resolve().then(task)),
 };
 
 jest.mock('../../src/utils/orgCache', () => mockOrgCache);
 
+// Mock orgDiscovery
+const mockOrgDiscovery = {
+  discoverOrgs: jest.fn(() => Promise.resolve([])),
+  getDefaultUsernames: jest.fn(() => Promise.resolve(null)),
+  getProjectDefaults: jest.fn(() => Promise.resolve({ targetOrg: null, targetDevHub: null })),
+  getAliases: jest.fn(() => Promise.resolve(null)),
+  findScratchDefinitions: jest.fn(() => Promise.resolve([])),
+  findSandboxDefinitions: jest.fn(() => Promise.resolve([])),
+  DEFAULT_SOURCES: { ENVIRONMENT: 'environment', LOCAL: 'local', GLOBAL: 'global' },
+};
+
+jest.mock('../../src/utils/orgDiscovery', () => mockOrgDiscovery);
+
+// Mock connectionMonitor
+const mockConnectionMonitor = {
+  verifyConnections: jest.fn(() => Promise.resolve({})),
+  getVerifications: jest.fn(() => ({})),
+  forgetVerification: jest.fn(),
+  isVerifying: jest.fn(() => false),
+  VERIFICATION_STATES: { CONNECTED: 'connected', NEEDS_REAUTH: 'needsReauth', ERROR: 'error' },
+};
+
+jest.mock('../../src/handlers/connectionMonitor', () => mockConnectionMonitor);
+
+// Mock cliDiscovery
+const mockCliDiscovery = {
+  getCliStatus: jest.fn(),
+  resetCliCache: jest.fn(),
+};
+
+jest.mock('../../src/utils/cliDiscovery', () => mockCliDiscovery);
+
+// Mock orgDetailPanel
+const mockOrgDetailPanel = {
+  showOrgDetails: jest.fn(() => Promise.resolve()),
+};
+
+jest.mock('../../src/handlers/orgDetailPanel', () => mockOrgDetailPanel);
+
 // Mock vscode
+const mockProgress = { report: jest.fn() };
+const mockToken = {
+  isCancellationRequested: false,
+  onCancellationRequested: jest.fn(() => ({ dispose: jest.fn() })),
+};
 const mockVscode = {
+  ProgressLocation: {
+    Notification: 15,
+  },
+  QuickPickItemKind: {
+    Separator: -1,
+  },
   workspace: {
+    getConfiguration: jest.fn(() => ({
+      get: jest.fn(() => undefined),
+    })),
     workspaceFolders: [
       {
         uri: {
@@ -44,17 +122,31 @@ const mockVscode = {
     showWarningMessage: jest.fn(),
     showQuickPick: jest.fn(),
     showInputBox: jest.fn(),
+    withProgress: jest.fn((options, task) => task(mockProgress, mockToken)),
   },
   env: {
     clipboard: {
       writeText: jest.fn(),
+      readText: jest.fn(),
     },
+    openExternal: jest.fn(),
+  },
+  commands: {
+    executeCommand: jest.fn(),
+  },
+  Uri: {
+    parse: jest.fn((value) => ({ toString: () => value })),
   },
 };
 
 jest.mock('vscode', () => mockVscode, { virtual: true });
 
 const { handleMessage } = require('../../src/handlers/orgMessageHandler');
+const orgMetadata = require('../../src/utils/orgMetadata');
+const orgBookmarks = require('../../src/utils/orgBookmarks');
+const orgTypes = require('../../src/utils/orgTypes');
+const orgDetails = require('../../src/utils/orgDetails');
+const sandboxMonitor = require('../../src/handlers/sandboxMonitor');
 
 describe('orgMessageHandler', () => {
   let mockWebview;
@@ -66,6 +158,8 @@ describe('orgMessageHandler', () => {
     mockWebview = {
       postMessage: jest.fn(),
     };
+
+    mockCliDiscovery.getCliStatus.mockResolvedValue({ state: 'ok', version: '2.30.8' });
   });
 
   describe('handleMessage - listOrgs', () => {
@@ -80,10 +174,48 @@ describe('orgMessageHandler', () => {
         data: cachedOrgs,
         success: true,
         cached: true,
+        lastUpdated: 1700000000000,
+        version: 2,
       });
       expect(mockSfdxExecutor.listAllOrgs).not.toHaveBeenCalled();
     });
 
+    it('should send an expired list first and then the fresh list', async () => {
+      const staleOrgs = [{ username: 'stale@example.com' }];
+      const freshOrgs = [{ username: 'fresh@example.com' }];
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+      mockOrgCache.getStaleOrgListCache.mockReturnValueOnce({
+        orgs: staleOrgs,
+        timestamp: 1600000000000,
+      });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue(freshOrgs);
+
+      await handleMessage(mockWebview, { command: 'listOrgs' });
+
+      const responses = mockWebview.postMessage.mock.calls
+        .map(([message]) => message)
+        .filter((message) => message.command === 'orgsListResponse');
+      expect(responses).toEqual([
+        {
+          command: 'orgsListResponse',
+          data: staleOrgs,
+          success: true,
+          cached: true,
+          stale: true,
+          lastUpdated: 1600000000000,
+          version: 2,
+        },
+        {
+          command: 'orgsListResponse',
+          data: freshOrgs,
+          success: true,
+          cached: false,
+          lastUpdated: expect.any(Number),
+          version: 3,
+        },
+      ]);
+    });
+
     it('should fetch fresh orgs when cache is empty', async () => {
       const freshOrgs = [{ username: 'fresh@example.com' }];
       mockOrgCache.getOrgListCache.mockReturnValue(null);
@@ -98,9 +230,40 @@ describe('orgMessageHandler', () => {
         data: freshOrgs,
         success: true,
         cached: false,
+        lastUpdated: expect.any(Number),
+        version: 3,
       });
     });
 
+    it('should send locally discovered orgs before the CLI list', async () => {
+      const localOrgs = [{ username: 'local@example.com', connectedStatus: 'Unknown' }];
+      const freshOrgs = [{ username: 'local@example.com', connectedStatus: 'Connected' }];
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+      mockOrgDiscovery.discoverOrgs.mockResolvedValueOnce(localOrgs);
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue(freshOrgs);
+
+      await handleMessage(mockWebview, { command: 'listOrgs' });
+
+      expect(mockOrgDiscovery.discoverOrgs).toHaveBeenCalledWith({ projectDir: '/mock/workspace' });
+      const responses = mockWebview.postMessage.mock.calls
+        .map(([message]) => message)
+        .filter((message) => message.command === 'orgsListResponse');
+      expect(responses.map((response) => [response.data, response.statusPending])).toEqual([
+        [localOrgs, true],
+        [freshOrgs, undefined],
+      ]);
+    });
+
+    it('should skip local discovery when an expired list is shown', async () => {
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+      mockOrgCache.getStaleOrgListCache.mockReturnValueOnce({ orgs: [], timestamp: 1 });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+
+      await handleMessage(mockWebview, { command: 'listOrgs' });
+
+      expect(mockOrgDiscovery.discoverOrgs).not.toHaveBeenCalled();
+    });
+
     it('should force refresh when forceRefresh is true', async () => {
       const cachedOrgs = [{ username: 'cached@example.com' }];
       const freshOrgs = [{ username: 'fresh@example.com' }];
@@ -118,18 +281,78 @@ describe('orgMessageHandler', () => {
       );
     });
 
-    it('should handle listAllOrgs error gracefully', async () => {
+    it('should keep the cached orgs when listAllOrgs fails', async () => {
       mockOrgCache.getOrgListCache.mockReturnValue(null);
       mockSfdxExecutor.listAllOrgs.mockRejectedValue(new Error('CLI error'));
 
       await handleMessage(mockWebview, { command: 'listOrgs' });
 
+      expect(mockOrgCache.setOrgListCache).not.toHaveBeenCalled();
+      // The view shows the failure; only refreshes the user asked for get a toast
+      expect(mockVscode.window.showErrorMessage).not.toHaveBeenCalled();
       expect(mockWebview.postMessage).toHaveBeenCalledWith({
         command: 'orgsListResponse',
         data: [],
         success: false,
-        message: expect.stringContaining('Failed to list orgs'),
+        message: 'Could not refresh the org list: CLI error',
+      });
+    });
+  });
+
+  describe('handleMessage - CLI detection', () => {
+    it('should report a missing CLI without listing orgs', async () => {
+      const status = { state: 'missing', candidates: ['sf', 'sfdx'], customPath: null };
+      mockCliDiscovery.getCliStatus.mockResolvedValue(status);
+
+      await handleMessage(mockWebview, { command: 'listOrgs' });
+
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({ command: 'cliStatus', status });
+      expect(mockWebview.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          command: 'orgsListResponse',
+          success: false,
+        })
+      );
+      expect(mockSfdxExecutor.listAllOrgs).not.toHaveBeenCalled();
+    });
+
+    it('should warn once when the CLI is outdated and still list orgs', async () => {
+      mockCliDiscovery.getCliStatus.mockResolvedValue({
+        state: 'outdated',
+        version: '1.80.0',
+        minimumVersion: '2.0.0',
       });
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+
+      await handleMessage(mockWebview, { command: 'listOrgs' });
+      await handleMessage(mockWebview, { command: 'listOrgs' });
+
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledTimes(1);
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledWith(
+        expect.stringContaining('1.80.0'),
+        'Update Instructions'
+      );
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalledTimes(2);
+    });
+
+    it('should detect the CLI again on detectCli', async () => {
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+
+      await handleMessage(mockWebview, { command: 'detectCli' });
+
+      expect(mockCliDiscovery.resetCliCache).toHaveBeenCalled();
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
+    });
+
+    it('should open the cliPath setting', async () => {
+      await handleMessage(mockWebview, { command: 'openCliSettings' });
+
+      expect(mockVscode.commands.executeCommand).toHaveBeenCalledWith(
+        'workbench.action.openSettings',
+        'sfRangerToolkit.cliPath'
+      );
     });
   });
 
@@ -142,7 +365,7 @@ describe('orgMessageHandler', () => {
 
       await handleMessage(mockWebview, { command: 'openOrg', username: 'test@example.com' });
 
-      expect(mockSfdxExecutor.openOrgInBrowser).toHaveBeenCalledWith('test@example.com');
+      expect(mockSfdxExecutor.openOrgInBrowser).toHaveBeenCalledWith('test@example.com', null, { token: mockToken });
       expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
         expect.stringContaining('test@example.com')
       );
@@ -188,6 +411,190 @@ describe('orgMessageHandler', () => {
     });
   });
 
+  describe('handleMessage - open destinations and bookmarks', () => {
+    // Opening with an org ID records its use; these tests leave orgMetadata untouched
+    const orgId = '00D000000000005EAA';
+
+    beforeEach(() => {
+      mockSfdxExecutor.openOrgInBrowser.mockResolvedValue({ success: true, message: 'Opened' });
+    });
+
+    it('should open the chosen page', async () => {
+      mockVscode.window.showQuickPick.mockImplementationOnce((items) =>
+        Promise.resolve(items.find((item) => item.label === 'Setup'))
+      );
+
+      await handleMessage(mockWebview, { command: 'chooseOpenDestination', username: 'test@example.com' });
+
+      expect(mockSfdxExecutor.openOrgInBrowser).toHaveBeenCalledWith(
+        'test@example.com',
+        '/lightning/setup/SetupOneHome/home',
+        { token: mockToken }
+      );
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+        '✅ Opened /lightning/setup/SetupOneHome/home in test@example.com'
+      );
+    });
+
+    it('should open an object picked from the org\'s sObjects', async () => {
+      mockSfdxExecutor.listSObjects.mockResolvedValue({ success: true, sobjects: ['Account', 'Invoice__c'] });
+      mockVscode.window.showQuickPick
+        .mockImplementationOnce((items) =>
+          Promise.resolve(items.find((item) => item.label === 'Object Manager…'))
+        )
+        .mockImplementationOnce((items) =>
+          Promise.resolve(items.find((item) => item.label === 'Invoice__c'))
+        );
+
+      await handleMessage(mockWebview, { command: 'chooseOpenDestination', username: 'test@example.com' });
+
+      expect(mockSfdxExecutor.listSObjects).toHaveBeenCalledWith('test@example.com', { token: mockToken });
+      expect(mockSfdxExecutor.openOrgInBrowser).toHaveBeenCalledWith(
+        'test@example.com',
+        '/lightning/setup/ObjectManager/Invoice__c/Details/view',
+        { token: mockToken }
+      );
+    });
+
+    it('should open a record by ID', async () => {
+      mockVscode.window.showQuickPick.mockImplementationOnce((items) =>
+        Promise.resolve(items.find((item) => item.label === 'Record by ID…'))
+      );
+      mockVscode.window.showInputBox.mockResolvedValueOnce(' 001000000000001AAA ');
+
+      await handleMessage(mockWebview, { command: 'chooseOpenDestination', username: 'test@example.com' });
+
+      const { validateInput } = mockVscode.window.showInputBox.mock.calls[0][0];
+      expect(validateInput('001')).toBe('Record IDs have 15 or 18 letters and digits');
+      expect(mockSfdxExecutor.openOrgInBrowser).toHaveBeenCalledWith(
+        'test@example.com',
+        '/lightning/r/001000000000001AAA/view',
+        { token: mockToken }
+      );
+    });
+
+    it('should not open anything when the menu is dismissed', async () => {
+      mockVscode.window.showQuickPick.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'chooseOpenDestination', username: 'test@example.com' });
+
+      expect(mockSfdxExecutor.openOrgInBrowser).not.toHaveBeenCalled();
+    });
+
+    it('should save a bookmark for a tag and list it for orgs with that tag', async () => {
+      await orgMetadata.setTags(orgId, ['acme']);
+      mockVscode.window.showQuickPick
+        .mockImplementationOnce((items) =>
+          Promise.resolve(items.find((item) => item.action === 'addBookmark'))
+        )
+        .mockImplementationOnce((items) => Promise.resolve(items.find((item) => item.key === 'acme')));
+      mockVscode.window.showInputBox
+        .mockResolvedValueOnce('/lightning/o/Invoice__c/list')
+        .mockResolvedValueOnce('Invoices');
+
+      await handleMessage(mockWebview, { command: 'chooseOpenDestination', username: 'test@example.com', orgId });
+
+      expect(orgBookmarks.getBookmarks('00D000000000006EAA', ['Acme'])).toEqual([
+        { label: 'Invoices', path: '/lightning/o/Invoice__c/list', scope: 'tag', key: 'Acme' },
+      ]);
+
+      mockVscode.window.showQuickPick.mockImplementationOnce((items) => {
+        expect(items.map((item) => item.label)).toContain('$(bookmark) Invoices');
+        return Promise.resolve(undefined);
+      });
+      await handleMessage(mockWebview, { command: 'chooseOpenDestination', username: 'test@example.com', orgId });
+
+      await orgBookmarks.removeBookmark('tag', 'acme', '/lightning/o/Invoice__c/list');
+      await orgMetadata.setTags(orgId, []);
+    });
+  });
+
+  describe('handleMessage - browsers and login URLs', () => {
+    beforeEach(() => {
+      mockSfdxExecutor.openOrgInBrowser.mockResolvedValue({ success: true, message: 'Opened' });
+    });
+
+    it('should open in the browser and window from the settings', async () => {
+      const settings = { browser: 'edge', openInPrivateWindow: true };
+      mockVscode.workspace.getConfiguration.mockReturnValue({ get: (key) => settings[key] });
+
+      try {
+        await handleMessage(mockWebview, { command: 'openOrg', username: 'test@example.com' });
+      } finally {
+        mockVscode.workspace.getConfiguration.mockReturnValue({ get: jest.fn(() => undefined) });
+      }
+
+      expect(mockSfdxExecutor.openOrgInBrowser).toHaveBeenCalledWith('test@example.com', null, {
+        token: mockToken,
+        browser: 'edge',
+        privateWindow: true,
+      });
+    });
+
+    it('should open a private window from the Open menu', async () => {
+      mockVscode.window.showQuickPick.mockImplementationOnce((items) =>
+        Promise.resolve(items.find((item) => item.action === 'private'))
+      );
+
+      await handleMessage(mockWebview, { command: 'chooseOpenDestination', username: 'test@example.com' });
+
+      expect(mockSfdxExecutor.openOrgInBrowser).toHaveBeenCalledWith('test@example.com', null, {
+        token: mockToken,
+        privateWindow: true,
+      });
+    });
+
+    it('should open the browser picked from the Open menu', async () => {
+      mockVscode.window.showQuickPick
+        .mockImplementationOnce((items) => Promise.resolve(items.find((item) => item.action === 'browser')))
+        .mockImplementationOnce((items) =>
+          Promise.resolve(items.find((item) => item.label === 'Mozilla Firefox'))
+        );
+
+      await handleMessage(mockWebview, { command: 'chooseOpenDestination', username: 'test@example.com' });
+
+      expect(mockSfdxExecutor.openOrgInBrowser).toHaveBeenCalledWith('test@example.com', null, {
+        token: mockToken,
+        browser: 'firefox',
+      });
+    });
+
+    it('should copy the login URL after the warning without sending it to the webview', async () => {
+      const url = 'https://acme.my.salesforce.com/secur/frontdoor.jsp?otp=secret123';
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce('Copy Login URL');
+      mockVscode.window.showInformationMessage.mockResolvedValueOnce('Open in Simple Browser');
+      mockSfdxExecutor.getOrgLoginUrl.mockResolvedValue({ success: true, url });
+
+      await handleMessage(mockWebview, { command: 'copyLoginUrl', username: 'test@example.com' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledWith(
+        expect.stringContaining('live session'),
+        { modal: true },
+        'Copy Login URL'
+      );
+      expect(mockSfdxExecutor.getOrgLoginUrl).toHaveBeenCalledWith('test@example.com', null, { token: mockToken });
+      expect(mockVscode.env.clipboard.writeText).toHaveBeenCalledWith(url);
+      expect(mockVscode.commands.executeCommand).toHaveBeenCalledWith('simpleBrowser.show', url);
+      expect(JSON.stringify(mockWebview.postMessage.mock.calls)).not.toContain('secret123');
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'operationComplete',
+        operation: 'loginUrl',
+        success: true,
+        message: 'Login URL for test@example.com copied',
+      });
+    });
+
+    it('should not get a login URL when the warning is dismissed', async () => {
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'copyLoginUrl', username: 'test@example.com' });
+
+      expect(mockSfdxExecutor.getOrgLoginUrl).not.toHaveBeenCalled();
+      expect(mockVscode.env.clipboard.writeText).not.toHaveBeenCalled();
+    });
+  });
+
   describe('handleMessage - reauthOrg', () => {
     it('should reauthenticate with username string', async () => {
       mockSfdxExecutor.reauthenticateOrg.mockResolvedValue({
@@ -199,9 +606,13 @@ describe('orgMessageHandler', () => {
 
       await handleMessage(mockWebview, { command: 'reauthOrg', username: 'test@example.com' });
 
-      expect(mockSfdxExecutor.reauthenticateOrg).toHaveBeenCalledWith('test@example.com', null);
-      expect(mockOrgCache.clearOrgListCache).toHaveBeenCalled();
-      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledTimes(2); // Starting + success
+      expect(mockSfdxExecutor.reauthenticateOrg).toHaveBeenCalledWith('test@example.com', null, { token: mockToken });
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledTimes(1); // Success only, progress replaces the starting toast
+      expect(mockVscode.window.withProgress).toHaveBeenCalledWith(
+        expect.objectContaining({ cancellable: true, title: expect.stringContaining('test@example.com') }),
+        expect.any(Function)
+      );
     });
 
     it('should reauthenticate with org object containing instanceUrl', async () => {
@@ -221,7 +632,8 @@ describe('orgMessageHandler', () => {
 
       expect(mockSfdxExecutor.reauthenticateOrg).toHaveBeenCalledWith(
         'test@example.com',
-        'https://test.salesforce.com'
+        'https://test.salesforce.com',
+        { token: mockToken }
       );
     });
 
@@ -242,7 +654,8 @@ describe('orgMessageHandler', () => {
 
       expect(mockSfdxExecutor.reauthenticateOrg).toHaveBeenCalledWith(
         'test@example.com',
-        null
+        null,
+        { token: mockToken }
       );
     });
 
@@ -264,6 +677,53 @@ describe('orgMessageHandler', () => {
     });
   });
 
+  describe('handleMessage - cancellation', () => {
+    it('should not show an error when the user cancels a reauth', async () => {
+      mockSfdxExecutor.reauthenticateOrg.mockResolvedValue({
+        success: false,
+        cancelled: true,
+        message: 'Operation cancelled',
+      });
+
+      await handleMessage(mockWebview, { command: 'reauthOrg', username: 'test@example.com' });
+
+      expect(mockVscode.window.showErrorMessage).not.toHaveBeenCalled();
+      expect(mockSfdxExecutor.listAllOrgs).not.toHaveBeenCalled();
+      expect(mockWebview.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operation: 'reauth',
+          success: false,
+          message: 'Operation cancelled',
+        })
+      );
+    });
+
+    it('should report login progress inside a single notification', async () => {
+      mockVscode.window.showQuickPick.mockResolvedValue({
+        label: 'Sandbox',
+        value: 'https://test.salesforce.com',
+      });
+      mockVscode.window.showInputBox.mockResolvedValue('');
+      mockSfdxExecutor.authenticateNewOrg.mockResolvedValue({
+        success: true,
+        message: 'Authenticated',
+      });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+
+      await handleMessage(mockWebview, { command: 'authenticateNewOrg' });
+
+      expect(mockVscode.window.withProgress).toHaveBeenCalledTimes(1);
+      expect(mockProgress.report).toHaveBeenCalledWith({
+        message: expect.stringContaining('browser'),
+      });
+      expect(mockProgress.report).toHaveBeenCalledWith({
+        message: 'Refreshing org list...',
+      });
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('handleMessage - logoutOrg', () => {
     it('should logout after user confirmation', async () => {
       mockVscode.window.showWarningMessage.mockResolvedValue('Yes, Logout');
@@ -273,6 +733,7 @@ describe('orgMessageHandler', () => {
       });
       mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
       mockOrgCache.getOrgListCache.mockReturnValue(null);
+      await orgDetails.saveOrgDetails('test@example.com', { orgId: '00D000000000001EAA' });
 
       await handleMessage(mockWebview, { command: 'logoutOrg', username: 'test@example.com' });
 
@@ -281,8 +742,9 @@ describe('orgMessageHandler', () => {
         { modal: true },
         'Yes, Logout'
       );
-      expect(mockSfdxExecutor.logoutOrg).toHaveBeenCalledWith('test@example.com');
-      expect(mockOrgCache.clearOrgListCache).toHaveBeenCalled();
+      expect(mockSfdxExecutor.logoutOrg).toHaveBeenCalledWith('test@example.com', { token: mockToken });
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
+      expect(orgDetails.getCachedOrgDetails('test@example.com')).toBeNull();
     });
 
     it('should cancel logout when user declines', async () => {
@@ -312,6 +774,14 @@ describe('orgMessageHandler', () => {
     });
   });
 
+  describe('handleMessage - showOrgDetails', () => {
+    it('should open the detail panel of the org', async () => {
+      await handleMessage(mockWebview, { command: 'showOrgDetails', username: 'test@example.com' });
+
+      expect(mockOrgDetailPanel.showOrgDetails).toHaveBeenCalledWith('test@example.com');
+    });
+  });
+
   describe('handleMessage - setDefaultOrg', () => {
     it('should set default org successfully', async () => {
       mockSfdxExecutor.setDefaultOrg.mockResolvedValue({
@@ -323,8 +793,13 @@ describe('orgMessageHandler', () => {
 
       await handleMessage(mockWebview, { command: 'setDefaultOrg', username: 'test@example.com' });
 
-      expect(mockSfdxExecutor.setDefaultOrg).toHaveBeenCalledWith('test@example.com');
-      expect(mockOrgCache.clearOrgListCache).toHaveBeenCalled();
+      expect(mockSfdxExecutor.setDefaultOrg).toHaveBeenCalledWith(
+        'test@example.com',
+        'target-org',
+        'local',
+        { token: mockToken }
+      );
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
       expect(mockVscode.window.showInformationMessage).toHaveBeenCalled();
       expect(mockWebview.postMessage).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -344,75 +819,868 @@ describe('orgMessageHandler', () => {
 
       expect(mockVscode.window.showErrorMessage).toHaveBeenCalled();
     });
-  });
 
-  describe('handleMessage - getAccessToken', () => {
-    it('should get token and copy to clipboard', async () => {
-      mockSfdxExecutor.getAccessToken.mockResolvedValue({
-        success: true,
-        accessToken: '00DXXXXXXXXXXXXXXXXXXXXXXXXX',
-        instanceUrl: 'https://test.salesforce.com',
-        username: 'test@example.com',
-      });
+    it('should set the default Dev Hub at the requested scope', async () => {
+      mockSfdxExecutor.setDefaultOrg.mockResolvedValue({ success: true, message: 'Set' });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
 
-      await handleMessage(mockWebview, { command: 'getAccessToken', username: 'test@example.com' });
+      await handleMessage(mockWebview, {
+        command: 'setDefaultOrg',
+        username: 'hub@example.com',
+        setting: 'target-dev-hub',
+        scope: 'global',
+      });
 
-      expect(mockVscode.env.clipboard.writeText).toHaveBeenCalledWith('00DXXXXXXXXXXXXXXXXXXXXXXXXX');
-      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
-        expect.stringContaining('clipboard')
+      expect(mockVscode.window.withProgress).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Setting hub@example.com as default Dev Hub (global)' }),
+        expect.any(Function)
+      );
+      expect(mockSfdxExecutor.setDefaultOrg).toHaveBeenCalledWith(
+        'hub@example.com',
+        'target-dev-hub',
+        'global',
+        { token: mockToken }
       );
-      expect(mockWebview.postMessage).toHaveBeenCalledWith({
-        command: 'accessTokenResponse',
-        success: true,
-        accessToken: '00DXXXXXXXXXXXXXXXXXXXXXXXXX',
-        instanceUrl: 'https://test.salesforce.com',
-        username: 'test@example.com',
-      });
     });
 
-    it('should show error on failure', async () => {
-      mockSfdxExecutor.getAccessToken.mockResolvedValue({
-        success: false,
-        message: 'Token error',
+    it('should unset a default and refresh the list', async () => {
+      mockSfdxExecutor.unsetDefaultOrg.mockResolvedValue({ success: true, message: 'Unset' });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+
+      await handleMessage(mockWebview, {
+        command: 'unsetDefaultOrg',
+        username: 'test@example.com',
+        setting: 'target-org',
+        scope: 'local',
       });
 
-      await handleMessage(mockWebview, { command: 'getAccessToken', username: 'test@example.com' });
+      expect(mockSfdxExecutor.unsetDefaultOrg).toHaveBeenCalledWith('target-org', 'local', { token: mockToken });
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
+      expect(mockWebview.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ operation: 'setDefault', success: true })
+      );
+    });
 
-      expect(mockVscode.window.showErrorMessage).toHaveBeenCalled();
-      expect(mockWebview.postMessage).toHaveBeenCalledWith({
-        command: 'accessTokenResponse',
-        success: false,
-        message: 'Token error',
+    it('should offer to unset the setting that makes the org the default', async () => {
+      mockOrgDiscovery.getDefaultUsernames.mockResolvedValueOnce({
+        defaultUsername: 'test@example.com',
+        defaultDevHubUsername: 'hub@example.com',
+        defaultUsernameSource: 'local',
+        defaultDevHubUsernameSource: 'global',
       });
+      mockVscode.window.showQuickPick.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'chooseDefaultOrg', username: 'test@example.com' });
+
+      const items = mockVscode.window.showQuickPick.mock.calls[0][0];
+      expect(items.map((item) => item.label)).toEqual([
+        'Unset default org (this project)',
+        'Set as default org (global)',
+        'Set as default Dev Hub (this project)',
+        'Set as default Dev Hub (global)',
+      ]);
+      expect(items[1].description).toBe("Overridden by this project's setting");
+      expect(mockSfdxExecutor.setDefaultOrg).not.toHaveBeenCalled();
+      expect(mockSfdxExecutor.unsetDefaultOrg).not.toHaveBeenCalled();
     });
-  });
 
-  describe('handleMessage - authenticateNewOrg', () => {
-    it('should prompt for environment type and authenticate', async () => {
-      mockVscode.window.showQuickPick.mockResolvedValue({
-        label: 'Production',
-        value: 'https://login.salesforce.com',
-      });
-      mockVscode.window.showInputBox.mockResolvedValue('myNewOrg');
-      mockSfdxExecutor.authenticateNewOrg.mockResolvedValue({
-        success: true,
-        message: 'Authenticated',
-        username: 'new@example.com',
-      });
+    it('should run the picked default org change', async () => {
+      mockSfdxExecutor.setDefaultOrg.mockResolvedValue({ success: true, message: 'Set' });
       mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
       mockOrgCache.getOrgListCache.mockReturnValue(null);
+      mockVscode.window.showQuickPick.mockImplementationOnce(async (items) =>
+        items.find((item) => item.label === 'Set as default Dev Hub (this project)')
+      );
 
-      await handleMessage(mockWebview, { command: 'authenticateNewOrg' });
+      await handleMessage(mockWebview, { command: 'chooseDefaultOrg', username: 'hub@example.com' });
 
-      expect(mockVscode.window.showQuickPick).toHaveBeenCalled();
-      expect(mockSfdxExecutor.authenticateNewOrg).toHaveBeenCalledWith(
-        'myNewOrg',
-        'https://login.salesforce.com'
+      expect(mockSfdxExecutor.setDefaultOrg).toHaveBeenCalledWith(
+        'hub@example.com',
+        'target-dev-hub',
+        'local',
+        { token: mockToken }
       );
-      expect(mockOrgCache.clearOrgListCache).toHaveBeenCalled();
     });
+  });
 
-    it('should prompt for custom domain when selected', async () => {
+  describe('handleMessage - aliases', () => {
+    beforeEach(() => {
+      mockOrgDiscovery.getAliases.mockResolvedValue({
+        dev: 'test@example.com',
+        prod: 'prod@example.com',
+      });
+      mockSfdxExecutor.setAlias.mockResolvedValue({ success: true, message: 'Set' });
+      mockSfdxExecutor.unsetAlias.mockResolvedValue({ success: true, message: 'Removed' });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+    });
+
+    afterEach(() => {
+      mockOrgDiscovery.getAliases.mockResolvedValue(null);
+    });
+
+    it('should rename the alias and refresh the list', async () => {
+      mockVscode.window.showInputBox.mockResolvedValueOnce(' dev-main ');
+
+      await handleMessage(mockWebview, { command: 'renameAlias', username: 'test@example.com' });
+
+      expect(mockVscode.window.showInputBox).toHaveBeenCalledWith(
+        expect.objectContaining({ value: 'dev' })
+      );
+      expect(mockSfdxExecutor.setAlias).toHaveBeenCalledWith('dev-main', 'test@example.com', { token: mockToken });
+      expect(mockSfdxExecutor.unsetAlias).toHaveBeenCalledWith('dev', { token: mockToken });
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+        '✅ Renamed alias dev to dev-main'
+      );
+      expect(mockWebview.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ command: 'operationComplete', operation: 'alias', success: true })
+      );
+    });
+
+    it('should reject invalid aliases in the input box', async () => {
+      mockVscode.window.showInputBox.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'addAlias', username: 'test@example.com' });
+
+      const { validateInput } = mockVscode.window.showInputBox.mock.calls[0][0];
+      expect(validateInput('a=b')).toBe('Alias must not contain "="');
+      expect(validateInput('qa')).toBeNull();
+      expect(mockSfdxExecutor.setAlias).not.toHaveBeenCalled();
+    });
+
+    it('should warn before taking an alias from another org', async () => {
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, {
+        command: 'addAlias',
+        username: 'test@example.com',
+        alias: 'prod',
+      });
+
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledWith(
+        'Alias "prod" is already used by prod@example.com. Move it to test@example.com?',
+        { modal: true },
+        'Move Alias'
+      );
+      expect(mockSfdxExecutor.setAlias).not.toHaveBeenCalled();
+    });
+
+    it('should move the alias when confirmed', async () => {
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce('Move Alias');
+
+      await handleMessage(mockWebview, {
+        command: 'addAlias',
+        username: 'test@example.com',
+        alias: 'prod',
+      });
+
+      expect(mockSfdxExecutor.setAlias).toHaveBeenCalledWith('prod', 'test@example.com', { token: mockToken });
+      expect(mockSfdxExecutor.unsetAlias).not.toHaveBeenCalled();
+    });
+
+    it('should remove the only alias without asking which one', async () => {
+      await handleMessage(mockWebview, { command: 'removeAlias', username: 'test@example.com' });
+
+      expect(mockVscode.window.showQuickPick).not.toHaveBeenCalled();
+      expect(mockSfdxExecutor.unsetAlias).toHaveBeenCalledWith('dev', { token: mockToken });
+    });
+
+    it('should offer rename, add and remove for each alias', async () => {
+      mockVscode.window.showQuickPick.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'chooseAliasAction', username: 'test@example.com' });
+
+      const items = mockVscode.window.showQuickPick.mock.calls[0][0];
+      expect(items.map((item) => item.label)).toEqual([
+        'Rename "dev"',
+        'Add another alias',
+        'Remove "dev"',
+      ]);
+    });
+
+    it('should add all aliases to the listed orgs', async () => {
+      mockOrgDiscovery.getAliases.mockResolvedValue({ dev: 'test@example.com', qa: 'test@example.com' });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([{ username: 'test@example.com', alias: 'dev' }]);
+
+      await handleMessage(mockWebview, { command: 'listOrgs', forceRefresh: true });
+
+      expect(mockWebview.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          command: 'orgsListResponse',
+          data: [{ username: 'test@example.com', alias: 'dev', aliases: ['dev', 'qa'] }],
+        })
+      );
+    });
+  });
+
+  describe('handleMessage - pins and tags', () => {
+    const orgId = '00D000000000001EAA';
+
+    afterEach(async () => {
+      await orgMetadata.setPinned(orgId, false);
+      await orgMetadata.setTags(orgId, []);
+    });
+
+    it('should pin an org and send the new metadata', async () => {
+      await handleMessage(mockWebview, { command: 'togglePin', orgId, pinned: true });
+
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'orgMetadata',
+        metadata: { [orgId]: { pinned: true, tags: [] } },
+      });
+    });
+
+    it('should save the tags typed by the user', async () => {
+      mockVscode.window.showInputBox.mockResolvedValueOnce('acme, uat');
+
+      await handleMessage(mockWebview, { command: 'editTags', orgId, username: 'test@example.com' });
+
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'orgMetadata',
+        metadata: { [orgId]: { pinned: false, tags: ['acme', 'uat'] } },
+      });
+    });
+
+    it('should keep the tags when the input is cancelled', async () => {
+      await orgMetadata.setTags(orgId, ['acme']);
+      mockVscode.window.showInputBox.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'editTags', orgId, username: 'test@example.com' });
+
+      expect(mockVscode.window.showInputBox).toHaveBeenCalledWith(
+        expect.objectContaining({ value: 'acme' })
+      );
+      expect(orgMetadata.getOrgMetadata()[orgId].tags).toEqual(['acme']);
+      expect(mockWebview.postMessage).not.toHaveBeenCalled();
+    });
+
+    it('should send the metadata with the org list', async () => {
+      mockOrgCache.getOrgListCache.mockReturnValue([{ username: 'cached@example.com' }]);
+
+      await handleMessage(mockWebview, { command: 'listOrgs' });
+
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({ command: 'orgMetadata', metadata: {} });
+    });
+
+    it('should remember when an opened org was last used', async () => {
+      mockSfdxExecutor.openOrgInBrowser.mockResolvedValue({ success: true, url: 'https://example.com' });
+
+      await handleMessage(mockWebview, { command: 'openOrg', username: 'test@example.com', orgId });
+
+      expect(orgMetadata.getOrgMetadata()[orgId].lastUsed).toEqual(expect.any(Number));
+      expect(mockWebview.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ command: 'orgMetadata' })
+      );
+    });
+  });
+
+  describe('handleMessage - scratch orgs', () => {
+    const definitionFile = '/mock/workspace/config/project-scratch-def.json';
+
+    it('should create a scratch org with the chosen definition, Dev Hub, duration and alias', async () => {
+      mockOrgDiscovery.findScratchDefinitions.mockResolvedValueOnce([definitionFile]);
+      mockOrgDiscovery.discoverOrgs.mockResolvedValueOnce([
+        { username: 'dev@acme.com', alias: 'dev', isDevHub: false, isDefaultDevHubUsername: false },
+        { username: 'other@acme.com', alias: 'other-hub', isDevHub: true, isDefaultDevHubUsername: false },
+        { username: 'admin@acme.com', alias: 'hub', isDevHub: true, isDefaultDevHubUsername: true },
+      ]);
+      mockVscode.window.showQuickPick
+        .mockImplementationOnce((items) => Promise.resolve(items[0]))
+        .mockImplementationOnce((items) => Promise.resolve(items[0]));
+      mockVscode.window.showInputBox.mockResolvedValueOnce('14').mockResolvedValueOnce('feature-x');
+      mockSfdxExecutor.createScratchOrg.mockResolvedValue({
+        success: true,
+        message: 'Created scratch org: feature-x',
+        username: 'test-xyz@example.com',
+      });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+
+      await handleMessage(mockWebview, { command: 'createScratchOrg' });
+
+      // Only Dev Hubs are offered, the default one first
+      expect(mockVscode.window.showQuickPick.mock.calls[1][0].map((item) => item.username)).toEqual([
+        'admin@acme.com',
+        'other@acme.com',
+      ]);
+      expect(mockSfdxExecutor.createScratchOrg).toHaveBeenCalledWith(
+        { definitionFile, devHub: 'admin@acme.com', durationDays: 14, alias: 'feature-x' },
+        { token: mockToken }
+      );
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'operationComplete',
+        operation: 'createScratchOrg',
+        success: true,
+        message: 'Created scratch org: feature-x',
+      });
+    });
+
+    it('should validate the duration', async () => {
+      mockOrgDiscovery.findScratchDefinitions.mockResolvedValueOnce([definitionFile]);
+      mockOrgDiscovery.discoverOrgs.mockResolvedValueOnce([
+        { username: 'admin@acme.com', alias: 'hub', isDevHub: true },
+      ]);
+      mockVscode.window.showQuickPick
+        .mockImplementationOnce((items) => Promise.resolve(items[0]))
+        .mockImplementationOnce((items) => Promise.resolve(items[0]));
+      mockVscode.window.showInputBox.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'createScratchOrg' });
+
+      const { validateInput } = mockVscode.window.showInputBox.mock.calls[0][0];
+      expect(validateInput('30')).toBeNull();
+      expect(validateInput('0')).toContain('from 1 to 30');
+      expect(validateInput('2.5')).toContain('from 1 to 30');
+      expect(mockSfdxExecutor.createScratchOrg).not.toHaveBeenCalled();
+    });
+
+    it('should explain when no Dev Hub is authenticated', async () => {
+      mockOrgDiscovery.findScratchDefinitions.mockResolvedValueOnce([definitionFile]);
+      mockVscode.window.showQuickPick.mockImplementationOnce((items) => Promise.resolve(items[0]));
+
+      await handleMessage(mockWebview, { command: 'createScratchOrg' });
+
+      expect(mockVscode.window.showErrorMessage).toHaveBeenCalledWith(
+        expect.stringContaining('No Dev Hub is authenticated')
+      );
+      expect(mockSfdxExecutor.createScratchOrg).not.toHaveBeenCalled();
+    });
+
+    it('should explain when the project has no definition files', async () => {
+      await handleMessage(mockWebview, { command: 'createScratchOrg' });
+
+      expect(mockVscode.window.showErrorMessage).toHaveBeenCalledWith(
+        expect.stringContaining('No scratch org definition files found')
+      );
+      expect(mockVscode.window.showQuickPick).not.toHaveBeenCalled();
+    });
+
+    it('should delete a scratch org after confirmation', async () => {
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce('Delete Scratch Org');
+      mockSfdxExecutor.deleteScratchOrg.mockResolvedValue({
+        success: true,
+        message: 'Deleted scratch org: test-xyz@example.com',
+      });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+
+      await handleMessage(mockWebview, { command: 'deleteScratchOrg', username: 'test-xyz@example.com' });
+
+      expect(mockSfdxExecutor.deleteScratchOrg).toHaveBeenCalledWith('test-xyz@example.com', { token: mockToken });
+      expect(mockConnectionMonitor.forgetVerification).toHaveBeenCalledWith('test-xyz@example.com');
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'operationComplete',
+        operation: 'deleteScratchOrg',
+        success: true,
+        message: 'Deleted scratch org: test-xyz@example.com',
+      });
+    });
+
+    it('should list the expired and deleted orgs before cleaning up', async () => {
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([
+        { username: 'active@example.com', alias: 'active', isScratchOrg: true, status: 'Active' },
+        { username: 'gone@example.com', alias: 'gone', isScratchOrg: true, status: 'Deleted' },
+        { username: 'old@example.com', alias: 'old', isScratchOrg: true, status: 'Expired' },
+        { username: 'prod@example.com', alias: 'prod', isScratchOrg: false, status: null },
+      ]);
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce('Remove');
+      mockSfdxExecutor.cleanScratchOrgs.mockResolvedValue({
+        success: true,
+        message: 'Removed expired and deleted scratch orgs',
+      });
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+
+      await handleMessage(mockWebview, { command: 'cleanScratchOrgs' });
+
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledWith(
+        'Remove 2 expired or deleted scratch orgs from the org list?',
+        { modal: true, detail: 'gone (Deleted)\nold (Expired)' },
+        'Remove'
+      );
+      expect(mockSfdxExecutor.cleanScratchOrgs).toHaveBeenCalledWith({ token: mockToken });
+      expect(mockConnectionMonitor.forgetVerification).toHaveBeenCalledWith('gone@example.com');
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
+    });
+
+    it('should not clean up when no scratch org is inactive', async () => {
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([
+        { username: 'active@example.com', alias: 'active', isScratchOrg: true, status: 'Active' },
+      ]);
+
+      await handleMessage(mockWebview, { command: 'cleanScratchOrgs' });
+
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+        'No expired or deleted scratch orgs to clean up.'
+      );
+      expect(mockSfdxExecutor.cleanScratchOrgs).not.toHaveBeenCalled();
+    });
+
+    it('should show why the scratch orgs could not be listed', async () => {
+      mockSfdxExecutor.listAllOrgs.mockRejectedValue(new Error('Command timed out'));
+
+      await handleMessage(mockWebview, { command: 'cleanScratchOrgs' });
+
+      expect(mockVscode.window.showErrorMessage).toHaveBeenCalledWith(
+        '❌ Could not list scratch orgs: Command timed out'
+      );
+      expect(mockVscode.window.showInformationMessage).not.toHaveBeenCalled();
+      expect(mockSfdxExecutor.cleanScratchOrgs).not.toHaveBeenCalled();
+    });
+
+    it('should stop quietly when listing the scratch orgs is cancelled', async () => {
+      const cancelled = new Error('Operation cancelled');
+      cancelled.code = 'SF_RANGER_CANCELLED';
+      mockSfdxExecutor.listAllOrgs.mockRejectedValue(cancelled);
+
+      await handleMessage(mockWebview, { command: 'cleanScratchOrgs' });
+
+      expect(mockVscode.window.showErrorMessage).not.toHaveBeenCalled();
+      expect(mockVscode.window.showInformationMessage).not.toHaveBeenCalled();
+    });
+
+    it('should not delete when the user declines', async () => {
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'deleteScratchOrg', username: 'test-xyz@example.com' });
+
+      expect(mockSfdxExecutor.deleteScratchOrg).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleMessage - sandboxes', () => {
+    const uat = {
+      name: 'uat',
+      licenseType: 'PARTIAL',
+      status: 'Completed',
+      copyProgress: 100,
+      lastRefreshed: '2026-10-01T08:00:00.000+0000',
+      description: null,
+    };
+
+    beforeEach(() => {
+      sandboxMonitor.resetSandboxMonitor();
+      mockSfdxExecutor.listSandboxes.mockResolvedValue({ success: true, sandboxes: [uat] });
+    });
+
+    it('should list the sandboxes with license type and status', async () => {
+      mockVscode.window.showQuickPick.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'chooseSandboxAction', username: 'admin@acme.com' });
+
+      expect(mockSfdxExecutor.listSandboxes).toHaveBeenCalledWith('admin@acme.com', { token: mockToken });
+      const items = mockVscode.window.showQuickPick.mock.calls[0][0];
+      expect(items[0]).toMatchObject({ action: 'create' });
+      expect(items[1]).toMatchObject({
+        label: 'uat',
+        description: 'Partial Copy · Completed',
+        detail: expect.stringContaining('Last refreshed'),
+      });
+    });
+
+    it('should create a sandbox and follow its progress', async () => {
+      mockVscode.window.showQuickPick
+        .mockResolvedValueOnce({ action: 'create' })
+        .mockResolvedValueOnce({ label: 'Developer', value: 'Developer' });
+      mockVscode.window.showInputBox
+        .mockResolvedValueOnce('dev2')
+        .mockResolvedValueOnce('acme-dev2');
+      mockSfdxExecutor.createSandbox.mockResolvedValue({
+        success: true,
+        message: 'Started creating sandbox: dev2',
+        sandboxName: 'dev2',
+        status: 'Pending',
+      });
+
+      await handleMessage(mockWebview, { command: 'chooseSandboxAction', username: 'admin@acme.com' });
+
+      expect(mockSfdxExecutor.createSandbox).toHaveBeenCalledWith(
+        {
+          name: 'dev2',
+          productionOrg: 'admin@acme.com',
+          licenseType: 'Developer',
+          sourceSandbox: null,
+          definitionFile: null,
+        },
+        { token: mockToken }
+      );
+      expect(sandboxMonitor.getSandboxJobs()).toEqual([
+        expect.objectContaining({ name: 'dev2', productionOrg: 'admin@acme.com', alias: 'acme-dev2' }),
+      ]);
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'sandboxJobs',
+        jobs: sandboxMonitor.getSandboxJobs(),
+      });
+    });
+
+    it('should reject a name that is already taken', async () => {
+      mockVscode.window.showQuickPick.mockResolvedValueOnce({ action: 'create' });
+      mockVscode.window.showInputBox.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'chooseSandboxAction', username: 'admin@acme.com' });
+
+      const { validateInput } = mockVscode.window.showInputBox.mock.calls[0][0];
+      expect(validateInput('UAT')).toBe('A sandbox named UAT already exists');
+      expect(validateInput('uat2')).toBeNull();
+      expect(mockSfdxExecutor.createSandbox).not.toHaveBeenCalled();
+    });
+
+    it('should clone a sandbox with a definition file', async () => {
+      mockOrgDiscovery.findSandboxDefinitions.mockResolvedValueOnce([
+        '/mock/workspace/config/sandbox-def.json',
+      ]);
+      mockVscode.window.showQuickPick
+        .mockResolvedValueOnce({ label: 'uat', sandbox: uat })
+        .mockResolvedValueOnce({ label: 'Clone', action: 'clone' })
+        .mockResolvedValueOnce({ label: 'sandbox-def.json', filePath: '/mock/workspace/config/sandbox-def.json' });
+      mockVscode.window.showInputBox
+        .mockResolvedValueOnce('uat2')
+        .mockResolvedValueOnce('uat2');
+      mockSfdxExecutor.createSandbox.mockResolvedValue({
+        success: true,
+        message: 'Started cloning uat to sandbox uat2',
+        sandboxName: 'uat2',
+        status: 'Pending',
+      });
+
+      await handleMessage(mockWebview, { command: 'chooseSandboxAction', username: 'admin@acme.com' });
+
+      expect(mockSfdxExecutor.createSandbox).toHaveBeenCalledWith(
+        expect.objectContaining({
+          name: 'uat2',
+          sourceSandbox: 'uat',
+          licenseType: null,
+          definitionFile: '/mock/workspace/config/sandbox-def.json',
+        }),
+        { token: mockToken }
+      );
+    });
+
+    it('should refresh a sandbox only after confirmation', async () => {
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, {
+        command: 'refreshSandbox',
+        username: 'admin@acme.com',
+        sandboxName: 'uat',
+      });
+      expect(mockSfdxExecutor.refreshSandbox).not.toHaveBeenCalled();
+
+      mockVscode.window.showWarningMessage.mockResolvedValueOnce('Refresh Sandbox');
+      mockSfdxExecutor.refreshSandbox.mockResolvedValue({
+        success: true,
+        message: 'Started refreshing sandbox: uat',
+        sandboxName: 'uat',
+        status: 'Pending',
+      });
+
+      await handleMessage(mockWebview, {
+        command: 'refreshSandbox',
+        username: 'admin@acme.com',
+        sandboxName: 'uat',
+      });
+
+      expect(mockSfdxExecutor.refreshSandbox).toHaveBeenCalledWith(
+        { name: 'uat', productionOrg: 'admin@acme.com', definitionFile: null },
+        { token: mockToken }
+      );
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'operationComplete',
+        operation: 'refreshSandbox',
+        success: true,
+        message: 'Started refreshing sandbox: uat',
+      });
+    });
+
+    it('should log in to a ready sandbox with the sandbox login URL', async () => {
+      mockSfdxExecutor.authenticateNewOrg.mockResolvedValue({
+        success: true,
+        message: 'Successfully authenticated org: acme-uat',
+      });
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+
+      await handleMessage(mockWebview, { command: 'loginSandbox', alias: 'acme-uat' });
+
+      expect(mockSfdxExecutor.authenticateNewOrg).toHaveBeenCalledWith(
+        'acme-uat',
+        'https://test.salesforce.com',
+        { token: mockToken }
+      );
+    });
+
+    it('should show an error when the sandboxes cannot be listed', async () => {
+      mockSfdxExecutor.listSandboxes.mockResolvedValue({ success: false, message: 'Not a production org' });
+
+      await handleMessage(mockWebview, { command: 'chooseSandboxAction', username: 'dev@acme.com' });
+
+      expect(mockVscode.window.showErrorMessage).toHaveBeenCalledWith('❌ Not a production org');
+      expect(mockVscode.window.showQuickPick).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleMessage - getAccessToken', () => {
+    const accessToken = '00DXXXXXXXXXXXXXXXXXXXXXXXXX';
+
+    beforeEach(() => {
+      mockSfdxExecutor.getAccessToken.mockResolvedValue({
+        success: true,
+        accessToken,
+        instanceUrl: 'https://test.salesforce.com',
+        username: 'test@example.com',
+      });
+    });
+
+    it('should copy the token without showing it or sending it to the webview', async () => {
+      await handleMessage(mockWebview, { command: 'getAccessToken', username: 'test@example.com' });
+
+      expect(mockVscode.env.clipboard.writeText).toHaveBeenCalledWith(accessToken);
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+        '✅ Access token for test@example.com copied to clipboard. It is cleared in 30 seconds.'
+      );
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'accessTokenResponse',
+        success: true,
+        instanceUrl: 'https://test.salesforce.com',
+        username: 'test@example.com',
+      });
+      expect(JSON.stringify(mockWebview.postMessage.mock.calls)).not.toContain(accessToken);
+      expect(JSON.stringify(mockVscode.window.showInformationMessage.mock.calls)).not.toContain('00DX');
+      expect(mockVscode.window.showWarningMessage).not.toHaveBeenCalled();
+    });
+
+    describe('clearing the clipboard', () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('should clear the clipboard if it still holds the token', async () => {
+        mockVscode.env.clipboard.readText.mockResolvedValue(accessToken);
+
+        await handleMessage(mockWebview, { command: 'getAccessToken', username: 'test@example.com' });
+        await jest.advanceTimersByTimeAsync(29 * 1000);
+        expect(mockVscode.env.clipboard.writeText).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(mockVscode.env.clipboard.writeText).toHaveBeenLastCalledWith('');
+      });
+
+      it('should leave the clipboard alone once something else was copied', async () => {
+        mockVscode.env.clipboard.readText.mockResolvedValue('something else');
+
+        await handleMessage(mockWebview, { command: 'getAccessToken', username: 'test@example.com' });
+        await jest.advanceTimersByTimeAsync(30 * 1000);
+
+        expect(mockVscode.env.clipboard.writeText).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not clear the clipboard when the setting is 0', async () => {
+        mockVscode.workspace.getConfiguration.mockReturnValue({
+          get: (key) => (key === 'clearClipboardAfterSeconds' ? 0 : undefined),
+        });
+
+        try {
+          await handleMessage(mockWebview, { command: 'getAccessToken', username: 'test@example.com' });
+          await jest.advanceTimersByTimeAsync(600 * 1000);
+        } finally {
+          mockVscode.workspace.getConfiguration.mockReturnValue({ get: jest.fn(() => undefined) });
+        }
+
+        expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+          '✅ Access token for test@example.com copied to clipboard.'
+        );
+        expect(mockVscode.env.clipboard.readText).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should show error on failure', async () => {
+      mockSfdxExecutor.getAccessToken.mockResolvedValue({
+        success: false,
+        message: 'Token error',
+      });
+
+      await handleMessage(mockWebview, { command: 'getAccessToken', username: 'test@example.com' });
+
+      expect(mockVscode.window.showErrorMessage).toHaveBeenCalled();
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'accessTokenResponse',
+        success: false,
+        message: 'Token error',
+      });
+    });
+  });
+
+  describe('handleMessage - production guardrails', () => {
+    const prodId = '00D000000000007EAA';
+    const prodInfo = { success: true, orgId: prodId, isSandbox: false, organizationType: 'Enterprise Edition' };
+    const prodOrg = {
+      username: 'admin@acme.com',
+      alias: 'acme',
+      orgId: prodId,
+      instanceUrl: 'https://acme.my.salesforce.com',
+      connectedStatus: 'Connected',
+    };
+
+    beforeEach(() => {
+      orgTypes.resetOrgTypes();
+    });
+
+    afterEach(() => {
+      mockOrgCache.getStaleOrgListCache.mockReturnValue(null);
+    });
+
+    it('should read the org type before copying a token and ask for the name on production', async () => {
+      // Keeps the clipboard clear timer from outliving the test
+      jest.useFakeTimers();
+      mockSfdxExecutor.getOrganizationInfo.mockResolvedValueOnce(prodInfo);
+      mockVscode.window.showInputBox.mockResolvedValueOnce('admin');
+
+      await handleMessage(mockWebview, { command: 'getAccessToken', username: 'admin@acme.com' });
+
+      expect(mockSfdxExecutor.getOrganizationInfo).toHaveBeenCalledWith('admin@acme.com', { token: mockToken });
+      const { prompt, validateInput } = mockVscode.window.showInputBox.mock.calls[0][0];
+      expect(prompt).toContain('admin@acme.com is a production org');
+      expect(validateInput('admin')).toBe('Type admin@acme.com exactly to confirm');
+      expect(validateInput('admin@acme.com')).toBeNull();
+      expect(mockSfdxExecutor.getAccessToken).not.toHaveBeenCalled();
+
+      // The type is cached: the next copy only asks for the name
+      mockSfdxExecutor.getAccessToken.mockResolvedValue({
+        success: true,
+        accessToken: '00DXXXXXXXXXXXXXXXXXXXXXXXXX',
+        instanceUrl: 'https://acme.my.salesforce.com',
+        username: 'admin@acme.com',
+      });
+      mockVscode.window.showInputBox.mockResolvedValueOnce('admin@acme.com');
+      mockOrgCache.getStaleOrgListCache.mockReturnValue({ orgs: [{ ...prodOrg, alias: undefined }], timestamp: 0 });
+
+      await handleMessage(mockWebview, { command: 'getAccessToken', username: 'admin@acme.com' });
+
+      expect(mockSfdxExecutor.getOrganizationInfo).toHaveBeenCalledTimes(1);
+      expect(mockVscode.env.clipboard.writeText).toHaveBeenCalledWith('00DXXXXXXXXXXXXXXXXXXXXXXXXX');
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
+    it('should log out of production only after the alias was typed', async () => {
+      await orgTypes.recordOrgType(prodId, prodInfo);
+      mockOrgCache.getStaleOrgListCache.mockReturnValue({ orgs: [prodOrg], timestamp: 0 });
+      mockVscode.window.showInputBox.mockResolvedValueOnce('acme');
+      mockSfdxExecutor.logoutOrg.mockResolvedValue({ success: true, message: 'Logged out' });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+
+      await handleMessage(mockWebview, { command: 'logoutOrg', username: 'admin@acme.com' });
+
+      expect(mockVscode.window.showInputBox).toHaveBeenCalledWith(
+        expect.objectContaining({ prompt: 'acme is a production org. Type acme to log out of it.' })
+      );
+      expect(mockVscode.window.showWarningMessage).not.toHaveBeenCalled();
+      expect(mockSfdxExecutor.getOrganizationInfo).not.toHaveBeenCalled();
+      expect(mockSfdxExecutor.logoutOrg).toHaveBeenCalledWith('admin@acme.com', { token: mockToken });
+    });
+
+    it('should ask for the name when the org type cannot be read', async () => {
+      mockSfdxExecutor.getOrganizationInfo.mockResolvedValueOnce({ success: false, message: 'INVALID_SESSION_ID' });
+      mockVscode.window.showInputBox.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'logoutOrg', username: 'admin@acme.com' });
+
+      expect(mockVscode.window.showInputBox).toHaveBeenCalledWith(
+        expect.objectContaining({
+          title: 'Log Out – Unknown Org Type',
+          prompt: 'The type of admin@acme.com could not be read, so it may be a production org. Type admin@acme.com to log out of it.',
+        })
+      );
+      expect(mockVscode.window.showWarningMessage).not.toHaveBeenCalled();
+      expect(mockSfdxExecutor.logoutOrg).not.toHaveBeenCalled();
+    });
+
+    it('should not make production the default when the alias is not typed', async () => {
+      await orgTypes.recordOrgType(prodId, prodInfo);
+      mockOrgCache.getStaleOrgListCache.mockReturnValue({ orgs: [prodOrg], timestamp: 0 });
+      mockVscode.window.showInputBox.mockResolvedValueOnce(undefined);
+
+      await handleMessage(mockWebview, { command: 'setDefaultOrg', username: 'acme' });
+
+      expect(mockSfdxExecutor.setDefaultOrg).not.toHaveBeenCalled();
+    });
+
+    it('should read the types of new connected orgs after listing them', async () => {
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([prodOrg]);
+      mockSfdxExecutor.getOrganizationInfo.mockResolvedValueOnce(prodInfo);
+      mockOrgCache.getStaleOrgListCache
+        .mockReturnValueOnce(null)
+        .mockReturnValue({ orgs: [prodOrg], timestamp: 0 });
+
+      await handleMessage(mockWebview, { command: 'listOrgs' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'orgTypes',
+        types: { 'admin@acme.com': { type: null, isProduction: null, source: null } },
+      });
+      expect(mockSfdxExecutor.getOrganizationInfo).toHaveBeenCalledWith('admin@acme.com');
+      expect(mockWebview.postMessage).toHaveBeenLastCalledWith({
+        command: 'orgTypes',
+        types: { 'admin@acme.com': { type: 'production', isProduction: true, source: 'org' } },
+      });
+    });
+
+    it('should reclassify the listed orgs when the URL settings change', async () => {
+      mockOrgCache.getStaleOrgListCache.mockReturnValue({ orgs: [prodOrg], timestamp: 0 });
+      mockVscode.workspace.getConfiguration.mockReturnValue({
+        get: (key) => (key === 'productionUrlPatterns' ? ['acme.my.salesforce.com'] : undefined),
+      });
+
+      try {
+        await handleMessage(mockWebview, { command: 'orgTypesChanged' });
+      } finally {
+        mockVscode.workspace.getConfiguration.mockReturnValue({ get: jest.fn(() => undefined) });
+      }
+
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'orgTypes',
+        types: { 'admin@acme.com': { type: 'production', isProduction: true, source: 'setting' } },
+      });
+    });
+  });
+
+  describe('handleMessage - authenticateNewOrg', () => {
+    it('should prompt for environment type and authenticate', async () => {
+      mockVscode.window.showQuickPick.mockResolvedValue({
+        label: 'Production',
+        value: 'https://login.salesforce.com',
+      });
+      mockVscode.window.showInputBox.mockResolvedValue('myNewOrg');
+      mockSfdxExecutor.authenticateNewOrg.mockResolvedValue({
+        success: true,
+        message: 'Authenticated',
+        username: 'new@example.com',
+      });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+
+      await handleMessage(mockWebview, { command: 'authenticateNewOrg' });
+
+      expect(mockVscode.window.showQuickPick).toHaveBeenCalled();
+      expect(mockSfdxExecutor.authenticateNewOrg).toHaveBeenCalledWith(
+        'myNewOrg',
+        'https://login.salesforce.com',
+        { token: mockToken }
+      );
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
+    });
+
+    it('should prompt for custom domain when selected', async () => {
       mockVscode.window.showQuickPick.mockResolvedValue({
         label: 'Custom Domain',
         value: 'custom',
@@ -431,7 +1699,8 @@ describe('orgMessageHandler', () => {
 
       expect(mockSfdxExecutor.authenticateNewOrg).toHaveBeenCalledWith(
         'myAlias',
-        'https://my-company.my.salesforce.com'
+        'https://my-company.my.salesforce.com',
+        { token: mockToken }
       );
     });
 
@@ -484,20 +1753,241 @@ describe('orgMessageHandler', () => {
       expect(mockVscode.window.showQuickPick).not.toHaveBeenCalled();
       expect(mockSfdxExecutor.authenticateNewOrg).toHaveBeenCalledWith(
         'providedAlias',
-        'https://provided.salesforce.com'
+        'https://provided.salesforce.com',
+        { token: mockToken }
+      );
+    });
+  });
+
+  describe('handleMessage - verifyConnections', () => {
+    const orgs = [{ username: 'a@example.com' }, { username: 'b@example.com' }];
+
+    it('should verify the cached orgs and post each result', async () => {
+      mockOrgCache.getStaleOrgListCache.mockReturnValueOnce({ orgs, timestamp: 1 });
+      const verification = { state: 'needsReauth', errorType: 'expiredAuth' };
+      mockConnectionMonitor.verifyConnections.mockImplementationOnce(async (list, options) => {
+        options.onResult('a@example.com', verification);
+        return { 'a@example.com': verification, 'b@example.com': { state: 'connected' } };
+      });
+
+      await handleMessage(mockWebview, { command: 'verifyConnections' });
+
+      expect(mockConnectionMonitor.verifyConnections).toHaveBeenCalledWith(
+        orgs,
+        expect.objectContaining({ token: mockToken })
+      );
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'connectionStatus',
+        verifications: { 'a@example.com': verification },
+      });
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledWith(
+        '⚠️ 1 of 2 orgs are not connected'
+      );
+    });
+
+    it('should run background checks without progress or summary', async () => {
+      mockOrgCache.getStaleOrgListCache.mockReturnValueOnce({ orgs, timestamp: 1 });
+
+      await handleMessage(mockWebview, { command: 'verifyConnections', background: true });
+
+      expect(mockConnectionMonitor.verifyConnections).toHaveBeenCalled();
+      expect(mockVscode.window.withProgress).not.toHaveBeenCalled();
+      expect(mockVscode.window.showInformationMessage).not.toHaveBeenCalled();
+    });
+
+    it('should skip background checks when no org list is cached', async () => {
+      await handleMessage(mockWebview, { command: 'verifyConnections', background: true });
+
+      expect(mockConnectionMonitor.verifyConnections).not.toHaveBeenCalled();
+      expect(mockSfdxExecutor.listAllOrgs).not.toHaveBeenCalled();
+    });
+
+    it('should clear the badge of a reauthenticated org', async () => {
+      mockSfdxExecutor.reauthenticateOrg.mockResolvedValue({ success: true, message: 'Reauthenticated' });
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+
+      await handleMessage(mockWebview, { command: 'reauthOrg', username: 'a@example.com' });
+
+      expect(mockConnectionMonitor.forgetVerification).toHaveBeenCalledWith('a@example.com');
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'connectionStatus',
+        verifications: { 'a@example.com': null },
+      });
+    });
+  });
+
+  describe('handleMessage - workspace folders', () => {
+    const singleFolder = mockVscode.workspace.workspaceFolders;
+
+    beforeEach(() => {
+      mockVscode.workspace.workspaceFolders = [
+        { name: 'app', uri: { fsPath: '/work/app' } },
+        { name: 'lib', uri: { fsPath: '/work/lib' } },
+      ];
+      mockSfdxExecutor.listAllOrgs.mockResolvedValue([]);
+      mockOrgCache.getOrgListCache.mockReturnValue(null);
+    });
+
+    afterEach(() => {
+      mockVscode.workspace.workspaceFolders = singleFolder;
+    });
+
+    it('should post the folders with their own default org', async () => {
+      mockOrgDiscovery.getProjectDefaults
+        .mockResolvedValueOnce({ targetOrg: null, targetDevHub: null })
+        .mockResolvedValueOnce({ targetOrg: 'lib-scratch', targetDevHub: null });
+
+      await handleMessage(mockWebview, { command: 'listOrgs' });
+
+      expect(mockWebview.postMessage).toHaveBeenCalledWith({
+        command: 'workspaceFolders',
+        folders: [
+          { name: 'app', path: '/work/app', targetOrg: null },
+          { name: 'lib', path: '/work/lib', targetOrg: 'lib-scratch' },
+        ],
+        selected: '/work/app',
+      });
+    });
+
+    it('should reload default badges for the selected folder', async () => {
+      const cachedOrgs = [
+        { username: 'hub@example.com', isDefaultUsername: true, isDefaultDevHubUsername: true },
+        { username: 'lib@example.com', isDefaultUsername: false, isDefaultDevHubUsername: false },
+      ];
+      mockOrgCache.getOrgListCache.mockReturnValue(cachedOrgs);
+      mockOrgDiscovery.getDefaultUsernames.mockResolvedValueOnce({
+        defaultUsername: 'lib@example.com',
+        defaultDevHubUsername: 'hub@example.com',
+        defaultUsernameSource: 'local',
+        defaultDevHubUsernameSource: 'global',
+      });
+
+      await handleMessage(mockWebview, { command: 'selectFolder', path: '/work/lib' });
+
+      expect(mockOrgDiscovery.getDefaultUsernames).toHaveBeenCalledWith({ projectDir: '/work/lib' });
+      expect(mockWebview.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ command: 'workspaceFolders', selected: '/work/lib' })
+      );
+      expect(mockWebview.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          command: 'orgsListResponse',
+          cached: true,
+          data: [
+            {
+              username: 'hub@example.com',
+              isDefaultUsername: false,
+              isDefaultDevHubUsername: true,
+              defaultUsernameSource: null,
+              defaultDevHubUsernameSource: 'global',
+            },
+            {
+              username: 'lib@example.com',
+              isDefaultUsername: true,
+              isDefaultDevHubUsername: false,
+              defaultUsernameSource: 'local',
+              defaultDevHubUsernameSource: null,
+            },
+          ],
+        })
       );
     });
   });
 
   describe('handleMessage - refreshOrgs', () => {
-    it('should clear cache and force refresh', async () => {
+    it('should force a refresh without clearing the shared cache', async () => {
       const freshOrgs = [{ username: 'fresh@example.com' }];
       mockSfdxExecutor.listAllOrgs.mockResolvedValue(freshOrgs);
+      mockOrgCache.getOrgListCache.mockReturnValue([{ username: 'cached@example.com' }]);
 
       await handleMessage(mockWebview, { command: 'refreshOrgs' });
 
-      expect(mockOrgCache.clearOrgListCache).toHaveBeenCalled();
+      expect(mockOrgCache.clearOrgListCache).not.toHaveBeenCalled();
       expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalled();
+      expect(mockOrgCache.setOrgListCache).toHaveBeenCalledWith(freshOrgs);
+    });
+
+    it('should show a failed refresh the user asked for', async () => {
+      mockSfdxExecutor.listAllOrgs.mockRejectedValue(new Error('Command timed out'));
+
+      await handleMessage(mockWebview, { command: 'refreshOrgs' });
+
+      expect(mockOrgCache.setOrgListCache).not.toHaveBeenCalled();
+      expect(mockVscode.window.showErrorMessage).toHaveBeenCalledWith(
+        '❌ Could not refresh the org list: Command timed out'
+      );
+    });
+
+    it('should only log a failed background refresh', async () => {
+      mockSfdxExecutor.listAllOrgs.mockRejectedValue(new Error('Command timed out'));
+
+      await handleMessage(mockWebview, { command: 'refreshOrgs', background: true });
+
+      expect(mockOrgCache.setOrgListCache).not.toHaveBeenCalled();
+      expect(mockVscode.window.showErrorMessage).not.toHaveBeenCalled();
+      expect(mockWebview.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ command: 'orgsListResponse', success: false })
+      );
+    });
+  });
+
+  describe('handleMessage - operation queue', () => {
+    // Resolves a mocked executor call from the test
+    function deferred() {
+      let resolve;
+      const promise = new Promise((r) => {
+        resolve = r;
+      });
+      return { promise, resolve };
+    }
+
+    it('should mark the org busy while a mutating operation runs', async () => {
+      mockSfdxExecutor.setDefaultOrg.mockResolvedValue({ success: false, message: 'Failed' });
+
+      await handleMessage(mockWebview, { command: 'setDefaultOrg', username: 'test@example.com' });
+
+      const busyMessages = mockWebview.postMessage.mock.calls
+        .map(([message]) => message)
+        .filter((message) => message.command === 'orgBusy');
+      expect(busyMessages).toEqual([
+        { command: 'orgBusy', username: 'test@example.com', busy: true },
+        { command: 'orgBusy', username: 'test@example.com', busy: false },
+      ]);
+    });
+
+    it('should run operations on the same org one after another', async () => {
+      const first = deferred();
+      mockSfdxExecutor.reauthenticateOrg.mockReturnValue(first.promise);
+      mockSfdxExecutor.setDefaultOrg.mockResolvedValue({ success: false, message: 'Failed' });
+
+      const reauth = handleMessage(mockWebview, { command: 'reauthOrg', username: 'test@example.com' });
+      const setDefault = handleMessage(mockWebview, { command: 'setDefaultOrg', username: 'test@example.com' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(mockSfdxExecutor.reauthenticateOrg).toHaveBeenCalled();
+      expect(mockSfdxExecutor.setDefaultOrg).not.toHaveBeenCalled();
+
+      first.resolve({ success: false, message: 'Reauth failed' });
+      await Promise.all([reauth, setDefault]);
+
+      expect(mockSfdxExecutor.setDefaultOrg).toHaveBeenCalled();
+    });
+
+    it('should merge list refreshes requested while one is waiting', async () => {
+      const running = deferred();
+      mockSfdxExecutor.listAllOrgs.mockReturnValueOnce(running.promise).mockResolvedValue([]);
+
+      const first = handleMessage(mockWebview, { command: 'refreshOrgs' });
+      await new Promise((resolve) => setImmediate(resolve));
+      const second = handleMessage(mockWebview, { command: 'refreshOrgs' });
+      const third = handleMessage(mockWebview, { command: 'refreshOrgs' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      running.resolve([]);
+      await Promise.all([first, second, third]);
+
+      // One running fetch plus one merged follow-up for the two later requests
+      expect(mockSfdxExecutor.listAllOrgs).toHaveBeenCalledTimes(2);
     });
   });
 
@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for orgQuickPick Module
+ *
+ * Tests the org list source, the badges and the order of the quick pick.
+ */
+
+const mockVscode = {
+  window: {
+    showQuickPick: jest.fn(() => Promise.resolve(undefined)),
+    showInformationMessage: jest.fn(() => Promise.resolve(undefined)),
+  },
+  workspace: {
+    workspaceFolders: [{ name: 'app', uri: { fsPath: '/work/app' } }],
+  },
+  QuickPickItemKind: { Separator: -1, Default: 0 },
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+jest.mock('../../src/utils/sfdxCommandExecutor', () => ({}));
+
+const mockOrgDiscovery = {
+  discoverOrgs: jest.fn(() => Promise.resolve([])),
+};
+
+jest.mock('../../src/utils/orgDiscovery', () => mockOrgDiscovery);
+
+jest.mock('../../src/utils/config', () => ({
+  getOrgCacheDuration: jest.fn(() => 60000),
+  getMaxConcurrentCommands: jest.fn(() => 2),
+  getProductionUrlPatterns: jest.fn(() => []),
+  getNonProductionUrlPatterns: jest.fn(() => []),
+}));
+
+const orgQuickPick = require('../../src/handlers/orgQuickPick');
+const orgCache = require('../../src/utils/orgCache');
+const orgMetadata = require('../../src/utils/orgMetadata');
+const orgTypes = require('../../src/utils/orgTypes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const prodOrg = {
+  username: 'admin@acme.com',
+  alias: 'acme',
+  orgId: '00D000000000001EAA',
+  isDefaultUsername: true,
+  isDevHub: true,
+  connectedStatus: 'Connected',
+};
+const uatOrg = {
+  username: 'admin@acme.com.uat',
+  alias: 'acme-uat',
+  orgId: '00D000000000002EAA',
+  connectedStatus: 'RefreshTokenAuthError',
+};
+const scratchOrg = {
+  username: 'test-abc@example.com',
+  alias: 'feature',
+  orgId: '00D000000000003EAA',
+  isScratchOrg: true,
+  expirationDate: new Date(Date.now() + 1.5 * DAY_MS).toISOString(),
+};
+const expiredOrg = {
+  username: 'test-old@example.com',
+  alias: 'old-feature',
+  isScratchOrg: true,
+  expirationDate: new Date(Date.now() - DAY_MS).toISOString(),
+};
+
+describe('orgQuickPick', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    orgTypes.resetOrgTypes();
+    orgCache.clearOrgListCache();
+  });
+
+  describe('getKnownOrgs', () => {
+    it('should read the CLI files of the selected folder when nothing is cached', async () => {
+      mockOrgDiscovery.discoverOrgs.mockResolvedValueOnce([prodOrg]);
+
+      await expect(orgQuickPick.getKnownOrgs()).resolves.toEqual([prodOrg]);
+      expect(mockOrgDiscovery.discoverOrgs).toHaveBeenCalledWith({ projectDir: '/work/app' });
+    });
+
+    it('should prefer the cached org list', async () => {
+      orgCache.setOrgListCache([uatOrg]);
+
+      await expect(orgQuickPick.getKnownOrgs()).resolves.toEqual([uatOrg]);
+      expect(mockOrgDiscovery.discoverOrgs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getOrgBadges', () => {
+    it('should list the badges of the org tile', async () => {
+      await orgTypes.recordOrgType(prodOrg.orgId, { isSandbox: false, organizationType: 'Enterprise Edition' });
+
+      expect(orgQuickPick.getOrgBadges(prodOrg)).toEqual(['Default', 'Dev Hub', 'Production']);
+      expect(orgQuickPick.getOrgBadges(uatOrg)).toEqual(['RefreshTokenAuthError']);
+      expect(orgQuickPick.getOrgBadges(scratchOrg)).toEqual(['Scratch', 'Expires in 2 days']);
+    });
+  });
+
+  describe('pickOrg', () => {
+    it('should list recently used orgs first and return the picked org', async () => {
+      orgCache.setOrgListCache([prodOrg, uatOrg, scratchOrg, expiredOrg]);
+      await orgMetadata.recordUse(scratchOrg.orgId);
+      mockVscode.window.showQuickPick.mockImplementationOnce((items) => Promise.resolve(items[3]));
+
+      const org = await orgQuickPick.pickOrg({ title: 'Open Org' });
+
+      const [items, options] = mockVscode.window.showQuickPick.mock.calls[0];
+      expect(items.map((item) => item.label)).toEqual([
+        'Recently used',
+        '$(cloud) feature',
+        'All orgs',
+        '$(check) acme',
+        '$(cloud) acme-uat',
+      ]);
+      expect(items[1]).toEqual(
+        expect.objectContaining({ description: scratchOrg.username, detail: 'Scratch · Expires in 2 days' })
+      );
+      expect(options).toEqual(expect.objectContaining({ title: 'Open Org', placeHolder: 'Select an org' }));
+      expect(org).toBe(prodOrg);
+    });
+
+    it('should list expired scratch orgs on request', async () => {
+      orgCache.setOrgListCache([expiredOrg]);
+
+      await orgQuickPick.pickOrg({ includeInactive: true });
+
+      expect(mockVscode.window.showQuickPick.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ org: expiredOrg, detail: 'Scratch · Expired' }),
+      ]);
+    });
+
+    it('should say when there are no orgs to pick', async () => {
+      orgCache.setOrgListCache([expiredOrg]);
+
+      await expect(orgQuickPick.pickOrg()).resolves.toBeUndefined();
+      expect(mockVscode.window.showQuickPick).not.toHaveBeenCalled();
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+        'No orgs are logged in. Add one from the Org Manager.'
+      );
+    });
+  });
+});
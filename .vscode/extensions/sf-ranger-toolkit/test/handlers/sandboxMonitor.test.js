@@ -0,0 +1,234 @@
+/**
+ * Unit Tests for sandboxMonitor Module
+ *
+ * Tests following sandbox copies, the ready notification, persistence and
+ * sharing the copies between windows.
+ */
+
+const mockVscode = {
+  window: {
+    showInformationMessage: jest.fn(() => Promise.resolve(undefined)),
+    showWarningMessage: jest.fn(() => Promise.resolve(undefined)),
+  },
+  Disposable: jest.fn(function (callOnDispose) {
+    this.dispose = callOnDispose;
+  }),
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+const mockSfdxExecutor = {
+  resumeSandbox: jest.fn(),
+};
+
+jest.mock('../../src/utils/sfdxCommandExecutor', () => mockSfdxExecutor);
+
+jest.mock('../../src/utils/config', () => ({
+  getMaxConcurrentCommands: jest.fn(() => 2),
+}));
+
+const sandboxMonitor = require('../../src/handlers/sandboxMonitor');
+
+// In-memory stand-in for context.globalState
+function createMemento(initial = {}) {
+  const values = { ...initial };
+  return {
+    get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+    update: jest.fn(async (key, value) => {
+      values[key] = value;
+    }),
+  };
+}
+
+// Lets queued promise callbacks run
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+const uatJob = { name: 'uat', productionOrg: 'admin@acme.com', operation: 'refresh', alias: 'acme-uat' };
+
+describe('sandboxMonitor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sandboxMonitor.resetSandboxMonitor();
+  });
+
+  describe('pollSandboxes', () => {
+    it('should record the progress of a copy', async () => {
+      const onProgress = jest.fn();
+      sandboxMonitor.startSandboxMonitor(createMemento(), { onProgress }).dispose();
+      mockSfdxExecutor.resumeSandbox.mockResolvedValue({
+        success: true,
+        status: 'Processing',
+        copyProgress: 40,
+        done: false,
+      });
+
+      await sandboxMonitor.watchSandbox(uatJob);
+      await sandboxMonitor.pollSandboxes();
+
+      expect(mockSfdxExecutor.resumeSandbox).toHaveBeenCalledWith('uat', 'admin@acme.com');
+      expect(sandboxMonitor.getSandboxJobs()).toEqual([
+        expect.objectContaining({ name: 'uat', status: 'Processing', copyProgress: 40 }),
+      ]);
+      expect(onProgress).toHaveBeenCalled();
+    });
+
+    it('should offer to log in once the sandbox is ready', async () => {
+      const onReady = jest.fn();
+      sandboxMonitor.startSandboxMonitor(createMemento(), { onReady }).dispose();
+      mockSfdxExecutor.resumeSandbox.mockResolvedValue({
+        success: true,
+        status: 'Completed',
+        copyProgress: 100,
+        done: true,
+      });
+      mockVscode.window.showInformationMessage.mockResolvedValueOnce('Log In');
+
+      await sandboxMonitor.watchSandbox(uatJob);
+      await sandboxMonitor.pollSandboxes();
+      await flushPromises();
+
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+        '✅ Sandbox "uat" is ready.',
+        'Log In'
+      );
+      expect(onReady).toHaveBeenCalledWith(expect.objectContaining({ name: 'uat', alias: 'acme-uat' }));
+      expect(sandboxMonitor.getSandboxJobs()).toEqual([]);
+    });
+
+    it('should stop following a copy that was stopped', async () => {
+      mockSfdxExecutor.resumeSandbox.mockResolvedValue({
+        success: true,
+        status: 'Stopped',
+        copyProgress: 10,
+        done: false,
+      });
+
+      await sandboxMonitor.watchSandbox(uatJob);
+      await sandboxMonitor.pollSandboxes();
+
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledWith(
+        '⚠️ Sandbox "uat" did not finish: its status is Stopped.'
+      );
+      expect(sandboxMonitor.getSandboxJobs()).toEqual([]);
+    });
+
+    it('should give up after repeated failed checks', async () => {
+      mockSfdxExecutor.resumeSandbox.mockResolvedValue({ success: false, message: 'Expired session' });
+
+      await sandboxMonitor.watchSandbox(uatJob);
+      for (let i = 1; i < sandboxMonitor.MAX_POLL_FAILURES; i++) {
+        await sandboxMonitor.pollSandboxes();
+      }
+      expect(sandboxMonitor.getSandboxJobs()).toHaveLength(1);
+
+      await sandboxMonitor.pollSandboxes();
+
+      expect(sandboxMonitor.getSandboxJobs()).toEqual([]);
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledWith(
+        '⚠️ Stopped following sandbox "uat": Expired session'
+      );
+    });
+  });
+
+  describe('multiple windows', () => {
+    const devJob = { name: 'dev', productionOrg: 'admin@acme.com', operation: 'create', alias: null };
+
+    beforeEach(() => {
+      mockSfdxExecutor.resumeSandbox.mockResolvedValue({
+        success: true,
+        status: 'Processing',
+        copyProgress: 40,
+        done: false,
+      });
+    });
+
+    it('should keep the copies another window saved', async () => {
+      const memento = createMemento();
+      sandboxMonitor.startSandboxMonitor(memento).dispose();
+      // Another window starts following a copy after this one loaded the jobs
+      memento.update('sandboxJobs', [{ ...devJob, status: null, copyProgress: null, startedAt: 0, failures: 0 }]);
+
+      await sandboxMonitor.watchSandbox(uatJob);
+
+      expect(memento.get('sandboxJobs').map((job) => job.name)).toEqual(['dev', 'uat']);
+    });
+
+    it('should not bring back a copy another window stopped following during a check', async () => {
+      const memento = createMemento();
+      sandboxMonitor.startSandboxMonitor(memento).dispose();
+      await sandboxMonitor.watchSandbox(uatJob);
+      mockSfdxExecutor.resumeSandbox.mockImplementationOnce(async () => {
+        memento.update('sandboxJobs', []);
+        return { success: true, status: 'Processing', copyProgress: 40, done: false };
+      });
+
+      await sandboxMonitor.pollSandboxes();
+
+      expect(memento.get('sandboxJobs')).toEqual([]);
+    });
+
+    it('should leave polling to the window that holds the lease', async () => {
+      const onProgress = jest.fn();
+      const memento = createMemento({
+        sandboxJobs: [{ ...uatJob, status: 'Processing', copyProgress: 60, startedAt: 0, failures: 0 }],
+        sandboxMonitorLease: { owner: 'other-window', expiresAt: Date.now() + 60000 },
+      });
+      sandboxMonitor.startSandboxMonitor(memento, { onProgress }).dispose();
+
+      await sandboxMonitor.pollSandboxes();
+
+      expect(mockSfdxExecutor.resumeSandbox).not.toHaveBeenCalled();
+      expect(sandboxMonitor.getSandboxJobs()).toEqual([
+        expect.objectContaining({ name: 'uat', copyProgress: 60 }),
+      ]);
+      expect(onProgress).toHaveBeenCalled();
+    });
+
+    it('should take over polling once the lease runs out', async () => {
+      const memento = createMemento({
+        sandboxJobs: [{ ...uatJob, status: 'Processing', copyProgress: 60, startedAt: 0, failures: 0 }],
+        sandboxMonitorLease: { owner: 'other-window', expiresAt: Date.now() - 1 },
+      });
+      sandboxMonitor.startSandboxMonitor(memento).dispose();
+
+      await sandboxMonitor.pollSandboxes();
+
+      expect(mockSfdxExecutor.resumeSandbox).toHaveBeenCalledWith('uat', 'admin@acme.com');
+      expect(memento.get('sandboxMonitorLease').owner).not.toBe('other-window');
+    });
+  });
+
+  describe('startSandboxMonitor', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should resume copies from an earlier session and poll until disposed', async () => {
+      const memento = createMemento({
+        sandboxJobs: [{ ...uatJob, status: 'Pending', copyProgress: null, startedAt: 0, failures: 0 }],
+      });
+      mockSfdxExecutor.resumeSandbox.mockResolvedValue({
+        success: true,
+        status: 'Processing',
+        copyProgress: 10,
+        done: false,
+      });
+
+      const disposable = sandboxMonitor.startSandboxMonitor(memento);
+      await jest.advanceTimersByTimeAsync(sandboxMonitor.POLL_INTERVAL_MS);
+
+      expect(mockSfdxExecutor.resumeSandbox).toHaveBeenCalledTimes(1);
+      expect(memento.update).toHaveBeenCalledWith('sandboxJobs', [
+        expect.objectContaining({ name: 'uat', copyProgress: 10 }),
+      ]);
+
+      disposable.dispose();
+      await jest.advanceTimersByTimeAsync(sandboxMonitor.POLL_INTERVAL_MS);
+      expect(mockSfdxExecutor.resumeSandbox).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for scratchOrgMonitor Module
+ *
+ * Tests expiry reminders, the cleanup offer for expired scratch orgs,
+ * Dev Hub limit warnings and the background schedule.
+ */
+
+const mockVscode = {
+  window: {
+    showInformationMessage: jest.fn(() => Promise.resolve(undefined)),
+    showWarningMessage: jest.fn(() => Promise.resolve(undefined)),
+  },
+  commands: {
+    executeCommand: jest.fn(),
+  },
+  Disposable: jest.fn(function (callOnDispose) {
+    this.dispose = callOnDispose;
+  }),
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+const mockSfdxExecutor = {
+  getScratchOrgLimits: jest.fn(),
+};
+
+jest.mock('../../src/utils/sfdxCommandExecutor', () => mockSfdxExecutor);
+
+const mockOrgDiscovery = {
+  discoverOrgs: jest.fn(() => Promise.resolve([])),
+};
+
+jest.mock('../../src/utils/orgDiscovery', () => mockOrgDiscovery);
+
+jest.mock('../../src/utils/config', () => ({
+  getMaxConcurrentCommands: jest.fn(() => 2),
+  getScratchOrgReminderDays: jest.fn(() => 3),
+  getDevHubLimitWarningPercent: jest.fn(() => 10),
+}));
+
+const scratchOrgMonitor = require('../../src/handlers/scratchOrgMonitor');
+const config = require('../../src/utils/config');
+
+// In-memory stand-in for context.globalState
+function createMemento(initial = {}) {
+  const values = { ...initial };
+  return {
+    get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+    update: jest.fn(async (key, value) => {
+      values[key] = value;
+    }),
+  };
+}
+
+// Lets queued promise callbacks run
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+const NOW = Date.parse('2026-10-30T12:00:00Z');
+
+const scratchOrg = (alias, expirationDate) => ({
+  username: `${alias}@example.com`,
+  alias,
+  isScratchOrg: true,
+  expirationDate,
+});
+
+describe('scratchOrgMonitor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scratchOrgMonitor.resetScratchOrgMonitor();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  describe('getDaysLeft and isInactiveScratchOrg', () => {
+    it('should count the days until expiration', () => {
+      expect(scratchOrgMonitor.getDaysLeft(scratchOrg('a', '2026-11-02'), NOW)).toBe(3);
+      expect(scratchOrgMonitor.getDaysLeft({ username: 'prod@example.com' }, NOW)).toBeNull();
+    });
+
+    it('should treat expired and deleted scratch orgs as inactive', () => {
+      expect(scratchOrgMonitor.isInactiveScratchOrg(scratchOrg('a', '2026-10-29'), NOW)).toBe(true);
+      expect(scratchOrgMonitor.isInactiveScratchOrg(scratchOrg('b', '2026-11-20'), NOW)).toBe(false);
+      expect(
+        scratchOrgMonitor.isInactiveScratchOrg({ ...scratchOrg('c', '2026-11-20'), status: 'Deleted' }, NOW)
+      ).toBe(true);
+      expect(scratchOrgMonitor.isInactiveScratchOrg({ username: 'prod@example.com' }, NOW)).toBe(false);
+    });
+  });
+
+  describe('checkScratchOrgs', () => {
+    it('should remind once about orgs expiring within the reminder days', async () => {
+      mockOrgDiscovery.discoverOrgs.mockResolvedValue([
+        scratchOrg('soon', '2026-11-01'),
+        scratchOrg('later', '2026-11-20'),
+      ]);
+
+      await scratchOrgMonitor.checkScratchOrgs();
+      await scratchOrgMonitor.checkScratchOrgs();
+
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledTimes(1);
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+        '⏳ Scratch org "soon" expires in 2 days.',
+        'Show Orgs'
+      );
+    });
+
+    it('should remember reminders across sessions', async () => {
+      const memento = createMemento({ scratchOrgReminders: { 'soon@example.com': '2026-11-01' } });
+      mockOrgDiscovery.discoverOrgs.mockResolvedValue([scratchOrg('soon', '2026-11-01')]);
+
+      const disposable = scratchOrgMonitor.startScratchOrgMonitor(memento);
+      await scratchOrgMonitor.checkScratchOrgs();
+      disposable.dispose();
+
+      expect(mockVscode.window.showInformationMessage).not.toHaveBeenCalled();
+    });
+
+    it('should not remind when reminders are turned off', async () => {
+      config.getScratchOrgReminderDays.mockReturnValueOnce(0);
+      mockOrgDiscovery.discoverOrgs.mockResolvedValue([scratchOrg('soon', '2026-11-01')]);
+
+      await scratchOrgMonitor.checkScratchOrgs();
+
+      expect(mockVscode.window.showInformationMessage).not.toHaveBeenCalled();
+    });
+
+    it('should offer to clean up expired orgs once', async () => {
+      const onCleanUp = jest.fn(() => Promise.resolve());
+      mockVscode.window.showInformationMessage.mockResolvedValueOnce('Clean Up…');
+      mockOrgDiscovery.discoverOrgs.mockResolvedValue([
+        scratchOrg('old', '2026-10-01'),
+        scratchOrg('older', '2026-09-01'),
+      ]);
+
+      await scratchOrgMonitor.checkScratchOrgs({ onCleanUp });
+      await scratchOrgMonitor.checkScratchOrgs({ onCleanUp });
+      await flushPromises();
+
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledTimes(1);
+      expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith(
+        '🧹 2 expired scratch orgs are still in the org list: "old", "older".',
+        'Clean Up…'
+      );
+      expect(onCleanUp).toHaveBeenCalledTimes(1);
+    });
+
+    it('should warn about Dev Hubs with few scratch orgs left today', async () => {
+      const onLimits = jest.fn();
+      mockOrgDiscovery.discoverOrgs.mockResolvedValue([
+        { username: 'hub@example.com', alias: 'hub', isDevHub: true },
+        { username: 'big@example.com', alias: 'big', isDevHub: true },
+      ]);
+      mockSfdxExecutor.getScratchOrgLimits.mockImplementation((username) =>
+        Promise.resolve({
+          success: true,
+          daily: { max: 200, remaining: username === 'hub@example.com' ? 15 : 150 },
+          active: { max: 100, remaining: 50 },
+        })
+      );
+
+      await scratchOrgMonitor.checkScratchOrgs({ onLimits });
+      await scratchOrgMonitor.checkScratchOrgs({ onLimits });
+
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledTimes(1);
+      expect(mockVscode.window.showWarningMessage).toHaveBeenCalledWith(
+        '⚠️ Dev Hub "hub" has 15 of 200 daily scratch orgs left.'
+      );
+      expect(scratchOrgMonitor.getDevHubLimits()['hub@example.com'].low).toBe(true);
+      expect(scratchOrgMonitor.getDevHubLimits()['big@example.com'].low).toBe(false);
+      expect(onLimits).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip the limits when the check is turned off', async () => {
+      config.getDevHubLimitWarningPercent.mockReturnValueOnce(0);
+      mockOrgDiscovery.discoverOrgs.mockResolvedValue([
+        { username: 'hub@example.com', alias: 'hub', isDevHub: true },
+      ]);
+
+      await scratchOrgMonitor.checkScratchOrgs();
+
+      expect(mockSfdxExecutor.getScratchOrgLimits).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startScratchOrgMonitor', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should check after the startup delay and then periodically until disposed', async () => {
+      const disposable = scratchOrgMonitor.startScratchOrgMonitor(createMemento());
+
+      expect(mockOrgDiscovery.discoverOrgs).not.toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(scratchOrgMonitor.STARTUP_DELAY_MS);
+      expect(mockOrgDiscovery.discoverOrgs).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(scratchOrgMonitor.CHECK_INTERVAL_MS);
+      expect(mockOrgDiscovery.discoverOrgs).toHaveBeenCalledTimes(2);
+
+      disposable.dispose();
+      await jest.advanceTimersByTimeAsync(scratchOrgMonitor.CHECK_INTERVAL_MS);
+      expect(mockOrgDiscovery.discoverOrgs).toHaveBeenCalledTimes(2);
+    });
+  });
+});
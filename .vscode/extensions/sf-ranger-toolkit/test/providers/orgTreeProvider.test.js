@@ -0,0 +1,189 @@
+/**
+ * Unit Tests for orgTreeProvider Module
+ *
+ * Tests the groups, org nodes and detail nodes of the org tree, and that
+ * it follows the org cache.
+ */
+
+const mockVscode = {
+  window: {
+    createTreeView: jest.fn(() => ({ dispose: jest.fn() })),
+    showInformationMessage: jest.fn(),
+  },
+  workspace: {
+    workspaceFolders: [{ name: 'app', uri: { fsPath: '/work/app' } }],
+  },
+  commands: {
+    registerCommand: jest.fn(() => ({ dispose: jest.fn() })),
+  },
+  env: {
+    clipboard: { writeText: jest.fn() },
+  },
+  EventEmitter: jest.fn(function () {
+    const listeners = [];
+    this.event = (listener) => listeners.push(listener);
+    this.fire = () => listeners.forEach((listener) => listener());
+    this.dispose = jest.fn();
+  }),
+  TreeItem: jest.fn(function (label, collapsibleState) {
+    this.label = label;
+    this.collapsibleState = collapsibleState;
+  }),
+  TreeItemCollapsibleState: { None: 0, Collapsed: 1, Expanded: 2 },
+  ThemeIcon: jest.fn(function (id) {
+    this.id = id;
+  }),
+  Disposable: jest.fn(function (callOnDispose) {
+    this.dispose = callOnDispose;
+  }),
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+jest.mock('../../src/utils/sfdxCommandExecutor', () => ({}));
+
+const mockOrgDiscovery = {
+  discoverOrgs: jest.fn(() => Promise.resolve([])),
+};
+
+jest.mock('../../src/utils/orgDiscovery', () => mockOrgDiscovery);
+
+jest.mock('../../src/utils/config', () => ({
+  getOrgCacheDuration: jest.fn(() => 60000),
+  getMaxConcurrentCommands: jest.fn(() => 2),
+  getProductionUrlPatterns: jest.fn(() => []),
+  getNonProductionUrlPatterns: jest.fn(() => []),
+}));
+
+const { OrgTreeProvider, createOrgTreeView } = require('../../src/providers/orgTreeProvider');
+const orgCache = require('../../src/utils/orgCache');
+const orgMetadata = require('../../src/utils/orgMetadata');
+const orgTypes = require('../../src/utils/orgTypes');
+
+const prodOrg = {
+  username: 'admin@acme.com',
+  alias: 'acme',
+  orgId: '00D000000000001EAA',
+  instanceUrl: 'https://acme.my.salesforce.com',
+  connectedStatus: 'Connected',
+  isDefaultUsername: true,
+  defaultUsernameSource: 'local',
+};
+const uatOrg = {
+  username: 'admin@acme.com.uat',
+  alias: 'acme-uat',
+  orgId: '00D000000000002EAA',
+  instanceUrl: 'https://acme--uat.sandbox.my.salesforce.com',
+  connectedStatus: 'Connected',
+};
+const scratchOrg = {
+  username: 'test-abc@example.com',
+  alias: 'feature',
+  isScratchOrg: true,
+  expirationDate: '2099-01-31',
+};
+
+describe('OrgTreeProvider', () => {
+  let provider;
+  let onNeedsOrgs;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    orgTypes.resetOrgTypes();
+    orgCache.clearOrgListCache();
+    await orgTypes.recordOrgType(prodOrg.orgId, { isSandbox: false, organizationType: 'Enterprise Edition' });
+    onNeedsOrgs = jest.fn(() => Promise.resolve());
+    provider = new OrgTreeProvider({ onNeedsOrgs });
+  });
+
+  afterEach(() => {
+    provider.dispose();
+  });
+
+  it('should group the cached orgs by type', async () => {
+    orgCache.setOrgListCache([scratchOrg, uatOrg, prodOrg]);
+
+    const groups = await provider.getChildren();
+
+    expect(groups.map((group) => group.label)).toEqual(['Production', 'Sandboxes', 'Scratch Orgs']);
+    expect(await provider.getChildren(groups[0])).toEqual([
+      { type: 'org', username: prodOrg.username, org: prodOrg },
+    ]);
+    expect(onNeedsOrgs).not.toHaveBeenCalled();
+  });
+
+  it('should show the orgs from the CLI files while one fresh list is fetched', async () => {
+    mockOrgDiscovery.discoverOrgs.mockResolvedValue([uatOrg]);
+
+    const [groups] = await Promise.all([provider.getChildren(), provider.getChildren()]);
+
+    expect(groups.map((group) => group.label)).toEqual(['Sandboxes']);
+
+    expect(mockOrgDiscovery.discoverOrgs).toHaveBeenCalledWith({ projectDir: '/work/app' });
+    expect(onNeedsOrgs).toHaveBeenCalledTimes(1);
+  });
+
+  it('should build org items with badges and the context value of their menus', async () => {
+    await orgMetadata.setPinned(uatOrg.orgId, true);
+
+    const prodItem = provider.getTreeItem({ type: 'org', username: prodOrg.username, org: prodOrg });
+    const uatItem = provider.getTreeItem({ type: 'org', username: uatOrg.username, org: uatOrg });
+    const scratchItem = provider.getTreeItem({ type: 'org', username: scratchOrg.username, org: scratchOrg });
+
+    expect(prodItem).toEqual(
+      expect.objectContaining({
+        label: 'acme',
+        id: 'org:admin@acme.com',
+        description: 'Default · Production',
+        contextValue: 'org-production-unpinned',
+        iconPath: { id: 'star-full' },
+      })
+    );
+    expect(uatItem.contextValue).toBe('org-pinned');
+    expect(uatItem.iconPath).toEqual({ id: 'pinned' });
+    expect(scratchItem.contextValue).toBe('org-scratch');
+  });
+
+  it('should list the details of an org', async () => {
+    const details = await provider.getChildren({ type: 'org', username: prodOrg.username, org: prodOrg });
+
+    expect(details.map((detail) => [detail.label, detail.value])).toEqual([
+      ['Username', 'admin@acme.com'],
+      ['Org ID', '00D000000000001EAA'],
+      ['Instance', 'https://acme.my.salesforce.com'],
+      ['Connection', 'Connected'],
+      ['Default org', 'this project'],
+    ]);
+    expect(provider.getTreeItem(details[1])).toEqual(
+      expect.objectContaining({ description: '00D000000000001EAA', contextValue: 'orgDetail' })
+    );
+  });
+
+  it('should redraw when the org cache changes', () => {
+    const listener = jest.fn();
+    provider.onDidChangeTreeData(listener);
+
+    orgCache.setOrgListCache([prodOrg]);
+
+    expect(listener).toHaveBeenCalled();
+  });
+});
+
+describe('createOrgTreeView', () => {
+  it('should copy the value of a detail node', async () => {
+    const disposable = createOrgTreeView();
+    const copy = mockVscode.commands.registerCommand.mock.calls.find(
+      ([id]) => id === 'sfRangerToolkit.copyOrgDetail'
+    )[1];
+
+    await copy({ type: 'detail', label: 'Org ID', value: '00D000000000001EAA' });
+
+    expect(mockVscode.window.createTreeView).toHaveBeenCalledWith('sfRangerToolkit.orgTree', {
+      treeDataProvider: expect.any(OrgTreeProvider),
+      showCollapseAll: true,
+    });
+    expect(mockVscode.env.clipboard.writeText).toHaveBeenCalledWith('00D000000000001EAA');
+    expect(mockVscode.window.showInformationMessage).toHaveBeenCalledWith('✅ Org ID copied to clipboard.');
+    disposable.dispose();
+  });
+});
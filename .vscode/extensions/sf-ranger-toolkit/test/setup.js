@@ -24,6 +24,18 @@ const mockVscode = {
     showWarningMessage: jest.fn(),
     showQuickPick: jest.fn(),
     showInputBox: jest.fn(),
+    withProgress: jest.fn((options, task) =>
+      task(
+        { report: jest.fn() },
+        {
+          isCancellationRequested: false,
+          onCancellationRequested: jest.fn(() => ({ dispose: jest.fn() })),
+        }
+      )
+    ),
+  },
+  ProgressLocation: {
+    Notification: 15,
   },
   env: {
     clipboard: {
@@ -0,0 +1,247 @@
+/**
+ * Unit Tests for cliDiscovery Module
+ *
+ * Tests Salesforce CLI detection, version parsing and minimum version checks.
+ */
+
+// Mock child_process
+const mockExecFile = jest.fn();
+jest.mock('child_process', () => ({
+  execFile: mockExecFile,
+}));
+
+// Mock config module
+jest.mock('../../src/utils/config', () => ({
+  getCliPath: jest.fn(() => null),
+}));
+
+const fs = require('fs');
+const cliDiscovery = require('../../src/utils/cliDiscovery');
+const config = require('../../src/utils/config');
+
+/**
+ * Makes execFile answer per executable: a string is stdout, null is ENOENT
+ */
+function mockExecutables(outputs) {
+  mockExecFile.mockImplementation((file, args, options, callback) => {
+    if (outputs[file] === undefined || outputs[file] === null) {
+      const error = new Error(`spawn ${file} ENOENT`);
+      error.code = 'ENOENT';
+      callback(error, '', '');
+      return;
+    }
+    callback(null, outputs[file], '');
+  });
+}
+
+describe('cliDiscovery', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.getCliPath.mockReturnValue(null);
+    cliDiscovery.resetCliCache();
+  });
+
+  describe('compareVersions', () => {
+    it('should compare versions numerically', () => {
+      expect(cliDiscovery.compareVersions('2.9.0', '2.10.0')).toBe(-1);
+      expect(cliDiscovery.compareVersions('2.10.0', '2.9.0')).toBe(1);
+      expect(cliDiscovery.compareVersions('2.0', '2.0.0')).toBe(0);
+    });
+  });
+
+  describe('parseVersionOutput', () => {
+    it('should parse JSON output from sf', () => {
+      expect(
+        cliDiscovery.parseVersionOutput('{"cliVersion":"@salesforce/cli/2.30.8","nodeVersion":"node-v20.11.0"}')
+      ).toEqual({ packageName: '@salesforce/cli', version: '2.30.8' });
+    });
+
+    it('should parse plain text output from older CLIs', () => {
+      expect(cliDiscovery.parseVersionOutput('sfdx-cli/7.209.6 darwin-x64 node-v18.17.0')).toEqual({
+        packageName: 'sfdx-cli',
+        version: '7.209.6',
+      });
+    });
+
+    it('should return nulls for unrecognized output', () => {
+      expect(cliDiscovery.parseVersionOutput('hello')).toEqual({ packageName: null, version: null });
+    });
+  });
+
+  describe('getCliStatus', () => {
+    it('should prefer sf when it is installed', async () => {
+      mockExecutables({ sf: '{"cliVersion":"@salesforce/cli/2.30.8"}' });
+
+      const status = await cliDiscovery.getCliStatus();
+
+      expect(status).toEqual({
+        state: 'ok',
+        executable: 'sf',
+        packageName: '@salesforce/cli',
+        version: '2.30.8',
+        minimumVersion: '2.0.0',
+        legacy: false,
+      });
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'sf',
+        ['--version', '--json'],
+        expect.objectContaining({ shell: false }),
+        expect.any(Function)
+      );
+    });
+
+    it('should fall back to the legacy sfdx-cli', async () => {
+      mockExecutables({ sfdx: 'sfdx-cli/7.209.6 darwin-x64 node-v18.17.0' });
+
+      const status = await cliDiscovery.getCliStatus();
+
+      expect(status.executable).toBe('sfdx');
+      expect(status.legacy).toBe(true);
+      expect(status.state).toBe('ok');
+    });
+
+    it('should treat an sfdx binary from @salesforce/cli as sf', async () => {
+      mockExecutables({ sfdx: '{"cliVersion":"@salesforce/cli/2.30.8"}' });
+
+      const status = await cliDiscovery.getCliStatus();
+
+      expect(status.executable).toBe('sfdx');
+      expect(status.legacy).toBe(false);
+    });
+
+    it('should flag versions below the minimum as outdated', async () => {
+      mockExecutables({ sf: '{"cliVersion":"@salesforce/cli/1.86.0"}' });
+
+      const status = await cliDiscovery.getCliStatus();
+
+      expect(status.state).toBe('outdated');
+      expect(status.minimumVersion).toBe(cliDiscovery.MINIMUM_VERSIONS['@salesforce/cli']);
+    });
+
+    it('should report missing when no executable exists', async () => {
+      mockExecutables({});
+
+      const status = await cliDiscovery.getCliStatus();
+
+      expect(status.state).toBe('missing');
+      expect(status.candidates).toEqual(['sf', 'sfdx']);
+    });
+
+    it('should only try the custom CLI path when configured', async () => {
+      config.getCliPath.mockReturnValue('/opt/sf/bin/sf');
+      mockExecutables({ sf: '{"cliVersion":"@salesforce/cli/2.30.8"}' });
+
+      const status = await cliDiscovery.getCliStatus();
+
+      expect(status.state).toBe('missing');
+      expect(status.customPath).toBe('/opt/sf/bin/sf');
+      expect(mockExecFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should detect only once until reset', async () => {
+      mockExecutables({ sf: '{"cliVersion":"@salesforce/cli/2.30.8"}' });
+
+      await cliDiscovery.getCliStatus();
+      await cliDiscovery.getCliStatus();
+      expect(mockExecFile).toHaveBeenCalledTimes(1);
+
+      cliDiscovery.resetCliCache();
+      await cliDiscovery.getCliStatus();
+      expect(mockExecFile).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('resolveCli', () => {
+    it('should reject with a not-found code when the CLI is missing', async () => {
+      mockExecutables({});
+
+      await expect(cliDiscovery.resolveCli()).rejects.toMatchObject({
+        code: cliDiscovery.CLI_NOT_FOUND_ERROR_CODE,
+      });
+    });
+
+    it('should resolve an outdated CLI so commands can still run', async () => {
+      mockExecutables({ sf: '{"cliVersion":"@salesforce/cli/1.86.0"}' });
+
+      const cli = await cliDiscovery.resolveCli();
+
+      expect(cli.executable).toBe('sf');
+    });
+  });
+
+  describe('on Windows', () => {
+    const originalPlatform = process.platform;
+    const originalEnv = { PATH: process.env.PATH, PATHEXT: process.env.PATHEXT, comspec: process.env.comspec };
+    let access;
+
+    beforeEach(() => {
+      Object.defineProperty(process, 'platform', { value: 'win32' });
+      process.env.PATH = 'C:\\Windows;C:\\Users\\dev\\AppData\\Roaming\\npm';
+      process.env.PATHEXT = '.COM;.EXE;.BAT;.CMD';
+      process.env.comspec = 'C:\\Windows\\system32\\cmd.exe';
+      access = jest.spyOn(fs.promises, 'access').mockImplementation((file) =>
+        file === 'C:\\Users\\dev\\AppData\\Roaming\\npm\\sf.cmd'
+          ? Promise.resolve()
+          : Promise.reject(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }))
+      );
+    });
+
+    afterEach(() => {
+      Object.defineProperty(process, 'platform', { value: originalPlatform });
+      Object.entries(originalEnv).forEach(([name, value]) => {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      });
+      access.mockRestore();
+    });
+
+    it('should find the .cmd shim on PATH and run it through cmd.exe', async () => {
+      mockExecutables({ 'C:\\Windows\\system32\\cmd.exe': '{"cliVersion":"@salesforce/cli/2.30.8"}' });
+
+      const status = await cliDiscovery.getCliStatus();
+
+      expect(status).toMatchObject({
+        state: 'ok',
+        executable: 'C:\\Users\\dev\\AppData\\Roaming\\npm\\sf.cmd',
+        legacy: false,
+      });
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'C:\\Windows\\system32\\cmd.exe',
+        ['/d', '/s', '/c', '"C:\\Users\\dev\\AppData\\Roaming\\npm\\sf.cmd ^^^"--version^^^" ^^^"--json^^^""'],
+        expect.objectContaining({ windowsVerbatimArguments: true }),
+        expect.any(Function)
+      );
+    });
+
+    it('should report missing without running anything when no shim is on PATH', async () => {
+      access.mockRejectedValue(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
+
+      const status = await cliDiscovery.getCliStatus();
+
+      expect(status.state).toBe('missing');
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+
+    it('should escape cmd.exe meta characters in arguments', () => {
+      const command = cliDiscovery.buildSpawnCommand('C:\\Program Files\\sf\\bin\\sf.cmd', [
+        'alias', 'set', 'My "Dev" & Org=a@b.com',
+      ]);
+
+      expect(command.args[3]).toBe(
+        '"C:\\Program^ Files\\sf\\bin\\sf.cmd ^^^"alias^^^" ^^^"set^^^" ' +
+          '^^^"My^^^ \\^^^"Dev\\^^^"^^^ ^^^&^^^ Org=a@b.com^^^""'
+      );
+    });
+
+    it('should run .exe files directly', () => {
+      expect(cliDiscovery.buildSpawnCommand('C:\\sf\\sf.exe', ['--version'])).toEqual({
+        file: 'C:\\sf\\sf.exe',
+        args: ['--version'],
+        options: { shell: false },
+      });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit Tests for cliStateWatcher Module
+ *
+ * Tests which files are watched, debouncing, waiting for the extension's own
+ * commands and ignoring auth file rewrites that only refresh the access token.
+ */
+
+// Fake watchers that let tests fire file events
+const mockWatchers = [];
+
+function mockCreateWatcher(pattern) {
+  const listeners = { create: [], change: [], delete: [] };
+  const on = (type) => jest.fn((listener) => {
+    listeners[type].push(listener);
+    return { dispose: jest.fn() };
+  });
+  const watcher = {
+    pattern,
+    listeners,
+    onDidCreate: on('create'),
+    onDidChange: on('change'),
+    onDidDelete: on('delete'),
+    dispose: jest.fn(),
+  };
+  mockWatchers.push(watcher);
+  return watcher;
+}
+
+const mockVscode = {
+  workspace: {
+    createFileSystemWatcher: jest.fn(mockCreateWatcher),
+  },
+  RelativePattern: jest.fn(function (base, pattern) {
+    this.base = base;
+    this.pattern = pattern;
+  }),
+  Uri: {
+    file: jest.fn((fsPath) => ({ fsPath })),
+  },
+  Disposable: jest.fn(function (callOnDispose) {
+    this.dispose = callOnDispose;
+  }),
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+jest.mock('os', () => ({
+  ...jest.requireActual('os'),
+  homedir: () => '/home/dev',
+}));
+
+// In-memory CLI files by path
+const mockFiles = {};
+
+jest.mock('fs', () => {
+  const actualFs = jest.requireActual('fs');
+  const missing = () => Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+  return {
+    ...actualFs,
+    promises: {
+      ...actualFs.promises,
+      readdir: jest.fn(async (dir) =>
+        Object.keys(mockFiles)
+          .filter((filePath) => filePath.startsWith(`${dir}/`))
+          .map((filePath) => filePath.slice(dir.length + 1))
+      ),
+      readFile: jest.fn(async (filePath) => {
+        if (!(filePath in mockFiles)) {
+          throw missing();
+        }
+        return mockFiles[filePath];
+      }),
+    },
+  };
+});
+
+const authPath = '/home/dev/.sfdx/admin@acme.com.json';
+const auth = {
+  username: 'admin@acme.com',
+  orgId: '00D000000000001EAA',
+  accessToken: 'access-1',
+  refreshToken: 'refresh-1',
+  instanceApiVersion: '62.0',
+};
+
+const mockSfdxExecutor = {
+  hasRecentCliActivity: jest.fn(() => false),
+};
+
+jest.mock('../../src/utils/sfdxCommandExecutor', () => mockSfdxExecutor);
+
+const { watchCliState, DEBOUNCE_MS } = require('../../src/utils/cliStateWatcher');
+
+// Fires a file event on the watcher at the given index
+function fire(index, type, fsPath) {
+  mockWatchers[index].listeners[type].forEach((listener) => listener({ fsPath }));
+}
+
+describe('cliStateWatcher', () => {
+  let onChange;
+  let disposable;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    mockWatchers.length = 0;
+    mockSfdxExecutor.hasRecentCliActivity.mockReturnValue(false);
+    Object.keys(mockFiles).forEach((filePath) => delete mockFiles[filePath]);
+    mockFiles[authPath] = JSON.stringify(auth);
+    onChange = jest.fn();
+    disposable = watchCliState(onChange);
+  });
+
+  afterEach(() => {
+    disposable.dispose();
+    jest.useRealTimers();
+  });
+
+  it('should watch the global CLI folders and workspace config files', () => {
+    expect(mockWatchers.map((watcher) => watcher.pattern)).toEqual([
+      { base: { fsPath: '/home/dev/.sf' }, pattern: '*.json' },
+      { base: { fsPath: '/home/dev/.sfdx' }, pattern: '*.json' },
+      '**/{.sf/config.json,.sfdx/sfdx-config.json}',
+    ]);
+  });
+
+  it('should call back once for a burst of changes', () => {
+    fire(1, 'create', '/home/dev/.sfdx/new@example.com.json');
+    fire(1, 'change', '/home/dev/.sfdx/alias.json');
+    jest.advanceTimersByTime(DEBOUNCE_MS - 1);
+    fire(0, 'change', '/home/dev/.sf/config.json');
+
+    jest.advanceTimersByTime(DEBOUNCE_MS - 1);
+    expect(onChange).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should react to workspace config changes and deletions', () => {
+    fire(2, 'delete', '/mock/workspace/.sf/config.json');
+    jest.advanceTimersByTime(DEBOUNCE_MS);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should wait for the extension CLI commands to finish before calling back', () => {
+    mockSfdxExecutor.hasRecentCliActivity.mockReturnValue(true);
+
+    fire(0, 'change', '/home/dev/.sf/config.json');
+    jest.advanceTimersByTime(DEBOUNCE_MS * 5);
+    expect(onChange).not.toHaveBeenCalled();
+
+    mockSfdxExecutor.hasRecentCliActivity.mockReturnValue(false);
+    jest.advanceTimersByTime(DEBOUNCE_MS);
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should ignore an auth file the extension rewrote to refresh the access token', async () => {
+    // Let the watcher fingerprint the existing auth files
+    await jest.advanceTimersByTimeAsync(0);
+    mockSfdxExecutor.hasRecentCliActivity.mockReturnValue(true);
+
+    mockFiles[authPath] = JSON.stringify({ ...auth, accessToken: 'access-2', instanceApiVersion: '63.0' });
+    fire(1, 'change', authPath);
+    await jest.advanceTimersByTimeAsync(DEBOUNCE_MS * 3);
+    mockSfdxExecutor.hasRecentCliActivity.mockReturnValue(false);
+    await jest.advanceTimersByTimeAsync(DEBOUNCE_MS * 3);
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('should call back when a login from a terminal rewrites an auth file', async () => {
+    await jest.advanceTimersByTimeAsync(0);
+
+    mockFiles[authPath] = JSON.stringify({ ...auth, accessToken: 'access-2', refreshToken: 'refresh-2' });
+    fire(1, 'change', authPath);
+    await jest.advanceTimersByTimeAsync(DEBOUNCE_MS);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should dispose the watchers and drop a pending callback', () => {
+    fire(0, 'change', '/home/dev/.sf/config.json');
+
+    disposable.dispose();
+    jest.advanceTimersByTime(DEBOUNCE_MS);
+
+    expect(onChange).not.toHaveBeenCalled();
+    mockWatchers.forEach((watcher) => expect(watcher.dispose).toHaveBeenCalled());
+  });
+});
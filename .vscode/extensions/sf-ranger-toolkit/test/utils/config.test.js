@@ -28,6 +28,8 @@ describe('config', () => {
       expect(config.DEFAULTS).toBeDefined();
       expect(config.DEFAULTS.maxBufferSizeMB).toBe(50);
       expect(config.DEFAULTS.orgCacheDurationSeconds).toBe(300);
+      expect(config.DEFAULTS.commandTimeoutSeconds).toBe(120);
+      expect(config.DEFAULTS.loginTimeoutSeconds).toBe(600);
     });
   });
 
@@ -63,6 +65,170 @@ describe('config', () => {
     });
   });
 
+  describe('getCommandTimeout', () => {
+    it('should return default command timeout when no config is set', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getCommandTimeout()).toBe(120 * 1000);
+    });
+
+    it('should return configured command timeout converted to milliseconds', () => {
+      mockGet.mockReturnValue(30);
+      expect(config.getCommandTimeout()).toBe(30 * 1000);
+    });
+  });
+
+  describe('getLoginTimeout', () => {
+    it('should return default login timeout when no config is set', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getLoginTimeout()).toBe(600 * 1000);
+    });
+  });
+
+  describe('getScratchOrgTimeout', () => {
+    it('should return default scratch org timeout when no config is set', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getScratchOrgTimeout()).toBe(900 * 1000);
+    });
+
+    it('should return configured scratch org timeout converted to milliseconds', () => {
+      mockGet.mockReturnValue(1800);
+      expect(config.getScratchOrgTimeout()).toBe(1800 * 1000);
+    });
+  });
+
+  describe('getScratchOrgReminderDays', () => {
+    it('should return the default when no config is set', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getScratchOrgReminderDays()).toBe(3);
+    });
+
+    it('should not go below zero', () => {
+      mockGet.mockReturnValue(-2);
+      expect(config.getScratchOrgReminderDays()).toBe(0);
+    });
+  });
+
+  describe('getDevHubLimitWarningPercent', () => {
+    it('should return the default when no config is set', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getDevHubLimitWarningPercent()).toBe(10);
+    });
+
+    it('should cap the value at 100', () => {
+      mockGet.mockReturnValue(150);
+      expect(config.getDevHubLimitWarningPercent()).toBe(100);
+    });
+  });
+
+  describe('getCliPath', () => {
+    it('should return null when no CLI path is configured', () => {
+      mockGet.mockReturnValue('');
+      expect(config.getCliPath()).toBeNull();
+    });
+
+    it('should return the trimmed CLI path', () => {
+      mockGet.mockReturnValue('  /usr/local/bin/sf ');
+      expect(config.getCliPath()).toBe('/usr/local/bin/sf');
+    });
+  });
+
+  describe('getMaxConcurrentCommands', () => {
+    it('should return the default when no config is set', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getMaxConcurrentCommands()).toBe(3);
+    });
+
+    it('should never return less than one', () => {
+      mockGet.mockReturnValue(0);
+      expect(config.getMaxConcurrentCommands()).toBe(1);
+    });
+  });
+
+  describe('getVerifyConnectionsInterval', () => {
+    it('should be off by default', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getVerifyConnectionsInterval()).toBe(0);
+    });
+
+    it('should return configured interval converted to milliseconds', () => {
+      mockGet.mockReturnValue(15);
+      expect(config.getVerifyConnectionsInterval()).toBe(15 * 60 * 1000);
+    });
+
+    it('should keep the interval between 5 minutes and a day', () => {
+      mockGet.mockReturnValue(0.5);
+      expect(config.getVerifyConnectionsInterval()).toBe(0);
+      mockGet.mockReturnValue(1);
+      expect(config.getVerifyConnectionsInterval()).toBe(5 * 60 * 1000);
+      mockGet.mockReturnValue(7.9);
+      expect(config.getVerifyConnectionsInterval()).toBe(7 * 60 * 1000);
+      mockGet.mockReturnValue(100000);
+      expect(config.getVerifyConnectionsInterval()).toBe(1440 * 60 * 1000);
+    });
+  });
+
+  describe('getWatchedOrgs', () => {
+    it('should return an empty list by default', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getWatchedOrgs()).toEqual([]);
+    });
+
+    it('should drop empty and non-string entries', () => {
+      mockGet.mockReturnValue(['prod', '', 42, 'admin@example.com']);
+      expect(config.getWatchedOrgs()).toEqual(['prod', 'admin@example.com']);
+    });
+  });
+
+  describe('getProductionUrlPatterns and getNonProductionUrlPatterns', () => {
+    it('should return empty lists by default', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getProductionUrlPatterns()).toEqual([]);
+      expect(config.getNonProductionUrlPatterns()).toEqual([]);
+    });
+
+    it('should trim patterns and drop empty and non-string entries', () => {
+      mockGet.mockReturnValue([' *.acme.my.salesforce.com ', '', null]);
+      expect(config.getProductionUrlPatterns()).toEqual(['*.acme.my.salesforce.com']);
+    });
+  });
+
+  describe('getBrowser', () => {
+    it('should return null for the system browser', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getBrowser()).toBeNull();
+      mockGet.mockReturnValue('default');
+      expect(config.getBrowser()).toBeNull();
+    });
+
+    it('should return the configured browser', () => {
+      mockGet.mockReturnValue('firefox');
+      expect(config.getBrowser()).toBe('firefox');
+    });
+  });
+
+  describe('getOpenInPrivateWindow', () => {
+    it('should be off unless set to true', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getOpenInPrivateWindow()).toBe(false);
+      mockGet.mockReturnValue(true);
+      expect(config.getOpenInPrivateWindow()).toBe(true);
+    });
+  });
+
+  describe('getClearClipboardAfterSeconds', () => {
+    it('should return the default when no config is set', () => {
+      mockGet.mockReturnValue(undefined);
+      expect(config.getClearClipboardAfterSeconds()).toBe(30);
+    });
+
+    it('should allow 0 and cap the value at 600', () => {
+      mockGet.mockReturnValue(0);
+      expect(config.getClearClipboardAfterSeconds()).toBe(0);
+      mockGet.mockReturnValue(3600);
+      expect(config.getClearClipboardAfterSeconds()).toBe(600);
+    });
+  });
+
   describe('error handling', () => {
     it('should handle errors gracefully and return default values', () => {
       mockVscode.workspace.getConfiguration.mockImplementation(() => {
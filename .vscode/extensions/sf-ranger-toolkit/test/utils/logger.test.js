@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for logger Module
+ *
+ * Tests output channel logging, levels and secret redaction.
+ */
+
+const mockChannel = {
+  trace: jest.fn(),
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  show: jest.fn(),
+};
+
+const mockVscode = {
+  window: {
+    createOutputChannel: jest.fn(() => mockChannel),
+  },
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+const logger = require('../../src/utils/logger');
+
+describe('logger', () => {
+  let context;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    logger.resetLogger();
+    context = { subscriptions: [] };
+  });
+
+  describe('redact', () => {
+    it('should remove access tokens', () => {
+      expect(logger.redact('token 00D5g000004abcdEAA!AQ4AQFzj.2kL_x-9 end')).toBe(
+        'token [REDACTED] end'
+      );
+    });
+
+    it('should remove refresh tokens', () => {
+      const refreshToken = '5Aep861' + 'a'.repeat(80);
+      expect(logger.redact(`refresh ${refreshToken}`)).toBe('refresh [REDACTED]');
+    });
+
+    it('should remove sfdxAuthUrls', () => {
+      expect(
+        logger.redact('url force://PlatformCLI::5Aep861abc@example.my.salesforce.com done')
+      ).toBe('url force://[REDACTED] done');
+    });
+
+    it('should remove secret JSON properties', () => {
+      expect(logger.redact('{"accessToken":"abc","username":"a@b.com","refreshToken":"x"}')).toBe(
+        '{"accessToken":"[REDACTED]","username":"a@b.com","refreshToken":"[REDACTED]"}'
+      );
+    });
+
+    it('should remove tokens from query strings', () => {
+      expect(logger.redact('/secur/frontdoor.jsp?sid=abc123&retURL=/home')).toBe(
+        '/secur/frontdoor.jsp?sid=[REDACTED]&retURL=/home'
+      );
+      expect(logger.redact('/secur/frontdoor.jsp?otp=abc123')).toBe('/secur/frontdoor.jsp?otp=[REDACTED]');
+    });
+  });
+
+  describe('initializeLogger', () => {
+    it('should create a log output channel and register it for disposal', () => {
+      logger.initializeLogger(context);
+
+      expect(mockVscode.window.createOutputChannel).toHaveBeenCalledWith('SF Ranger Toolkit', {
+        log: true,
+      });
+      expect(context.subscriptions).toContain(mockChannel);
+    });
+  });
+
+  describe('createLogger', () => {
+    it('should write scoped messages at the matching level', () => {
+      logger.initializeLogger(context);
+      const log = logger.createLogger('OrgCache');
+
+      log.info('Cache cleared (v2)');
+      log.debug('No cache available');
+      log.error('Failed:', new Error('boom'));
+
+      expect(mockChannel.info).toHaveBeenCalledWith('[OrgCache] Cache cleared (v2)');
+      expect(mockChannel.debug).toHaveBeenCalledWith('[OrgCache] No cache available');
+      expect(mockChannel.error).toHaveBeenCalledWith(expect.stringContaining('[OrgCache] Failed: Error: boom'));
+    });
+
+    it('should redact secrets in logged objects', () => {
+      logger.initializeLogger(context);
+      const log = logger.createLogger('OrgManager');
+
+      log.info('Result:', { username: 'a@b.com', accessToken: 'secret-value' });
+
+      expect(mockChannel.info).toHaveBeenCalledWith(
+        '[OrgManager] Result: {"username":"a@b.com","accessToken":"[REDACTED]"}'
+      );
+    });
+
+    it('should write to the console before initialization', () => {
+      const log = logger.createLogger('OrgManager');
+
+      log.warn('Unknown command: foo');
+
+      expect(console.warn).toHaveBeenCalledWith('[OrgManager] Unknown command: foo');
+    });
+  });
+
+  describe('showLog', () => {
+    it('should reveal the channel without taking focus', () => {
+      logger.initializeLogger(context);
+
+      logger.showLog();
+
+      expect(mockChannel.show).toHaveBeenCalledWith(true);
+    });
+  });
+});
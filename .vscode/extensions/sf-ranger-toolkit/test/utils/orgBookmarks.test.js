@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for orgBookmarks Module
+ *
+ * Tests bookmarks per org and per tag, validation and persistence.
+ */
+
+// In-memory stand-in for context.globalState
+function createMemento(initial = {}) {
+  const values = { ...initial };
+  return {
+    get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+    update: jest.fn(async (key, value) => {
+      values[key] = value;
+    }),
+  };
+}
+
+describe('orgBookmarks', () => {
+  let orgBookmarks;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      orgBookmarks = require('../../src/utils/orgBookmarks');
+    });
+  });
+
+  describe('addBookmark and getBookmarks', () => {
+    it('should list the org\'s own bookmarks before those of its tags', async () => {
+      await orgBookmarks.addBookmark('tag', 'Acme', { label: 'Invoices', path: '/lightning/o/Invoice__c/list' });
+      await orgBookmarks.addBookmark('org', '00D000000000001EAA', { label: ' Users ', path: '/lightning/setup/ManageUsers/home' });
+
+      expect(orgBookmarks.getBookmarks('00D000000000001EAA', ['acme', 'uat'])).toEqual([
+        { label: 'Users', path: '/lightning/setup/ManageUsers/home', scope: 'org', key: '00D000000000001EAA' },
+        { label: 'Invoices', path: '/lightning/o/Invoice__c/list', scope: 'tag', key: 'acme' },
+      ]);
+      expect(orgBookmarks.getBookmarks('00D000000000002EAA')).toEqual([]);
+    });
+
+    it('should replace a bookmark with the same path', async () => {
+      await orgBookmarks.addBookmark('org', '00D000000000001EAA', { label: 'Users', path: '/lightning/setup/ManageUsers/home' });
+      await orgBookmarks.addBookmark('org', '00D000000000001EAA', { label: 'All users', path: '/lightning/setup/ManageUsers/home' });
+
+      expect(orgBookmarks.getBookmarks('00D000000000001EAA').map((bookmark) => bookmark.label)).toEqual([
+        'All users',
+      ]);
+    });
+
+    it('should reject invalid paths, names and scopes', async () => {
+      await expect(
+        orgBookmarks.addBookmark('org', '00D000000000001EAA', { label: 'Evil', path: 'https://evil.example.com' })
+      ).rejects.toThrow('single "/"');
+      await expect(
+        orgBookmarks.addBookmark('org', '00D000000000001EAA', { label: ' ', path: '/home' })
+      ).rejects.toThrow('Bookmark name is required');
+      await expect(
+        orgBookmarks.addBookmark('folder', 'x', { label: 'Home', path: '/home' })
+      ).rejects.toThrow('Invalid bookmark scope');
+    });
+  });
+
+  describe('removeBookmark', () => {
+    it('should remove the bookmark and drop empty entries', async () => {
+      const memento = createMemento();
+      orgBookmarks.initializeBookmarks(memento);
+      await orgBookmarks.addBookmark('tag', 'acme', { label: 'Invoices', path: '/lightning/o/Invoice__c/list' });
+
+      await orgBookmarks.removeBookmark('tag', 'ACME', '/lightning/o/Invoice__c/list');
+
+      expect(orgBookmarks.getBookmarks(null, ['acme'])).toEqual([]);
+      expect(memento.update).toHaveBeenLastCalledWith('orgBookmarks', { org: {}, tag: {} });
+    });
+  });
+
+  describe('persistence', () => {
+    it('should load saved bookmarks', () => {
+      orgBookmarks.initializeBookmarks(
+        createMemento({
+          orgBookmarks: { org: { '00D000000000001EAA': [{ label: 'Flows', path: '/lightning/setup/Flows/home' }] } },
+        })
+      );
+
+      expect(orgBookmarks.getBookmarks('00D000000000001EAA')).toEqual([
+        { label: 'Flows', path: '/lightning/setup/Flows/home', scope: 'org', key: '00D000000000001EAA' },
+      ]);
+    });
+  });
+});
@@ -9,9 +9,21 @@ jest.mock('../../src/utils/config', () => ({
   getOrgCacheDuration: jest.fn(() => 60000), // 60 seconds default
 }));
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const orgCache = require('../../src/utils/orgCache');
 const config = require('../../src/utils/config');
 
+// Loads a separate orgCache instance, like a second VS Code window would
+function loadCacheInstance() {
+  let instance;
+  jest.isolateModules(() => {
+    instance = require('../../src/utils/orgCache');
+  });
+  return instance;
+}
+
 describe('orgCache', () => {
   // Reset cache before each test
   beforeEach(() => {
@@ -188,6 +200,150 @@ describe('orgCache', () => {
     });
   });
 
+  describe('withCacheLock', () => {
+    it('should run tasks one at a time in call order', async () => {
+      const order = [];
+      let releaseFirst;
+
+      const first = orgCache.withCacheLock(
+        () =>
+          new Promise((resolve) => {
+            order.push('first:start');
+            releaseFirst = () => {
+              order.push('first:end');
+              resolve('first');
+            };
+          })
+      );
+      const second = orgCache.withCacheLock(() => {
+        order.push('second');
+        return 'second';
+      });
+
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(order).toEqual(['first:start']);
+
+      releaseFirst();
+      await expect(first).resolves.toBe('first');
+      await expect(second).resolves.toBe('second');
+      expect(order).toEqual(['first:start', 'first:end', 'second']);
+    });
+
+    it('should release the lock when a task fails', async () => {
+      const failing = orgCache.withCacheLock(() => {
+        throw new Error('fetch failed');
+      });
+
+      await expect(failing).rejects.toThrow('fetch failed');
+      await expect(orgCache.withCacheLock(() => 'next')).resolves.toBe('next');
+    });
+  });
+
+  describe('getStaleOrgListCache', () => {
+    it('should return null when cache is empty', () => {
+      expect(orgCache.getStaleOrgListCache()).toBeNull();
+    });
+
+    it('should return expired orgs with their timestamp', async () => {
+      config.getOrgCacheDuration.mockReturnValue(1);
+      const mockOrgs = [{ username: 'test@example.com' }];
+      orgCache.setOrgListCache(mockOrgs);
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      expect(orgCache.getOrgListCache()).toBeNull();
+      expect(orgCache.getStaleOrgListCache()).toEqual({
+        orgs: mockOrgs,
+        timestamp: orgCache.getCacheStats().timestamp,
+      });
+    });
+  });
+
+  describe('onDidChangeOrgList', () => {
+    it('should call listeners after each update and clear until disposed', () => {
+      const listener = jest.fn();
+      const subscription = orgCache.onDidChangeOrgList(listener);
+
+      orgCache.setOrgListCache([{ username: 'test@example.com' }]);
+      orgCache.clearOrgListCache();
+      subscription.dispose();
+      orgCache.setOrgListCache([]);
+
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep caching when a listener throws', () => {
+      const failing = orgCache.onDidChangeOrgList(() => {
+        throw new Error('listener failed');
+      });
+      const listener = jest.fn();
+      const subscription = orgCache.onDidChangeOrgList(listener);
+
+      expect(() => orgCache.setOrgListCache([{ username: 'a' }])).not.toThrow();
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(orgCache.getStaleOrgListCache().orgs).toEqual([{ username: 'a' }]);
+
+      failing.dispose();
+      subscription.dispose();
+    });
+  });
+
+  describe('persistence', () => {
+    let storageDir;
+
+    beforeEach(() => {
+      config.getOrgCacheDuration.mockReturnValue(60000);
+      storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'org-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    it('should load the list saved by an earlier session', () => {
+      const mockOrgs = [{ username: 'saved@example.com' }];
+      const firstSession = loadCacheInstance();
+      firstSession.initializePersistence(storageDir);
+      firstSession.setOrgListCache(mockOrgs);
+
+      const nextSession = loadCacheInstance();
+
+      expect(nextSession.initializePersistence(storageDir)).toBe(true);
+      expect(nextSession.getOrgListCache()).toEqual(mockOrgs);
+    });
+
+    it('should pick up a list written by another window', () => {
+      const mockOrgs = [{ username: 'other@example.com' }];
+      const thisWindow = loadCacheInstance();
+      const otherWindow = loadCacheInstance();
+      thisWindow.initializePersistence(storageDir);
+      otherWindow.initializePersistence(storageDir);
+
+      otherWindow.setOrgListCache(mockOrgs);
+
+      expect(thisWindow.getOrgListCache()).toEqual(mockOrgs);
+    });
+
+    it('should delete the saved list when the cache is cleared', () => {
+      const instance = loadCacheInstance();
+      instance.initializePersistence(storageDir);
+      instance.setOrgListCache([{ username: 'test@example.com' }]);
+
+      instance.clearOrgListCache();
+
+      expect(fs.readdirSync(storageDir)).toEqual([]);
+      expect(loadCacheInstance().initializePersistence(storageDir)).toBe(false);
+    });
+
+    it('should ignore an unreadable cache file', () => {
+      fs.writeFileSync(path.join(storageDir, 'org-list-cache.json'), '{not json');
+      const instance = loadCacheInstance();
+
+      expect(instance.initializePersistence(storageDir)).toBe(false);
+      expect(instance.getOrgListCache()).toBeNull();
+    });
+  });
+
   describe('race condition handling', () => {
     it('should maintain consistency with rapid set/get operations', () => {
       const orgs1 = [{ username: 'first' }];
@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for orgDetails Module
+ *
+ * Tests caching the org detail panel contents per org, persistence and
+ * naming releases after their API version.
+ */
+
+const orgDetails = require('../../src/utils/orgDetails');
+
+// In-memory stand-in for context.globalState
+function createMemento(initial = {}) {
+  const values = { ...initial };
+  return {
+    get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+    update: jest.fn(async (key, value) => {
+      values[key] = value;
+    }),
+  };
+}
+
+const details = { orgId: '00D000000000001EAA', edition: 'Enterprise Edition', instanceName: 'NA224' };
+
+describe('orgDetails', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    orgDetails.resetOrgDetails();
+  });
+
+  describe('cache', () => {
+    it('should cache the details per username', async () => {
+      expect(orgDetails.getCachedOrgDetails('admin@acme.com')).toBeNull();
+
+      await orgDetails.saveOrgDetails('admin@acme.com', details);
+
+      expect(orgDetails.getCachedOrgDetails('admin@acme.com')).toEqual({
+        details,
+        fetchedAt: expect.any(Number),
+        isStale: false,
+      });
+      expect(orgDetails.getCachedOrgDetails('dev@acme.com.sandbox')).toBeNull();
+    });
+
+    it('should mark details older than a day as stale', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      try {
+        await orgDetails.saveOrgDetails('admin@acme.com', details);
+        now.mockReturnValue(1700000000000 + orgDetails.MAX_AGE_MS + 1);
+
+        expect(orgDetails.getCachedOrgDetails('admin@acme.com').isStale).toBe(true);
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    it('should forget the details of an org', async () => {
+      await orgDetails.saveOrgDetails('admin@acme.com', details);
+
+      await orgDetails.forgetOrgDetails('admin@acme.com');
+
+      expect(orgDetails.getCachedOrgDetails('admin@acme.com')).toBeNull();
+    });
+
+    it('should require a username', async () => {
+      await expect(orgDetails.saveOrgDetails('', details)).rejects.toThrow('Username is required');
+    });
+  });
+
+  describe('persistence', () => {
+    it('should load cached details and persist new ones', async () => {
+      const memento = createMemento({
+        orgDetails: { 'dev@acme.com.sandbox': { details: { orgId: '00D000000000002EAA' }, fetchedAt: 1 } },
+      });
+
+      orgDetails.initializeOrgDetails(memento);
+      await orgDetails.saveOrgDetails('admin@acme.com', details);
+      await orgDetails.forgetOrgDetails('dev@acme.com.sandbox');
+
+      expect(memento.get).toHaveBeenCalledWith('orgDetails', {});
+      expect(Object.keys(memento.update.mock.calls[1][1])).toEqual(['admin@acme.com']);
+    });
+  });
+
+  describe('getReleaseName', () => {
+    it('should name the release of an API version', () => {
+      expect(orgDetails.getReleaseName('60.0')).toBe("Spring '24");
+      expect(orgDetails.getReleaseName('61.0')).toBe("Summer '24");
+      expect(orgDetails.getReleaseName('62.0')).toBe("Winter '25");
+      expect(orgDetails.getReleaseName('65.0')).toBe("Winter '26");
+      expect(orgDetails.getReleaseName('20.0')).toBe("Winter '11");
+    });
+
+    it('should return null for unknown versions', () => {
+      expect(orgDetails.getReleaseName(null)).toBeNull();
+      expect(orgDetails.getReleaseName('abc')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for orgDiscovery Module
+ *
+ * Tests building the org list from CLI files in a fixture home directory.
+ */
+
+const path = require('path');
+const {
+  discoverOrgs,
+  getDefaultUsernames,
+  getProjectDefaults,
+  getAliases,
+  findScratchDefinitions,
+  findSandboxDefinitions,
+  getAuthDetails,
+  AUTH_METHODS,
+} = require('../../src/utils/orgDiscovery');
+
+const homeDir = path.join(__dirname, '..', 'fixtures', 'cli-home');
+const projectDir = path.join(__dirname, '..', 'fixtures', 'project');
+
+describe('orgDiscovery', () => {
+  describe('discoverOrgs', () => {
+    it('should build the same org objects as listAllOrgs', async () => {
+      const orgs = await discoverOrgs({ homeDir });
+
+      expect(orgs).toEqual([
+        {
+          username: 'dev@acme.com.sandbox',
+          alias: 'acme-dev',
+          aliases: ['acme-dev'],
+          orgId: '00D000000000002EAA',
+          instanceUrl: 'https://acme--dev.sandbox.my.salesforce.com',
+          connectedStatus: 'Unknown',
+          isDefaultUsername: true,
+          isDefaultDevHubUsername: false,
+          defaultUsernameSource: 'global',
+          defaultDevHubUsernameSource: null,
+          isDevHub: false,
+          isScratchOrg: false,
+          expirationDate: null,
+        },
+        {
+          username: 'admin@acme.com',
+          alias: 'acme-prod',
+          aliases: ['acme-prod', 'hub'],
+          orgId: '00D000000000001EAA',
+          instanceUrl: 'https://acme.my.salesforce.com',
+          connectedStatus: 'Unknown',
+          isDefaultUsername: false,
+          isDefaultDevHubUsername: true,
+          defaultUsernameSource: null,
+          defaultDevHubUsernameSource: 'global',
+          isDevHub: true,
+          isScratchOrg: false,
+          expirationDate: null,
+        },
+        {
+          username: 'test-abc123@example.com',
+          alias: 'test-abc123@example.com',
+          aliases: [],
+          orgId: '00D000000000003EAA',
+          instanceUrl: 'https://speed-power-1234-dev-ed.scratch.my.salesforce.com',
+          connectedStatus: 'Unknown',
+          isDefaultUsername: false,
+          isDefaultDevHubUsername: false,
+          defaultUsernameSource: null,
+          defaultDevHubUsernameSource: null,
+          isDevHub: false,
+          isScratchOrg: true,
+          expirationDate: '2026-11-02',
+        },
+      ]);
+    });
+
+    it('should never return tokens from auth files', async () => {
+      const orgs = await discoverOrgs({ homeDir });
+
+      expect(JSON.stringify(orgs)).not.toContain('encrypted');
+    });
+
+    it('should prefer the project default over the global one', async () => {
+      const orgs = await discoverOrgs({ homeDir, projectDir });
+
+      const defaults = orgs.filter((org) => org.isDefaultUsername).map((org) => org.username);
+      expect(defaults).toEqual(['test-abc123@example.com']);
+    });
+
+    it('should ignore project config outside a Salesforce DX project', async () => {
+      const orgs = await discoverOrgs({ homeDir, projectDir: homeDir });
+
+      const defaults = orgs.filter((org) => org.isDefaultUsername).map((org) => org.username);
+      expect(defaults).toEqual(['dev@acme.com.sandbox']);
+    });
+
+    it('should return an empty list when the CLI has no state', async () => {
+      const orgs = await discoverOrgs({ homeDir: path.join(homeDir, 'missing') });
+
+      expect(orgs).toEqual([]);
+    });
+  });
+
+  describe('getDefaultUsernames', () => {
+    afterEach(() => {
+      delete process.env.SF_TARGET_ORG;
+    });
+
+    it('should resolve aliases to usernames', async () => {
+      await expect(getDefaultUsernames({ homeDir })).resolves.toEqual({
+        defaultUsername: 'dev@acme.com.sandbox',
+        defaultDevHubUsername: 'admin@acme.com',
+        defaultUsernameSource: 'global',
+        defaultDevHubUsernameSource: 'global',
+      });
+    });
+
+    it('should report which config each default comes from', async () => {
+      const defaults = await getDefaultUsernames({ homeDir, projectDir });
+
+      expect(defaults.defaultUsernameSource).toBe('local');
+      expect(defaults.defaultDevHubUsernameSource).toBe('global');
+    });
+
+    it('should find the project config from a folder inside the project', async () => {
+      const { defaultUsername } = await getDefaultUsernames({
+        homeDir,
+        projectDir: path.join(projectDir, '.sf'),
+      });
+
+      expect(defaultUsername).toBe('test-abc123@example.com');
+    });
+
+    it('should let SF_TARGET_ORG override the config files', async () => {
+      process.env.SF_TARGET_ORG = 'acme-prod';
+
+      const { defaultUsername, defaultUsernameSource } = await getDefaultUsernames({ homeDir, projectDir });
+
+      expect(defaultUsername).toBe('admin@acme.com');
+      expect(defaultUsernameSource).toBe('environment');
+    });
+  });
+
+  describe('getAliases', () => {
+    it('should merge the sfdx and sf alias files', async () => {
+      await expect(getAliases({ homeDir })).resolves.toEqual({
+        'acme-prod': 'admin@acme.com',
+        hub: 'admin@acme.com',
+        'acme-dev': 'dev@acme.com.sandbox',
+      });
+    });
+  });
+
+  describe('findScratchDefinitions', () => {
+    it('should list the scratch org definitions in the project config folder', async () => {
+      await expect(findScratchDefinitions(path.join(projectDir, '.sf'))).resolves.toEqual([
+        path.join(projectDir, 'config', 'project-scratch-def.json'),
+      ]);
+    });
+
+    it('should return no files outside a Salesforce DX project', async () => {
+      await expect(findScratchDefinitions(homeDir)).resolves.toEqual([]);
+    });
+  });
+
+  describe('findSandboxDefinitions', () => {
+    it('should list only the files that define a sandbox', async () => {
+      await expect(findSandboxDefinitions(projectDir)).resolves.toEqual([
+        path.join(projectDir, 'config', 'uat-sandbox-def.json'),
+      ]);
+    });
+
+    it('should return no files outside a Salesforce DX project', async () => {
+      await expect(findSandboxDefinitions(homeDir)).resolves.toEqual([]);
+    });
+  });
+
+  describe('getAuthDetails', () => {
+    it('should tell how the CLI logged in without returning tokens', async () => {
+      const auth = await getAuthDetails('admin@acme.com', { homeDir });
+
+      expect(auth).toEqual({
+        authMethod: AUTH_METHODS.REFRESH_TOKEN,
+        clientId: 'PlatformCLI',
+        loginUrl: 'https://login.salesforce.com',
+        instanceApiVersion: '62.0',
+        authFileModifiedAt: expect.any(Number),
+      });
+      expect(JSON.stringify(auth)).not.toContain('encrypted');
+    });
+
+    it('should tell JWT and access token logins apart', async () => {
+      await expect(getAuthDetails('dev@acme.com.sandbox', { homeDir })).resolves.toEqual(
+        expect.objectContaining({ authMethod: AUTH_METHODS.JWT, clientId: '3MVG9-connected-app' })
+      );
+      await expect(getAuthDetails('test-abc123@example.com', { homeDir })).resolves.toEqual(
+        expect.objectContaining({ authMethod: AUTH_METHODS.ACCESS_TOKEN, clientId: null })
+      );
+    });
+
+    it('should return null for unknown orgs, aliases and paths', async () => {
+      await expect(getAuthDetails('nobody@acme.com', { homeDir })).resolves.toBeNull();
+      await expect(getAuthDetails('acme-prod', { homeDir })).resolves.toBeNull();
+      await expect(getAuthDetails('../../admin@acme.com', { homeDir })).resolves.toBeNull();
+    });
+  });
+
+  describe('getProjectDefaults', () => {
+    it('should read only the project config', async () => {
+      await expect(getProjectDefaults(projectDir)).resolves.toEqual({
+        targetOrg: 'test-abc123@example.com',
+        targetDevHub: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for orgMetadata Module
+ *
+ * Tests pins, tags, tag parsing and persistence in the global state.
+ */
+
+// In-memory stand-in for context.globalState
+function createMemento(initial = {}) {
+  const values = { ...initial };
+  return {
+    get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+    update: jest.fn(async (key, value) => {
+      values[key] = value;
+    }),
+  };
+}
+
+describe('orgMetadata', () => {
+  let orgMetadata;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      orgMetadata = require('../../src/utils/orgMetadata');
+    });
+  });
+
+  describe('setPinned and setTags', () => {
+    it('should keep pins and tags per org ID', async () => {
+      await orgMetadata.setPinned('00D000000000001EAA', true);
+      await orgMetadata.setTags('00D000000000002EAA', ['acme', 'uat']);
+
+      expect(orgMetadata.getOrgMetadata()).toEqual({
+        '00D000000000001EAA': { pinned: true, tags: [] },
+        '00D000000000002EAA': { pinned: false, tags: ['acme', 'uat'] },
+      });
+    });
+
+    it('should drop orgs that are neither pinned nor tagged', async () => {
+      await orgMetadata.setPinned('00D000000000001EAA', true);
+      await orgMetadata.setTags('00D000000000001EAA', ['acme']);
+      await orgMetadata.setPinned('00D000000000001EAA', false);
+      await orgMetadata.setTags('00D000000000001EAA', []);
+
+      expect(orgMetadata.getOrgMetadata()).toEqual({});
+    });
+
+    it('should remember when an org was last used', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+      await orgMetadata.recordUse('00D000000000001EAA');
+
+      expect(orgMetadata.getOrgMetadata()).toEqual({
+        '00D000000000001EAA': { pinned: false, tags: [], lastUsed: 1700000000000 },
+      });
+      Date.now.mockRestore();
+    });
+
+    it('should require an org ID', async () => {
+      await expect(orgMetadata.setPinned(undefined, true)).rejects.toThrow('Org ID is required');
+    });
+  });
+
+  describe('persistence', () => {
+    it('should load saved metadata and save every change', async () => {
+      const memento = createMemento({
+        orgMetadata: { '00D000000000001EAA': { pinned: true, tags: [] } },
+      });
+
+      orgMetadata.initializeMetadata(memento);
+      await orgMetadata.setTags('00D000000000001EAA', ['acme']);
+
+      expect(memento.update).toHaveBeenCalledWith('orgMetadata', {
+        '00D000000000001EAA': { pinned: true, tags: ['acme'] },
+      });
+    });
+
+    it('should start empty without saved metadata', () => {
+      orgMetadata.initializeMetadata(createMemento());
+
+      expect(orgMetadata.getOrgMetadata()).toEqual({});
+    });
+  });
+
+  describe('parseTags', () => {
+    it('should trim tags and drop empty ones and duplicates', () => {
+      expect(orgMetadata.parseTags(' acme, uat,, Acme ,')).toEqual(['acme', 'uat']);
+    });
+
+    it('should return no tags for empty input', () => {
+      expect(orgMetadata.parseTags('')).toEqual([]);
+    });
+
+    it('should reject tags that are too long', () => {
+      expect(() => orgMetadata.parseTags('a'.repeat(orgMetadata.MAX_TAG_LENGTH + 1)))
+        .toThrow('characters or fewer');
+    });
+  });
+});
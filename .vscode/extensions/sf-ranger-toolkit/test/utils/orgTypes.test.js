@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for orgTypes Module
+ *
+ * Tests classification from the Organization record, the URL settings,
+ * enhanced domain names and persistence.
+ */
+
+const mockConfig = {
+  getProductionUrlPatterns: jest.fn(() => []),
+  getNonProductionUrlPatterns: jest.fn(() => []),
+};
+
+jest.mock('../../src/utils/config', () => mockConfig);
+
+const orgTypes = require('../../src/utils/orgTypes');
+
+// In-memory stand-in for context.globalState
+function createMemento(initial = {}) {
+  const values = { ...initial };
+  return {
+    get: jest.fn((key, defaultValue) => (key in values ? values[key] : defaultValue)),
+    update: jest.fn(async (key, value) => {
+      values[key] = value;
+    }),
+  };
+}
+
+const prodOrg = { orgId: '00D000000000001EAA', instanceUrl: 'https://acme.my.salesforce.com' };
+
+describe('orgTypes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    orgTypes.resetOrgTypes();
+  });
+
+  describe('recordOrgType and classifyOrg', () => {
+    it('should treat orgs that were not read yet as unknown', () => {
+      expect(orgTypes.needsDetection(prodOrg)).toBe(true);
+      expect(orgTypes.classifyOrg(prodOrg)).toEqual({ type: null, isProduction: null, source: null });
+    });
+
+    it('should classify from the Organization record', async () => {
+      await orgTypes.recordOrgType(prodOrg.orgId, { isSandbox: false, organizationType: 'Enterprise Edition' });
+      await orgTypes.recordOrgType('00D000000000002EAA', { isSandbox: true, organizationType: 'Enterprise Edition' });
+      await orgTypes.recordOrgType('00D000000000003EAA', { isSandbox: false, organizationType: 'Developer Edition' });
+
+      expect(orgTypes.needsDetection(prodOrg)).toBe(false);
+      expect(orgTypes.classifyOrg(prodOrg)).toEqual({ type: 'production', isProduction: true, source: 'org' });
+      // Enhanced-domain sandbox URLs look like production My Domains to substring checks
+      expect(
+        orgTypes.classifyOrg({ orgId: '00D000000000002EAA', instanceUrl: 'https://acme--uat.my.salesforce.com' })
+      ).toEqual({ type: 'sandbox', isProduction: false, source: 'org' });
+      expect(orgTypes.classifyOrg({ orgId: '00D000000000003EAA' }).type).toBe('developer');
+    });
+
+    it('should not take a scratch org the CLI did not flag for production', async () => {
+      const type = await orgTypes.recordOrgType('00D000000000005EAA', {
+        isSandbox: false,
+        organizationType: 'Enterprise Edition',
+        trialExpirationDate: '2026-11-02T00:00:00.000+0000',
+      });
+
+      expect(type).toBe('scratch');
+      expect(orgTypes.classifyOrg({ orgId: '00D000000000005EAA' })).toEqual({
+        type: 'scratch',
+        isProduction: false,
+        source: 'org',
+      });
+    });
+
+    it('should know scratch orgs from the CLI without reading them', () => {
+      const scratch = { orgId: '00D000000000004EAA', isScratchOrg: true };
+
+      expect(orgTypes.needsDetection(scratch)).toBe(false);
+      expect(orgTypes.classifyOrg(scratch)).toEqual({ type: 'scratch', isProduction: false, source: 'cli' });
+    });
+
+    it('should fall back to enhanced domain names', () => {
+      expect(
+        orgTypes.classifyOrg({ instanceUrl: 'https://acme--uat.sandbox.my.salesforce.com' })
+      ).toEqual({ type: 'sandbox', isProduction: false, source: 'url' });
+      expect(orgTypes.classifyOrg({ instanceUrl: 'https://acme-dev-ed.develop.my.salesforce.com' }).type).toBe(
+        'developer'
+      );
+      // ".cs" inside a production My Domain is not a sandbox instance
+      expect(orgTypes.classifyOrg({ instanceUrl: 'https://docs-acme.my.salesforce.com' }).type).toBeNull();
+    });
+
+    it('should persist detected types', async () => {
+      const memento = createMemento();
+      orgTypes.initializeOrgTypes(memento);
+
+      await orgTypes.recordOrgType(prodOrg.orgId, { isSandbox: false, organizationType: 'Enterprise Edition' });
+
+      expect(memento.update).toHaveBeenCalledWith('orgTypes', {
+        [prodOrg.orgId]: { type: 'production', organizationType: 'Enterprise Edition', checkedAt: expect.any(Number) },
+      });
+
+      orgTypes.resetOrgTypes();
+      orgTypes.initializeOrgTypes(memento);
+      expect(orgTypes.classifyOrg(prodOrg).isProduction).toBe(true);
+    });
+  });
+
+  describe('URL settings', () => {
+    it('should treat matching orgs as production whatever the org says', async () => {
+      mockConfig.getProductionUrlPatterns.mockReturnValue(['*--uat.sandbox.my.salesforce.com']);
+      await orgTypes.recordOrgType('00D000000000002EAA', { isSandbox: true, organizationType: 'Enterprise Edition' });
+
+      expect(
+        orgTypes.classifyOrg({ orgId: '00D000000000002EAA', instanceUrl: 'https://acme--uat.sandbox.my.salesforce.com' })
+      ).toEqual({ type: 'production', isProduction: true, source: 'setting' });
+      mockConfig.getProductionUrlPatterns.mockReturnValue([]);
+    });
+
+    it('should treat matching orgs as not production', async () => {
+      mockConfig.getNonProductionUrlPatterns.mockReturnValue(['https://training.my.salesforce.com']);
+      await orgTypes.recordOrgType(prodOrg.orgId, { isSandbox: false, organizationType: 'Enterprise Edition' });
+
+      expect(
+        orgTypes.classifyOrg({ orgId: prodOrg.orgId, instanceUrl: 'https://training.my.salesforce.com/' })
+      ).toEqual({ type: null, isProduction: false, source: 'setting' });
+      expect(orgTypes.classifyOrg(prodOrg).isProduction).toBe(true);
+      mockConfig.getNonProductionUrlPatterns.mockReturnValue([]);
+    });
+  });
+});
@@ -5,14 +5,25 @@
  */
 
 // Mock child_process
-const mockExec = jest.fn();
+const mockExecFile = jest.fn();
 jest.mock('child_process', () => ({
-  exec: mockExec,
+  execFile: mockExecFile,
 }));
 
 // Mock config module
 jest.mock('../../src/utils/config', () => ({
   getMaxBufferSize: jest.fn(() => 50 * 1024 * 1024),
+  getCommandTimeout: jest.fn(() => 120000),
+  getLoginTimeout: jest.fn(() => 600000),
+  getScratchOrgTimeout: jest.fn(() => 900000),
+}));
+
+// Mock CLI discovery: a current sf install by default
+const mockResolveCli = jest.fn();
+jest.mock('../../src/utils/cliDiscovery', () => ({
+  resolveCli: mockResolveCli,
+  resetCliCache: jest.fn(),
+  buildSpawnCommand: jest.requireActual('../../src/utils/cliDiscovery').buildSpawnCommand,
 }));
 
 // Mock vscode module
@@ -31,64 +42,303 @@ const mockVscode = {
 jest.mock('vscode', () => mockVscode, { virtual: true });
 
 const sfdxExecutor = require('../../src/utils/sfdxCommandExecutor');
+const workspaceFolders = require('../../src/utils/workspaceFolders');
 
 describe('sfdxCommandExecutor', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockResolveCli.mockResolvedValue({ state: 'ok', executable: 'sf', legacy: false });
   });
 
+  // Lets the CLI resolution promise settle so the process gets spawned
+  const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
   describe('executeSfdxCommand', () => {
     it('should execute command and return parsed JSON on success', async () => {
       const mockResponse = { status: 0, result: { username: 'test@example.com' } };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
-      const result = await sfdxExecutor.executeSfdxCommand('sf org display --json');
+      const result = await sfdxExecutor.executeSfdxCommand(['org', 'display', '--json']);
 
       expect(result).toEqual(mockResponse);
-      expect(mockExec).toHaveBeenCalledWith(
-        'sf org display --json',
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'sf',
+        ['org', 'display', '--json'],
         expect.objectContaining({
           maxBuffer: 50 * 1024 * 1024,
           cwd: '/mock/workspace',
+          shell: false,
         }),
         expect.any(Function)
       );
     });
 
+    it('should run in the workspace folder selected in the Org Manager', async () => {
+      const singleFolder = mockVscode.workspace.workspaceFolders;
+      mockVscode.workspace.workspaceFolders = [
+        ...singleFolder,
+        { name: 'other', uri: { fsPath: '/mock/other' } },
+      ];
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: {} }), '');
+      });
+
+      try {
+        workspaceFolders.selectFolder('/mock/other');
+        await sfdxExecutor.executeSfdxCommand(['org', 'display', '--json']);
+      } finally {
+        mockVscode.workspace.workspaceFolders = singleFolder;
+      }
+
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'sf',
+        expect.any(Array),
+        expect.objectContaining({ cwd: '/mock/other' }),
+        expect.any(Function)
+      );
+    });
+
+    it('should reject when given a command string instead of an argument array', async () => {
+      await expect(sfdxExecutor.executeSfdxCommand('sf org display --json'))
+        .rejects.toThrow('expects an argument array');
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+
     it('should parse JSON from stdout on command error', async () => {
       const errorResponse = { status: 1, message: 'Auth error' };
       const error = new Error('Command failed');
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(error, JSON.stringify(errorResponse), '');
       });
 
-      const result = await sfdxExecutor.executeSfdxCommand('sf org display --json');
+      const result = await sfdxExecutor.executeSfdxCommand(['org', 'display', '--json']);
 
       expect(result).toEqual(errorResponse);
     });
 
     it('should reject when JSON parsing fails', async () => {
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, 'not valid json', '');
       });
 
-      await expect(sfdxExecutor.executeSfdxCommand('sf org display --json'))
+      await expect(sfdxExecutor.executeSfdxCommand(['org', 'display', '--json']))
         .rejects.toThrow('Failed to parse SFDX output');
     });
 
     it('should reject on command error when JSON parsing fails', async () => {
       const error = new Error('Command failed');
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(error, 'invalid', 'invalid');
       });
 
-      await expect(sfdxExecutor.executeSfdxCommand('sf org display --json'))
+      await expect(sfdxExecutor.executeSfdxCommand(['org', 'display', '--json']))
         .rejects.toThrow('Command failed');
     });
   });
 
+  describe('cancellation and timeouts', () => {
+    // Simulates a child process that never exits on its own
+    function mockHangingProcess() {
+      const child = { kill: jest.fn() };
+      mockExecFile.mockImplementation(() => child);
+      return child;
+    }
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should kill the process and reject when the timeout elapses', async () => {
+      jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+      const child = mockHangingProcess();
+
+      const promise = sfdxExecutor.executeSfdxCommand(['org', 'list', '--json'], { timeout: 5000 });
+      await flushPromises();
+      jest.advanceTimersByTime(5000);
+
+      await expect(promise).rejects.toMatchObject({
+        code: sfdxExecutor.TIMEOUT_ERROR_CODE,
+        message: 'Command timed out after 5 seconds',
+      });
+      expect(child.kill).toHaveBeenCalled();
+    });
+
+    it('should kill the process and reject when the token is cancelled', async () => {
+      const child = mockHangingProcess();
+      let cancel;
+      const dispose = jest.fn();
+      const token = {
+        isCancellationRequested: false,
+        onCancellationRequested: jest.fn((listener) => {
+          cancel = listener;
+          return { dispose };
+        }),
+      };
+
+      const promise = sfdxExecutor.executeSfdxCommand(['org', 'list', '--json'], { token });
+      await flushPromises();
+      cancel();
+
+      await expect(promise).rejects.toMatchObject({ code: sfdxExecutor.CANCELLED_ERROR_CODE });
+      expect(child.kill).toHaveBeenCalled();
+      expect(dispose).toHaveBeenCalled();
+    });
+
+    it('should not start the process when the token is already cancelled', async () => {
+      const token = { isCancellationRequested: true, onCancellationRequested: jest.fn() };
+
+      await expect(
+        sfdxExecutor.executeSfdxCommand(['org', 'list', '--json'], { token })
+      ).rejects.toMatchObject({ code: sfdxExecutor.CANCELLED_ERROR_CODE });
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+
+    it('should mark operation results as cancelled', async () => {
+      const token = { isCancellationRequested: true, onCancellationRequested: jest.fn() };
+
+      const result = await sfdxExecutor.reauthenticateOrg('myOrg', null, { token });
+
+      expect(result).toEqual({
+        success: false,
+        cancelled: true,
+        message: 'Operation cancelled',
+      });
+    });
+
+    it('should use the login timeout for browser logins', async () => {
+      jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+      const child = mockHangingProcess();
+
+      const promise = sfdxExecutor.authenticateNewOrg('newOrg', null);
+      await flushPromises();
+      jest.advanceTimersByTime(120000);
+      expect(child.kill).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(480000);
+
+      const result = await promise;
+      expect(child.kill).toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('timed out');
+    });
+  });
+
+  describe('logging', () => {
+    it('should log the command line, duration and exit status', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      await sfdxExecutor.openOrgInBrowser('My Org');
+
+      expect(console.info).toHaveBeenCalledWith(
+        '[SfdxExecutor] $ sf org open --target-org "My Org" --json'
+      );
+      expect(console.info).toHaveBeenCalledWith(
+        expect.stringMatching(/finished in \d+ ms \(exit 0, status 0\)$/)
+      );
+    });
+
+    it('should log failures with the exit code', async () => {
+      const error = new Error('Command failed');
+      error.code = 2;
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(error, 'not json', '');
+      });
+
+      await expect(sfdxExecutor.executeSfdxCommand(['org', 'list', '--json'])).rejects.toThrow();
+
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('(exit 2): Command failed'));
+    });
+  });
+
+  describe('hasRecentCliActivity', () => {
+    it('should report running commands and commands that just finished', async () => {
+      let finish;
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        finish = () => callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      const run = sfdxExecutor.executeSfdxCommand(['org', 'list', '--json']);
+      await flushPromises();
+      expect(sfdxExecutor.hasRecentCliActivity(0)).toBe(true);
+
+      finish();
+      await run;
+      expect(sfdxExecutor.hasRecentCliActivity(60000)).toBe(true);
+      expect(sfdxExecutor.hasRecentCliActivity(-1)).toBe(false);
+    });
+  });
+
+  describe('CLI resolution', () => {
+    it('should run the executable found by CLI discovery', async () => {
+      mockResolveCli.mockResolvedValue({ state: 'ok', executable: '/opt/sf/bin/sf', legacy: false });
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      await sfdxExecutor.executeSfdxCommand(['org', 'list', '--json']);
+
+      expect(mockExecFile.mock.calls[0][0]).toBe('/opt/sf/bin/sf');
+    });
+
+    it('should run the .cmd shim through cmd.exe on Windows', async () => {
+      const originalPlatform = process.platform;
+      const originalComspec = process.env.comspec;
+      Object.defineProperty(process, 'platform', { value: 'win32' });
+      process.env.comspec = 'C:\\Windows\\system32\\cmd.exe';
+      mockResolveCli.mockResolvedValue({ state: 'ok', executable: 'C:\\npm\\sf.cmd', legacy: false });
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      try {
+        await sfdxExecutor.executeSfdxCommand(['alias', 'set', 'dev & test=a@b.com', '--json']);
+      } finally {
+        Object.defineProperty(process, 'platform', { value: originalPlatform });
+        if (originalComspec === undefined) {
+          delete process.env.comspec;
+        } else {
+          process.env.comspec = originalComspec;
+        }
+      }
+
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'C:\\Windows\\system32\\cmd.exe',
+        ['/d', '/s', '/c', expect.stringContaining('dev^^^ ^^^&^^^ test=a@b.com')],
+        expect.objectContaining({ windowsVerbatimArguments: true, cwd: '/mock/workspace' }),
+        expect.any(Function)
+      );
+    });
+
+    it('should translate arguments for the legacy sfdx-cli', async () => {
+      mockResolveCli.mockResolvedValue({ state: 'ok', executable: 'sfdx', legacy: true });
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      const result = await sfdxExecutor.logoutOrg('myOrg');
+
+      expect(result.success).toBe(true);
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'sfdx',
+        ['auth:logout', '--targetusername', 'myOrg', '--noprompt', '--json'],
+        expect.any(Object),
+        expect.any(Function)
+      );
+    });
+
+    it('should report a missing CLI as a failed operation', async () => {
+      mockResolveCli.mockRejectedValue(new Error('Salesforce CLI not found.'));
+
+      const result = await sfdxExecutor.openOrgInBrowser('myOrg');
+
+      expect(result).toEqual({ success: false, message: 'Salesforce CLI not found.' });
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+  });
+
   describe('checkSfdxConnection', () => {
     it('should return connection info on success', async () => {
       const mockOrgInfo = {
@@ -99,7 +349,7 @@ describe('sfdxCommandExecutor', () => {
           apiVersion: '59.0',
         },
       };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockOrgInfo), '');
       });
 
@@ -115,13 +365,68 @@ describe('sfdxCommandExecutor', () => {
 
     it('should throw error when org info fails', async () => {
       const mockError = { status: 1, message: 'No default org' };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockError), '');
       });
 
       await expect(sfdxExecutor.checkSfdxConnection())
         .rejects.toThrow('No default org');
     });
+
+    it('should check the given org', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: { username: 'a@b.com' } }), '');
+      });
+
+      await sfdxExecutor.checkSfdxConnection('My Org');
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'display', '--target-org', 'My Org', '--json',
+      ]);
+    });
+
+    it('should report an expired refresh token', async () => {
+      const mockError = {
+        status: 1,
+        name: 'RefreshTokenAuthError',
+        message: 'Error authenticating with the refresh token due to: expired access/refresh token',
+      };
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify(mockError), '');
+      });
+
+      await expect(sfdxExecutor.checkSfdxConnection('myOrg')).rejects.toMatchObject({
+        errorType: sfdxExecutor.CONNECTION_ERROR_TYPES.EXPIRED_AUTH,
+      });
+    });
+
+    it('should fail when the org reports a connection problem', async () => {
+      const mockOrgInfo = {
+        status: 0,
+        result: { username: 'a@b.com', connectedStatus: 'getaddrinfo ENOTFOUND acme.my.salesforce.com' },
+      };
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify(mockOrgInfo), '');
+      });
+
+      await expect(sfdxExecutor.checkSfdxConnection('myOrg')).rejects.toMatchObject({
+        message: 'getaddrinfo ENOTFOUND acme.my.salesforce.com',
+        errorType: sfdxExecutor.CONNECTION_ERROR_TYPES.NETWORK,
+      });
+    });
+  });
+
+  describe('classifyConnectionError', () => {
+    it('should classify timeouts, missing orgs and unknown errors', () => {
+      const timeout = new Error('Command timed out');
+      timeout.code = sfdxExecutor.TIMEOUT_ERROR_CODE;
+
+      expect(sfdxExecutor.classifyConnectionError(timeout)).toBe('timeout');
+      expect(
+        sfdxExecutor.classifyConnectionError({ name: 'NamedOrgNotFoundError', message: 'No org' })
+      ).toBe('orgNotFound');
+      expect(sfdxExecutor.classifyConnectionError(new Error('Something else'))).toBe('unknown');
+    });
   });
 
   describe('listAllOrgs', () => {
@@ -130,14 +435,14 @@ describe('sfdxCommandExecutor', () => {
         status: 0,
         result: {
           nonScratchOrgs: [
-            { username: 'prod@example.com', alias: 'prod', isDefaultUsername: true },
+            { username: 'prod@example.com', alias: 'prod', isDefaultUsername: true, isDevHub: true },
           ],
           scratchOrgs: [
             { username: 'scratch@test.com', alias: 'scratch', isScratchOrg: true },
           ],
         },
       };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -146,18 +451,26 @@ describe('sfdxCommandExecutor', () => {
       expect(result).toHaveLength(2);
       expect(result[0].username).toBe('prod@example.com');
       expect(result[0].isDefaultUsername).toBe(true);
+      expect(result[0].isDevHub).toBe(true);
       expect(result[1].username).toBe('scratch@test.com');
       expect(result[1].isScratchOrg).toBe(true);
+      expect(result[1].isDevHub).toBe(false);
     });
 
-    it('should return empty array on error', async () => {
-      mockExec.mockImplementation((cmd, options, callback) => {
+    it('should reject instead of returning an empty list on error', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(new Error('Failed'), '', '');
       });
 
-      const result = await sfdxExecutor.listAllOrgs();
+      await expect(sfdxExecutor.listAllOrgs()).rejects.toThrow();
+    });
 
-      expect(result).toEqual([]);
+    it('should reject when the CLI reports a failure', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 1, message: 'No auth files found' }), '');
+      });
+
+      await expect(sfdxExecutor.listAllOrgs()).rejects.toThrow('No auth files found');
     });
 
     it('should handle missing scratchOrgs array', async () => {
@@ -167,7 +480,7 @@ describe('sfdxCommandExecutor', () => {
           nonScratchOrgs: [{ username: 'prod@example.com' }],
         },
       };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -180,7 +493,7 @@ describe('sfdxCommandExecutor', () => {
   describe('openOrgInBrowser', () => {
     it('should return success on successful open', async () => {
       const mockResponse = { status: 0, result: { url: 'https://test.salesforce.com' } };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -190,9 +503,222 @@ describe('sfdxCommandExecutor', () => {
       expect(result.message).toContain('myOrg');
     });
 
+    it('should open a page with --path', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: {} }), '');
+      });
+
+      const result = await sfdxExecutor.openOrgInBrowser('myOrg', '/lightning/setup/SetupOneHome/home');
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'open', '--target-org', 'myOrg', '--path', '/lightning/setup/SetupOneHome/home', '--json',
+      ]);
+      expect(result.message).toBe('Opened /lightning/setup/SetupOneHome/home in myOrg');
+    });
+
+    it('should reject paths outside the org', async () => {
+      const result = await sfdxExecutor.openOrgInBrowser('myOrg', '//evil.example.com');
+
+      expect(result.success).toBe(false);
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+
+    it('should open a private window of the chosen browser', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: {} }), '');
+      });
+
+      await sfdxExecutor.openOrgInBrowser('myOrg', null, { browser: 'firefox', privateWindow: true });
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'open', '--target-org', 'myOrg', '--browser', 'firefox', '--private', '--json',
+      ]);
+    });
+
+    it('should reject unknown browsers', async () => {
+      const result = await sfdxExecutor.openOrgInBrowser('myOrg', null, { browser: 'safari; rm -rf /' });
+
+      expect(result).toEqual({ success: false, message: 'Unsupported browser: safari; rm -rf /' });
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getOrgLoginUrl', () => {
+    it('should return the frontdoor URL without opening a browser', async () => {
+      const url = 'https://acme.my.salesforce.com/secur/frontdoor.jsp?otp=secret123';
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: { url } }), '');
+      });
+
+      const result = await sfdxExecutor.getOrgLoginUrl('myOrg');
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'open', '--target-org', 'myOrg', '--url-only', '--json',
+      ]);
+      expect(result).toEqual({ success: true, url });
+    });
+
+    it('should return failure when no URL is returned', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 1, message: 'No authorization information found' }), '');
+      });
+
+      const result = await sfdxExecutor.getOrgLoginUrl('myOrg');
+
+      expect(result).toEqual({ success: false, message: 'No authorization information found' });
+    });
+  });
+
+  describe('getOrganizationInfo', () => {
+    it('should read the org type from the Organization record', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({
+          status: 0,
+          result: {
+            records: [{ Id: '00D000000000001EAA', IsSandbox: false, OrganizationType: 'Enterprise Edition' }],
+          },
+        }), '');
+      });
+
+      const result = await sfdxExecutor.getOrganizationInfo('prod');
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'data', 'query',
+        '--query', 'SELECT Id, IsSandbox, OrganizationType, TrialExpirationDate FROM Organization',
+        '--target-org', 'prod',
+        '--json',
+      ]);
+      expect(result).toEqual({
+        success: true,
+        orgId: '00D000000000001EAA',
+        isSandbox: false,
+        organizationType: 'Enterprise Edition',
+        trialExpirationDate: null,
+      });
+    });
+
+    it('should return failure when the query fails', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 1, message: 'INVALID_SESSION_ID' }), '');
+      });
+
+      const result = await sfdxExecutor.getOrganizationInfo('prod');
+
+      expect(result).toEqual({ success: false, message: 'INVALID_SESSION_ID' });
+    });
+  });
+
+  describe('getOrgDetails', () => {
+    const displayResult = {
+      id: '00D000000000001EAA',
+      username: "o'brien@acme.com",
+      instanceUrl: 'https://acme.my.salesforce.com',
+      apiVersion: '62.0',
+      clientId: 'PlatformCLI',
+      accessToken: '00D000000000001!secret',
+      sfdxAuthUrl: 'force://PlatformCLI::refresh-secret@acme.my.salesforce.com',
+    };
+    const organizationRecord = {
+      Id: '00D000000000001EAA',
+      Name: 'Acme',
+      IsSandbox: false,
+      OrganizationType: 'Enterprise Edition',
+      InstanceName: 'NA224',
+      NamespacePrefix: null,
+      TrialExpirationDate: null,
+      LanguageLocaleKey: 'en_US',
+      DefaultLocaleSidKey: 'en_US',
+      TimeZoneSidKey: 'America/Los_Angeles',
+    };
+
+    function mockResponses(userResponse) {
+      const responses = [
+        { status: 0, result: displayResult },
+        { status: 0, result: { records: [organizationRecord] } },
+        userResponse,
+      ];
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify(responses.shift()), '');
+      });
+    }
+
+    it('should combine org display, the Organization record and the profile without tokens', async () => {
+      mockResponses({ status: 0, result: { records: [{ Profile: { Name: 'System Administrator' } }] } });
+
+      const result = await sfdxExecutor.getOrgDetails('prod');
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'display', '--target-org', 'prod', '--verbose', '--json',
+      ]);
+      expect(mockExecFile.mock.calls[1][1]).toEqual(
+        expect.arrayContaining(['data', 'query', '--target-org', 'prod'])
+      );
+      expect(mockExecFile.mock.calls[2][1]).toContain(
+        "SELECT Profile.Name FROM User WHERE Username = 'o\\'brien@acme.com'"
+      );
+      expect(result).toEqual({
+        success: true,
+        details: {
+          username: "o'brien@acme.com",
+          orgId: '00D000000000001EAA',
+          orgName: 'Acme',
+          edition: 'Enterprise Edition',
+          isSandbox: false,
+          instanceName: 'NA224',
+          instanceUrl: 'https://acme.my.salesforce.com',
+          namespace: null,
+          trialExpirationDate: null,
+          expirationDate: null,
+          language: 'en_US',
+          locale: 'en_US',
+          timeZone: 'America/Los_Angeles',
+          profile: 'System Administrator',
+          apiVersion: '62.0',
+          clientId: 'PlatformCLI',
+          hasRefreshToken: true,
+        },
+      });
+      expect(JSON.stringify(result)).not.toContain('secret');
+    });
+
+    it('should leave the profile empty when the User record cannot be read', async () => {
+      mockResponses({ status: 1, message: 'INSUFFICIENT_ACCESS' });
+
+      const result = await sfdxExecutor.getOrgDetails('prod');
+
+      expect(result.success).toBe(true);
+      expect(result.details.profile).toBeNull();
+    });
+
+    it('should return failure when org display fails', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 1, message: 'No authorization information found' }), '');
+      });
+
+      const result = await sfdxExecutor.getOrgDetails('prod');
+
+      expect(result).toEqual({ success: false, message: 'No authorization information found' });
+      expect(mockExecFile).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('listSObjects', () => {
+    it('should list all sObjects sorted by name', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: ['Contact', 'Account', 'Invoice__c'] }), '');
+      });
+
+      const result = await sfdxExecutor.listSObjects('myOrg');
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'sobject', 'list', '--sobject', 'all', '--target-org', 'myOrg', '--json',
+      ]);
+      expect(result).toEqual({ success: true, sobjects: ['Account', 'Contact', 'Invoice__c'] });
+    });
+
     it('should return failure on error', async () => {
       const mockResponse = { status: 1, message: 'Failed to open' };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -205,8 +731,9 @@ describe('sfdxCommandExecutor', () => {
   describe('reauthenticateOrg', () => {
     it('should reauthenticate without instance URL', async () => {
       const mockResponse = { status: 0, result: { username: 'test@example.com' } };
-      mockExec.mockImplementation((cmd, options, callback) => {
-        expect(cmd).not.toContain('--instance-url');
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        expect(args).not.toContain('--instance-url');
+        expect(args).toEqual(['org', 'login', 'web', '--alias', 'myOrg', '--json']);
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -217,8 +744,13 @@ describe('sfdxCommandExecutor', () => {
 
     it('should reauthenticate with instance URL', async () => {
       const mockResponse = { status: 0, result: { username: 'test@example.com' } };
-      mockExec.mockImplementation((cmd, options, callback) => {
-        expect(cmd).toContain('--instance-url');
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        expect(args).toEqual([
+          'org', 'login', 'web',
+          '--instance-url', 'https://test.salesforce.com',
+          '--alias', 'myOrg',
+          '--json',
+        ]);
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -229,8 +761,8 @@ describe('sfdxCommandExecutor', () => {
 
     it('should handle "undefined" instance URL string', async () => {
       const mockResponse = { status: 0, result: {} };
-      mockExec.mockImplementation((cmd, options, callback) => {
-        expect(cmd).not.toContain('--instance-url');
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        expect(args).not.toContain('--instance-url');
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -243,8 +775,8 @@ describe('sfdxCommandExecutor', () => {
   describe('logoutOrg', () => {
     it('should return success on successful logout', async () => {
       const mockResponse = { status: 0 };
-      mockExec.mockImplementation((cmd, options, callback) => {
-        expect(cmd).toContain('--no-prompt');
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        expect(args).toContain('--no-prompt');
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -256,7 +788,7 @@ describe('sfdxCommandExecutor', () => {
 
     it('should return failure message on error', async () => {
       const mockResponse = { status: 1, message: 'Logout failed' };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -269,8 +801,8 @@ describe('sfdxCommandExecutor', () => {
   describe('setDefaultOrg', () => {
     it('should set default org successfully', async () => {
       const mockResponse = { status: 0 };
-      mockExec.mockImplementation((cmd, options, callback) => {
-        expect(cmd).toContain('target-org=');
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        expect(args).toEqual(['config', 'set', 'target-org=myOrg', '--json']);
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -282,7 +814,7 @@ describe('sfdxCommandExecutor', () => {
 
     it('should return failure on error', async () => {
       const mockResponse = { status: 1, message: 'Config failed' };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -290,6 +822,392 @@ describe('sfdxCommandExecutor', () => {
 
       expect(result.success).toBe(false);
     });
+
+    it('should set the default Dev Hub globally', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      const result = await sfdxExecutor.setDefaultOrg('myHub', 'target-dev-hub', 'global');
+
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'sf',
+        ['config', 'set', 'target-dev-hub=myHub', '--global', '--json'],
+        expect.any(Object),
+        expect.any(Function)
+      );
+      expect(result.message).toBe('Set myHub as default Dev Hub (global)');
+    });
+
+    it('should reject unknown settings without running the CLI', async () => {
+      const result = await sfdxExecutor.setDefaultOrg('myOrg', 'org-api-version');
+
+      expect(result).toEqual({ success: false, message: 'Unsupported config setting: org-api-version' });
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unsetDefaultOrg', () => {
+    it('should unset the setting in the project config', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      const result = await sfdxExecutor.unsetDefaultOrg('target-org', 'local');
+
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'sf',
+        ['config', 'unset', 'target-org', '--json'],
+        expect.any(Object),
+        expect.any(Function)
+      );
+      expect(result).toEqual({ success: true, message: 'Unset the default org (this project)' });
+    });
+
+    it('should return failure on error', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 1, message: 'Unset failed' }), '');
+      });
+
+      const result = await sfdxExecutor.unsetDefaultOrg('target-dev-hub', 'global');
+
+      expect(result).toEqual({ success: false, message: 'Unset failed' });
+    });
+  });
+
+  describe('setAlias', () => {
+    it('should set the alias as one name=username argument', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      const result = await sfdxExecutor.setAlias('Acme Prod', 'admin@acme.com');
+
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'sf',
+        ['alias', 'set', 'Acme Prod=admin@acme.com', '--json'],
+        expect.any(Object),
+        expect.any(Function)
+      );
+      expect(result).toEqual({ success: true, message: 'Set alias Acme Prod for admin@acme.com' });
+    });
+
+    it('should reject invalid aliases without running the CLI', async () => {
+      const result = await sfdxExecutor.setAlias('a=b', 'admin@acme.com');
+
+      expect(result.success).toBe(false);
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unsetAlias', () => {
+    it('should remove the alias', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      const result = await sfdxExecutor.unsetAlias('old-name');
+
+      expect(mockExecFile).toHaveBeenCalledWith(
+        'sf',
+        ['alias', 'unset', 'old-name', '--json'],
+        expect.any(Object),
+        expect.any(Function)
+      );
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('createScratchOrg', () => {
+    const definitionFile = '/work/app/config/project-scratch-def.json';
+
+    it('should create the org and wait as long as the scratch org timeout', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(
+          null,
+          JSON.stringify({ status: 0, result: { username: 'test-xyz@example.com', orgId: '00D000000000009EAA' } }),
+          ''
+        );
+      });
+
+      const result = await sfdxExecutor.createScratchOrg({
+        definitionFile,
+        devHub: 'myHub',
+        durationDays: 14,
+        alias: 'feature x',
+      });
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'create', 'scratch',
+        '--definition-file', definitionFile,
+        '--target-dev-hub', 'myHub',
+        '--duration-days', '14',
+        '--alias', 'feature x',
+        '--wait', '15',
+        '--json',
+      ]);
+      expect(result).toEqual({
+        success: true,
+        message: 'Created scratch org: feature x',
+        username: 'test-xyz@example.com',
+        orgId: '00D000000000009EAA',
+      });
+    });
+
+    it('should reject durations Salesforce does not allow without running the CLI', async () => {
+      const result = await sfdxExecutor.createScratchOrg({ definitionFile, devHub: 'myHub', durationDays: 31 });
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('from 1 to 30');
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject relative definition file paths', async () => {
+      const result = await sfdxExecutor.createScratchOrg({
+        definitionFile: 'config/project-scratch-def.json',
+        devHub: 'myHub',
+      });
+
+      expect(result.success).toBe(false);
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteScratchOrg', () => {
+    it('should delete the org without prompting', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      const result = await sfdxExecutor.deleteScratchOrg('feature-x');
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'delete', 'scratch', '--target-org', 'feature-x', '--no-prompt', '--json',
+      ]);
+      expect(result).toEqual({ success: true, message: 'Deleted scratch org: feature-x' });
+    });
+
+    it('should return failure on error', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 1, message: 'No Dev Hub' }), '');
+      });
+
+      const result = await sfdxExecutor.deleteScratchOrg('feature-x');
+
+      expect(result).toEqual({ success: false, message: 'No Dev Hub' });
+    });
+  });
+
+  describe('cleanScratchOrgs', () => {
+    it('should run org list --clean without prompting', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: {} }), '');
+      });
+
+      const result = await sfdxExecutor.cleanScratchOrgs();
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual(['org', 'list', '--clean', '--no-prompt', '--json']);
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('getScratchOrgLimits', () => {
+    it('should return the daily and active scratch org limits', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(
+          null,
+          JSON.stringify({
+            status: 0,
+            result: [
+              { name: 'DailyApiRequests', max: 15000, remaining: 14990 },
+              { name: 'DailyScratchOrgs', max: 200, remaining: 3 },
+              { name: 'ActiveScratchOrgs', max: 100, remaining: 40 },
+            ],
+          }),
+          ''
+        );
+      });
+
+      const result = await sfdxExecutor.getScratchOrgLimits('myHub');
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'list', 'limits', '--target-org', 'myHub', '--json',
+      ]);
+      expect(result).toEqual({
+        success: true,
+        daily: { max: 200, remaining: 3 },
+        active: { max: 100, remaining: 40 },
+      });
+    });
+
+    it('should return failure on error', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 1, message: 'Not a Dev Hub' }), '');
+      });
+
+      const result = await sfdxExecutor.getScratchOrgLimits('myHub');
+
+      expect(result).toEqual({ success: false, message: 'Not a Dev Hub' });
+    });
+  });
+
+  describe('listSandboxes', () => {
+    it('should return the latest copy of each sandbox without deleted ones', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(
+          null,
+          JSON.stringify({
+            status: 0,
+            result: {
+              records: [
+                { SandboxName: 'uat', LicenseType: 'PARTIAL', Status: 'Processing', CopyProgress: 40, EndDate: null },
+                { SandboxName: 'dev', LicenseType: 'DEVELOPER', Status: 'Completed', CopyProgress: 100, EndDate: '2026-10-01T08:00:00.000+0000' },
+                { SandboxName: 'uat', LicenseType: 'PARTIAL', Status: 'Completed', CopyProgress: 100, EndDate: '2026-09-01T08:00:00.000+0000' },
+                { SandboxName: 'old', LicenseType: 'DEVELOPER', Status: 'Deleted', CopyProgress: 100, EndDate: null },
+              ],
+            },
+          }),
+          ''
+        );
+      });
+
+      const result = await sfdxExecutor.listSandboxes('prod');
+
+      const args = mockExecFile.mock.calls[0][1];
+      expect(args.slice(0, 3)).toEqual(['data', 'query', '--query']);
+      expect(args).toEqual(expect.arrayContaining(['--use-tooling-api', '--target-org', 'prod']));
+      expect(result).toEqual({
+        success: true,
+        sandboxes: [
+          {
+            name: 'dev',
+            licenseType: 'DEVELOPER',
+            status: 'Completed',
+            copyProgress: 100,
+            lastRefreshed: '2026-10-01T08:00:00.000+0000',
+            description: null,
+          },
+          {
+            name: 'uat',
+            licenseType: 'PARTIAL',
+            status: 'Processing',
+            copyProgress: 40,
+            lastRefreshed: null,
+            description: null,
+          },
+        ],
+      });
+    });
+  });
+
+  describe('createSandbox', () => {
+    beforeEach(() => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: { Status: 'Pending' } }), '');
+      });
+    });
+
+    it('should start creating the sandbox without waiting', async () => {
+      const result = await sfdxExecutor.createSandbox({
+        name: 'uat',
+        productionOrg: 'prod',
+        licenseType: sfdxExecutor.SANDBOX_LICENSE_TYPES.DEVELOPER,
+        definitionFile: '/p/config/sandbox-def.json',
+      });
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'create', 'sandbox', '--name', 'uat', '--license-type', 'Developer',
+        '--definition-file', '/p/config/sandbox-def.json', '--target-org', 'prod',
+        '--async', '--no-prompt', '--json',
+      ]);
+      expect(result).toEqual({
+        success: true,
+        message: 'Started creating sandbox: uat',
+        sandboxName: 'uat',
+        status: 'Pending',
+      });
+    });
+
+    it('should clone another sandbox', async () => {
+      const result = await sfdxExecutor.createSandbox({
+        name: 'uat2',
+        productionOrg: 'prod',
+        sourceSandbox: 'uat',
+      });
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'create', 'sandbox', '--name', 'uat2', '--source-sandbox-name', 'uat',
+        '--target-org', 'prod', '--async', '--no-prompt', '--json',
+      ]);
+      expect(result.message).toBe('Started cloning uat to sandbox uat2');
+    });
+
+    it('should reject unknown license types and invalid names', async () => {
+      await expect(
+        sfdxExecutor.createSandbox({ name: 'uat', productionOrg: 'prod', licenseType: 'Huge' })
+      ).resolves.toEqual({ success: false, message: 'Invalid sandbox license type: Huge' });
+      await expect(
+        sfdxExecutor.createSandbox({ name: 'my sandbox', productionOrg: 'prod', licenseType: 'Full' })
+      ).resolves.toMatchObject({ success: false });
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshSandbox', () => {
+    it('should start refreshing the sandbox without waiting', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: { Status: 'Pending' } }), '');
+      });
+
+      const result = await sfdxExecutor.refreshSandbox({ name: 'uat', productionOrg: 'prod' });
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'refresh', 'sandbox', '--name', 'uat', '--target-org', 'prod',
+        '--async', '--no-prompt', '--json',
+      ]);
+      expect(result.message).toBe('Started refreshing sandbox: uat');
+    });
+  });
+
+  describe('resumeSandbox', () => {
+    it('should report a finished copy as done', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0, result: { Status: 'Completed', CopyProgress: 100 } }), '');
+      });
+
+      const result = await sfdxExecutor.resumeSandbox('uat', 'prod');
+
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'resume', 'sandbox', '--name', 'uat', '--target-org', 'prod', '--json',
+      ]);
+      expect(result).toEqual({ success: true, status: 'Completed', copyProgress: 100, done: true });
+    });
+
+    it('should report the progress of an unfinished copy', async () => {
+      const error = new Error('Command failed');
+      error.code = 1;
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(
+          error,
+          JSON.stringify({ status: 68, message: 'Not complete', data: { Status: 'Processing', CopyProgress: 40 } }),
+          ''
+        );
+      });
+
+      const result = await sfdxExecutor.resumeSandbox('uat', 'prod');
+
+      expect(result).toEqual({ success: true, status: 'Processing', copyProgress: 40, done: false });
+    });
+
+    it('should return failure without a sandbox status', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 1, message: 'No sandbox named uat' }), '');
+      });
+
+      const result = await sfdxExecutor.resumeSandbox('uat', 'prod');
+
+      expect(result).toEqual({ success: false, message: 'No sandbox named uat' });
+    });
   });
 
   describe('getAccessToken', () => {
@@ -302,7 +1220,7 @@ describe('sfdxCommandExecutor', () => {
           username: 'test@example.com',
         },
       };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -316,7 +1234,7 @@ describe('sfdxCommandExecutor', () => {
 
     it('should return failure on error', async () => {
       const mockResponse = { status: 1, message: 'Token error' };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -330,8 +1248,8 @@ describe('sfdxCommandExecutor', () => {
   describe('authenticateNewOrg', () => {
     it('should authenticate with alias only', async () => {
       const mockResponse = { status: 0, result: { username: 'new@example.com' } };
-      mockExec.mockImplementation((cmd, options, callback) => {
-        expect(cmd).toContain('--alias newOrg');
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        expect(args).toEqual(['org', 'login', 'web', '--alias', 'newOrg', '--json']);
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -343,8 +1261,8 @@ describe('sfdxCommandExecutor', () => {
 
     it('should authenticate with instance URL', async () => {
       const mockResponse = { status: 0, result: { username: 'new@example.com' } };
-      mockExec.mockImplementation((cmd, options, callback) => {
-        expect(cmd).toContain('--instance-url https://test.salesforce.com');
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        expect(args).toEqual(['org', 'login', 'web', '--instance-url', 'https://test.salesforce.com', '--json']);
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -355,8 +1273,8 @@ describe('sfdxCommandExecutor', () => {
 
     it('should authenticate without any options', async () => {
       const mockResponse = { status: 0, result: {} };
-      mockExec.mockImplementation((cmd, options, callback) => {
-        expect(cmd).toBe('sf org login web --json');
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        expect(args).toEqual(['org', 'login', 'web', '--json']);
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -368,7 +1286,7 @@ describe('sfdxCommandExecutor', () => {
 
     it('should return failure on error', async () => {
       const mockResponse = { status: 1, message: 'Auth failed' };
-      mockExec.mockImplementation((cmd, options, callback) => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
         callback(null, JSON.stringify(mockResponse), '');
       });
 
@@ -377,5 +1295,46 @@ describe('sfdxCommandExecutor', () => {
       expect(result.success).toBe(false);
     });
   });
-});
 
+  describe('argument safety', () => {
+    it('should pass aliases with spaces and quotes as a single argument', async () => {
+      const mockResponse = { status: 0, result: { username: 'new@example.com' } };
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify(mockResponse), '');
+      });
+
+      const result = await sfdxExecutor.authenticateNewOrg(`Bob's "Dev" Org`, null);
+
+      expect(result.success).toBe(true);
+      expect(mockExecFile.mock.calls[0][1]).toEqual([
+        'org', 'login', 'web', '--alias', `Bob's "Dev" Org`, '--json',
+      ]);
+    });
+
+    it('should pass shell metacharacters through without a shell', async () => {
+      mockExecFile.mockImplementation((file, args, options, callback) => {
+        callback(null, JSON.stringify({ status: 0 }), '');
+      });
+
+      await sfdxExecutor.openOrgInBrowser('myOrg; rm -rf ~');
+
+      expect(mockExecFile.mock.calls[0][1]).toContain('myOrg; rm -rf ~');
+      expect(mockExecFile.mock.calls[0][2].shell).toBe(false);
+    });
+
+    it('should reject a username that looks like a flag', async () => {
+      const result = await sfdxExecutor.logoutOrg('--all');
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('must not start with "-"');
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject a non-http instance URL', async () => {
+      const result = await sfdxExecutor.authenticateNewOrg('newOrg', 'file:///etc/passwd');
+
+      expect(result.success).toBe(false);
+      expect(mockExecFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for workspaceFolders Module
+ *
+ * Tests folder listing, selection and the fallback when the selected
+ * folder is removed.
+ */
+
+const mockVscode = {
+  workspace: {
+    workspaceFolders: undefined,
+  },
+};
+
+jest.mock('vscode', () => mockVscode, { virtual: true });
+
+// Creates a workspace folder as VS Code reports it
+function folder(name, fsPath) {
+  return { name, uri: { fsPath } };
+}
+
+describe('workspaceFolders', () => {
+  let workspaceFolders;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      workspaceFolders = require('../../src/utils/workspaceFolders');
+    });
+    mockVscode.workspace.workspaceFolders = [
+      folder('app', '/work/app'),
+      folder('lib', '/work/lib'),
+    ];
+  });
+
+  it('should list folder names and paths', () => {
+    expect(workspaceFolders.getFolders()).toEqual([
+      { name: 'app', path: '/work/app' },
+      { name: 'lib', path: '/work/lib' },
+    ]);
+  });
+
+  it('should use the first folder until one is selected', () => {
+    expect(workspaceFolders.getSelectedFolderPath()).toBe('/work/app');
+
+    workspaceFolders.selectFolder('/work/lib');
+
+    expect(workspaceFolders.getSelectedFolderPath()).toBe('/work/lib');
+  });
+
+  it('should fall back to the first folder when the selected one is removed', () => {
+    workspaceFolders.selectFolder('/work/lib');
+    mockVscode.workspace.workspaceFolders = [folder('app', '/work/app')];
+
+    expect(workspaceFolders.getSelectedFolderPath()).toBe('/work/app');
+  });
+
+  it('should return undefined when no folder is open', () => {
+    mockVscode.workspace.workspaceFolders = undefined;
+
+    expect(workspaceFolders.getFolders()).toEqual([]);
+    expect(workspaceFolders.getSelectedFolderPath()).toBeUndefined();
+  });
+
+  it('should tell listeners when another folder is selected', () => {
+    const listener = jest.fn();
+    workspaceFolders.onDidSelectFolder(listener);
+
+    workspaceFolders.selectFolder('/work/lib');
+    workspaceFolders.selectFolder('/work/lib');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject paths that are not workspace folders', () => {
+    expect(() => workspaceFolders.selectFolder('/elsewhere')).toThrow(
+      'Not a workspace folder: /elsewhere'
+    );
+    expect(workspaceFolders.getSelectedFolderPath()).toBe('/work/app');
+  });
+});